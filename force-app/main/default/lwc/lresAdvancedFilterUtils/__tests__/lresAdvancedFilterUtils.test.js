@@ -0,0 +1,233 @@
+import {
+  buildFilterWhereClause,
+  countFilterConditions,
+  evaluateFilterTree,
+  getOperatorLabel,
+  getOperatorOptions,
+  normalizeFilterTree,
+  resolveOperator,
+  resolveFilterFieldType,
+  serializeFilterTree,
+  validateFilterCondition
+} from "../lresAdvancedFilterUtils";
+
+const FIELD_TYPES = {
+  Subject: "text",
+  Status: "picklist",
+  Amount: "number",
+  CloseDate: "date",
+  CreatedDate: "datetime",
+  IsEscalated: "boolean",
+  OwnerId: "reference"
+};
+
+const context = {
+  getFieldType: (field) => FIELD_TYPES[field] || null,
+  getFieldName: (field) => field
+};
+
+const condition = (field, operator, value = "", valueTo = "") => ({
+  type: "condition",
+  id: `${field}-${operator}`,
+  field,
+  operator,
+  value,
+  valueTo
+});
+
+const group = (logic, children) => ({
+  type: "group",
+  id: `${logic}-${children.length}`,
+  logic,
+  children
+});
+
+describe("lresAdvancedFilterUtils", () => {
+  it("maps field data types to filter types and operators", () => {
+    expect(resolveFilterFieldType("Currency")).toBe("number");
+    expect(resolveFilterFieldType("Email")).toBe("text");
+    expect(resolveFilterFieldType("DateTime")).toBe("datetime");
+    expect(resolveFilterFieldType("MultiPicklist")).toBeNull();
+    expect(getOperatorOptions("boolean").map((option) => option.value)).toEqual(
+      ["isTrue", "isFalse"]
+    );
+    expect(getOperatorOptions("unknown")).toEqual([]);
+    expect(resolveOperator(" LASTNDAYS ")).toBe("lastNDays");
+    expect(resolveOperator("like")).toBeNull();
+    expect(getOperatorLabel("notContains")).toBe("does not contain");
+  });
+
+  it("builds nested WHERE clauses for each operator", () => {
+    const tree = group("AND", [
+      condition("Subject", "contains", "router"),
+      condition("Amount", "between", "10", "20.5"),
+      group("OR", [
+        condition("Status", "equals", "New"),
+        condition("CloseDate", "lastNDays", "30"),
+        condition("OwnerId", "isBlank")
+      ]),
+      condition("IsEscalated", "isFalse")
+    ]);
+
+    expect(buildFilterWhereClause(tree, context)).toBe(
+      "(Subject LIKE '%router%' AND (Amount >= 10 AND Amount <= 20.5) AND " +
+        "(Status = 'New' OR CloseDate = LAST_N_DAYS:30 OR OwnerId = null) AND " +
+        "IsEscalated = false)"
+    );
+    expect(
+      buildFilterWhereClause(
+        condition("Subject", "notContains", "test"),
+        context
+      )
+    ).toBe("(NOT Subject LIKE '%test%')");
+    expect(
+      buildFilterWhereClause(
+        condition("CloseDate", "before", "2025-01-31"),
+        context
+      )
+    ).toBe("CloseDate < 2025-01-31");
+  });
+
+  it("converts date-time conditions to day bounds in the browser time zone", () => {
+    const clause = buildFilterWhereClause(
+      condition("CreatedDate", "on", "2025-03-10"),
+      context
+    );
+    const start = new Date(2025, 2, 10).toISOString();
+    const end = new Date(2025, 2, 11).toISOString();
+    expect(clause).toBe(`(CreatedDate >= ${start} AND CreatedDate < ${end})`);
+  });
+
+  it("skips incomplete conditions and rejects invalid values", () => {
+    expect(
+      validateFilterCondition(condition("Amount", "equals", "abc"), "number")
+    ).toBe("Enter a number.");
+    expect(
+      validateFilterCondition(condition("Subject", "equals", "  "), "text")
+    ).toBe("Enter a value.");
+    expect(
+      validateFilterCondition(condition("CloseDate", "lastNDays", "0"), "date")
+    ).toBe("Enter a whole number of days.");
+    expect(
+      buildFilterWhereClause(
+        group("AND", [
+          condition("Subject", "equals", "  "),
+          condition("Status", "notEquals", "Closed")
+        ]),
+        context
+      )
+    ).toBe("Status != 'Closed'");
+    expect(buildFilterWhereClause(group("AND", []), context)).toBeNull();
+  });
+
+  it("escapes quotes, backslashes, and LIKE wildcards in text values", () => {
+    expect(
+      validateFilterCondition(condition("Subject", "equals", "O'Brien"), "text")
+    ).toBeNull();
+    expect(
+      buildFilterWhereClause(
+        condition("Subject", "equals", "O'Brien \\ Sons"),
+        context
+      )
+    ).toBe("Subject = 'O\\'Brien \\\\ Sons'");
+    expect(
+      buildFilterWhereClause(
+        condition("Subject", "contains", "50%_off"),
+        context
+      )
+    ).toBe("Subject LIKE '%50\\%\\_off%'");
+    expect(
+      buildFilterWhereClause(
+        condition("Subject", "startsWith", "O'Brien"),
+        context
+      )
+    ).toBe("Subject LIKE 'O\\'Brien%'");
+  });
+
+  it("evaluates records the same way the WHERE clause would", () => {
+    const tree = group("OR", [
+      group("AND", [
+        condition("Subject", "startsWith", "ROUTER"),
+        condition("Amount", "greaterThan", "100")
+      ]),
+      condition("CloseDate", "nextNDays", "7")
+    ]);
+    const evaluate = (record) =>
+      evaluateFilterTree(tree, {
+        getFieldType: context.getFieldType,
+        getValue: (field) => record[field],
+        today: "2025-03-10"
+      });
+
+    expect(evaluate({ Subject: "Router down", Amount: 150 })).toBe(true);
+    expect(evaluate({ Subject: "Router down", Amount: 50 })).toBe(false);
+    expect(evaluate({ Subject: "Other", CloseDate: "2025-03-17" })).toBe(true);
+    expect(evaluate({ Subject: "Other", CloseDate: "2025-03-10" })).toBe(false);
+    expect(evaluate({ Subject: "Other", CloseDate: null })).toBe(false);
+  });
+
+  it("treats blank values like SOQL null", () => {
+    const getValue = (value) => () => value;
+    const options = (value) => ({
+      getFieldType: context.getFieldType,
+      getValue: getValue(value)
+    });
+    expect(
+      evaluateFilterTree(condition("Subject", "notEquals", "a"), options(null))
+    ).toBe(true);
+    expect(
+      evaluateFilterTree(condition("Subject", "equals", "a"), options(""))
+    ).toBe(false);
+    expect(
+      evaluateFilterTree(condition("OwnerId", "isNotBlank"), options("005"))
+    ).toBe(true);
+  });
+
+  it("normalizes stored trees and strips ids for storage", () => {
+    const stored = {
+      type: "group",
+      logic: "XOR",
+      children: [
+        {
+          type: "condition",
+          field: "Amount",
+          operator: "greaterThan",
+          value: 5
+        },
+        { type: "condition", field: "Amount", operator: "bogus" },
+        {
+          type: "group",
+          logic: "OR",
+          children: [
+            {
+              type: "group",
+              logic: "AND",
+              children: [
+                { type: "condition", field: "Subject", operator: "isBlank" }
+              ]
+            }
+          ]
+        }
+      ]
+    };
+    const normalized = normalizeFilterTree(stored);
+
+    expect(normalized.logic).toBe("AND");
+    expect(countFilterConditions(normalized)).toBe(1);
+    expect(normalized.children[0].id).toBeTruthy();
+    expect(serializeFilterTree(normalized)).toEqual({
+      type: "group",
+      logic: "AND",
+      children: [
+        {
+          type: "condition",
+          field: "Amount",
+          operator: "greaterThan",
+          value: "5"
+        }
+      ]
+    });
+    expect(normalizeFilterTree({ type: "group", children: [] })).toBeNull();
+    expect(normalizeFilterTree("nope")).toBeNull();
+  });
+});
@@ -0,0 +1,648 @@
+// The Apex WHERE clause parser allows 50 predicates, so the builder stays well inside
+// that limit.
+export const MAX_FILTER_CONDITIONS = 20;
+
+const TEXT_TYPES = new Set([
+  "string",
+  "textarea",
+  "email",
+  "phone",
+  "url",
+  "combobox",
+  "encryptedstring"
+]);
+const NUMBER_TYPES = new Set([
+  "double",
+  "integer",
+  "long",
+  "currency",
+  "percent"
+]);
+
+const OPERATORS = {
+  equals: { label: "equals", valueType: "value" },
+  notEquals: { label: "does not equal", valueType: "value" },
+  contains: { label: "contains", valueType: "value" },
+  notContains: { label: "does not contain", valueType: "value" },
+  startsWith: { label: "starts with", valueType: "value" },
+  greaterThan: { label: "greater than", valueType: "value" },
+  greaterOrEqual: { label: "greater or equal", valueType: "value" },
+  lessThan: { label: "less than", valueType: "value" },
+  lessOrEqual: { label: "less or equal", valueType: "value" },
+  on: { label: "on", valueType: "value" },
+  before: { label: "before", valueType: "value" },
+  after: { label: "after", valueType: "value" },
+  between: { label: "between", valueType: "range" },
+  lastNDays: { label: "in the last N days", valueType: "days" },
+  nextNDays: { label: "in the next N days", valueType: "days" },
+  isTrue: { label: "is true", valueType: null },
+  isFalse: { label: "is false", valueType: null },
+  isBlank: { label: "is blank", valueType: null },
+  isNotBlank: { label: "is not blank", valueType: null }
+};
+
+const OPERATORS_BY_TYPE = {
+  text: [
+    "equals",
+    "notEquals",
+    "contains",
+    "notContains",
+    "startsWith",
+    "isBlank",
+    "isNotBlank"
+  ],
+  picklist: ["equals", "notEquals", "isBlank", "isNotBlank"],
+  number: [
+    "equals",
+    "notEquals",
+    "greaterThan",
+    "greaterOrEqual",
+    "lessThan",
+    "lessOrEqual",
+    "between",
+    "isBlank",
+    "isNotBlank"
+  ],
+  date: [
+    "on",
+    "before",
+    "after",
+    "between",
+    "lastNDays",
+    "nextNDays",
+    "isBlank",
+    "isNotBlank"
+  ],
+  boolean: ["isTrue", "isFalse"],
+  reference: ["isBlank", "isNotBlank"]
+};
+OPERATORS_BY_TYPE.datetime = OPERATORS_BY_TYPE.date;
+
+let idCounter = 0;
+
+/**
+ * Creates a unique id for a filter group or condition.
+ *
+ * @returns {string}
+ */
+export function createFilterId() {
+  idCounter += 1;
+  return `f${Date.now().toString(36)}${idCounter}`;
+}
+
+/**
+ * Maps a UI API field data type to the filter type that decides its operators.
+ *
+ * @param {string} dataType Field data type from object info, e.g. `Currency`.
+ * @returns {string|null} `text`, `picklist`, `number`, `date`, `datetime`, `boolean`,
+ *   `reference`, or `null` when the field cannot be filtered.
+ */
+export function resolveFilterFieldType(dataType) {
+  const type = String(dataType || "").toLowerCase();
+  if (TEXT_TYPES.has(type)) {
+    return "text";
+  }
+  if (NUMBER_TYPES.has(type)) {
+    return "number";
+  }
+  if (type === "picklist") {
+    return "picklist";
+  }
+  if (type === "date" || type === "datetime" || type === "boolean") {
+    return type;
+  }
+  if (type === "reference") {
+    return "reference";
+  }
+  return null;
+}
+
+/**
+ * Returns the operators offered for a filter type.
+ *
+ * @param {string} fieldType Type from `resolveFilterFieldType`.
+ * @returns {Array<{label: string, value: string}>}
+ */
+export function getOperatorOptions(fieldType) {
+  return (OPERATORS_BY_TYPE[fieldType] || []).map((value) => ({
+    label: OPERATORS[value].label,
+    value
+  }));
+}
+
+/**
+ * Looks up an operator by name, ignoring case.
+ *
+ * @param {string} operator Operator name, e.g. `greaterThan`.
+ * @returns {string|null} Operator value as used in filter conditions, or `null` when
+ *   the operator does not exist.
+ */
+export function resolveOperator(operator) {
+  const normalized = String(operator || "")
+    .trim()
+    .toLowerCase();
+  return (
+    Object.keys(OPERATORS).find(
+      (value) => value.toLowerCase() === normalized
+    ) || null
+  );
+}
+
+/**
+ * Returns the label of an operator, e.g. `greater than`.
+ *
+ * @param {string} operator Operator value.
+ * @returns {string}
+ */
+export function getOperatorLabel(operator) {
+  return OPERATORS[operator]?.label ?? "";
+}
+
+/**
+ * Returns which value inputs an operator needs: `value`, `range`, `days`, or `null`.
+ *
+ * @param {string} operator Operator value.
+ * @returns {string|null}
+ */
+export function getOperatorValueType(operator) {
+  return OPERATORS[operator]?.valueType ?? null;
+}
+
+/**
+ * Creates an empty group.
+ *
+ * @param {string} [logic] `AND` or `OR`.
+ * @returns {Object}
+ */
+export function createFilterGroup(logic = "AND") {
+  return { type: "group", id: createFilterId(), logic, children: [] };
+}
+
+/**
+ * Creates a condition for a field, starting with the field type's first operator.
+ *
+ * @param {Object} [field] Field option with `value` and `type`.
+ * @returns {Object}
+ */
+export function createFilterCondition(field) {
+  return {
+    type: "condition",
+    id: createFilterId(),
+    field: field?.value || null,
+    operator: getOperatorOptions(field?.type)[0]?.value || null,
+    value: "",
+    valueTo: ""
+  };
+}
+
+/**
+ * Counts the conditions in a filter tree.
+ *
+ * @param {Object} node Filter group or condition.
+ * @returns {number}
+ */
+export function countFilterConditions(node) {
+  if (!node) {
+    return 0;
+  }
+  if (node.type === "condition") {
+    return 1;
+  }
+  return (node.children || []).reduce(
+    (total, child) => total + countFilterConditions(child),
+    0
+  );
+}
+
+function isBlankInput(value) {
+  return value === null || value === undefined || String(value).trim() === "";
+}
+
+function isDateKey(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(value || ""));
+}
+
+function isNumeric(value) {
+  return !isBlankInput(value) && Number.isFinite(Number(value));
+}
+
+function validateOperand(value, fieldType) {
+  if (isBlankInput(value)) {
+    return "Enter a value.";
+  }
+  if (fieldType === "number" && !isNumeric(value)) {
+    return "Enter a number.";
+  }
+  if ((fieldType === "date" || fieldType === "datetime") && !isDateKey(value)) {
+    return "Enter a date.";
+  }
+  return null;
+}
+
+/**
+ * Checks a condition and returns the first problem with it.
+ *
+ * @param {Object} condition Filter condition.
+ * @param {string} fieldType Type of the condition's field.
+ * @returns {string|null} Error message, or `null` when the condition is complete.
+ */
+export function validateFilterCondition(condition, fieldType) {
+  if (!condition?.field || !fieldType) {
+    return "Choose a field.";
+  }
+  if (!(OPERATORS_BY_TYPE[fieldType] || []).includes(condition.operator)) {
+    return "Choose an operator.";
+  }
+  const valueType = getOperatorValueType(condition.operator);
+  if (valueType === "days") {
+    return /^\d+$/.test(String(condition.value || "").trim()) &&
+      Number(condition.value) > 0
+      ? null
+      : "Enter a whole number of days.";
+  }
+  if (valueType === "value") {
+    return validateOperand(condition.value, fieldType);
+  }
+  if (valueType === "range") {
+    return (
+      validateOperand(condition.value, fieldType) ||
+      validateOperand(condition.valueTo, fieldType)
+    );
+  }
+  return null;
+}
+
+/**
+ * Removes empty groups from a filter tree and collapses it to `null` when nothing is
+ * left. Conditions are kept as they are.
+ *
+ * @param {Object} group Filter group.
+ * @returns {Object|null}
+ */
+export function pruneFilterTree(group) {
+  if (!group || group.type !== "group") {
+    return null;
+  }
+  const children = (group.children || [])
+    .map((child) => (child.type === "group" ? pruneFilterTree(child) : child))
+    .filter(Boolean);
+  return children.length ? { ...group, children } : null;
+}
+
+// Escapes the characters the Apex WHERE clause parser accepts after a backslash.
+function quote(value) {
+  return `'${String(value).trim().replace(/[\\']/g, "\\$&")}'`;
+}
+
+// LIKE values also escape `%` and `_` so they match literally around the wildcards.
+function quoteLike(value, { prefix = "", suffix = "" } = {}) {
+  return `'${prefix}${String(value)
+    .trim()
+    .replace(/[\\'%_]/g, "\\$&")}${suffix}'`;
+}
+
+function formatNumber(value) {
+  return String(Number(value));
+}
+
+function addDays(dateKey, days) {
+  const [year, month, day] = dateKey.split("-").map(Number);
+  const date = new Date(year, month - 1, day + days);
+  return toDateKey(date);
+}
+
+function startOfDayUtc(dateKey) {
+  const [year, month, day] = dateKey.split("-").map(Number);
+  return new Date(year, month - 1, day).toISOString();
+}
+
+/**
+ * Formats a date as `YYYY-MM-DD` in the browser's time zone.
+ *
+ * @param {Date} date Date to format.
+ * @returns {string}
+ */
+export function toDateKey(date) {
+  const pad = (part) => String(part).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}`;
+}
+
+function buildDateTimeCondition(field, operator, value, valueTo) {
+  const start = (dateKey) => startOfDayUtc(dateKey);
+  const nextStart = (dateKey) => startOfDayUtc(addDays(dateKey, 1));
+  switch (operator) {
+    case "on":
+      return `(${field} >= ${start(value)} AND ${field} < ${nextStart(value)})`;
+    case "before":
+      return `${field} < ${start(value)}`;
+    case "after":
+      return `${field} >= ${nextStart(value)}`;
+    case "between":
+      return `(${field} >= ${start(value)} AND ${field} < ${nextStart(valueTo)})`;
+    default:
+      return null;
+  }
+}
+
+function buildConditionClause(condition, fieldType, fieldName) {
+  const { operator } = condition;
+  const value = String(condition.value ?? "").trim();
+  const valueTo = String(condition.valueTo ?? "").trim();
+  if (operator === "isBlank") {
+    return `${fieldName} = null`;
+  }
+  if (operator === "isNotBlank") {
+    return `${fieldName} != null`;
+  }
+  if (operator === "isTrue" || operator === "isFalse") {
+    return `${fieldName} = ${operator === "isTrue"}`;
+  }
+  if (operator === "lastNDays" || operator === "nextNDays") {
+    const prefix = operator === "lastNDays" ? "LAST_N_DAYS" : "NEXT_N_DAYS";
+    return `${fieldName} = ${prefix}:${Number(value)}`;
+  }
+  if (fieldType === "datetime") {
+    return buildDateTimeCondition(fieldName, operator, value, valueTo);
+  }
+  const literal = (input) => {
+    if (fieldType === "number") {
+      return formatNumber(input);
+    }
+    return fieldType === "date" ? input : quote(input);
+  };
+  switch (operator) {
+    case "equals":
+    case "on":
+      return `${fieldName} = ${literal(value)}`;
+    case "notEquals":
+      return `${fieldName} != ${literal(value)}`;
+    case "contains":
+      return `${fieldName} LIKE ${quoteLike(value, { prefix: "%", suffix: "%" })}`;
+    case "notContains":
+      return `(NOT ${fieldName} LIKE ${quoteLike(value, { prefix: "%", suffix: "%" })})`;
+    case "startsWith":
+      return `${fieldName} LIKE ${quoteLike(value, { suffix: "%" })}`;
+    case "greaterThan":
+    case "after":
+      return `${fieldName} > ${literal(value)}`;
+    case "greaterOrEqual":
+      return `${fieldName} >= ${literal(value)}`;
+    case "lessThan":
+    case "before":
+      return `${fieldName} < ${literal(value)}`;
+    case "lessOrEqual":
+      return `${fieldName} <= ${literal(value)}`;
+    case "between":
+      return `(${fieldName} >= ${literal(value)} AND ${fieldName} <= ${literal(
+        valueTo
+      )})`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Converts a filter tree into a SOQL WHERE clause for the Apex controllers, which check
+ * it with `LRES_WhereClauseParser`. Incomplete conditions are skipped.
+ *
+ * @param {Object} node Filter group or condition.
+ * @param {Object} context Field details.
+ * @param {Function} context.getFieldType Returns the filter type of a field.
+ * @param {Function} context.getFieldName Returns the SOQL name of a field.
+ * @returns {string|null} WHERE clause without the `WHERE` keyword.
+ */
+export function buildFilterWhereClause(node, { getFieldType, getFieldName }) {
+  if (!node) {
+    return null;
+  }
+  if (node.type === "condition") {
+    const fieldType = getFieldType(node.field);
+    if (validateFilterCondition(node, fieldType)) {
+      return null;
+    }
+    return buildConditionClause(node, fieldType, getFieldName(node.field));
+  }
+  const clauses = (node.children || [])
+    .map((child) =>
+      buildFilterWhereClause(child, { getFieldType, getFieldName })
+    )
+    .filter(Boolean);
+  if (!clauses.length) {
+    return null;
+  }
+  if (clauses.length === 1) {
+    return clauses[0];
+  }
+  return `(${clauses.join(node.logic === "OR" ? " OR " : " AND ")})`;
+}
+
+function toComparable(raw, fieldType) {
+  if (raw === null || raw === undefined || raw === "") {
+    return null;
+  }
+  if (fieldType === "number") {
+    const number = Number(raw);
+    return Number.isFinite(number) ? number : null;
+  }
+  if (fieldType === "date") {
+    return String(raw).slice(0, 10);
+  }
+  if (fieldType === "datetime") {
+    const date = new Date(raw);
+    return Number.isNaN(date.getTime()) ? null : toDateKey(date);
+  }
+  if (fieldType === "boolean") {
+    return raw === true || raw === "true";
+  }
+  return String(raw).toLowerCase();
+}
+
+function compare(left, right) {
+  if (left < right) {
+    return -1;
+  }
+  return left > right ? 1 : 0;
+}
+
+function evaluateCondition(condition, raw, fieldType, today) {
+  const { operator } = condition;
+  const actual = toComparable(raw, fieldType);
+  if (operator === "isBlank") {
+    return actual === null;
+  }
+  if (operator === "isNotBlank") {
+    return actual !== null;
+  }
+  if (operator === "isTrue" || operator === "isFalse") {
+    return Boolean(actual) === (operator === "isTrue");
+  }
+  if (operator === "lastNDays" || operator === "nextNDays") {
+    if (actual === null) {
+      return false;
+    }
+    const days = Number(condition.value);
+    return operator === "lastNDays"
+      ? actual >= addDays(today, -days) && actual <= today
+      : actual > today && actual <= addDays(today, days);
+  }
+  const expected = toComparable(String(condition.value).trim(), fieldType);
+  if (operator === "notEquals") {
+    return actual !== expected;
+  }
+  if (operator === "notContains") {
+    return actual === null || !String(actual).includes(expected);
+  }
+  if (actual === null) {
+    return false;
+  }
+  switch (operator) {
+    case "equals":
+    case "on":
+      return actual === expected;
+    case "contains":
+      return String(actual).includes(expected);
+    case "startsWith":
+      return String(actual).startsWith(expected);
+    case "greaterThan":
+    case "after":
+      return compare(actual, expected) > 0;
+    case "greaterOrEqual":
+      return compare(actual, expected) >= 0;
+    case "lessThan":
+    case "before":
+      return compare(actual, expected) < 0;
+    case "lessOrEqual":
+      return compare(actual, expected) <= 0;
+    case "between": {
+      const upper = toComparable(String(condition.valueTo).trim(), fieldType);
+      return compare(actual, expected) >= 0 && compare(actual, upper) <= 0;
+    }
+    default:
+      return true;
+  }
+}
+
+/**
+ * Tests a record against a filter tree the same way the generated WHERE clause would.
+ * Text comparisons ignore case, and dates use the browser's time zone. Incomplete
+ * conditions are skipped.
+ *
+ * @param {Object} node Filter group or condition.
+ * @param {Object} context Evaluation inputs.
+ * @param {Function} context.getFieldType Returns the filter type of a field.
+ * @param {Function} context.getValue Returns a field's raw value on the record.
+ * @param {string} [context.today] Today's date as `YYYY-MM-DD`.
+ * @returns {boolean}
+ */
+export function evaluateFilterTree(
+  node,
+  { getFieldType, getValue, today = toDateKey(new Date()) }
+) {
+  if (!node) {
+    return true;
+  }
+  if (node.type === "condition") {
+    const fieldType = getFieldType(node.field);
+    if (validateFilterCondition(node, fieldType)) {
+      return true;
+    }
+    return evaluateCondition(node, getValue(node.field), fieldType, today);
+  }
+  const children = (node.children || []).filter(
+    (child) =>
+      child.type === "group" ||
+      !validateFilterCondition(child, getFieldType(child.field))
+  );
+  if (!children.length) {
+    return true;
+  }
+  const test = (child) =>
+    evaluateFilterTree(child, { getFieldType, getValue, today });
+  return node.logic === "OR" ? children.some(test) : children.every(test);
+}
+
+function normalizeNode(node, depth, budget) {
+  if (!node || typeof node !== "object") {
+    return null;
+  }
+  if (node.type === "condition") {
+    if (budget.remaining <= 0 || typeof node.field !== "string") {
+      return null;
+    }
+    if (typeof node.operator !== "string" || !OPERATORS[node.operator]) {
+      return null;
+    }
+    budget.remaining -= 1;
+    const toText = (value) => {
+      return typeof value === "string" || typeof value === "number"
+        ? String(value)
+        : "";
+    };
+    return {
+      type: "condition",
+      id: typeof node.id === "string" && node.id ? node.id : createFilterId(),
+      field: node.field,
+      operator: node.operator,
+      value: toText(node.value),
+      valueTo: toText(node.valueTo)
+    };
+  }
+  if (node.type !== "group" || depth > 1 || !Array.isArray(node.children)) {
+    return null;
+  }
+  return {
+    type: "group",
+    id: typeof node.id === "string" && node.id ? node.id : createFilterId(),
+    logic: node.logic === "OR" ? "OR" : "AND",
+    children: node.children
+      .map((child) => normalizeNode(child, depth + 1, budget))
+      .filter(Boolean)
+  };
+}
+
+/**
+ * Reads a filter tree from storage or a URL. Unknown operators, groups nested more than
+ * one level deep, and conditions beyond `MAX_FILTER_CONDITIONS` are dropped.
+ *
+ * @param {Object} value Stored filter tree.
+ * @returns {Object|null} Filter group, or `null` when nothing usable is left.
+ */
+export function normalizeFilterTree(value) {
+  return pruneFilterTree(
+    normalizeNode(value, 0, { remaining: MAX_FILTER_CONDITIONS })
+  );
+}
+
+/**
+ * Strips the ids from a filter tree so it can be stored compactly. `normalizeFilterTree`
+ * assigns new ids when it is read back.
+ *
+ * @param {Object} node Filter group or condition.
+ * @returns {Object|null}
+ */
+export function serializeFilterTree(node) {
+  if (!node) {
+    return null;
+  }
+  if (node.type === "condition") {
+    const serialized = {
+      type: "condition",
+      field: node.field,
+      operator: node.operator
+    };
+    if (node.value) {
+      serialized.value = node.value;
+    }
+    if (node.valueTo) {
+      serialized.valueTo = node.valueTo;
+    }
+    return serialized;
+  }
+  return {
+    type: "group",
+    logic: node.logic,
+    children: (node.children || []).map(serializeFilterTree)
+  };
+}
@@ -409,7 +409,13 @@ export function getRelationshipLabel(component, relationshipName) {
 }
 
 export function getMetadataColumns(component) {
-  const fieldName = component?.groupingFieldSimpleName;
+  return getPicklistMetadataValues(
+    component,
+    component?.groupingFieldSimpleName
+  );
+}
+
+export function getPicklistMetadataValues(component, fieldName) {
   if (!fieldName || !component?.picklistFieldValues) {
     return [];
   }
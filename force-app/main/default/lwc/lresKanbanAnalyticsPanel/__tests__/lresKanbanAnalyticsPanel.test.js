@@ -0,0 +1,98 @@
+import { createElement } from "lwc";
+import KanbanAnalyticsPanel from "c/lresKanbanAnalyticsPanel";
+
+const ANALYTICS = {
+  isTracked: true,
+  isTruncated: false,
+  doneLabel: "Closed",
+  cumulativeFlow: {
+    labels: ["May 1", "May 2"],
+    series: [{ key: "Closed", label: "Closed", values: [1, 2] }]
+  },
+  throughput: { labels: ["Apr 25"], values: [3] },
+  cycleTime: { averageDays: 4.5, count: 3 }
+};
+
+describe("c-lres-kanban-analytics-panel", () => {
+  afterEach(() => {
+    while (document.body.firstChild) {
+      document.body.removeChild(document.body.firstChild);
+    }
+  });
+
+  const buildComponent = (props = {}) => {
+    const element = createElement("c-lres-kanban-analytics-panel", {
+      is: KanbanAnalyticsPanel
+    });
+    Object.assign(element, props);
+    document.body.appendChild(element);
+    return element;
+  };
+
+  it("dispatches a toggle event and stays collapsed until opened", () => {
+    const element = buildComponent({ analytics: ANALYTICS });
+    const handler = jest.fn();
+    element.addEventListener("analyticstoggle", handler);
+
+    const toggle = element.shadowRoot.querySelector(".analytics-panel_toggle");
+    expect(toggle.getAttribute("aria-expanded")).toBe("false");
+    expect(element.shadowRoot.querySelector("c-lres-kanban-chart")).toBeNull();
+    toggle.click();
+
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it("renders the charts, cycle time, and range choices when open", () => {
+    const element = buildComponent({
+      isOpen: true,
+      analytics: ANALYTICS,
+      rangeOptions: [
+        { days: 30, label: "Last 30 days", selected: true },
+        { days: 90, label: "Last 90 days", selected: false }
+      ]
+    });
+    const handler = jest.fn();
+    element.addEventListener("analyticsrangechange", handler);
+
+    const charts = element.shadowRoot.querySelectorAll("c-lres-kanban-chart");
+    expect(charts).toHaveLength(2);
+    expect(charts[0].series).toEqual(ANALYTICS.cumulativeFlow.series);
+    expect(charts[1].type).toBe("bar");
+    expect(charts[1].series[0].values).toEqual([3]);
+    expect(charts[1].chartTitle).toBe("Cards moved to Closed per week");
+    expect(
+      element.shadowRoot.querySelector(".analytics-panel_stat-value")
+        .textContent
+    ).toBe("4.5 days");
+    expect(
+      element.shadowRoot.querySelector(".analytics-panel_notice")
+    ).toBeNull();
+
+    const ranges = element.shadowRoot.querySelectorAll(
+      ".analytics-panel_range"
+    );
+    expect(ranges[0].variant).toBe("brand");
+    ranges[1].click();
+    expect(handler.mock.calls[0][0].detail).toEqual({ days: 90 });
+  });
+
+  it("explains when the grouping field history is not tracked", () => {
+    const element = buildComponent({
+      isOpen: true,
+      groupingFieldLabel: "Status",
+      analytics: {
+        ...ANALYTICS,
+        isTracked: false,
+        cycleTime: { averageDays: null, count: 0 }
+      }
+    });
+
+    expect(
+      element.shadowRoot.querySelector(".analytics-panel_notice").textContent
+    ).toContain("Field history is not tracked for Status");
+    expect(
+      element.shadowRoot.querySelector(".analytics-panel_stat-detail")
+        .textContent
+    ).toBe("No cards reached Closed in this period.");
+  });
+});
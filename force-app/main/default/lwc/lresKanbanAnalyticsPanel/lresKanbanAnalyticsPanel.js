@@ -0,0 +1,110 @@
+import { LightningElement, api } from "lwc";
+
+export default class KanbanAnalyticsPanel extends LightningElement {
+  @api isOpen = false;
+  @api isLoading = false;
+  @api errorMessage;
+  @api analytics;
+  @api rangeOptions = [];
+  @api groupingFieldLabel = "";
+
+  get toggleIcon() {
+    return this.isOpen ? "utility:chevrondown" : "utility:chevronright";
+  }
+
+  get toggleExpanded() {
+    return this.isOpen ? "true" : "false";
+  }
+
+  get rangeButtons() {
+    return (this.rangeOptions || []).map((option) => ({
+      ...option,
+      variant: option.selected ? "brand" : "neutral"
+    }));
+  }
+
+  get hasAnalytics() {
+    return Boolean(this.analytics) && !this.errorMessage;
+  }
+
+  get showUntrackedNotice() {
+    return this.hasAnalytics && !this.analytics.isTracked;
+  }
+
+  get untrackedNotice() {
+    const field = this.groupingFieldLabel || "the grouping field";
+    return `Field history is not tracked for ${field}, so cards are shown in their current column from the day they were created.`;
+  }
+
+  get showTruncatedNotice() {
+    return this.hasAnalytics && this.analytics.isTruncated;
+  }
+
+  get cumulativeFlowLabels() {
+    return this.analytics?.cumulativeFlow?.labels || [];
+  }
+
+  get cumulativeFlowSeries() {
+    return this.analytics?.cumulativeFlow?.series || [];
+  }
+
+  get throughputLabels() {
+    return this.analytics?.throughput?.labels || [];
+  }
+
+  get throughputSeries() {
+    return [
+      {
+        key: "throughput",
+        label: this.analytics?.doneLabel || "Done",
+        values: this.analytics?.throughput?.values || []
+      }
+    ];
+  }
+
+  get throughputTitle() {
+    const done = this.analytics?.doneLabel;
+    return done ? `Cards moved to ${done} per week` : "Cards finished per week";
+  }
+
+  get cycleTimeValue() {
+    const days = this.analytics?.cycleTime?.averageDays;
+    if (days === null || days === undefined) {
+      return "—";
+    }
+    return `${days} ${days === 1 ? "day" : "days"}`;
+  }
+
+  get cycleTimeDetail() {
+    const count = this.analytics?.cycleTime?.count || 0;
+    const done = this.analytics?.doneLabel || "the last column";
+    if (!count) {
+      return `No cards reached ${done} in this period.`;
+    }
+    return `From creation to ${done}, across ${count} ${
+      count === 1 ? "card" : "cards"
+    }.`;
+  }
+
+  handleToggle(event) {
+    event.stopPropagation();
+    this.dispatchEvent(
+      new CustomEvent("analyticstoggle", {
+        bubbles: true,
+        composed: true
+      })
+    );
+  }
+
+  handleRangeClick(event) {
+    event.stopPropagation();
+    const days = Number(event.currentTarget.dataset.days);
+    this.dispatchEvent(
+      new CustomEvent("analyticsrangechange", {
+        detail: { days },
+        bubbles: true,
+        composed: true
+      })
+    );
+  }
+}
@@ -111,4 +111,252 @@ describe("c-lres-kanban-board-actions", () => {
     expect(clearHandler).toHaveBeenCalled();
     expect(refreshHandler).toHaveBeenCalled();
   });
+
+  it("renders the selection toolbar and dispatches bulk actions", async () => {
+    const element = buildComponent({
+      selectedCount: 2,
+      bulkMoveOptions: [{ label: "Closed", value: "Closed" }],
+      bulkOwnerChangeAvailable: true
+    });
+    const moveHandler = jest.fn();
+    const ownerHandler = jest.fn();
+    const clearHandler = jest.fn();
+    element.addEventListener("bulkmove", moveHandler);
+    element.addEventListener("bulkownerchange", ownerHandler);
+    element.addEventListener("selectionclear", clearHandler);
+
+    const count = element.shadowRoot.querySelector(
+      ".board-actions_selection-count"
+    );
+    expect(count.textContent).toBe("2 selected");
+
+    element.shadowRoot
+      .querySelector("lightning-combobox")
+      .dispatchEvent(
+        new CustomEvent("change", { detail: { value: "Closed" } })
+      );
+    element.shadowRoot
+      .querySelector("lightning-record-picker")
+      .dispatchEvent(
+        new CustomEvent("change", { detail: { recordId: "005000000000001" } })
+      );
+    element.shadowRoot.querySelector(".board-actions_selection-clear").click();
+
+    expect(moveHandler.mock.calls[0][0].detail).toEqual({
+      targetColumnKey: "Closed"
+    });
+    expect(ownerHandler.mock.calls[0][0].detail).toEqual({
+      ownerId: "005000000000001"
+    });
+    expect(clearHandler).toHaveBeenCalled();
+  });
+
+  it("hides the selection toolbar when nothing is selected", () => {
+    const element = buildComponent({ selectedCount: 0 });
+    expect(
+      element.shadowRoot.querySelector(".board-actions_selection")
+    ).toBeNull();
+  });
+
+  it("lists saved views and dispatches view actions", () => {
+    const element = buildComponent({
+      searchAvailable: true,
+      savedViews: [
+        { id: "v1", name: "My open cases", isDefault: true },
+        { id: "v2", name: "Escalations", isDefault: false }
+      ],
+      activeViewId: "v2"
+    });
+    const handler = jest.fn();
+    element.addEventListener("viewaction", handler);
+
+    const menu = element.shadowRoot.querySelector(".board-actions_views");
+    expect(menu.label).toBe("Escalations");
+    const items = Array.from(
+      element.shadowRoot.querySelectorAll("lightning-menu-item")
+    );
+    expect(items.map((item) => item.label)).toEqual([
+      "My open cases (Default)",
+      "Escalations",
+      "Save View As...",
+      "Rename View",
+      "Set as Default",
+      "Delete View"
+    ]);
+    expect(items[1].checked).toBe(true);
+
+    menu.dispatchEvent(
+      new CustomEvent("select", { detail: { value: "apply:v1" } })
+    );
+    menu.dispatchEvent(
+      new CustomEvent("select", { detail: { value: "delete" } })
+    );
+
+    expect(handler.mock.calls.map((call) => call[0].detail)).toEqual([
+      { action: "apply", viewId: "v1" },
+      { action: "delete", viewId: "v2" }
+    ]);
+  });
+
+  it("lists columns in the chooser and dispatches column layout actions", () => {
+    const element = buildComponent({
+      columnOptions: [
+        { value: "New", label: "New", checked: true },
+        { value: "Done", label: "Done", checked: false }
+      ]
+    });
+    const handler = jest.fn();
+    element.addEventListener("columnlayoutaction", handler);
+
+    const menu = element.shadowRoot.querySelector(".board-actions_columns");
+    const items = Array.from(menu.querySelectorAll("lightning-menu-item")).map(
+      (item) => ({ label: item.label, checked: item.checked })
+    );
+    expect(items).toEqual([
+      { label: "New", checked: true },
+      { label: "Done", checked: false },
+      { label: "Reset Columns", checked: undefined }
+    ]);
+
+    menu.dispatchEvent(
+      new CustomEvent("select", { detail: { value: "toggle:Done" } })
+    );
+    menu.dispatchEvent(
+      new CustomEvent("select", { detail: { value: "reset" } })
+    );
+
+    expect(handler.mock.calls.map((call) => call[0].detail)).toEqual([
+      { action: "toggle", columnKey: "Done" },
+      { action: "reset", columnKey: null }
+    ]);
+  });
+
+  it("hides view management items until a view is active", () => {
+    const element = buildComponent({ filtersAvailable: true });
+    const items = Array.from(
+      element.shadowRoot.querySelectorAll("lightning-menu-item")
+    );
+    expect(items.map((item) => item.label)).toEqual(["Save View As..."]);
+    expect(element.shadowRoot.querySelector(".board-actions_views").label).toBe(
+      "Views"
+    );
+  });
+
+  it("shows the advanced filter count and dispatches the open event", () => {
+    const element = buildComponent({
+      advancedFilterAvailable: true,
+      advancedFilterCount: 2
+    });
+    const handler = jest.fn();
+    element.addEventListener("advancedfilteropen", handler);
+
+    const button = element.shadowRoot.querySelector(".board-actions_advanced");
+    expect(button.textContent).toContain("Advanced Filters (2)");
+    expect(button.className).toContain("filter-dropdown_button--active");
+    button.click();
+
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it("renders quick filters as toggle buttons and dispatches toggles", () => {
+    const element = buildComponent({
+      quickFilterOptions: [
+        {
+          id: "mine",
+          label: "My Records",
+          selected: true,
+          buttonClass: "filter-dropdown_button filter-dropdown_button--active"
+        },
+        {
+          id: "createdByMe",
+          label: "Created by Me",
+          selected: false,
+          buttonClass: "filter-dropdown_button"
+        }
+      ]
+    });
+    const handler = jest.fn();
+    element.addEventListener("quickfiltertoggle", handler);
+
+    const buttons = element.shadowRoot.querySelectorAll(
+      ".board-actions_quick-filters button"
+    );
+    expect(buttons).toHaveLength(2);
+    expect(buttons[0].getAttribute("aria-pressed")).toBe("true");
+    expect(buttons[1].getAttribute("aria-pressed")).toBe("false");
+    buttons[1].click();
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler.mock.calls[0][0].detail).toEqual({
+      filterId: "createdByMe"
+    });
+    expect(element.shadowRoot.querySelector(".board-actions_views")).not.toBe(
+      null
+    );
+  });
+
+  it("dispatches export requests with the raw value option", async () => {
+    const element = buildComponent({ exportAvailable: true });
+    const handler = jest.fn();
+    element.addEventListener("boardexport", handler);
+
+    const menu = element.shadowRoot.querySelector(".board-actions_export");
+    menu.dispatchEvent(new CustomEvent("select", { detail: { value: "csv" } }));
+    menu.dispatchEvent(new CustomEvent("select", { detail: { value: "raw" } }));
+    await Promise.resolve();
+    const rawItem = Array.from(
+      element.shadowRoot.querySelectorAll("lightning-menu-item")
+    ).find((item) => item.value === "raw");
+    expect(rawItem.checked).toBe(true);
+    menu.dispatchEvent(
+      new CustomEvent("select", { detail: { value: "xlsx" } })
+    );
+
+    expect(handler.mock.calls.map((call) => call[0].detail)).toEqual([
+      { format: "csv", includeRawValues: false },
+      { format: "xlsx", includeRawValues: true }
+    ]);
+  });
+
+  it("dispatches boardprint from the print button", () => {
+    const element = buildComponent({ printAvailable: true });
+    const handler = jest.fn();
+    element.addEventListener("boardprint", handler);
+
+    element.shadowRoot.querySelector(".board-actions_print").click();
+
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it("toggles the card color legend and closes it with Escape", async () => {
+    const element = buildComponent({
+      colorLegend: [
+        {
+          key: "rule-0",
+          description: "Close Date before today",
+          badge: "Overdue",
+          swatchStyle: "background-color: #ba0517;"
+        }
+      ]
+    });
+    const button = element.shadowRoot.querySelector(".board-actions_legend");
+    button.click();
+    await Promise.resolve();
+
+    const popover = element.shadowRoot.querySelector(
+      ".board-actions_legend-popover"
+    );
+    expect(
+      popover.querySelector(".board-actions_legend-description").textContent
+    ).toBe("Close Date before today");
+    expect(
+      popover.querySelector(".board-actions_legend-badge").textContent
+    ).toBe("Overdue");
+
+    popover.dispatchEvent(new KeyboardEvent("keydown", { key: "Escape" }));
+    await Promise.resolve();
+    expect(
+      element.shadowRoot.querySelector(".board-actions_legend-popover")
+    ).toBeNull();
+  });
 });
@@ -13,6 +13,28 @@ export default class KanbanBoardActions extends LightningElement {
   @api sortDirectionIcon = "utility:arrowup";
   @api sortDirectionAltText = "";
   @api refreshButtonDisabled = false;
+  @api selectedCount = 0;
+  @api bulkMoveOptions = [];
+  @api bulkOwnerChangeAvailable = false;
+  @api savedViews = [];
+  @api activeViewId;
+  @api advancedFilterAvailable = false;
+  @api advancedFilterCount = 0;
+  @api quickFilterOptions = [];
+  @api exportAvailable = false;
+  @api printAvailable = false;
+  @api colorLegend = [];
+  @api columnOptions = [];
+  includeRawValues = false;
+  isLegendOpen = false;
+
+  get hasSelection() {
+    return Number(this.selectedCount) > 0;
+  }
+
+  get selectionLabel() {
+    return `${this.selectedCount} selected`;
+  }
 
   get hasSortOptions() {
     return (
@@ -20,6 +42,86 @@ export default class KanbanBoardActions extends LightningElement {
     );
   }
 
+  get viewsAvailable() {
+    return (
+      this.filtersAvailable ||
+      this.quickFiltersAvailable ||
+      this.searchAvailable ||
+      this.hasSortOptions
+    );
+  }
+
+  get quickFiltersAvailable() {
+    return (
+      Array.isArray(this.quickFilterOptions) &&
+      this.quickFilterOptions.length > 0
+    );
+  }
+
+  get quickFilterButtons() {
+    return (this.quickFilterOptions || []).map((option) => ({
+      ...option,
+      ariaPressed: option.selected ? "true" : "false"
+    }));
+  }
+
+  get hasSavedViews() {
+    return Array.isArray(this.savedViews) && this.savedViews.length > 0;
+  }
+
+  get activeView() {
+    return (
+      (this.savedViews || []).find((view) => view.id === this.activeViewId) ||
+      null
+    );
+  }
+
+  get viewsMenuLabel() {
+    return this.activeView ? this.activeView.name : "Views";
+  }
+
+  get viewMenuItems() {
+    return (this.savedViews || []).map((view) => ({
+      value: `apply:${view.id}`,
+      label: view.isDefault ? `${view.name} (Default)` : view.name,
+      isActive: view.id === this.activeViewId
+    }));
+  }
+
+  get hasColumnOptions() {
+    return Array.isArray(this.columnOptions) && this.columnOptions.length > 0;
+  }
+
+  get columnMenuItems() {
+    return (this.columnOptions || []).map((option) => ({
+      ...option,
+      menuValue: `toggle:${option.value}`
+    }));
+  }
+
+  get hasColorLegend() {
+    return Array.isArray(this.colorLegend) && this.colorLegend.length > 0;
+  }
+
+  get legendExpanded() {
+    return this.isLegendOpen ? "true" : "false";
+  }
+
+  get advancedFilterLabel() {
+    const count = Number(this.advancedFilterCount) || 0;
+    return count ? `Advanced Filters (${count})` : "Advanced Filters";
+  }
+
+  get advancedFilterButtonClass() {
+    return Number(this.advancedFilterCount) > 0
+      ? "filter-dropdown_button board-actions_advanced filter-dropdown_button--active"
+      : "filter-dropdown_button board-actions_advanced";
+  }
+
+  get defaultViewActionLabel() {
+    return this.activeView?.isDefault ? "Remove as Default" : "Set as Default";
+  }
+
   get resolvedSortButtonClass() {
     const base =
       this.sortButtonClass || "filter-dropdown_button sort-dropdown_button";
@@ -51,6 +153,98 @@ export default class KanbanBoardActions extends LightningElement {
     );
   }
 
+  handleQuickFilterClick(event) {
+    event.stopPropagation();
+    this.dispatchEvent(
+      new CustomEvent("quickfiltertoggle", {
+        detail: { filterId: event.currentTarget.dataset.id },
+        bubbles: true,
+        composed: true
+      })
+    );
+  }
+
+  handleAdvancedFilterClick(event) {
+    event.stopPropagation();
+    this.dispatchEvent(
+      new CustomEvent("advancedfilteropen", {
+        bubbles: true,
+        composed: true
+      })
+    );
+  }
+
+  handleViewMenuSelect(event) {
+    event.stopPropagation();
+    const value = event.detail?.value || "";
+    const [action, viewId] = value.startsWith("apply:")
+      ? ["apply", value.slice("apply:".length)]
+      : [value, this.activeViewId];
+    this.dispatchEvent(
+      new CustomEvent("viewaction", {
+        detail: { action, viewId },
+        bubbles: true,
+        composed: true
+      })
+    );
+  }
+
+  handleColumnMenuSelect(event) {
+    event.stopPropagation();
+    const value = event.detail?.value || "";
+    const [action, columnKey] = value.startsWith("toggle:")
+      ? ["toggle", value.slice("toggle:".length)]
+      : [value, null];
+    this.dispatchEvent(
+      new CustomEvent("columnlayoutaction", {
+        detail: { action, columnKey },
+        bubbles: true,
+        composed: true
+      })
+    );
+  }
+
+  handleExportMenuSelect(event) {
+    event.stopPropagation();
+    const format = event.detail?.value;
+    if (format === "raw") {
+      this.includeRawValues = !this.includeRawValues;
+      return;
+    }
+    this.dispatchEvent(
+      new CustomEvent("boardexport", {
+        detail: { format, includeRawValues: this.includeRawValues },
+        bubbles: true,
+        composed: true
+      })
+    );
+  }
+
+  handleLegendToggle(event) {
+    event.stopPropagation();
+    this.isLegendOpen = !this.isLegendOpen;
+  }
+
+  handleLegendKeydown(event) {
+    if (event.key !== "Escape") {
+      return;
+    }
+    event.preventDefault();
+    event.stopPropagation();
+    this.isLegendOpen = false;
+    this.template.querySelector(".board-actions_legend")?.focus();
+  }
+
+  handlePrintClick(event) {
+    event.stopPropagation();
+    this.dispatchEvent(
+      new CustomEvent("boardprint", {
+        bubbles: true,
+        composed: true
+      })
+    );
+  }
+
   handleSearchInput(event) {
     event.stopPropagation();
     const value = event.detail?.value ?? event.target?.value ?? "";
@@ -129,6 +323,46 @@ export default class KanbanBoardActions extends LightningElement {
     );
   }
 
+  handleBulkMoveChange(event) {
+    event.stopPropagation();
+    const targetColumnKey = event.detail?.value;
+    if (!targetColumnKey) {
+      return;
+    }
+    this.dispatchEvent(
+      new CustomEvent("bulkmove", {
+        detail: { targetColumnKey },
+        bubbles: true,
+        composed: true
+      })
+    );
+  }
+
+  handleBulkOwnerChange(event) {
+    event.stopPropagation();
+    const ownerId = event.detail?.recordId;
+    if (!ownerId) {
+      return;
+    }
+    this.dispatchEvent(
+      new CustomEvent("bulkownerchange", {
+        detail: { ownerId },
+        bubbles: true,
+        composed: true
+      })
+    );
+  }
+
+  handleSelectionClear(event) {
+    event.stopPropagation();
+    this.dispatchEvent(
+      new CustomEvent("selectionclear", {
+        bubbles: true,
+        composed: true
+      })
+    );
+  }
+
   handleManualRefresh(event) {
     event.stopPropagation();
     this.dispatchEvent(
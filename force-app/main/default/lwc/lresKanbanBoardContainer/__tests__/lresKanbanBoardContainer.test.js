@@ -120,4 +120,251 @@ describe("c-lres-kanban-board-container", () => {
     nowSpy.mockRestore();
     jest.useRealTimers();
   });
+
+  it("renders swimlane rows and collapses them on toggle", async () => {
+    const element = buildComponent();
+    element.columns = sampleColumns;
+    element.swimlanes = [
+      {
+        key: "High",
+        label: "High",
+        count: 1,
+        columns: [
+          {
+            key: "col1",
+            label: "Column 1",
+            swimlaneKey: "High",
+            count: 1,
+            records: [{ id: "1", title: "Card 1", details: [] }]
+          }
+        ]
+      },
+      {
+        key: "Low",
+        label: "Low",
+        count: 0,
+        columns: [
+          {
+            key: "col1",
+            label: "Column 1",
+            swimlaneKey: "Low",
+            count: 0,
+            records: []
+          }
+        ]
+      }
+    ];
+    await flushPromises();
+
+    const rows = element.shadowRoot.querySelectorAll(".kanban-swimlane");
+    expect(rows).toHaveLength(2);
+    expect(
+      element.shadowRoot.querySelectorAll("c-lres-kanban-column")
+    ).toHaveLength(2);
+    const firstColumn = element.shadowRoot.querySelector(
+      "c-lres-kanban-column"
+    );
+    expect(firstColumn.swimlaneKey).toBe("High");
+
+    const toggle = rows[0].querySelector(".kanban-swimlane_header");
+    expect(toggle.getAttribute("aria-expanded")).toBe("true");
+    toggle.click();
+    await flushPromises();
+
+    expect(toggle.getAttribute("aria-expanded")).toBe("false");
+    expect(
+      element.shadowRoot.querySelectorAll("c-lres-kanban-column")
+    ).toHaveLength(1);
+  });
+
+  it("expands every swimlane and wraps columns in print mode", async () => {
+    const element = buildComponent();
+    element.columns = sampleColumns;
+    element.swimlanes = ["High", "Low"].map((key) => ({
+      key,
+      label: key,
+      count: 0,
+      columns: [{ ...sampleColumns[0], swimlaneKey: key }]
+    }));
+    await flushPromises();
+    element.shadowRoot.querySelector(".kanban-swimlane_header").click();
+    await flushPromises();
+    expect(
+      element.shadowRoot.querySelectorAll("c-lres-kanban-column")
+    ).toHaveLength(1);
+
+    element.printMode = true;
+    await flushPromises();
+
+    const columns = element.shadowRoot.querySelectorAll("c-lres-kanban-column");
+    expect(columns).toHaveLength(2);
+    expect(Array.from(columns, (column) => column.printMode)).toEqual([
+      true,
+      true
+    ]);
+    expect(element.shadowRoot.querySelector(".kanban--print")).not.toBeNull();
+    expect(element.shadowRoot.querySelector(".slds-scrollable_x")).toBeNull();
+  });
+
+  it("tracks drop highlighting per swimlane cell", async () => {
+    const element = buildComponent();
+    element.columns = sampleColumns;
+    element.swimlanes = ["High", "Low"].map((key) => ({
+      key,
+      label: key,
+      count: 0,
+      columns: [
+        {
+          key: "col1",
+          label: "Column 1",
+          swimlaneKey: key,
+          count: 0,
+          records: []
+        }
+      ]
+    }));
+    await flushPromises();
+
+    const columns = element.shadowRoot.querySelectorAll("c-lres-kanban-column");
+    columns[1].dispatchEvent(
+      new CustomEvent("columndragenter", {
+        detail: { columnKey: "col1", dropKey: "Low::col1" },
+        bubbles: true,
+        composed: true
+      })
+    );
+    await flushPromises();
+
+    expect(columns[0].activeDropKey).toBe("Low::col1");
+    expect(columns[1].activeDropKey).toBe("Low::col1");
+  });
+
+  describe("keyboard drag and drop", () => {
+    const keyboardColumns = [
+      {
+        key: "col1",
+        label: "Column 1",
+        count: 2,
+        records: [
+          { id: "a", title: "Alpha", details: [] },
+          { id: "b", title: "Beta", details: [] }
+        ]
+      },
+      {
+        key: "col2",
+        label: "Column 2",
+        count: 1,
+        records: [{ id: "c", title: "Gamma", details: [] }]
+      }
+    ];
+
+    const pressKey = (element, key, recordId = "a") => {
+      const column = element.shadowRoot.querySelector("c-lres-kanban-column");
+      column.dispatchEvent(
+        new CustomEvent("cardkeyboarddrag", {
+          detail: {
+            recordId,
+            columnKey: "col1",
+            title: "Alpha",
+            key
+          },
+          bubbles: true,
+          composed: true
+        })
+      );
+      return flushPromises();
+    };
+
+    const announcement = (element) =>
+      element.shadowRoot.querySelector("[aria-live]").textContent.trim();
+
+    it("picks up, moves, and drops a card through the column drop event", async () => {
+      const element = buildComponent({
+        columns: keyboardColumns,
+        reorderEnabled: true
+      });
+      const dropHandler = jest.fn();
+      element.addEventListener("columndrop", dropHandler);
+      await flushPromises();
+
+      await pressKey(element, "Space");
+      const columns = element.shadowRoot.querySelectorAll(
+        "c-lres-kanban-column"
+      );
+      expect(columns[0].grabbedRecordId).toBe("a");
+      expect(columns[0].activeDropKey).toBe("col1");
+      expect(announcement(element)).toContain(
+        "Picked up Alpha. Column Column 1, position 1 of 2."
+      );
+
+      await pressKey(element, "ArrowRight");
+      expect(columns[1].activeDropKey).toBe("col2");
+      expect(announcement(element)).toBe(
+        "Alpha: Column Column 2, position 1 of 2."
+      );
+
+      await pressKey(element, "ArrowDown");
+      expect(announcement(element)).toBe(
+        "Alpha: Column Column 2, position 2 of 2."
+      );
+
+      await pressKey(element, "Space");
+      expect(dropHandler).toHaveBeenCalledTimes(1);
+      expect(dropHandler.mock.calls[0][0].detail).toEqual({
+        recordId: "a",
+        sourceColumnKey: "col1",
+        targetColumnKey: "col2",
+        sourceSwimlaneKey: null,
+        targetSwimlaneKey: null,
+        beforeRecordId: null
+      });
+      expect(columns[0].grabbedRecordId).toBeNull();
+      expect(announcement(element)).toBe(
+        "Dropped Alpha. Column Column 2, position 2 of 2."
+      );
+    });
+
+    it("drops before the next card when moving up within a column", async () => {
+      const element = buildComponent({
+        columns: keyboardColumns,
+        reorderEnabled: true
+      });
+      const dropHandler = jest.fn();
+      element.addEventListener("columndrop", dropHandler);
+      await flushPromises();
+
+      await pressKey(element, "Space", "b");
+      await pressKey(element, "ArrowUp", "b");
+      await pressKey(element, "Space", "b");
+
+      expect(dropHandler.mock.calls[0][0].detail).toEqual(
+        expect.objectContaining({
+          recordId: "b",
+          targetColumnKey: "col1",
+          beforeRecordId: "a"
+        })
+      );
+    });
+
+    it("cancels the move on Escape without dispatching a drop", async () => {
+      const element = buildComponent({ columns: keyboardColumns });
+      const dropHandler = jest.fn();
+      element.addEventListener("columndrop", dropHandler);
+      await flushPromises();
+
+      await pressKey(element, "Space");
+      expect(announcement(element)).not.toContain("position");
+      await pressKey(element, "ArrowRight");
+      await pressKey(element, "Escape");
+
+      expect(dropHandler).not.toHaveBeenCalled();
+      expect(announcement(element)).toBe(
+        "Move cancelled. Alpha was not moved."
+      );
+      const columns = element.shadowRoot.querySelectorAll(
+        "c-lres-kanban-column"
+      );
+      expect(columns[1].activeDropKey).toBeNull();
+    });
+  });
 });
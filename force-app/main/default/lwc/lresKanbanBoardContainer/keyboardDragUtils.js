@@ -0,0 +1,139 @@
+function resolveCell(column, swimlaneKey) {
+  if (swimlaneKey && Array.isArray(column?.swimlanes)) {
+    return column.swimlanes.find((cell) => cell.key === swimlaneKey) || null;
+  }
+  return column || null;
+}
+
+/**
+ * Lists the cards a keyboard-held card can be placed between, leaving the held card out.
+ *
+ * @param {Object} column Column descriptor.
+ * @param {string|null} swimlaneKey Swimlane cell to read, or `null` without swimlanes.
+ * @param {string} recordId Id of the held card.
+ * @returns {Array<Object>} Cards in display order.
+ */
+export function getTargetCards(column, swimlaneKey, recordId) {
+  const records = resolveCell(column, swimlaneKey)?.records;
+  return Array.isArray(records)
+    ? records.filter((card) => card.id !== recordId)
+    : [];
+}
+
+/**
+ * Builds the initial keyboard drag state for a card that has just been picked up.
+ *
+ * @param {Object} detail Card details from the `cardkeyboarddrag` event.
+ * @param {Object} context Board layout.
+ * @param {Array<Object>} context.columns Board columns.
+ * @param {Array<string|null>} context.swimlaneKeys Swimlane keys in display order.
+ * @returns {Object|null} Drag state or `null` when the card's column is unknown.
+ */
+export function startKeyboardDrag(detail, { columns, swimlaneKeys }) {
+  const columnIndex = columns.findIndex(
+    (column) => column.key === detail.columnKey
+  );
+  if (columnIndex === -1) {
+    return null;
+  }
+  const swimlaneKey = detail.swimlaneKey || null;
+  const swimlaneIndex = Math.max(swimlaneKeys.indexOf(swimlaneKey), 0);
+  const records = resolveCell(columns[columnIndex], swimlaneKey)?.records || [];
+  const position = Math.max(
+    records.findIndex((card) => card.id === detail.recordId),
+    0
+  );
+  return {
+    recordId: detail.recordId,
+    title: detail.title || "Card",
+    sourceColumnKey: detail.columnKey,
+    sourceSwimlaneKey: swimlaneKey,
+    columnIndex,
+    swimlaneIndex,
+    position
+  };
+}
+
+/**
+ * Moves the keyboard drag target in response to an arrow key. Left and right change
+ * columns; up and down change position when reordering is enabled and cross into the
+ * neighbouring swimlane at either end.
+ *
+ * @param {Object} state Current drag state.
+ * @param {string} key Arrow key name.
+ * @param {Object} context Board layout plus `reorderEnabled`.
+ * @returns {Object} Next drag state (the same object when the move is not possible).
+ */
+export function moveKeyboardTarget(
+  state,
+  key,
+  { columns, swimlaneKeys, reorderEnabled }
+) {
+  const cardsAt = (columnIndex, swimlaneIndex) =>
+    getTargetCards(
+      columns[columnIndex],
+      swimlaneKeys[swimlaneIndex],
+      state.recordId
+    );
+  if (key === "ArrowLeft" || key === "ArrowRight") {
+    const columnIndex = state.columnIndex + (key === "ArrowLeft" ? -1 : 1);
+    if (columnIndex < 0 || columnIndex >= columns.length) {
+      return state;
+    }
+    const count = cardsAt(columnIndex, state.swimlaneIndex).length;
+    return {
+      ...state,
+      columnIndex,
+      position: reorderEnabled ? Math.min(state.position, count) : count
+    };
+  }
+  if (key === "ArrowUp") {
+    if (reorderEnabled && state.position > 0) {
+      return { ...state, position: state.position - 1 };
+    }
+    if (state.swimlaneIndex <= 0) {
+      return state;
+    }
+    const swimlaneIndex = state.swimlaneIndex - 1;
+    return {
+      ...state,
+      swimlaneIndex,
+      position: cardsAt(state.columnIndex, swimlaneIndex).length
+    };
+  }
+  if (key === "ArrowDown") {
+    const count = cardsAt(state.columnIndex, state.swimlaneIndex).length;
+    if (reorderEnabled && state.position < count) {
+      return { ...state, position: state.position + 1 };
+    }
+    if (state.swimlaneIndex >= swimlaneKeys.length - 1) {
+      return state;
+    }
+    return {
+      ...state,
+      swimlaneIndex: state.swimlaneIndex + 1,
+      position: reorderEnabled ? 0 : count
+    };
+  }
+  return state;
+}
+
+/**
+ * Resolves where a keyboard drag currently points.
+ *
+ * @param {Object} state Current drag state.
+ * @param {Object} context Board layout.
+ * @returns {{column: Object, swimlaneKey: (string|null), cards: Array<Object>, beforeRecordId: (string|null)}}
+ *   Target column, swimlane, the cards around the drop point, and the card it sits above.
+ */
+export function resolveKeyboardTarget(state, { columns, swimlaneKeys }) {
+  const column = columns[state.columnIndex];
+  const swimlaneKey = swimlaneKeys[state.swimlaneIndex] || null;
+  const cards = getTargetCards(column, swimlaneKey, state.recordId);
+  return {
+    column,
+    swimlaneKey,
+    cards,
+    beforeRecordId: cards[state.position]?.id || null
+  };
+}
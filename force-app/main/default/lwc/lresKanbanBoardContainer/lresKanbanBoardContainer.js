@@ -1,12 +1,19 @@
 import { LightningElement, api } from "lwc";
 import { normalizeBoolean } from "c/lresFieldUtils";
+import {
+  moveKeyboardTarget,
+  resolveKeyboardTarget,
+  startKeyboardDrag
+} from "./keyboardDragUtils";
 
 const DEFAULT_BOARD_HEIGHT = 1000;
 const HEADER_BUFFER = 110;
 const DRAG_OVER_THROTTLE_MS = 50;
+const SWIMLANE_BODY_MAX_HEIGHT = 480;
 
 export default class KanbanBoardContainer extends LightningElement {
   _columns = [];
+  _swimlanes = [];
   _showCardFieldLabels = false;
   _isLoading = false;
   _errorMessage;
@@ -15,8 +22,17 @@ export default class KanbanBoardContainer extends LightningElement {
   _boardHeight;
   _enableVirtualization = false;
   _cardDisplayConfigKey;
+  _selectedRecordIds = [];
+  _changedRecordIds = [];
+  _reorderEnabled = false;
+  _quickCreateEnabled = false;
+  _printMode = false;
 
   activeDropColumnKey = null;
+  keyboardDrag = null;
+  keyboardDragAnnouncement = "";
+  _pendingFocusRecordId = null;
+  collapsedSwimlaneKeys = [];
   lastDragOverColumnKey = null;
   _dragOverLastTimestamp = null;
   _dragOverTimeoutId = null;
@@ -31,6 +47,15 @@ export default class KanbanBoardContainer extends LightningElement {
     this._columns = Array.isArray(value) ? value : [];
   }
 
+  @api
+  get swimlanes() {
+    return this._swimlanes;
+  }
+
+  set swimlanes(value) {
+    this._swimlanes = Array.isArray(value) ? value : [];
+  }
+
   @api
   get showCardFieldLabels() {
     return this._showCardFieldLabels;
@@ -98,6 +123,51 @@ export default class KanbanBoardContainer extends LightningElement {
     this._cardDisplayConfigKey = value;
   }
 
+  @api
+  get selectedRecordIds() {
+    return this._selectedRecordIds;
+  }
+
+  set selectedRecordIds(value) {
+    this._selectedRecordIds = Array.isArray(value) ? value : [];
+  }
+
+  @api
+  get changedRecordIds() {
+    return this._changedRecordIds;
+  }
+
+  set changedRecordIds(value) {
+    this._changedRecordIds = Array.isArray(value) ? value : [];
+  }
+
+  @api
+  get reorderEnabled() {
+    return this._reorderEnabled;
+  }
+
+  set reorderEnabled(value) {
+    this._reorderEnabled = normalizeBoolean(value);
+  }
+
+  @api
+  get quickCreateEnabled() {
+    return this._quickCreateEnabled;
+  }
+
+  set quickCreateEnabled(value) {
+    this._quickCreateEnabled = normalizeBoolean(value);
+  }
+
+  @api
+  get printMode() {
+    return this._printMode;
+  }
+
+  set printMode(value) {
+    this._printMode = normalizeBoolean(value);
+  }
+
   @api
   get boardHeight() {
     return this._boardHeight;
@@ -116,21 +186,211 @@ export default class KanbanBoardContainer extends LightningElement {
     return this.columns && this.columns.length > 0;
   }
 
+  get hasSwimlanes() {
+    return this._swimlanes.length > 0;
+  }
+
+  get swimlaneRows() {
+    const collapsed = new Set(this.collapsedSwimlaneKeys);
+    return this._swimlanes.map((swimlane) => {
+      const isExpanded = this._printMode || !collapsed.has(swimlane.key);
+      return {
+        ...swimlane,
+        isExpanded,
+        ariaExpanded: isExpanded ? "true" : "false",
+        toggleIconName: isExpanded
+          ? "utility:chevrondown"
+          : "utility:chevronright"
+      };
+    });
+  }
+
+  // Print mode drops the fixed heights and wraps columns so every card is printed.
+  get boardClass() {
+    return this._printMode
+      ? "kanban kanban--print"
+      : "kanban slds-scrollable_x";
+  }
+
+  get swimlaneColumnBodyStyle() {
+    if (this._printMode) {
+      return "";
+    }
+    const height = this.resolvedBoardHeight;
+    const bodyHeight = Math.min(
+      Math.max(height - HEADER_BUFFER, 120),
+      SWIMLANE_BODY_MAX_HEIGHT
+    );
+    return `max-height: ${bodyHeight}px; overflow-y: auto;`;
+  }
+
+  get grabbedRecordId() {
+    return this.keyboardDrag?.recordId || null;
+  }
+
+  get keyboardDragContext() {
+    return {
+      columns: this._columns,
+      swimlaneKeys: this.hasSwimlanes
+        ? this._swimlanes.map((swimlane) => swimlane.key)
+        : [null],
+      reorderEnabled: this._reorderEnabled
+    };
+  }
+
   get resolvedBoardHeight() {
     return this._boardHeight || DEFAULT_BOARD_HEIGHT;
   }
 
   get columnSectionStyle() {
+    if (this._printMode) {
+      return "";
+    }
     const height = this.resolvedBoardHeight;
     return `height: ${height}px; max-height: ${height}px;`;
   }
 
   get columnBodyStyle() {
+    if (this._printMode) {
+      return "";
+    }
     const height = this.resolvedBoardHeight;
     const bodyHeight = Math.max(height - HEADER_BUFFER, 120);
     return `max-height: ${bodyHeight}px; overflow-y: auto;`;
   }
 
+  handleSwimlaneToggle(event) {
+    const swimlaneKey = event.currentTarget?.dataset?.swimlaneKey;
+    if (!swimlaneKey) {
+      return;
+    }
+    const collapsed = new Set(this.collapsedSwimlaneKeys);
+    if (collapsed.has(swimlaneKey)) {
+      collapsed.delete(swimlaneKey);
+    } else {
+      collapsed.add(swimlaneKey);
+    }
+    this.collapsedSwimlaneKeys = Array.from(collapsed);
+  }
+
+  renderedCallback() {
+    const recordId = this._pendingFocusRecordId;
+    if (!recordId) {
+      return;
+    }
+    const columns = this.template.querySelectorAll("c-lres-kanban-column");
+    for (const column of columns) {
+      if (column.focusCard(recordId)) {
+        this._pendingFocusRecordId = null;
+        return;
+      }
+    }
+  }
+
+  handleCardKeyboardDrag(event) {
+    event?.stopPropagation?.();
+    const detail = event.detail || {};
+    if (this._isLoading || !detail.recordId) {
+      return;
+    }
+    const isStale =
+      this.keyboardDrag &&
+      (this.keyboardDrag.recordId !== detail.recordId ||
+        !this._columns[this.keyboardDrag.columnIndex]);
+    if (isStale) {
+      this.cancelKeyboardDrag();
+    }
+    if (!this.keyboardDrag) {
+      if (detail.key === "Space") {
+        this.beginKeyboardDrag(detail);
+      }
+      return;
+    }
+    if (detail.key === "Escape") {
+      this.cancelKeyboardDrag();
+      return;
+    }
+    if (detail.key === "Space") {
+      this.completeKeyboardDrag();
+      return;
+    }
+    this.keyboardDrag = moveKeyboardTarget(
+      this.keyboardDrag,
+      detail.key,
+      this.keyboardDragContext
+    );
+    this.syncKeyboardDropTarget();
+    this.keyboardDragAnnouncement = `${this.keyboardDrag.title}: ${this.describeKeyboardTarget()}.`;
+  }
+
+  beginKeyboardDrag(detail) {
+    const state = startKeyboardDrag(detail, this.keyboardDragContext);
+    if (!state) {
+      return;
+    }
+    this.keyboardDrag = state;
+    this.syncKeyboardDropTarget();
+    this.keyboardDragAnnouncement = `Picked up ${state.title}. ${this.describeKeyboardTarget()}. Use the arrow keys to move, Space to drop, or Escape to cancel.`;
+  }
+
+  completeKeyboardDrag() {
+    const state = this.keyboardDrag;
+    const target = resolveKeyboardTarget(state, this.keyboardDragContext);
+    const location = this.describeKeyboardTarget();
+    this.endKeyboardDrag();
+    this.keyboardDragAnnouncement = `Dropped ${state.title}. ${location}.`;
+    this._pendingFocusRecordId = state.recordId;
+    this.handleColumnDrop({
+      detail: {
+        recordId: state.recordId,
+        sourceColumnKey: state.sourceColumnKey,
+        targetColumnKey: target.column?.key,
+        sourceSwimlaneKey: state.sourceSwimlaneKey,
+        targetSwimlaneKey: target.swimlaneKey,
+        beforeRecordId: this._reorderEnabled ? target.beforeRecordId : null
+      }
+    });
+  }
+
+  cancelKeyboardDrag() {
+    const title = this.keyboardDrag.title;
+    this.endKeyboardDrag();
+    this.keyboardDragAnnouncement = `Move cancelled. ${title} was not moved.`;
+  }
+
+  endKeyboardDrag() {
+    this.keyboardDrag = null;
+    this.activeDropColumnKey = null;
+  }
+
+  syncKeyboardDropTarget() {
+    const { column, swimlaneKey } = resolveKeyboardTarget(
+      this.keyboardDrag,
+      this.keyboardDragContext
+    );
+    this.activeDropColumnKey = swimlaneKey
+      ? `${swimlaneKey}::${column.key}`
+      : column.key;
+  }
+
+  describeKeyboardTarget() {
+    const { column, swimlaneKey, cards } = resolveKeyboardTarget(
+      this.keyboardDrag,
+      this.keyboardDragContext
+    );
+    const parts = [`Column ${column.label}`];
+    if (swimlaneKey) {
+      const swimlane = this._swimlanes.find((row) => row.key === swimlaneKey);
+      parts.push(`swimlane ${swimlane?.label ?? swimlaneKey}`);
+    }
+    if (this._reorderEnabled) {
+      parts.push(
+        `position ${this.keyboardDrag.position + 1} of ${cards.length + 1}`
+      );
+    }
+    return parts.join(", ");
+  }
+
   handleCardDragStart(event) {
     if (this._isLoading) {
       return;
@@ -152,27 +412,27 @@ export default class KanbanBoardContainer extends LightningElement {
     if (this._isLoading) {
       return;
     }
-    const columnKey = event.detail?.columnKey || null;
-    this.throttleDragOver(columnKey);
+    const dropKey = event.detail?.dropKey || event.detail?.columnKey || null;
+    this.throttleDragOver(dropKey);
   }
 
   handleColumnDragEnter(event) {
     if (this._isLoading) {
       return;
     }
-    const columnKey = event.detail?.columnKey;
-    if (!columnKey) {
+    const dropKey = event.detail?.dropKey || event.detail?.columnKey;
+    if (!dropKey) {
       return;
     }
-    if (this.activeDropColumnKey !== columnKey) {
-      this.activeDropColumnKey = columnKey;
+    if (this.activeDropColumnKey !== dropKey) {
+      this.activeDropColumnKey = dropKey;
     }
-    this.lastDragOverColumnKey = columnKey;
+    this.lastDragOverColumnKey = dropKey;
   }
 
   handleColumnDragLeave(event) {
-    const columnKey = event.detail?.columnKey;
-    if (this.activeDropColumnKey === columnKey) {
+    const dropKey = event.detail?.dropKey || event.detail?.columnKey;
+    if (this.activeDropColumnKey === dropKey) {
       this.activeDropColumnKey = null;
     }
   }
@@ -197,6 +457,62 @@ export default class KanbanBoardContainer extends LightningElement {
     );
   }
 
+  handleColumnCreate(event) {
+    event?.stopPropagation?.();
+    if (this._isLoading) {
+      return;
+    }
+    this.dispatchEvent(
+      new CustomEvent("columncreate", {
+        detail: event.detail,
+        bubbles: true,
+        composed: true
+      })
+    );
+  }
+
+  handleColumnCollapseToggle(event) {
+    event?.stopPropagation?.();
+    this.dispatchEvent(
+      new CustomEvent("columncollapsetoggle", {
+        detail: event.detail,
+        bubbles: true,
+        composed: true
+      })
+    );
+  }
+
+  handleColumnReorder(event) {
+    event?.stopPropagation?.();
+    this.resetDragOverThrottle();
+    this.lastDragOverColumnKey = null;
+    this.activeDropColumnKey = null;
+    if (this._isLoading) {
+      return;
+    }
+    this.dispatchEvent(
+      new CustomEvent("columnreorder", {
+        detail: event.detail,
+        bubbles: true,
+        composed: true
+      })
+    );
+  }
+
+  handleColumnLoadMore(event) {
+    event?.stopPropagation?.();
+    if (this._isLoading) {
+      return;
+    }
+    this.dispatchEvent(
+      new CustomEvent("columnloadmore", {
+        detail: event.detail,
+        bubbles: true,
+        composed: true
+      })
+    );
+  }
+
   handleCardTitleClick(event) {
     event?.stopPropagation?.();
     this.dispatchEvent(
@@ -208,6 +524,28 @@ export default class KanbanBoardContainer extends LightningElement {
     );
   }
 
+  handleCardSelect(event) {
+    event?.stopPropagation?.();
+    this.dispatchEvent(
+      new CustomEvent("cardselect", {
+        detail: event.detail,
+        bubbles: true,
+        composed: true
+      })
+    );
+  }
+
+  handleCardFieldEdit(event) {
+    event?.stopPropagation?.();
+    this.dispatchEvent(
+      new CustomEvent("cardfieldedit", {
+        detail: event.detail,
+        bubbles: true,
+        composed: true
+      })
+    );
+  }
+
   handleCardExternalLink(event) {
     event?.stopPropagation?.();
     this.dispatchEvent(
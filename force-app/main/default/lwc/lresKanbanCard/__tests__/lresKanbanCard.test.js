@@ -108,6 +108,194 @@ describe("c-lres-kanban-card", () => {
     expect(clickEvent.stopPropagation).toHaveBeenCalled();
   });
 
+  it("dispatches card selection on modifier clicks instead of opening the record", () => {
+    const element = buildComponent({
+      card: { id: "001", title: "Test", details: [] },
+      columnKey: "col1"
+    });
+    const selectHandler = jest.fn();
+    const titleHandler = jest.fn();
+    element.addEventListener("cardselect", selectHandler);
+    element.addEventListener("cardtitleclick", titleHandler);
+
+    const article = element.shadowRoot.querySelector("article");
+    article.dispatchEvent(new MouseEvent("click", { bubbles: true }));
+    expect(selectHandler).not.toHaveBeenCalled();
+
+    article.dispatchEvent(
+      new MouseEvent("click", { bubbles: true, ctrlKey: true })
+    );
+    element.shadowRoot
+      .querySelector(".kanban-card_title-link")
+      .dispatchEvent(
+        new MouseEvent("click", { bubbles: true, shiftKey: true })
+      );
+
+    expect(titleHandler).not.toHaveBeenCalled();
+    expect(selectHandler).toHaveBeenCalledTimes(2);
+    expect(selectHandler.mock.calls[0][0].detail).toEqual({
+      recordId: "001",
+      columnKey: "col1",
+      swimlaneKey: undefined,
+      rangeSelect: false
+    });
+    expect(selectHandler.mock.calls[1][0].detail.rangeSelect).toBe(true);
+  });
+
+  it("applies selected styling when the card is selected", () => {
+    const element = buildComponent({
+      card: { id: "001", title: "Test", details: [], isSelected: true }
+    });
+    const article = element.shadowRoot.querySelector("article");
+    expect(article.className).toContain("is-selected");
+  });
+
+  it("highlights cards changed by other users", () => {
+    const element = buildComponent({
+      card: { id: "001", title: "Test", details: [], isRemoteChange: true }
+    });
+    const article = element.shadowRoot.querySelector("article");
+    expect(article.className).toContain("is-remote-change");
+  });
+
+  it("renders the color rule accent and badges", () => {
+    const element = buildComponent({
+      card: {
+        id: "001",
+        title: "Test",
+        details: [],
+        accentColor: "#ba0517",
+        badges: [
+          {
+            key: "rule-0",
+            label: "Overdue",
+            style: "background-color: #ba0517; color: #ffffff;"
+          }
+        ]
+      }
+    });
+    const article = element.shadowRoot.querySelector("article");
+    expect(article.className).toContain("has-accent");
+    expect(article.style.getPropertyValue("--kanban-card-accent")).toBe(
+      "#ba0517"
+    );
+    const badges = element.shadowRoot.querySelectorAll(".kanban-card_badge");
+    expect(Array.from(badges, (badge) => badge.textContent)).toEqual([
+      "Overdue"
+    ]);
+  });
+
+  it("renders the aging badge ahead of the rule badges", () => {
+    const element = buildComponent({
+      card: {
+        id: "001",
+        title: "Test",
+        details: [],
+        agingBadge: {
+          label: "9 days",
+          title: "In this column since 5/1/2024",
+          style: "background-color: #ba0517; color: #ffffff;"
+        }
+      }
+    });
+    const aging = element.shadowRoot.querySelector(".kanban-card_aging");
+    expect(aging.textContent).toBe("9 days");
+    expect(aging.title).toBe("In this column since 5/1/2024");
+    expect(
+      element.shadowRoot.querySelectorAll(".kanban-card_badge")
+    ).toHaveLength(1);
+  });
+
+  it("dispatches keyboard drag keys, ignoring arrows until the card is held", async () => {
+    const element = buildComponent({
+      card: { id: "001", title: "Test", details: [] },
+      columnKey: "col1"
+    });
+    const handler = jest.fn();
+    element.addEventListener("cardkeyboarddrag", handler);
+    const article = element.shadowRoot.querySelector("article");
+    expect(article.getAttribute("tabindex")).toBe("0");
+
+    article.dispatchEvent(
+      new KeyboardEvent("keydown", { key: "ArrowRight", bubbles: true })
+    );
+    expect(handler).not.toHaveBeenCalled();
+
+    const spaceEvent = new KeyboardEvent("keydown", {
+      key: " ",
+      bubbles: true,
+      cancelable: true
+    });
+    article.dispatchEvent(spaceEvent);
+    expect(spaceEvent.defaultPrevented).toBe(true);
+    expect(handler.mock.calls[0][0].detail).toEqual({
+      recordId: "001",
+      columnKey: "col1",
+      swimlaneKey: undefined,
+      title: "Test",
+      key: "Space"
+    });
+
+    element.card = { id: "001", title: "Test", details: [], isGrabbed: true };
+    await flushPromises();
+    expect(article.className).toContain("is-grabbed");
+    article.dispatchEvent(
+      new KeyboardEvent("keydown", { key: "ArrowRight", bubbles: true })
+    );
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(handler.mock.calls[1][0].detail.key).toBe("ArrowRight");
+  });
+
+  it("re-dispatches inline field edits with the record id and blocks drag while editing", async () => {
+    const element = buildComponent({
+      card: {
+        id: "001",
+        title: "Test",
+        details: [{ apiName: "StageName", label: "Stage", value: "Open" }]
+      }
+    });
+    const handler = jest.fn();
+    element.addEventListener("cardfieldedit", handler);
+    const field = element.shadowRoot.querySelector("c-lres-kanban-card-field");
+
+    field.dispatchEvent(
+      new CustomEvent("editstatechange", { detail: { isEditing: true } })
+    );
+    await flushPromises();
+    expect(
+      element.shadowRoot.querySelector("article").getAttribute("draggable")
+    ).toBe("false");
+
+    field.dispatchEvent(
+      new CustomEvent("fieldedit", {
+        detail: {
+          fieldApiName: "StageName",
+          value: "closed",
+          displayValue: "Closed"
+        }
+      })
+    );
+    expect(handler.mock.calls[0][0].detail).toEqual({
+      fieldApiName: "StageName",
+      value: "closed",
+      displayValue: "Closed",
+      recordId: "001"
+    });
+  });
+
+  it("ignores keyboard drag keys while dragging is disabled", () => {
+    const element = buildComponent({
+      card: { id: "001", title: "Test", details: [] },
+      dragDisabled: true
+    });
+    const handler = jest.fn();
+    element.addEventListener("cardkeyboarddrag", handler);
+    element.shadowRoot
+      .querySelector("article")
+      .dispatchEvent(new KeyboardEvent("keydown", { key: " ", bubbles: true }));
+    expect(handler).not.toHaveBeenCalled();
+  });
+
   describe("Template Rendering", () => {
     it("renders card title correctly", () => {
       const element = buildComponent({
@@ -1,11 +1,29 @@
 import { LightningElement, api } from "lwc";
 
+const KEYBOARD_DRAG_KEYS = {
+  " ": "Space",
+  Spacebar: "Space",
+  ArrowUp: "ArrowUp",
+  ArrowDown: "ArrowDown",
+  ArrowLeft: "ArrowLeft",
+  ArrowRight: "ArrowRight",
+  Escape: "Escape",
+  Esc: "Escape"
+};
+
+function isSelectionClick(event) {
+  return Boolean(event?.shiftKey || event?.ctrlKey || event?.metaKey);
+}
+
 export default class KanbanCard extends LightningElement {
   @api card = { details: [] };
   @api columnKey;
+  @api swimlaneKey;
   @api showCardFieldLabels = false;
   @api dragDisabled = false;
 
+  isEditingField = false;
+
   get titleIcon() {
     return this.card?.titleIcon;
   }
@@ -31,11 +49,56 @@ export default class KanbanCard extends LightningElement {
   }
 
   get cardClass() {
-    return this.isSaving ? "kanban-card is-saving" : "kanban-card";
+    const classes = ["kanban-card"];
+    if (this.isSaving) {
+      classes.push("is-saving");
+    }
+    if (this.isSelected) {
+      classes.push("is-selected");
+    }
+    if (this.isGrabbed) {
+      classes.push("is-grabbed");
+    }
+    if (this.card?.isRemoteChange) {
+      classes.push("is-remote-change");
+    }
+    if (this.card?.accentColor) {
+      classes.push("has-accent");
+    }
+    return classes.join(" ");
+  }
+
+  get cardStyle() {
+    const color = this.card?.accentColor;
+    return color ? `--kanban-card-accent: ${color};` : null;
+  }
+
+  get cardBadges() {
+    return Array.isArray(this.card?.badges) ? this.card.badges : [];
+  }
+
+  get agingBadge() {
+    return this.card?.agingBadge || null;
+  }
+
+  get hasBadges() {
+    return this.cardBadges.length > 0 || Boolean(this.agingBadge);
+  }
+
+  get isSelected() {
+    return Boolean(this.card?.isSelected);
+  }
+
+  get isGrabbed() {
+    return Boolean(this.card?.isGrabbed);
+  }
+
+  get ariaRoleDescription() {
+    return this.isDraggable ? "Draggable card" : null;
   }
 
   get isDraggable() {
-    return !this.dragDisabled && !this.isSaving;
+    return !this.dragDisabled && !this.isSaving && !this.isEditingField;
   }
 
   get isSaving() {
@@ -60,13 +123,18 @@ export default class KanbanCard extends LightningElement {
         "text/plain",
         JSON.stringify({
           recordId,
-          columnKey: this.columnKey
+          columnKey: this.columnKey,
+          swimlaneKey: this.swimlaneKey
         })
       );
     }
     this.dispatchEvent(
       new CustomEvent("carddragstart", {
-        detail: { recordId, columnKey: this.columnKey },
+        detail: {
+          recordId,
+          columnKey: this.columnKey,
+          swimlaneKey: this.swimlaneKey
+        },
         bubbles: true,
         composed: true
       })
@@ -90,6 +158,49 @@ export default class KanbanCard extends LightningElement {
     );
   }
 
+  @api
+  focus() {
+    this.template.querySelector("article")?.focus();
+  }
+
+  // Space picks the card up; while held, the arrow keys, Space, and Escape steer the move.
+  handleCardKeydown(event) {
+    const key = KEYBOARD_DRAG_KEYS[event.key];
+    if (
+      !key ||
+      event.target !== event.currentTarget ||
+      !this.isDraggable ||
+      !this.cardId
+    ) {
+      return;
+    }
+    if (!this.isGrabbed && key !== "Space") {
+      return;
+    }
+    event.preventDefault();
+    this.dispatchEvent(
+      new CustomEvent("cardkeyboarddrag", {
+        detail: {
+          recordId: this.cardId,
+          columnKey: this.columnKey,
+          swimlaneKey: this.swimlaneKey,
+          title: this.cardTitle,
+          key
+        },
+        bubbles: true,
+        composed: true
+      })
+    );
+  }
+
+  handleCardClick(event) {
+    if (!isSelectionClick(event)) {
+      return;
+    }
+    event.preventDefault();
+    this.dispatchSelection(event);
+  }
+
   handleTitleClick(event) {
     event.preventDefault();
     event.stopPropagation();
@@ -97,6 +208,10 @@ export default class KanbanCard extends LightningElement {
     if (!recordId) {
       return;
     }
+    if (isSelectionClick(event)) {
+      this.dispatchSelection(event);
+      return;
+    }
     this.dispatchEvent(
       new CustomEvent("cardtitleclick", {
         detail: { recordId },
@@ -106,6 +221,45 @@ export default class KanbanCard extends LightningElement {
     );
   }
 
+  dispatchSelection(event) {
+    const recordId = this.cardId;
+    if (!recordId || this.isSaving) {
+      return;
+    }
+    this.dispatchEvent(
+      new CustomEvent("cardselect", {
+        detail: {
+          recordId,
+          columnKey: this.columnKey,
+          swimlaneKey: this.swimlaneKey,
+          rangeSelect: Boolean(event?.shiftKey)
+        },
+        bubbles: true,
+        composed: true
+      })
+    );
+  }
+
+  handleFieldEditStateChange(event) {
+    event.stopPropagation();
+    this.isEditingField = Boolean(event.detail?.isEditing);
+  }
+
+  handleFieldEdit(event) {
+    event.stopPropagation();
+    const recordId = this.cardId;
+    if (!recordId) {
+      return;
+    }
+    this.dispatchEvent(
+      new CustomEvent("cardfieldedit", {
+        detail: { ...event.detail, recordId },
+        bubbles: true,
+        composed: true
+      })
+    );
+  }
+
   handleExternalClick(event) {
     // Prevent the modal trigger when opening in a new tab.
     event?.stopPropagation?.();
@@ -1,5 +1,6 @@
 import { createElement } from "lwc";
 import KanbanCardField from "c/lresKanbanCardField";
+import { flushPromises } from "../../lresTestUtils/lresTestUtils";
 
 describe("c-lres-kanban-card-field", () => {
   afterEach(() => {
@@ -44,4 +45,128 @@ describe("c-lres-kanban-card-field", () => {
     expect(label.textContent).toContain("Status");
     expect(value.textContent).toContain("New");
   });
+
+  it("marks the search matches in the value", () => {
+    const element = buildComponent({
+      detail: {
+        label: "Subject",
+        value: "Paper jam",
+        highlightParts: [
+          { key: "0", text: "Paper", isMatch: true },
+          { key: "1", text: " jam", isMatch: false }
+        ]
+      }
+    });
+    const value = element.shadowRoot.querySelector(".kanban-card_field-value");
+    const marks = value.querySelectorAll("mark.kanban-card_field-match");
+    expect(value.textContent).toBe("Paper jam");
+    expect(marks).toHaveLength(1);
+    expect(marks[0].textContent).toBe("Paper");
+  });
+
+  const picklistDetail = {
+    label: "Stage",
+    value: "Open",
+    apiName: "StageName",
+    editor: {
+      type: "picklist",
+      fieldApiName: "StageName",
+      value: "open",
+      required: true,
+      options: [
+        { label: "Open", value: "open" },
+        { label: "Closed", value: "closed" }
+      ]
+    }
+  };
+
+  it("hides the edit button when the field has no editor or is disabled", async () => {
+    const element = buildComponent({
+      detail: { label: "Status", value: "New" }
+    });
+    expect(
+      element.shadowRoot.querySelector(".kanban-card_field-edit")
+    ).toBeNull();
+
+    element.detail = picklistDetail;
+    element.disabled = true;
+    await flushPromises();
+    expect(
+      element.shadowRoot.querySelector(".kanban-card_field-edit")
+    ).toBeNull();
+  });
+
+  it("saves a picklist change with the option label as display value", async () => {
+    const element = buildComponent({ detail: picklistDetail });
+    const editHandler = jest.fn();
+    const stateHandler = jest.fn();
+    element.addEventListener("fieldedit", editHandler);
+    element.addEventListener("editstatechange", stateHandler);
+
+    element.shadowRoot.querySelector(".kanban-card_field-edit").click();
+    await flushPromises();
+
+    const combobox = element.shadowRoot.querySelector("lightning-combobox");
+    expect(combobox.options).toEqual(picklistDetail.editor.options);
+    expect(stateHandler.mock.calls[0][0].detail).toEqual({ isEditing: true });
+
+    combobox.dispatchEvent(
+      new CustomEvent("change", { detail: { value: "closed" } })
+    );
+    element.shadowRoot.querySelector(".kanban-card_field-save").click();
+    await flushPromises();
+
+    expect(editHandler).toHaveBeenCalledTimes(1);
+    expect(editHandler.mock.calls[0][0].detail).toEqual({
+      fieldApiName: "StageName",
+      value: "closed",
+      displayValue: "Closed"
+    });
+    expect(stateHandler.mock.calls[1][0].detail).toEqual({ isEditing: false });
+    expect(element.shadowRoot.querySelector("lightning-combobox")).toBeNull();
+  });
+
+  it("cancels editing on Escape without saving", async () => {
+    const element = buildComponent({
+      detail: {
+        label: "Amount",
+        value: "10",
+        apiName: "Amount",
+        editor: {
+          type: "number",
+          fieldApiName: "Amount",
+          value: 10,
+          step: "0.01",
+          required: false
+        }
+      }
+    });
+    const editHandler = jest.fn();
+    element.addEventListener("fieldedit", editHandler);
+
+    element.shadowRoot.querySelector(".kanban-card_field-edit").click();
+    await flushPromises();
+    const input = element.shadowRoot.querySelector("lightning-input");
+    expect(input.type).toBe("number");
+    expect(input.step).toBe("0.01");
+
+    input.dispatchEvent(new CustomEvent("change", { detail: { value: "25" } }));
+    element.shadowRoot
+      .querySelector(".kanban-card_field-edit-row")
+      .dispatchEvent(
+        new KeyboardEvent("keydown", { key: "Escape", bubbles: true })
+      );
+    await flushPromises();
+
+    expect(editHandler).not.toHaveBeenCalled();
+    expect(element.shadowRoot.querySelector("lightning-input")).toBeNull();
+  });
+
+  it("shows the save error under the field", () => {
+    const element = buildComponent({
+      detail: { ...picklistDetail, editError: "Close date is required." }
+    });
+    const error = element.shadowRoot.querySelector(".kanban-card_field-error");
+    expect(error.textContent).toContain("Close date is required.");
+  });
 });
@@ -3,12 +3,170 @@ import { LightningElement, api } from "lwc";
 export default class KanbanCardField extends LightningElement {
   @api detail;
   @api showLabel = false;
+  @api disabled = false;
+
+  isEditing = false;
+  draftValue;
 
   get isParentBadge() {
     return Boolean(this.detail?.isParentBadge);
   }
 
+  get hasHighlights() {
+    return Boolean(this.detail?.highlightParts?.length);
+  }
+
   get wrapperClass() {
     return this.detail?.className || "kanban-card_field";
   }
+
+  get editor() {
+    return this.detail?.editor || null;
+  }
+
+  get isEditable() {
+    return Boolean(this.editor) && !this.disabled;
+  }
+
+  get editButtonLabel() {
+    return `Edit ${this.detail?.label ?? ""}`.trim();
+  }
+
+  get editError() {
+    return this.detail?.editError || null;
+  }
+
+  get isPicklistEditor() {
+    return this.editor?.type === "picklist";
+  }
+
+  get isLookupEditor() {
+    return this.editor?.type === "lookup";
+  }
+
+  get isCheckboxEditor() {
+    return this.editor?.type === "checkbox";
+  }
+
+  get isInputEditor() {
+    return ["text", "number", "date"].includes(this.editor?.type);
+  }
+
+  get inputType() {
+    return this.editor?.type || "text";
+  }
+
+  get picklistOptions() {
+    const options = this.editor?.options || [];
+    if (this.editor?.required) {
+      return options;
+    }
+    return [{ label: "--None--", value: "" }, ...options];
+  }
+
+  get draftChecked() {
+    return Boolean(this.draftValue);
+  }
+
+  handleEditClick(event) {
+    event.stopPropagation();
+    if (!this.isEditable) {
+      return;
+    }
+    this.draftValue = this.editor.value ?? "";
+    this.setEditing(true);
+    this.focusEditorNextTick();
+  }
+
+  handleDraftChange(event) {
+    event.stopPropagation();
+    if (this.isCheckboxEditor) {
+      this.draftValue = event.target.checked;
+      return;
+    }
+    if (this.isLookupEditor) {
+      this.draftValue = event.detail?.recordId ?? null;
+      return;
+    }
+    this.draftValue = event.detail?.value ?? event.target?.value;
+  }
+
+  handleEditorKeydown(event) {
+    if (event.key === "Escape" || event.key === "Esc") {
+      event.preventDefault();
+      event.stopPropagation();
+      this.handleCancel(event);
+      return;
+    }
+    if (event.key === "Enter" && this.isInputEditor) {
+      event.preventDefault();
+      this.handleSave(event);
+    }
+  }
+
+  handleSave(event) {
+    event?.stopPropagation?.();
+    const input = this.template.querySelector(".kanban-card_field-editor");
+    if (input?.reportValidity?.() === false) {
+      return;
+    }
+    const value = this.draftValue;
+    this.setEditing(false);
+    if (this.isUnchanged(value)) {
+      return;
+    }
+    this.dispatchEvent(
+      new CustomEvent("fieldedit", {
+        detail: {
+          fieldApiName: this.editor.fieldApiName,
+          value,
+          displayValue: this.resolveDisplayValue(value)
+        }
+      })
+    );
+  }
+
+  handleCancel(event) {
+    event?.stopPropagation?.();
+    this.setEditing(false);
+  }
+
+  handleEditorClick(event) {
+    // Keep clicks inside the editor from reaching the card's selection handling.
+    event.stopPropagation();
+  }
+
+  isUnchanged(value) {
+    const current = this.editor.value ?? "";
+    const next = value ?? "";
+    return String(current) === String(next);
+  }
+
+  resolveDisplayValue(value) {
+    if (value === null || value === undefined || value === "") {
+      return "--";
+    }
+    if (this.isPicklistEditor) {
+      const option = this.editor.options.find((item) => item.value === value);
+      return option ? option.label : value;
+    }
+    if (this.isLookupEditor) {
+      // The related record's name is not known until the board refreshes.
+      return null;
+    }
+    return String(value);
+  }
+
+  setEditing(isEditing) {
+    this.isEditing = isEditing;
+    this.dispatchEvent(
+      new CustomEvent("editstatechange", { detail: { isEditing } })
+    );
+  }
+
+  focusEditorNextTick() {
+    Promise.resolve().then(() => {
+      this.template.querySelector(".kanban-card_field-editor")?.focus?.();
+    });
+  }
 }
@@ -0,0 +1,68 @@
+import {
+  buildBarChart,
+  buildStackedAreaChart,
+  getNiceMax
+} from "../chartUtils";
+
+describe("chartUtils", () => {
+  it("rounds the axis maximum up to a readable value", () => {
+    expect(getNiceMax(0)).toBe(1);
+    expect(getNiceMax(3)).toBe(5);
+    expect(getNiceMax(7)).toBe(10);
+    expect(getNiceMax(12)).toBe(20);
+    expect(getNiceMax(480)).toBe(500);
+  });
+
+  it("stacks each series on top of the previous ones", () => {
+    const chart = buildStackedAreaChart({
+      labels: ["Mon", "Tue"],
+      series: [
+        { key: "done", label: "Done", values: [1, 2] },
+        { key: "open", label: "Open", values: [1, 2], color: "#c00" }
+      ]
+    });
+
+    expect(chart.max).toBe(5);
+    expect(chart.areas.map((area) => [area.key, area.color])).toEqual([
+      ["done", "#0176d3"],
+      ["open", "#c00"]
+    ]);
+    // Plot area runs from x 40 to 590 and y 176 (zero) to 10 (five).
+    expect(chart.areas[0].d).toBe("M40,142.8 L590,109.6 L590,176 L40,176 Z");
+    expect(chart.areas[1].d).toBe("M40,109.6 L590,43.2 L590,109.6 L40,142.8 Z");
+    expect(chart.yTicks.map((tick) => tick.label)).toEqual([
+      "0",
+      "1.3",
+      "2.5",
+      "3.8",
+      "5"
+    ]);
+    expect(chart.xTicks.map((tick) => [tick.label, tick.x])).toEqual([
+      ["Mon", 40],
+      ["Tue", 590]
+    ]);
+  });
+
+  it("lays out one bar per label and thins out long axes", () => {
+    const labels = Array.from({ length: 13 }, (value, index) => `W${index}`);
+    const chart = buildBarChart({
+      labels,
+      values: labels.map((label, index) => index)
+    });
+
+    expect(chart.max).toBe(20);
+    expect(chart.bars).toHaveLength(13);
+    expect(chart.bars[10]).toEqual(
+      expect.objectContaining({ height: 83, y: 93, title: "W10: 10" })
+    );
+    expect(chart.xTicks.map((tick) => tick.label)).toEqual([
+      "W0",
+      "W2",
+      "W4",
+      "W6",
+      "W8",
+      "W10",
+      "W12"
+    ]);
+  });
+});
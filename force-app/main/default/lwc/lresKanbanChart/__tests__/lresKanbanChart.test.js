@@ -0,0 +1,55 @@
+import { createElement } from "lwc";
+import KanbanChart from "c/lresKanbanChart";
+
+describe("c-lres-kanban-chart", () => {
+  afterEach(() => {
+    while (document.body.firstChild) {
+      document.body.removeChild(document.body.firstChild);
+    }
+  });
+
+  const buildComponent = (props = {}) => {
+    const element = createElement("c-lres-kanban-chart", {
+      is: KanbanChart
+    });
+    Object.assign(element, props);
+    document.body.appendChild(element);
+    return element;
+  };
+
+  it("draws one area per series with a legend in stack order", () => {
+    const element = buildComponent({
+      type: "area",
+      chartTitle: "Cards per column",
+      labels: ["Mon", "Tue"],
+      series: [
+        { key: "Closed", label: "Closed", values: [1, 2] },
+        { key: "Open", label: "Open", values: [3, 1] }
+      ]
+    });
+
+    const svg = element.shadowRoot.querySelector("svg");
+    expect(svg.getAttribute("aria-label")).toBe("Cards per column");
+    expect(element.shadowRoot.querySelectorAll("path")).toHaveLength(2);
+    const legend = element.shadowRoot.querySelectorAll(
+      ".kanban-chart_legend-item"
+    );
+    expect(Array.from(legend, (item) => item.textContent.trim())).toEqual([
+      "Open",
+      "Closed"
+    ]);
+  });
+
+  it("draws bars from the first series without a legend", () => {
+    const element = buildComponent({
+      type: "bar",
+      labels: ["W1", "W2", "W3"],
+      series: [{ key: "done", label: "Done", values: [2, 0, 4] }]
+    });
+
+    const bars = element.shadowRoot.querySelectorAll("rect");
+    expect(bars).toHaveLength(3);
+    expect(bars[2].querySelector("title").textContent).toBe("W3: 4");
+    expect(element.shadowRoot.querySelector(".kanban-chart_legend")).toBeNull();
+  });
+});
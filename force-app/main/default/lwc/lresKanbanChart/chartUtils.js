@@ -0,0 +1,183 @@
+// Coordinates are in the chart's SVG viewBox units; the SVG scales to its container.
+export const CHART_WIDTH = 600;
+export const CHART_HEIGHT = 200;
+const PADDING = { top: 10, right: 10, bottom: 24, left: 40 };
+const Y_TICK_COUNT = 4;
+const MAX_X_LABELS = 7;
+
+export const CHART_COLORS = [
+  "#0176d3",
+  "#2e844a",
+  "#dd7a01",
+  "#9050e9",
+  "#0b827c",
+  "#e3066a",
+  "#ba0517",
+  "#fcc003",
+  "#747474",
+  "#3ba755"
+];
+
+function toNumber(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : 0;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Rounds a maximum up to a readable axis maximum (1, 2, or 5 times a power of ten).
+ *
+ * @param {number} value Largest value on the chart.
+ * @returns {number} Axis maximum, at least 1.
+ */
+export function getNiceMax(value) {
+  const max = toNumber(value);
+  if (max <= 1) {
+    return 1;
+  }
+  const magnitude = 10 ** Math.floor(Math.log10(max));
+  const step = [1, 2, 5, 10].find((factor) => factor * magnitude >= max);
+  return step * magnitude;
+}
+
+function getPlotArea() {
+  return {
+    left: PADDING.left,
+    right: CHART_WIDTH - PADDING.right,
+    top: PADDING.top,
+    bottom: CHART_HEIGHT - PADDING.bottom
+  };
+}
+
+function buildYTicks(max, area) {
+  const ticks = [];
+  for (let index = 0; index <= Y_TICK_COUNT; index += 1) {
+    const value = (max / Y_TICK_COUNT) * index;
+    const y = round(
+      area.bottom - ((area.bottom - area.top) * index) / Y_TICK_COUNT
+    );
+    ticks.push({
+      key: `y-${index}`,
+      label: Number.isInteger(value) ? String(value) : value.toFixed(1),
+      y,
+      x1: area.left,
+      x2: area.right,
+      labelX: area.left - 4
+    });
+  }
+  return ticks;
+}
+
+// Labels every nth point so the axis stays readable on long ranges.
+function buildXTicks(labels, getX) {
+  const count = labels.length;
+  const step = Math.max(1, Math.ceil(count / MAX_X_LABELS));
+  const ticks = [];
+  for (let index = 0; index < count; index += step) {
+    ticks.push({
+      key: `x-${index}`,
+      label: labels[index],
+      x: round(getX(index)),
+      y: CHART_HEIGHT - 6
+    });
+  }
+  return ticks;
+}
+
+/**
+ * Lays out a stacked area chart. The first series is drawn at the bottom of the stack.
+ *
+ * @param {Object} input
+ * @param {Array<string>} input.labels Label of each point along the x axis.
+ * @param {Array<{key: string, label: string, values: Array<number>, color?: string}>}
+ *   input.series Series to stack; each has one value per label.
+ * @returns {{areas: Array<Object>, xTicks: Array<Object>, yTicks: Array<Object>,
+ *   max: number}}
+ */
+export function buildStackedAreaChart({ labels = [], series = [] } = {}) {
+  const area = getPlotArea();
+  const count = labels.length;
+  const totals = labels.map((label, index) =>
+    series.reduce((sum, entry) => sum + toNumber(entry.values?.[index]), 0)
+  );
+  const max = getNiceMax(Math.max(0, ...totals));
+  const step = count > 1 ? (area.right - area.left) / (count - 1) : 0;
+  const getX = (index) => area.left + step * index;
+  const getY = (value) =>
+    area.bottom - ((area.bottom - area.top) * value) / max;
+
+  const baseline = labels.map(() => 0);
+  const areas = series.map((entry, seriesIndex) => {
+    const lower = [...baseline];
+    const upper = lower.map(
+      (value, index) => value + toNumber(entry.values?.[index])
+    );
+    upper.forEach((value, index) => {
+      baseline[index] = value;
+    });
+    const top = upper.map(
+      (value, index) => `${round(getX(index))},${round(getY(value))}`
+    );
+    const bottom = lower
+      .map((value, index) => `${round(getX(index))},${round(getY(value))}`)
+      .reverse();
+    return {
+      key: entry.key,
+      label: entry.label,
+      color: entry.color || CHART_COLORS[seriesIndex % CHART_COLORS.length],
+      d: count ? `M${top.join(" L")} L${bottom.join(" L")} Z` : ""
+    };
+  });
+
+  return {
+    areas,
+    xTicks: buildXTicks(labels, getX),
+    yTicks: buildYTicks(max, area),
+    max
+  };
+}
+
+/**
+ * Lays out a bar chart with one bar per label.
+ *
+ * @param {Object} input
+ * @param {Array<string>} input.labels Label of each bar.
+ * @param {Array<number>} input.values Value of each bar.
+ * @param {string} [input.color] Bar color.
+ * @returns {{bars: Array<Object>, xTicks: Array<Object>, yTicks: Array<Object>,
+ *   max: number}}
+ */
+export function buildBarChart({
+  labels = [],
+  values = [],
+  color = CHART_COLORS[0]
+} = {}) {
+  const area = getPlotArea();
+  const count = labels.length;
+  const max = getNiceMax(Math.max(0, ...values.map(toNumber)));
+  const slot = count ? (area.right - area.left) / count : 0;
+  const barWidth = round(slot * 0.7);
+  const getCenter = (index) => area.left + slot * index + slot / 2;
+  const bars = labels.map((label, index) => {
+    const value = toNumber(values[index]);
+    const height = round(((area.bottom - area.top) * value) / max);
+    return {
+      key: `bar-${index}`,
+      x: round(getCenter(index) - barWidth / 2),
+      y: round(area.bottom - height),
+      width: barWidth,
+      height,
+      color,
+      title: `${label}: ${value}`
+    };
+  });
+  return {
+    bars,
+    xTicks: buildXTicks(labels, getCenter),
+    yTicks: buildYTicks(max, area),
+    max
+  };
+}
@@ -0,0 +1,43 @@
+import { LightningElement, api } from "lwc";
+import { buildBarChart, buildStackedAreaChart } from "./chartUtils";
+
+/**
+ * Draws a small SVG chart: a stacked area chart (`type="area"`) or a bar chart
+ * (`type="bar"`, first series only). It has no external dependencies.
+ */
+export default class KanbanChart extends LightningElement {
+  @api type = "area";
+  @api labels = [];
+  @api series = [];
+  @api chartTitle = "";
+
+  get isBar() {
+    return this.type === "bar";
+  }
+
+  get chart() {
+    const labels = Array.isArray(this.labels) ? this.labels : [];
+    const series = Array.isArray(this.series) ? this.series : [];
+    if (this.isBar) {
+      return buildBarChart({
+        labels,
+        values: series[0]?.values || [],
+        color: series[0]?.color
+      });
+    }
+    return buildStackedAreaChart({ labels, series });
+  }
+
+  get hasLegend() {
+    return !this.isBar && this.legendItems.length > 1;
+  }
+
+  // Listed top to bottom, matching the order of the stack.
+  get legendItems() {
+    return [...(this.chart.areas || [])].reverse().map((area) => ({
+      key: area.key,
+      label: area.label,
+      swatchStyle: `background-color: ${area.color};`
+    }));
+  }
+}
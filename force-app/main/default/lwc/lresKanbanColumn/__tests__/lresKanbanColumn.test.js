@@ -30,6 +30,174 @@ describe("c-lres-kanban-column", () => {
     expect(section.className).toContain("is-drop-target");
   });
 
+  it("shows the count against the WIP limit and flags breaches", () => {
+    const element = buildComponent({
+      column: {
+        key: "A",
+        label: "A",
+        count: 7,
+        records: [],
+        wipLimit: { max: 5, min: null }
+      }
+    });
+    const section = element.shadowRoot.querySelector("section");
+    const count = element.shadowRoot.querySelector(".kanban-column_count");
+    expect(count.textContent.trim()).toBe("7 / 5");
+    expect(count.className).toContain("kanban-column_count--over-limit");
+    expect(count.title).toBe("Over WIP limit of 5");
+    expect(section.className).toContain("is-over-wip-limit");
+  });
+
+  it("checks WIP limits against the full column count when cards are filtered out", () => {
+    const element = buildComponent({
+      column: {
+        key: "A",
+        label: "A",
+        count: 2,
+        records: [],
+        wipLimit: { max: 5, min: null },
+        wipCount: 6
+      }
+    });
+    const count = element.shadowRoot.querySelector(".kanban-column_count");
+    expect(count.textContent.trim()).toBe("6 / 5");
+    expect(count.className).toContain("kanban-column_count--over-limit");
+  });
+
+  it("flags columns below their WIP minimum without a maximum", () => {
+    const element = buildComponent({
+      column: {
+        key: "A",
+        label: "A",
+        count: 0,
+        records: [],
+        wipLimit: { max: null, min: 2 }
+      }
+    });
+    const section = element.shadowRoot.querySelector("section");
+    const count = element.shadowRoot.querySelector(".kanban-column_count");
+    expect(count.textContent.trim()).toBe("0");
+    expect(count.className).toContain("kanban-column_count--under-limit");
+    expect(section.className).not.toContain("is-over-wip-limit");
+  });
+
+  it("shows server totals with a marker in place of the loaded count", () => {
+    const element = buildComponent({
+      column: {
+        key: "A",
+        label: "A",
+        count: 200,
+        records: [],
+        summaries: [
+          { key: "s", label: "Total", value: "$9", isServerTotal: true }
+        ],
+        serverTotals: {
+          count: 3412,
+          countLabel: "3,412",
+          title: "3,412 records in total; 200 loaded on the board"
+        }
+      }
+    });
+    const count = element.shadowRoot.querySelector(".kanban-column_count");
+    expect(count.textContent.replace(/\s/g, "")).toBe("3,412*");
+    expect(count.title).toBe("3,412 records in total; 200 loaded on the board");
+    const summary = element.shadowRoot.querySelector(
+      ".kanban-column_summary-value"
+    );
+    expect(summary.querySelector(".kanban-column_total-marker").title).toBe(
+      "Includes records not loaded on the board"
+    );
+  });
+
+  it("shows the create button only when creation is enabled", () => {
+    const element = buildComponent({
+      column: { key: "A", label: "Active", count: 0, records: [] },
+      swimlaneKey: "High"
+    });
+    expect(
+      element.shadowRoot.querySelector(".kanban-column_create")
+    ).toBeNull();
+  });
+
+  it("emits columncreate with the column and swimlane keys", () => {
+    const element = buildComponent({
+      column: { key: "A", label: "Active", count: 0, records: [] },
+      swimlaneKey: "High",
+      canCreate: true
+    });
+    const handler = jest.fn();
+    element.addEventListener("columncreate", handler);
+
+    const button = element.shadowRoot.querySelector(".kanban-column_create");
+    expect(button.alternativeText).toBe("New record in Active");
+    button.click();
+
+    expect(handler.mock.calls[0][0].detail).toEqual({
+      columnKey: "A",
+      swimlaneKey: "High"
+    });
+  });
+
+  it("shows the paging footer and emits columnloadmore", () => {
+    const element = buildComponent({
+      column: {
+        key: "A",
+        label: "Active",
+        count: 1,
+        records: [],
+        pagination: {
+          loaded: 200,
+          total: 3412,
+          label: "Showing 200 of 3,412",
+          isLoading: false,
+          canLoadMore: true
+        }
+      }
+    });
+    const handler = jest.fn();
+    element.addEventListener("columnloadmore", handler);
+
+    const label = element.shadowRoot.querySelector(
+      ".kanban-column_pagination-label"
+    );
+    expect(label.textContent).toBe("Showing 200 of 3,412");
+    element.shadowRoot.querySelector(".kanban-column_load-more").click();
+
+    expect(handler.mock.calls[0][0].detail).toEqual({ columnKey: "A" });
+  });
+
+  it("hides the paging footer when the column is fully loaded", () => {
+    const element = buildComponent({
+      column: { key: "A", label: "Active", count: 1, records: [] }
+    });
+    expect(
+      element.shadowRoot.querySelector(".kanban-column_footer")
+    ).toBeNull();
+  });
+
+  it("flags cards changed by other users", () => {
+    const element = buildComponent({
+      column: {
+        key: "A",
+        label: "A",
+        count: 2,
+        records: [
+          { id: "1", title: "Card 1", details: [] },
+          { id: "2", title: "Card 2", details: [] }
+        ]
+      },
+      changedRecordIds: ["2"]
+    });
+
+    const cards = Array.from(
+      element.shadowRoot.querySelectorAll("c-lres-kanban-card")
+    );
+    expect(cards.map((card) => Boolean(card.card.isRemoteChange))).toEqual([
+      false,
+      true
+    ]);
+  });
+
   it("emits drag over/enter/leave events with column key", () => {
     const element = buildComponent({
       column: { key: "A", label: "A", count: 1, records: [] }
@@ -79,7 +247,173 @@ describe("c-lres-kanban-column", () => {
         detail: {
           recordId: "1",
           sourceColumnKey: "Source",
-          targetColumnKey: "Target"
+          targetColumnKey: "Target",
+          beforeRecordId: null
+        }
+      })
+    );
+  });
+
+  it("collapses to a strip with the label and count", () => {
+    const element = buildComponent({
+      column: {
+        key: "A",
+        label: "Alpha",
+        count: 2,
+        records: [{ id: "1", title: "One", details: [] }],
+        isCollapsed: true
+      }
+    });
+    const handler = jest.fn();
+    element.addEventListener("columncollapsetoggle", handler);
+
+    const section = element.shadowRoot.querySelector("section");
+    expect(section.className).toContain("kanban-column--collapsed");
+    expect(element.shadowRoot.querySelector("header")).toBeNull();
+    expect(element.shadowRoot.querySelector("c-lres-kanban-card")).toBeNull();
+    expect(
+      element.shadowRoot.querySelector(".kanban-column_collapsed-title")
+        .textContent
+    ).toBe("Alpha");
+    expect(
+      element.shadowRoot.querySelector(".kanban-column_count").textContent
+    ).toBe("2");
+
+    element.shadowRoot.querySelector(".kanban-column_expand").click();
+    expect(handler.mock.calls[0][0].detail).toEqual({ columnKey: "A" });
+  });
+
+  it("emits columncollapsetoggle from the header button", () => {
+    const element = buildComponent({
+      column: { key: "A", label: "Alpha", count: 0, records: [] }
+    });
+    const handler = jest.fn();
+    element.addEventListener("columncollapsetoggle", handler);
+
+    const button = element.shadowRoot.querySelector(".kanban-column_collapse");
+    expect(button.alternativeText).toBe("Collapse Alpha");
+    button.click();
+
+    expect(handler.mock.calls[0][0].detail).toEqual({ columnKey: "A" });
+  });
+
+  it("drags headers and emits columnreorder when a column is dropped", () => {
+    const element = buildComponent({
+      column: { key: "Target", label: "Target", count: 0, records: [] }
+    });
+    const reorderHandler = jest.fn();
+    const dropHandler = jest.fn();
+    element.addEventListener("columnreorder", reorderHandler);
+    element.addEventListener("columndrop", dropHandler);
+
+    const dataTransfer = createDataTransfer();
+    const dragStart = new CustomEvent("dragstart", { cancelable: true });
+    dragStart.dataTransfer = dataTransfer;
+    const header = element.shadowRoot.querySelector("header");
+    expect(header.getAttribute("draggable")).toBe("true");
+    header.dispatchEvent(dragStart);
+    expect(JSON.parse(dataTransfer.getData("text/plain"))).toEqual({
+      type: "column",
+      columnKey: "Target"
+    });
+
+    dataTransfer.setData(
+      "text/plain",
+      JSON.stringify({ type: "column", columnKey: "Source" })
+    );
+    const dropEvent = new CustomEvent("drop", { cancelable: true });
+    dropEvent.dataTransfer = dataTransfer;
+    element.shadowRoot.querySelector("section").dispatchEvent(dropEvent);
+
+    expect(reorderHandler.mock.calls[0][0].detail).toEqual({
+      sourceColumnKey: "Source",
+      targetColumnKey: "Target"
+    });
+    expect(dropHandler).not.toHaveBeenCalled();
+  });
+
+  it("reports the card the drop landed above", () => {
+    const element = buildComponent({
+      column: {
+        key: "Target",
+        label: "Target",
+        count: 3,
+        records: [
+          { id: "a", title: "A", details: [] },
+          { id: "b", title: "B", details: [] },
+          { id: "c", title: "C", details: [] }
+        ]
+      }
+    });
+    const dropHandler = jest.fn();
+    element.addEventListener("columndrop", dropHandler);
+
+    const cards = element.shadowRoot.querySelectorAll("c-lres-kanban-card");
+    cards.forEach((card, index) => {
+      card.getBoundingClientRect = () => ({ top: index * 100, height: 100 });
+    });
+
+    const dataTransfer = createDataTransfer();
+    dataTransfer.getData = jest.fn(() =>
+      JSON.stringify({ recordId: "a", columnKey: "Target" })
+    );
+    const dropEvent = new CustomEvent("drop", {
+      bubbles: true,
+      cancelable: true
+    });
+    dropEvent.dataTransfer = dataTransfer;
+    dropEvent.clientY = 170;
+    element.shadowRoot.querySelector("section").dispatchEvent(dropEvent);
+
+    expect(dropHandler.mock.calls[0][0].detail).toEqual(
+      expect.objectContaining({ recordId: "a", beforeRecordId: "c" })
+    );
+  });
+
+  it("includes swimlane keys in drop and drag events when set", () => {
+    const element = buildComponent({
+      column: { key: "Target", label: "Target", count: 0, records: [] },
+      swimlaneKey: "Low"
+    });
+    const dropHandler = jest.fn();
+    const enterHandler = jest.fn();
+    element.addEventListener("columndrop", dropHandler);
+    element.addEventListener("columndragenter", enterHandler);
+
+    const section = element.shadowRoot.querySelector("section");
+    section.dispatchEvent(
+      new CustomEvent("dragenter", { bubbles: true, cancelable: true })
+    );
+    expect(enterHandler).toHaveBeenCalledWith(
+      expect.objectContaining({
+        detail: { columnKey: "Target", dropKey: "Low::Target" }
+      })
+    );
+
+    const dataTransfer = createDataTransfer();
+    dataTransfer.getData = jest.fn(() =>
+      JSON.stringify({
+        recordId: "1",
+        columnKey: "Source",
+        swimlaneKey: "High"
+      })
+    );
+    const dropEvent = new CustomEvent("drop", {
+      bubbles: true,
+      cancelable: true
+    });
+    dropEvent.dataTransfer = dataTransfer;
+    section.dispatchEvent(dropEvent);
+
+    expect(dropHandler).toHaveBeenCalledWith(
+      expect.objectContaining({
+        detail: {
+          recordId: "1",
+          sourceColumnKey: "Source",
+          targetColumnKey: "Target",
+          sourceSwimlaneKey: "High",
+          targetSwimlaneKey: "Low",
+          beforeRecordId: null
         }
       })
     );
@@ -223,6 +557,44 @@ describe("c-lres-kanban-column", () => {
       expect(cardElements).toHaveLength(10);
     });
 
+    it("renders every card without paging controls in print mode", async () => {
+      const records = Array.from({ length: 15 }, (_, index) => ({
+        id: String(index + 1),
+        title: `Card ${index + 1}`,
+        details: []
+      }));
+      const element = buildComponent({
+        column: {
+          key: "A",
+          label: "A",
+          count: 15,
+          records,
+          pagination: { label: "Showing 15 of 40", canLoadMore: true }
+        },
+        enableVirtualization: true,
+        canCreate: true,
+        printMode: true
+      });
+      await flushPromises();
+
+      expect(
+        element.shadowRoot.querySelectorAll("c-lres-kanban-card")
+      ).toHaveLength(15);
+      expect(
+        element.shadowRoot.querySelector(".kanban-column--print")
+      ).not.toBeNull();
+      expect(
+        element.shadowRoot.querySelector(".kanban-column_create")
+      ).toBeNull();
+      expect(
+        element.shadowRoot.querySelector(".kanban-column_load-more")
+      ).toBeNull();
+      expect(
+        element.shadowRoot.querySelector(".kanban-column_pagination-label")
+          .textContent
+      ).toBe("Showing 15 of 40");
+    });
+
     it("updates the windowed slice on scroll after measuring height", async () => {
       Element.prototype.getBoundingClientRect = jest.fn(() => ({
         height: 20,
@@ -299,7 +671,8 @@ describe("c-lres-kanban-column", () => {
           detail: {
             recordId: "invalid JSON",
             sourceColumnKey: undefined,
-            targetColumnKey: "Target"
+            targetColumnKey: "Target",
+            beforeRecordId: null
           }
         })
       );
@@ -11,6 +11,7 @@ const VIRTUAL_BUFFER = 5;
 export default class KanbanColumn extends LightningElement {
   _column = { key: null, label: "", count: 0, records: [] };
   _enableVirtualization = false;
+  _printMode = false;
   _cardDisplayConfigKey;
   _rowHeight = null;
   _visibleStartIndex = 0;
@@ -36,6 +37,11 @@ export default class KanbanColumn extends LightningElement {
   @api showCardFieldLabels = false;
   @api dragDisabled = false;
   @api activeDropKey;
+  @api swimlaneKey;
+  @api selectedRecordIds = [];
+  @api changedRecordIds = [];
+  @api grabbedRecordId;
+  @api canCreate = false;
   @api
   get enableVirtualization() {
     return this._enableVirtualization;
@@ -50,6 +56,26 @@ export default class KanbanColumn extends LightningElement {
     this.resetVirtualizationState();
   }
 
+  /**
+   * Print mode renders every card and lets the column grow to fit them, so printed
+   * boards are not clipped.
+   *
+   * @returns {boolean}
+   */
+  @api
+  get printMode() {
+    return this._printMode;
+  }
+
+  set printMode(value) {
+    const normalized = normalizeBoolean(value);
+    if (normalized === this._printMode) {
+      return;
+    }
+    this._printMode = normalized;
+    this.resetVirtualizationState();
+  }
+
   @api
   get cardDisplayConfigKey() {
     return this._cardDisplayConfigKey;
@@ -63,10 +89,37 @@ export default class KanbanColumn extends LightningElement {
     this.resetVirtualizationState();
   }
 
+  /**
+   * Moves focus to a rendered card, used to keep keyboard focus on a card after a move.
+   *
+   * @param {string} recordId Id of the card to focus.
+   * @returns {boolean} True when the card was found in this column.
+   */
+  @api
+  focusCard(recordId) {
+    const cards = this.template.querySelectorAll("c-lres-kanban-card");
+    for (const cardElement of cards) {
+      if (cardElement.card?.id === recordId) {
+        cardElement.focus();
+        return true;
+      }
+    }
+    return false;
+  }
+
   get columnKey() {
     return this._column?.key;
   }
 
+  // Columns repeat in every swimlane, so drop highlighting is keyed per cell.
+  get dropKey() {
+    const columnKey = this.columnKey;
+    if (!columnKey || !this.swimlaneKey) {
+      return columnKey;
+    }
+    return `${this.swimlaneKey}::${columnKey}`;
+  }
+
   get columnLabel() {
     return this._column?.label ?? "";
   }
@@ -76,6 +129,63 @@ export default class KanbanColumn extends LightningElement {
     return typeof count === "number" ? count : "";
   }
 
+  get wipLimit() {
+    return this._column?.wipLimit || null;
+  }
+
+  get serverTotals() {
+    return this._column?.serverTotals || null;
+  }
+
+  // Server totals replace the loaded count when the board holds only part of a column.
+  get displayCount() {
+    return this.serverTotals ? this.serverTotals.countLabel : this.columnCount;
+  }
+
+  // Limits count every record in the column, including cards hidden by search or filters.
+  get wipCount() {
+    const count = this._column?.wipCount;
+    return typeof count === "number" ? count : Number(this.columnCount);
+  }
+
+  get columnCountLabel() {
+    const max = this.wipLimit?.max;
+    if (max === null || max === undefined) {
+      return this.displayCount;
+    }
+    return `${this.wipCount} / ${max}`;
+  }
+
+  get isOverWipLimit() {
+    const max = this.wipLimit?.max;
+    return max !== null && max !== undefined && this.wipCount > max;
+  }
+
+  get isUnderWipLimit() {
+    const min = this.wipLimit?.min;
+    return min !== null && min !== undefined && this.wipCount < min;
+  }
+
+  get countTitle() {
+    if (this.isOverWipLimit) {
+      return `Over WIP limit of ${this.wipLimit.max}`;
+    }
+    if (this.isUnderWipLimit) {
+      return `Under WIP minimum of ${this.wipLimit.min}`;
+    }
+    return this.serverTotals?.title || null;
+  }
+
+  get countClass() {
+    if (this.isOverWipLimit) {
+      return "kanban-column_count kanban-column_count--over-limit";
+    }
+    if (this.isUnderWipLimit) {
+      return "kanban-column_count kanban-column_count--under-limit";
+    }
+    return "kanban-column_count";
+  }
+
   get columnRecords() {
     return Array.isArray(this._column?.records) ? this._column.records : [];
   }
@@ -89,7 +199,7 @@ export default class KanbanColumn extends LightningElement {
     if (summaries.length === 0) {
       return summaries;
     }
-    if (this.columnCount > 0) {
+    if (this.columnCount > 0 || this.serverTotals) {
       return summaries;
     }
     return summaries.map((summary) => ({
@@ -108,7 +218,15 @@ export default class KanbanColumn extends LightningElement {
   }
 
   get useVirtualization() {
-    return this._enableVirtualization && this.totalRecordCount > 0;
+    return (
+      this._enableVirtualization &&
+      !this._printMode &&
+      this.totalRecordCount > 0
+    );
+  }
+
+  get showCreateButton() {
+    return this.canCreate && !this._printMode;
   }
 
   get isWindowed() {
@@ -128,6 +246,30 @@ export default class KanbanColumn extends LightningElement {
     );
   }
 
+  get displayRecords() {
+    const selected = Array.isArray(this.selectedRecordIds)
+      ? this.selectedRecordIds
+      : [];
+    const changed = Array.isArray(this.changedRecordIds)
+      ? this.changedRecordIds
+      : [];
+    const grabbedId = this.grabbedRecordId;
+    if (!selected.length && !changed.length && !grabbedId) {
+      return this.visibleRecords;
+    }
+    const selectedIds = new Set(selected);
+    const changedIds = new Set(changed);
+    return this.visibleRecords.map((card) => {
+      const isSelected = selectedIds.has(card.id);
+      const isGrabbed = Boolean(grabbedId) && card.id === grabbedId;
+      const isRemoteChange = changedIds.has(card.id);
+      if (!isSelected && !isGrabbed && !isRemoteChange) {
+        return card;
+      }
+      return { ...card, isSelected, isGrabbed, isRemoteChange };
+    });
+  }
+
   get topSpacerStyle() {
     if (!this.isWindowed) {
       return "";
@@ -154,15 +296,43 @@ export default class KanbanColumn extends LightningElement {
     return `height: ${bottom}px;`;
   }
 
+  // Print mode shows collapsed columns in full so their cards are printed.
+  get isCollapsed() {
+    return Boolean(this._column?.isCollapsed) && !this._printMode;
+  }
+
+  get headerDraggable() {
+    return this._printMode ? "false" : "true";
+  }
+
+  get collapseButtonLabel() {
+    return `Collapse ${this.columnLabel}`;
+  }
+
+  get expandButtonLabel() {
+    return `Expand ${this.columnLabel}`;
+  }
+
   get sectionClass() {
-    return `kanban-column${this.activeDrop ? " is-drop-target" : ""}`;
+    const classes = ["kanban-column"];
+    if (this.isCollapsed) {
+      classes.push("kanban-column--collapsed");
+    }
+    if (this.activeDrop) {
+      classes.push("is-drop-target");
+    }
+    if (this.isOverWipLimit) {
+      classes.push("is-over-wip-limit");
+    }
+    if (this._printMode) {
+      classes.push("kanban-column--print");
+    }
+    return classes.join(" ");
   }
 
   get activeDrop() {
     return (
-      this.activeDropKey &&
-      this.columnKey &&
-      this.activeDropKey === this.columnKey
+      this.activeDropKey && this.dropKey && this.activeDropKey === this.dropKey
     );
   }
 
@@ -286,6 +456,27 @@ export default class KanbanColumn extends LightningElement {
     }
   }
 
+  /**
+   * Starts dragging the column by its header. The payload is marked as a column so
+   * the drop is read as a reorder rather than a card move.
+   *
+   * @param {DragEvent} event Drag start event from the header.
+   */
+  handleHeaderDragStart(event) {
+    if (this._printMode || !this.columnKey) {
+      event.preventDefault();
+      return;
+    }
+    const dataTransfer = event.dataTransfer;
+    if (dataTransfer) {
+      dataTransfer.effectAllowed = "move";
+      dataTransfer.setData(
+        "text/plain",
+        JSON.stringify({ type: "column", columnKey: this.columnKey })
+      );
+    }
+  }
+
   handleDrop(event) {
     event.preventDefault();
     const payload = event.dataTransfer?.getData("text/plain");
@@ -297,6 +488,19 @@ export default class KanbanColumn extends LightningElement {
         data = { recordId: payload };
       }
     }
+    if (data?.type === "column") {
+      this.dispatchEvent(
+        new CustomEvent("columnreorder", {
+          detail: {
+            sourceColumnKey: data.columnKey,
+            targetColumnKey: this.columnKey
+          },
+          bubbles: true,
+          composed: true
+        })
+      );
+      return;
+    }
     if (!data?.recordId) {
       return;
     }
@@ -305,7 +509,13 @@ export default class KanbanColumn extends LightningElement {
         detail: {
           recordId: data.recordId,
           sourceColumnKey: data.columnKey,
-          targetColumnKey: this.columnKey
+          targetColumnKey: this.columnKey,
+          sourceSwimlaneKey: data.swimlaneKey,
+          targetSwimlaneKey: this.swimlaneKey,
+          beforeRecordId: this.resolveBeforeRecordId(
+            event.clientY,
+            data.recordId
+          )
         },
         bubbles: true,
         composed: true
@@ -313,10 +523,91 @@ export default class KanbanColumn extends LightningElement {
     );
   }
 
+  /**
+   * Finds the card the dragged card was dropped above by comparing the pointer with the
+   * vertical midpoint of each rendered card.
+   *
+   * @param {number} clientY Pointer position of the drop event.
+   * @param {string} recordId Id of the dragged card, which is skipped.
+   * @returns {string|null} Id of the card below the drop point, or `null` for the end.
+   */
+  resolveBeforeRecordId(clientY, recordId) {
+    if (typeof clientY !== "number") {
+      return null;
+    }
+    const cards = this.template.querySelectorAll("c-lres-kanban-card");
+    for (const cardElement of cards) {
+      const cardId = cardElement.card?.id;
+      if (!cardId || cardId === recordId) {
+        continue;
+      }
+      const rect = cardElement.getBoundingClientRect();
+      if (clientY < rect.top + rect.height / 2) {
+        return cardId;
+      }
+    }
+    return null;
+  }
+
+  get pagination() {
+    return this._column?.pagination || null;
+  }
+
+  get showLoadMore() {
+    return Boolean(this.pagination?.canLoadMore) && !this._printMode;
+  }
+
+  get isLoadMoreDisabled() {
+    return Boolean(this.pagination?.isLoading);
+  }
+
+  handleLoadMoreClick(event) {
+    event?.stopPropagation?.();
+    if (this.isLoadMoreDisabled) {
+      return;
+    }
+    this.dispatchEvent(
+      new CustomEvent("columnloadmore", {
+        detail: { columnKey: this.columnKey },
+        bubbles: true,
+        composed: true
+      })
+    );
+  }
+
+  get createButtonLabel() {
+    return `New record in ${this.columnLabel}`;
+  }
+
+  handleCreateClick(event) {
+    event?.stopPropagation?.();
+    if (this.dragDisabled) {
+      return;
+    }
+    this.dispatchEvent(
+      new CustomEvent("columncreate", {
+        detail: { columnKey: this.columnKey, swimlaneKey: this.swimlaneKey },
+        bubbles: true,
+        composed: true
+      })
+    );
+  }
+
+  handleCollapseToggle(event) {
+    event?.stopPropagation?.();
+    this.dispatchEvent(
+      new CustomEvent("columncollapsetoggle", {
+        detail: { columnKey: this.columnKey },
+        bubbles: true,
+        composed: true
+      })
+    );
+  }
+
   dispatchColumnEvent(name) {
     this.dispatchEvent(
       new CustomEvent(name, {
-        detail: { columnKey: this.columnKey },
+        detail: { columnKey: this.columnKey, dropKey: this.dropKey },
         bubbles: true,
         composed: true
       })
@@ -0,0 +1,62 @@
+import {
+  buildAgingBadge,
+  getAgingDays,
+  parseAgingThresholds
+} from "../agingUtils";
+
+const NOW = new Date("2024-05-10T12:00:00Z");
+
+describe("agingUtils", () => {
+  it("parses thresholds in ascending order and reports invalid entries", () => {
+    const { thresholds, warnings } = parseAgingThresholds(
+      "[14|red]; 7|Amber;[3|#2e844a];[7|blue];[-1|red];[5|chartreuse];[5]"
+    );
+
+    expect(thresholds).toEqual([
+      { days: 3, color: "#2e844a" },
+      { days: 7, color: "#fe9339" },
+      { days: 14, color: "#ba0517" }
+    ]);
+    expect(warnings).toEqual([
+      "Duplicate aging threshold for 7 days ignored.",
+      'Invalid aging threshold: "[-1|red]"',
+      'Unsupported aging color "chartreuse" in "[5|chartreuse]"',
+      'Invalid aging threshold: "[5]"'
+    ]);
+  });
+
+  it("counts whole days since the change", () => {
+    expect(getAgingDays("2024-05-10T08:00:00Z", NOW)).toBe(0);
+    expect(getAgingDays("2024-05-08T13:00:00Z", NOW)).toBe(1);
+    expect(getAgingDays("2024-04-30T12:00:00Z", NOW)).toBe(10);
+    expect(getAgingDays("2024-05-11T12:00:00Z", NOW)).toBe(0);
+    expect(getAgingDays("not a date", NOW)).toBeNull();
+    expect(getAgingDays(null, NOW)).toBeNull();
+  });
+
+  it("colors the badge by the highest threshold reached", () => {
+    const { thresholds } = parseAgingThresholds("[3|yellow];[7|red]");
+    const badgeFor = (changedDate, isEstimate = false) =>
+      buildAgingBadge(
+        { changedDate, isEstimate },
+        { thresholds, now: NOW, formatDate: () => "May 1" }
+      );
+
+    expect(badgeFor("2024-05-09T12:00:00Z")).toEqual({
+      label: "1 day",
+      title: "In this column since May 1",
+      style: "background-color: #f3f3f3; color: #181818;",
+      days: 1
+    });
+    expect(badgeFor("2024-05-05T12:00:00Z").style).toBe(
+      "background-color: #fcc003; color: #181818;"
+    );
+    const estimated = badgeFor("2024-05-01T12:00:00Z", true);
+    expect(estimated.label).toBe("9 days");
+    expect(estimated.style).toBe("background-color: #ba0517; color: #ffffff;");
+    expect(estimated.title).toBe(
+      "Last modified May 1; status history is not tracked"
+    );
+    expect(badgeFor(null)).toBeNull();
+  });
+});
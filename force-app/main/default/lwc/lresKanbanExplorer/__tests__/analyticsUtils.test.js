@@ -0,0 +1,80 @@
+import {
+  buildCumulativeFlow,
+  buildCycleTime,
+  buildThroughput
+} from "../analyticsUtils";
+
+const NOW = new Date("2024-05-29T12:00:00Z");
+const formatDate = (time) => new Date(time).toISOString().slice(5, 10);
+const COLUMNS = [
+  { key: "New", label: "New" },
+  { key: "Working", label: "Working" },
+  { key: "Closed", label: "Closed" }
+];
+const RECORDS = [
+  { id: "a", columnKey: "Closed", createdDate: "2024-05-01T09:00:00Z" },
+  { id: "b", columnKey: "Working", createdDate: "2024-05-27T09:00:00Z" },
+  { id: "c", columnKey: "Closed", createdDate: "2024-05-20T09:00:00Z" }
+];
+const CHANGES = [
+  {
+    recordId: "a",
+    oldKey: "New",
+    newKey: "Working",
+    changedDate: "2024-05-26T10:00:00Z"
+  },
+  {
+    recordId: "a",
+    oldKey: "Working",
+    newKey: "Closed",
+    changedDate: "2024-05-28T10:00:00Z"
+  },
+  {
+    recordId: "c",
+    oldKey: "New",
+    newKey: "Closed",
+    changedDate: "2024-05-22T09:00:00Z"
+  }
+];
+
+describe("analyticsUtils", () => {
+  it("counts cards per column at the end of each day", () => {
+    const { labels, series } = buildCumulativeFlow({
+      records: RECORDS,
+      changes: CHANGES,
+      columns: COLUMNS,
+      dayCount: 3,
+      now: NOW,
+      formatDate
+    });
+
+    expect(labels).toEqual(["05-26", "05-27", "05-28", "05-29"]);
+    expect(series.map((entry) => [entry.key, entry.values])).toEqual([
+      ["Closed", [1, 1, 2, 2]],
+      ["Working", [1, 2, 1, 1]],
+      ["New", [0, 0, 0, 0]]
+    ]);
+  });
+
+  it("counts arrivals in the done column per week", () => {
+    const { labels, values } = buildThroughput({
+      changes: CHANGES,
+      doneKey: "Closed",
+      dayCount: 14,
+      now: NOW,
+      formatDate
+    });
+
+    expect(labels).toEqual(["05-15", "05-22"]);
+    expect(values).toEqual([1, 1]);
+  });
+
+  it("averages the days from creation to done", () => {
+    expect(
+      buildCycleTime({ records: RECORDS, changes: CHANGES, doneKey: "Closed" })
+    ).toEqual({ averageDays: 14.5, count: 2 });
+    expect(
+      buildCycleTime({ records: RECORDS, changes: [], doneKey: "Closed" })
+    ).toEqual({ averageDays: null, count: 0 });
+  });
+});
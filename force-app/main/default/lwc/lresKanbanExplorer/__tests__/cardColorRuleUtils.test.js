@@ -0,0 +1,105 @@
+import {
+  buildCardColorLegend,
+  evaluateCardColorRules,
+  parseCardColorRules,
+  validateCardColorRules
+} from "../cardColorRuleUtils";
+
+const FIELD_TYPES = {
+  CloseDate: "date",
+  Priority: "picklist",
+  IsEscalated: "boolean",
+  Amount: "number"
+};
+const getFieldType = (field) => FIELD_TYPES[field] || null;
+
+describe("cardColorRuleUtils", () => {
+  it("parses rules and reports invalid entries", () => {
+    const { rules, warnings } = parseCardColorRules(
+      "[CloseDate|before|TODAY|red|Overdue]; Priority|EQUALS|High|Amber;" +
+        "[Amount|between|1|red];[Amount|greaterThan|5|chartreuse];[Amount|5]"
+    );
+
+    expect(
+      rules.map(({ fieldApiName, operator, value, color, badge }) => [
+        fieldApiName,
+        operator,
+        value,
+        color,
+        badge
+      ])
+    ).toEqual([
+      ["CloseDate", "before", "TODAY", "#ba0517", "Overdue"],
+      ["Priority", "equals", "High", "#fe9339", ""]
+    ]);
+    expect(warnings).toEqual([
+      'Unsupported card color rule operator "between" in "[Amount|between|1|red]"',
+      'Unsupported card color "chartreuse" in "[Amount|greaterThan|5|chartreuse]"',
+      'Invalid card color rule: "[Amount|5]"'
+    ]);
+  });
+
+  it("drops rules that do not suit their field", () => {
+    const { rules } = parseCardColorRules(
+      "[Missing|isBlank||red];[CloseDate|after|soon|red];[Amount|lessThan|0|#c00]"
+    );
+    const validated = validateCardColorRules(rules, getFieldType);
+
+    expect(validated.rules.map((rule) => rule.fieldApiName)).toEqual([
+      "Amount"
+    ]);
+    expect(validated.warnings).toEqual([
+      'Card color rule field "Missing" does not exist or cannot be compared.',
+      'Card color rule "[CloseDate|after|soon|red]" is invalid: Enter a date.'
+    ]);
+  });
+
+  it("applies the first matching color and collects every badge", () => {
+    const { rules } = parseCardColorRules(
+      "[CloseDate|before|TODAY-2|red|Overdue];[IsEscalated|isTrue||#fcc003|Escalated];" +
+        "[CloseDate|before|TODAY+7|blue|Due soon]"
+    );
+    const evaluate = (values) =>
+      evaluateCardColorRules(rules, {
+        getFieldType,
+        getValue: (field) => values[field],
+        today: "2024-05-10"
+      });
+
+    const overdue = evaluate({ CloseDate: "2024-05-07", IsEscalated: true });
+    expect(overdue.accentColor).toBe("#ba0517");
+    expect(overdue.badges.map((badge) => badge.label)).toEqual([
+      "Overdue",
+      "Escalated",
+      "Due soon"
+    ]);
+    expect(overdue.badges[1].style).toBe(
+      "background-color: #fcc003; color: #181818;"
+    );
+    expect(evaluate({ CloseDate: "2024-05-09" }).accentColor).toBe("#0176d3");
+    expect(evaluate({ CloseDate: "2024-06-01" })).toBeNull();
+    expect(evaluate({ CloseDate: null })).toBeNull();
+  });
+
+  it("describes each rule for the legend", () => {
+    const { rules } = parseCardColorRules(
+      "[CloseDate|before|TODAY|red|Overdue];[CloseDate|nextNDays|7|amber];" +
+        "[CloseDate|after|TODAY+1|blue];[IsEscalated|isTrue||purple]"
+    );
+    const labels = { CloseDate: "Close Date", IsEscalated: "Escalated" };
+    const legend = buildCardColorLegend(rules, (field) => labels[field]);
+
+    expect(legend.map((entry) => entry.description)).toEqual([
+      "Close Date before today",
+      "Close Date in the next 7 days",
+      "Close Date after today + 1 day",
+      "Escalated is true"
+    ]);
+    expect(legend[0]).toEqual(
+      expect.objectContaining({
+        badge: "Overdue",
+        swatchStyle: "background-color: #ba0517;"
+      })
+    );
+  });
+});
@@ -0,0 +1,31 @@
+import {
+  mergeChangedRecords,
+  resolveChangeEventChannel
+} from "../changeEventService";
+
+describe("changeEventService", () => {
+  it("builds change event channels for standard and custom objects", () => {
+    expect(resolveChangeEventChannel("Case")).toBe("/data/CaseChangeEvent");
+    expect(resolveChangeEventChannel("Project__c")).toBe(
+      "/data/Project__ChangeEvent"
+    );
+    expect(resolveChangeEventChannel(" ")).toBeNull();
+  });
+
+  it("replaces changed records in place, drops ones that left the board, and appends new ones", () => {
+    const existing = [{ id: "1" }, { id: "2" }, { id: "3" }];
+    const merged = mergeChangedRecords(
+      existing,
+      ["2", "3", "4"],
+      [
+        { id: "4", name: "new" },
+        { id: "2", name: "updated" }
+      ]
+    );
+    expect(merged).toEqual([
+      { id: "1" },
+      { id: "2", name: "updated" },
+      { id: "4", name: "new" }
+    ]);
+  });
+});
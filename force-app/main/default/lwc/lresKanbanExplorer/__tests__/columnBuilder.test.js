@@ -1,4 +1,9 @@
-import { buildColumns, BLANK_KEY } from "../columnBuilder";
+import {
+  buildBoardSummaries,
+  buildColumns,
+  buildSwimlaneRows,
+  BLANK_KEY
+} from "../columnBuilder";
 
 describe("columnBuilder.buildColumns", () => {
   const baseOptions = {
@@ -253,6 +258,195 @@ describe("columnBuilder.buildColumns", () => {
     ]);
   });
 
+  it("computes counts, medians, and percentages", () => {
+    const options = {
+      ...baseOptions,
+      summaryDefinitions: [
+        { fieldApiName: "AccountId", summaryType: "COUNT", label: "Count" },
+        {
+          fieldApiName: "AccountId",
+          summaryType: "COUNT_DISTINCT",
+          label: "Accounts"
+        },
+        { fieldApiName: "Amount", summaryType: "MEDIAN", label: "Median" },
+        {
+          fieldApiName: "Amount",
+          summaryType: "PERCENT_OF_TOTAL",
+          label: "Share"
+        },
+        { fieldApiName: "IsWon", summaryType: "PERCENT_TRUE", label: "Won" }
+      ],
+      coerceSummaryValue: (record, summary) => record[summary.fieldApiName],
+      formatSummaryValue: (_summary, value) => {
+        if (value === null || value === undefined) {
+          return "";
+        }
+        return String(value);
+      },
+      getSummaryCurrencyCode: () => null
+    };
+    const records = [
+      {
+        id: "1",
+        Status: "A",
+        Title: "Alpha",
+        AccountId: "001a",
+        Amount: 10,
+        IsWon: true
+      },
+      {
+        id: "2",
+        Status: "A",
+        Title: "Beta",
+        AccountId: "001a",
+        Amount: 40,
+        IsWon: false
+      },
+      {
+        id: "3",
+        Status: "A",
+        Title: "Gamma",
+        AccountId: "001b",
+        Amount: 20,
+        IsWon: false
+      },
+      {
+        id: "4",
+        Status: "A",
+        Title: "Delta",
+        AccountId: null,
+        Amount: 30,
+        IsWon: true
+      },
+      {
+        id: "5",
+        Status: "B",
+        Title: "Echo",
+        AccountId: null,
+        Amount: 100,
+        IsWon: true
+      }
+    ];
+
+    const columns = buildColumns(records, options);
+    const valuesFor = (key) =>
+      columns
+        .find((col) => col.key === key)
+        .summaries.map((summary) => summary.value);
+    expect(valuesFor("A")).toEqual(["3", "2", "25", "0.5", "0.5"]);
+    expect(valuesFor("B")).toEqual(["0", "0", "100", "0.5", "1"]);
+  });
+
+  it("builds board summaries over included records and column shares", () => {
+    const options = {
+      ...baseOptions,
+      isRecordIncluded: (record) => record.id !== "4",
+      summaryDefinitions: [
+        { fieldApiName: "Amount", summaryType: "SUM", label: "Total" },
+        { fieldApiName: "Amount", summaryType: "AVG", label: "Average" },
+        {
+          fieldApiName: "Amount",
+          summaryType: "PERCENT_OF_TOTAL",
+          label: "Share"
+        }
+      ],
+      coerceSummaryValue: (record, summary) => record[summary.fieldApiName],
+      formatSummaryValue: (summary, value) => {
+        if (value === null || value === undefined) {
+          return "";
+        }
+        return summary.summaryType === "PERCENT_OF_TOTAL"
+          ? `${value * 100}%`
+          : String(value);
+      },
+      getSummaryCurrencyCode: () => null
+    };
+    const records = [
+      { id: "1", Status: "A", Title: "Alpha", Amount: 30 },
+      { id: "2", Status: "A", Title: "Beta", Amount: 10 },
+      { id: "3", Status: "B", Title: "Gamma", Amount: 60 },
+      { id: "4", Status: "B", Title: "Hidden", Amount: 900 }
+    ];
+
+    const board = buildBoardSummaries(records, options);
+    expect(board.summaries).toEqual([
+      { key: "Amount|SUM|Total", label: "Total", value: "100" },
+      {
+        key: "Amount|AVG|Average",
+        label: "Average",
+        value: "33.333333333333336"
+      }
+    ]);
+    expect(Array.from(board.totalsByKey.entries())).toEqual([
+      ["Amount|SUM|Total", 100]
+    ]);
+
+    const columns = buildColumns(records, {
+      ...options,
+      boardSummaryTotals: board.totalsByKey
+    });
+    const column = columns.find((col) => col.key === "A");
+    expect(column.summaries[0]).toEqual({
+      key: "Amount|SUM|Total",
+      label: "Total",
+      value: "40",
+      share: "40%",
+      shareTitle: "40% of the board total"
+    });
+    expect(column.summaries[1].share).toBeUndefined();
+    expect(column.summaries[2].value).toBe("40%");
+  });
+
+  it("weights sums by each card's column in columns and board totals", () => {
+    const weights = { A: 50, B: 10 };
+    const options = {
+      ...baseOptions,
+      summaryDefinitions: [
+        {
+          fieldApiName: "Amount",
+          summaryType: "WEIGHTED_SUM",
+          label: "Weighted"
+        }
+      ],
+      coerceSummaryValue: (record, summary) => record[summary.fieldApiName],
+      formatSummaryValue: (summary, value) => {
+        if (value === null || value === undefined) {
+          return "";
+        }
+        return summary.summaryType === "PERCENT_OF_TOTAL"
+          ? `${value * 100}%`
+          : String(value);
+      },
+      getSummaryCurrencyCode: () => null,
+      getColumnWeight: (key) => weights[key] ?? null
+    };
+    const records = [
+      { id: "1", Status: "A", Title: "Alpha", Amount: 100 },
+      { id: "2", Status: "A", Title: "Beta", Amount: 60 },
+      { id: "3", Status: "B", Title: "Gamma", Amount: 200 },
+      { id: "4", Status: null, Title: "Delta", Amount: 500 }
+    ];
+
+    const board = buildBoardSummaries(records, options);
+    expect(board.summaries[0].value).toBe("100");
+    expect(board.warnings).toEqual([]);
+
+    const columns = buildColumns(records, {
+      ...options,
+      boardSummaryTotals: board.totalsByKey
+    });
+    const valueFor = (key) =>
+      columns.find((col) => col.key === key).summaries[0];
+    expect(valueFor("A").value).toBe("80");
+    expect(valueFor("A").share).toBe("80%");
+    expect(valueFor("B").value).toBe("20");
+    expect(valueFor(BLANK_KEY).value).toBe("");
+    expect(valueFor(BLANK_KEY).share).toBeUndefined();
+    expect(columns.flatMap((col) => col.summaryWarnings)).toEqual([
+      'Summary "Weighted" has no weight for "No Status".'
+    ]);
+  });
+
   it("flags mixed currencies and blocks the summary value", () => {
     const options = {
       ...baseOptions,
@@ -386,4 +580,151 @@ describe("columnBuilder.buildColumns", () => {
       { key: "Amount|SUM|Total", label: "Total", value: "EMPTY" }
     ]);
   });
+
+  it("splits columns into swimlane cells ordered by metadata", () => {
+    const options = {
+      ...baseOptions,
+      swimlaneField: "Priority",
+      swimlaneMetadata: [
+        { key: "High", label: "High", rawValue: "High" },
+        { key: "Low", label: "Low", rawValue: "Low" }
+      ],
+      blankSwimlaneLabel: "No Priority"
+    };
+    const records = [
+      { id: "1", Status: "A", Title: "Alpha", Priority: "Low" },
+      { id: "2", Status: "A", Title: "Beta", Priority: "Medium" },
+      { id: "3", Status: "B", Title: "Gamma", Priority: null },
+      { id: "4", Status: "B", Title: "Delta", Priority: "High" }
+    ];
+
+    const columns = buildColumns(records, options);
+    const columnA = columns.find((col) => col.key === "A");
+    expect(columnA.count).toBe(2);
+    expect(columnA.swimlanes.map((cell) => cell.key)).toEqual([
+      "High",
+      "Low",
+      "Medium",
+      BLANK_KEY
+    ]);
+    expect(columnA.swimlanes.map((cell) => cell.count)).toEqual([0, 1, 1, 0]);
+
+    const rows = buildSwimlaneRows(columns);
+    expect(rows.map((row) => row.label)).toEqual([
+      "High",
+      "Low",
+      "Medium",
+      "No Priority"
+    ]);
+    expect(rows.map((row) => row.count)).toEqual([1, 1, 1, 1]);
+    const blankRow = rows.find((row) => row.key === BLANK_KEY);
+    expect(blankRow.columns.map((cell) => cell.key)).toEqual([
+      "A",
+      "B",
+      BLANK_KEY
+    ]);
+    expect(blankRow.columns[1].records.map((card) => card.id)).toEqual(["3"]);
+    expect(blankRow.columns[1].swimlaneKey).toBe(BLANK_KEY);
+  });
+
+  it("orders columns by the user's layout and leaves hidden ones out of board totals", () => {
+    const options = {
+      ...baseOptions,
+      swimlaneField: "Priority",
+      columnLayout: {
+        order: ["B", BLANK_KEY, "A"],
+        hidden: [BLANK_KEY],
+        collapsed: ["A"]
+      },
+      summaryDefinitions: [
+        { fieldApiName: "Amount", summaryType: "SUM", label: "Total" }
+      ],
+      coerceSummaryValue: (record, summary) => record[summary.fieldApiName],
+      formatSummaryValue: (summary, value) => String(value ?? ""),
+      getSummaryCurrencyCode: () => null
+    };
+    const records = [
+      { id: "1", Status: "A", Title: "Alpha", Priority: "Low", Amount: 10 },
+      { id: "2", Status: "B", Title: "Beta", Priority: "Low", Amount: 20 },
+      { id: "3", Status: null, Title: "Gamma", Priority: "Low", Amount: 70 }
+    ];
+
+    const columns = buildColumns(records, options);
+    expect(
+      columns.map(({ key, isHidden, isCollapsed }) => ({
+        key,
+        isHidden,
+        isCollapsed
+      }))
+    ).toEqual([
+      { key: "B", isHidden: false, isCollapsed: false },
+      { key: BLANK_KEY, isHidden: true, isCollapsed: false },
+      { key: "A", isHidden: false, isCollapsed: true }
+    ]);
+    const [row] = buildSwimlaneRows(columns);
+    expect(row.columns.map((cell) => cell.isCollapsed)).toEqual([
+      false,
+      false,
+      true
+    ]);
+    expect(buildBoardSummaries(records, options).summaries[0].value).toBe("30");
+  });
+
+  it("works out shares of the total over visible columns only", () => {
+    const options = {
+      ...baseOptions,
+      columnLayout: { order: [], hidden: [BLANK_KEY], collapsed: [] },
+      summaryDefinitions: [
+        {
+          fieldApiName: "Amount",
+          summaryType: "PERCENT_OF_TOTAL",
+          label: "Share"
+        }
+      ],
+      coerceSummaryValue: (record, summary) => record[summary.fieldApiName],
+      formatSummaryValue: (summary, value) => value,
+      getSummaryCurrencyCode: () => null
+    };
+    const records = [
+      { id: "1", Status: "A", Title: "Alpha", Amount: 10 },
+      { id: "2", Status: "B", Title: "Beta", Amount: 30 },
+      { id: "3", Status: null, Title: "Gamma", Amount: 60 }
+    ];
+
+    const shares = buildColumns(records, options)
+      .filter((column) => !column.isHidden)
+      .map((column) => column.summaries[0].value);
+    expect(shares).toEqual([0.25, 0.75]);
+  });
+
+  it("omits swimlanes when no swimlane field is configured", () => {
+    const columns = buildColumns(
+      [{ id: "1", Status: "A", Title: "Alpha" }],
+      baseOptions
+    );
+    expect(columns[0].swimlanes).toBeUndefined();
+    expect(buildSwimlaneRows(columns)).toEqual([]);
+  });
+
+  it("attaches inline editors returned for card fields", () => {
+    const getInlineEditor = jest.fn((record, field) => {
+      if (field !== "Detail") {
+        return null;
+      }
+      return { type: "text", fieldApiName: "Detail", value: record.Detail };
+    });
+    const columns = buildColumns(
+      [{ id: "1", Status: "A", Title: "Alpha", Detail: "One" }],
+      { ...baseOptions, getInlineEditor }
+    );
+    const details = columns[0].records[0].details;
+    expect(details.find((d) => d.apiName === "Detail").editor).toEqual({
+      type: "text",
+      fieldApiName: "Detail",
+      value: "One"
+    });
+    expect(details.every((d) => d.apiName === "Detail" || !d.editor)).toBe(
+      true
+    );
+  });
 });
@@ -0,0 +1,80 @@
+import {
+  applyColumnLayout,
+  isDefaultColumnLayout,
+  moveColumnKey,
+  normalizeColumnLayout,
+  toggleColumnKey
+} from "../columnLayoutUtils";
+
+describe("columnLayoutUtils", () => {
+  const columns = [
+    { key: "New", label: "New" },
+    { key: "Working", label: "Working" },
+    { key: "Review", label: "Review" },
+    { key: "Done", label: "Done" }
+  ];
+
+  it("normalizes stored layouts", () => {
+    expect(
+      normalizeColumnLayout({
+        order: ["Done", "New", "Done", null, ""],
+        hidden: "Review",
+        collapsed: [1]
+      })
+    ).toEqual({ order: ["Done", "New"], hidden: [], collapsed: ["1"] });
+    expect(normalizeColumnLayout(null)).toEqual({
+      order: [],
+      hidden: [],
+      collapsed: []
+    });
+    expect(isDefaultColumnLayout(normalizeColumnLayout(null))).toBe(true);
+  });
+
+  it("orders columns and flags hidden and collapsed ones", () => {
+    const result = applyColumnLayout(columns, {
+      order: ["Review", "Missing", "New"],
+      hidden: ["Done"],
+      collapsed: ["New"]
+    });
+
+    expect(result.map((column) => column.key)).toEqual([
+      "Review",
+      "New",
+      "Working",
+      "Done"
+    ]);
+    expect(result.map((column) => column.isCollapsed)).toEqual([
+      false,
+      true,
+      false,
+      false
+    ]);
+    expect(result.find((column) => column.key === "Done").isHidden).toBe(true);
+    expect(applyColumnLayout(columns, normalizeColumnLayout(null))).toBe(
+      columns
+    );
+  });
+
+  it("moves a column to the place of the drop target", () => {
+    const keys = columns.map((column) => column.key);
+    expect(moveColumnKey(keys, "New", "Review")).toEqual([
+      "Working",
+      "Review",
+      "New",
+      "Done"
+    ]);
+    expect(moveColumnKey(keys, "Done", "Working")).toEqual([
+      "New",
+      "Done",
+      "Working",
+      "Review"
+    ]);
+    expect(moveColumnKey(keys, "New", "New")).toBeNull();
+    expect(moveColumnKey(keys, "Missing", "New")).toBeNull();
+  });
+
+  it("toggles keys in a list", () => {
+    expect(toggleColumnKey(["A"], "B")).toEqual(["A", "B"]);
+    expect(toggleColumnKey(["A", "B"], "A")).toEqual(["B"]);
+  });
+});
@@ -0,0 +1,92 @@
+import fetchOpportunityStageProbabilities from "@salesforce/apex/LRES_KanbanCardRecordsController.fetchOpportunityStageProbabilities";
+import {
+  createColumnWeightResolver,
+  getColumnWeightConfig,
+  syncStageProbabilities
+} from "../columnWeightService";
+
+jest.mock(
+  "@salesforce/apex/LRES_KanbanCardRecordsController.fetchOpportunityStageProbabilities",
+  () => ({
+    default: jest.fn()
+  }),
+  { virtual: true }
+);
+
+const buildComponent = (overrides = {}) => ({
+  cardObjectApiName: "Opportunity",
+  groupingFieldSimpleName: "StageName",
+  columnWeightsDefinition: "",
+  summaryDefinitions: [
+    {
+      fieldApiName: "Opportunity.Amount",
+      summaryType: "WEIGHTED_SUM",
+      label: "Weighted"
+    }
+  ],
+  getMetadataColumns: () => [
+    { key: "Prospecting", label: "Prospecting" },
+    { key: "Closed Won", label: "Closed Won" }
+  ],
+  logDebug: jest.fn(),
+  logWarn: jest.fn(),
+  rebuildColumnsWithPicklist: jest.fn(),
+  ...overrides
+});
+
+describe("columnWeightService", () => {
+  afterEach(() => {
+    fetchOpportunityStageProbabilities.mockReset();
+  });
+
+  it("loads stage probabilities once for opportunity stage boards", async () => {
+    fetchOpportunityStageProbabilities.mockResolvedValue({
+      Prospecting: 10,
+      "Closed Won": 100,
+      Unknown: null
+    });
+    const component = buildComponent({
+      columnWeightsDefinition: "[Closed Won|90]"
+    });
+
+    await syncStageProbabilities(component);
+    await syncStageProbabilities(component);
+
+    expect(fetchOpportunityStageProbabilities).toHaveBeenCalledTimes(1);
+    expect(component.rebuildColumnsWithPicklist).toHaveBeenCalledTimes(1);
+    const getColumnWeight = createColumnWeightResolver(component);
+    expect(getColumnWeight("Prospecting")).toBe(10);
+    expect(getColumnWeight("Closed Won")).toBe(90);
+    expect(getColumnWeight("Unknown")).toBeNull();
+  });
+
+  it("skips the stage probabilities for other boards and warns without weights", async () => {
+    const component = buildComponent({
+      cardObjectApiName: "Case",
+      groupingFieldSimpleName: "Status"
+    });
+
+    await syncStageProbabilities(component);
+
+    expect(fetchOpportunityStageProbabilities).not.toHaveBeenCalled();
+    expect(createColumnWeightResolver(component)("Prospecting")).toBeNull();
+    expect(getColumnWeightConfig(component).warnings).toEqual([
+      "WEIGHTED_SUM summaries need Column Weights unless the board groups opportunities by Stage."
+    ]);
+  });
+
+  it("keeps the configured weights when the probabilities fail to load", async () => {
+    fetchOpportunityStageProbabilities.mockRejectedValue(new Error("denied"));
+    const component = buildComponent({
+      columnWeightsDefinition: "[Prospecting|15]"
+    });
+
+    await syncStageProbabilities(component);
+
+    expect(component.logWarn).toHaveBeenCalled();
+    expect(component.rebuildColumnsWithPicklist).not.toHaveBeenCalled();
+    const getColumnWeight = createColumnWeightResolver(component);
+    expect(getColumnWeight("Prospecting")).toBe(15);
+    expect(getColumnWeight("Closed Won")).toBeNull();
+  });
+});
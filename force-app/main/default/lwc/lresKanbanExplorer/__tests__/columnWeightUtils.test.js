@@ -0,0 +1,35 @@
+import { findColumnWeight, parseColumnWeights } from "../columnWeightUtils";
+
+describe("columnWeightUtils", () => {
+  it("parses weights and reports invalid and duplicate entries", () => {
+    const { weights, warnings } = parseColumnWeights(
+      "[Prospecting|10]; Negotiation|62.5;[Closed Won|100];[Prospecting|20];" +
+        "[Lost|-5];[Other|150];[Review];[Qualify|abc]"
+    );
+
+    expect(weights).toEqual([
+      { columnValue: "Prospecting", weight: 10 },
+      { columnValue: "Negotiation", weight: 62.5 },
+      { columnValue: "Closed Won", weight: 100 }
+    ]);
+    expect(warnings).toEqual([
+      'Duplicate column weight for "Prospecting"; the first entry is used.',
+      'Invalid column weight entry: "[Lost|-5]"',
+      'Invalid column weight entry: "[Other|150]"',
+      'Invalid column weight entry: "[Review]"',
+      'Invalid column weight entry: "[Qualify|abc]"'
+    ]);
+    expect(parseColumnWeights("  ")).toEqual({ weights: [], warnings: [] });
+  });
+
+  it("matches columns by value and then by label", () => {
+    const { weights } = parseColumnWeights("[qualify|20];[Negotiation|60]");
+
+    expect(findColumnWeight({ key: "Negotiation" }, weights)).toBe(60);
+    expect(
+      findColumnWeight({ key: "Qualification", label: "Qualify" }, weights)
+    ).toBe(20);
+    expect(findColumnWeight({ key: "Closed Won" }, weights)).toBeNull();
+    expect(findColumnWeight({ key: "Negotiation" }, [])).toBeNull();
+  });
+});
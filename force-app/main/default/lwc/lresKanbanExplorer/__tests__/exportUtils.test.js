@@ -0,0 +1,88 @@
+import {
+  buildCsv,
+  buildXlsx,
+  crc32,
+  encodeUtf8,
+  toBase64
+} from "../exportUtils";
+
+const decodeUtf8 = (bytes) =>
+  decodeURIComponent(
+    Array.from(bytes, (byte) => `%${byte.toString(16).padStart(2, "0")}`).join(
+      ""
+    )
+  );
+
+const readZipEntries = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const entries = {};
+  let offset = 0;
+  while (view.getUint32(offset, true) === 0x04034b50) {
+    const size = view.getUint32(offset + 18, true);
+    const nameLength = view.getUint16(offset + 26, true);
+    const nameStart = offset + 30;
+    const dataStart = nameStart + nameLength;
+    const name = decodeUtf8(bytes.subarray(nameStart, dataStart));
+    const data = bytes.subarray(dataStart, dataStart + size);
+    entries[name] = {
+      crc: view.getUint32(offset + 14, true),
+      data,
+      text: decodeUtf8(data)
+    };
+    offset = dataStart + size;
+  }
+  return entries;
+};
+
+describe("exportUtils", () => {
+  it("quotes CSV cells and neutralizes formulas", () => {
+    expect(
+      buildCsv([
+        ["Name", "Amount"],
+        ['Acme, "West"', 1200.5],
+        ["=HYPERLINK()", -3],
+        ["Line\nbreak", null]
+      ])
+    ).toBe(
+      '\uFEFFName,Amount\r\n"Acme, ""West""",1200.5\r\n\'=HYPERLINK(),-3\r\n"Line\nbreak",\r\n'
+    );
+  });
+
+  it("encodes UTF-8, base64, and CRC-32", () => {
+    expect(Array.from(encodeUtf8("aé€😀"))).toEqual([
+      0x61, 0xc3, 0xa9, 0xe2, 0x82, 0xac, 0xf0, 0x9f, 0x98, 0x80
+    ]);
+    expect(toBase64(encodeUtf8("Kanban"))).toBe("S2FuYmFu");
+    expect(crc32(encodeUtf8("123456789"))).toBe(0xcbf43926);
+  });
+
+  it("packs a workbook with text and numeric cells", () => {
+    const bytes = buildXlsx([
+      ["Stage", "Amount"],
+      ["Closed <Won>", 5000],
+      [],
+      ["Open", ""]
+    ]);
+    const entries = readZipEntries(bytes);
+
+    expect(Object.keys(entries)).toEqual([
+      "[Content_Types].xml",
+      "_rels/.rels",
+      "xl/workbook.xml",
+      "xl/_rels/workbook.xml.rels",
+      "xl/styles.xml",
+      "xl/worksheets/sheet1.xml"
+    ]);
+    Object.values(entries).forEach((entry) => {
+      expect(entry.crc).toBe(crc32(entry.data));
+    });
+    const sheet = entries["xl/worksheets/sheet1.xml"].text;
+    expect(sheet).toContain(
+      '<c r="A1" t="inlineStr" s="1"><is><t xml:space="preserve">Stage</t></is></c>'
+    );
+    expect(sheet).toContain('<t xml:space="preserve">Closed &lt;Won&gt;</t>');
+    expect(sheet).toContain('<c r="B2"><v>5000</v></c>');
+    expect(sheet).toContain('<row r="3"></row>');
+    expect(sheet).not.toContain('r="B4"');
+  });
+});
@@ -96,4 +96,40 @@ describe("filterUtils.buildFilterDefinitions", () => {
     expect(activeFilterMenuId).toBeNull();
     expect(shouldCloseMenus).toBe(true);
   });
+
+  it("builds range filters for number blueprints and keeps their selection", () => {
+    const amountRecords = [{ amount: 250 }, { amount: 1200 }, { amount: null }];
+    const { definitions } = buildFilterDefinitions({
+      records: amountRecords,
+      blueprints: [
+        {
+          id: "amount",
+          field: "amount",
+          label: "Amount",
+          type: "field",
+          rangeType: "number"
+        }
+      ],
+      existingDefinitions: [{ id: "amount", selectedValues: ["min:500"] }],
+      getFilterValueKey,
+      getFilterValueLabel,
+      getFilterRangeValue: (record) => record.amount,
+      sortFilterOptions,
+      getFilterButtonClass
+    });
+
+    expect(definitions[0]).toEqual(
+      expect.objectContaining({
+        isRange: true,
+        inputType: "number",
+        minPlaceholder: "250",
+        maxPlaceholder: "1200",
+        rangeMin: "500",
+        rangeMax: "",
+        selectedValues: ["min:500"],
+        presetOptions: [],
+        buttonClass: "amount-on"
+      })
+    );
+  });
 });
@@ -0,0 +1,136 @@
+import {
+  buildInlineEditor,
+  normalizeInlineEditValue,
+  resolveInlineEditorType,
+  updateCardInColumns
+} from "../inlineEditUtils";
+
+describe("inlineEditUtils.resolveInlineEditorType", () => {
+  it("maps editable data types to editors", () => {
+    expect(
+      resolveInlineEditorType({ dataType: "Picklist", updateable: true })
+    ).toBe("picklist");
+    expect(
+      resolveInlineEditorType({ dataType: "Currency", updateable: true })
+    ).toBe("number");
+    expect(
+      resolveInlineEditorType({ dataType: "Boolean", updateable: true })
+    ).toBe("checkbox");
+    expect(
+      resolveInlineEditorType({ dataType: "Reference", updateable: true })
+    ).toBe("lookup");
+  });
+
+  it("skips read-only, formula and unsupported fields", () => {
+    expect(
+      resolveInlineEditorType({ dataType: "String", updateable: false })
+    ).toBeNull();
+    expect(
+      resolveInlineEditorType({
+        dataType: "String",
+        updateable: true,
+        calculated: true
+      })
+    ).toBeNull();
+    expect(
+      resolveInlineEditorType({ dataType: "Location", updateable: true })
+    ).toBeNull();
+    expect(resolveInlineEditorType(null)).toBeNull();
+  });
+});
+
+describe("inlineEditUtils.buildInlineEditor", () => {
+  it("builds picklist options from UI API values", () => {
+    const editor = buildInlineEditor(
+      "StageName",
+      { dataType: "Picklist", updateable: true, required: true },
+      {
+        rawValue: "open",
+        picklistValues: [{ label: "Open", value: "open" }, { value: "closed" }]
+      }
+    );
+    expect(editor).toEqual({
+      type: "picklist",
+      fieldApiName: "StageName",
+      value: "open",
+      required: true,
+      options: [
+        { label: "Open", value: "open" },
+        { label: "closed", value: "closed" }
+      ]
+    });
+  });
+
+  it("derives the number step from the field scale", () => {
+    expect(
+      buildInlineEditor(
+        "Amount",
+        { dataType: "Currency", updateable: true, scale: 2 },
+        { rawValue: 10 }
+      ).step
+    ).toBe("0.01");
+    expect(
+      buildInlineEditor("Count__c", { dataType: "Int", updateable: true }, {})
+        .step
+    ).toBe("1");
+  });
+
+  it("requires a reference target for lookups", () => {
+    expect(
+      buildInlineEditor(
+        "AccountId",
+        {
+          dataType: "Reference",
+          updateable: true,
+          referenceToInfos: [{ apiName: "Account" }]
+        },
+        { rawValue: "001" }
+      ).referenceObjectApiName
+    ).toBe("Account");
+    expect(
+      buildInlineEditor(
+        "AccountId",
+        { dataType: "Reference", updateable: true, referenceToInfos: [] },
+        {}
+      )
+    ).toBeNull();
+  });
+});
+
+describe("inlineEditUtils.normalizeInlineEditValue", () => {
+  it("normalizes blanks, numbers and checkboxes", () => {
+    expect(normalizeInlineEditValue("text", "")).toBeNull();
+    expect(normalizeInlineEditValue("number", "12.5")).toBe(12.5);
+    expect(normalizeInlineEditValue("number", "abc")).toBeNull();
+    expect(normalizeInlineEditValue("checkbox", undefined)).toBe(false);
+    expect(normalizeInlineEditValue("date", "2024-05-01")).toBe("2024-05-01");
+  });
+});
+
+describe("inlineEditUtils.updateCardInColumns", () => {
+  it("updates the card in column records and swimlane cells", () => {
+    const card = { id: "1", title: "Alpha" };
+    const untouched = { key: "B", records: [{ id: "2" }] };
+    const columns = [
+      {
+        key: "A",
+        records: [card],
+        swimlanes: [
+          { key: "High", records: [card] },
+          { key: "Low", records: [] }
+        ]
+      },
+      untouched
+    ];
+
+    const result = updateCardInColumns(columns, "1", (item) => ({
+      ...item,
+      title: "Beta"
+    }));
+
+    expect(result[0].records[0].title).toBe("Beta");
+    expect(result[0].swimlanes[0].records[0].title).toBe("Beta");
+    expect(result[0].swimlanes[1]).toBe(columns[0].swimlanes[1]);
+    expect(result[1]).toBe(untouched);
+  });
+});
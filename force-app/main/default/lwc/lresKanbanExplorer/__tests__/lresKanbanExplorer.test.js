@@ -2,7 +2,22 @@ import { createElement } from "lwc";
 import KanbanExplorer from "c/lresKanbanExplorer";
 import fetchRelatedCardRecords from "@salesforce/apex/LRES_KanbanCardRecordsController.fetchRelatedCardRecords";
 import fetchParentlessCardRecords from "@salesforce/apex/LRES_KanbanCardRecordsController.fetchParentlessCardRecords";
+import rebalanceRanks from "@salesforce/apex/LRES_KanbanRankController.rebalanceRanks";
+import fetchCardRecordsByIds from "@salesforce/apex/LRES_KanbanCardRecordsController.fetchCardRecordsByIds";
+import resolveParentFieldApiName from "@salesforce/apex/LRES_KanbanCardRecordsController.resolveParentFieldApiName";
+import aggregateCardRecords from "@salesforce/apex/LRES_KanbanCardRecordsController.aggregateCardRecords";
+import searchCardRecordIds from "@salesforce/apex/LRES_KanbanCardRecordsController.searchCardRecordIds";
+import fetchGroupingFieldChangeDates from "@salesforce/apex/LRES_KanbanCardRecordsController.fetchGroupingFieldChangeDates";
+import fetchGroupingFieldHistory from "@salesforce/apex/LRES_KanbanCardRecordsController.fetchGroupingFieldHistory";
+import fetchSavedViews from "@salesforce/apex/LRES_KanbanSavedViewController.fetchSavedViews";
+import saveSavedViews from "@salesforce/apex/LRES_KanbanSavedViewController.saveSavedViews";
+import USER_ID from "@salesforce/user/Id";
+import KanbanRecordModal from "c/lresKanbanRecordModal";
+import KanbanFilterBuilder from "c/lresKanbanFilterBuilder";
+import LightningPrompt from "lightning/prompt";
 import { updateRecord } from "lightning/uiRecordApi";
+import { subscribe } from "lightning/empApi";
+import { CurrentPageReference, navigate } from "lightning/navigation";
 import { buildFilterDefinitions as buildFilterDefinitionsInteractions } from "../boardInteractions";
 import {
   handleSearchInput as handleSearchInputInteractions,
@@ -35,6 +50,86 @@ jest.mock(
   { virtual: true }
 );
 
+jest.mock(
+  "@salesforce/apex/LRES_KanbanCardRecordsController.fetchCardRecordsByIds",
+  () => ({
+    default: jest.fn()
+  }),
+  { virtual: true }
+);
+
+jest.mock(
+  "@salesforce/apex/LRES_KanbanCardRecordsController.resolveParentFieldApiName",
+  () => ({
+    default: jest.fn()
+  }),
+  { virtual: true }
+);
+
+jest.mock(
+  "@salesforce/apex/LRES_KanbanCardRecordsController.aggregateCardRecords",
+  () => ({
+    default: jest.fn()
+  }),
+  { virtual: true }
+);
+
+jest.mock(
+  "@salesforce/apex/LRES_KanbanCardRecordsController.searchCardRecordIds",
+  () => ({
+    default: jest.fn()
+  }),
+  { virtual: true }
+);
+
+jest.mock(
+  "@salesforce/apex/LRES_KanbanSavedViewController.fetchSavedViews",
+  () => ({
+    default: jest.fn()
+  }),
+  { virtual: true }
+);
+
+jest.mock(
+  "@salesforce/apex/LRES_KanbanSavedViewController.saveSavedViews",
+  () => ({
+    default: jest.fn()
+  }),
+  { virtual: true }
+);
+
+jest.mock(
+  "@salesforce/apex/LRES_KanbanTeamController.fetchTeamUserIds",
+  () => ({
+    default: jest.fn()
+  }),
+  { virtual: true }
+);
+
+jest.mock(
+  "@salesforce/apex/LRES_KanbanCardRecordsController.fetchGroupingFieldChangeDates",
+  () => ({
+    default: jest.fn()
+  }),
+  { virtual: true }
+);
+
+jest.mock(
+  "@salesforce/apex/LRES_KanbanCardRecordsController.fetchGroupingFieldHistory",
+  () => ({
+    default: jest.fn()
+  }),
+  { virtual: true }
+);
+
+jest.mock(
+  "@salesforce/apex/LRES_KanbanRankController.rebalanceRanks",
+  () => ({
+    default: jest.fn()
+  }),
+  { virtual: true }
+);
+
 jest.mock(
   "lightning/uiRecordApi",
   () => ({
@@ -51,6 +146,39 @@ jest.mock("lightning/uiObjectInfoApi", () => {
   };
 });
 
+jest.mock("lightning/navigation", () => {
+  const {
+    createTestWireAdapter
+  } = require("@salesforce/wire-service-jest-util");
+  const Navigate = Symbol("Navigate");
+  const GenerateUrl = Symbol("GenerateUrl");
+  const navigateSpy = jest.fn();
+  const NavigationMixin = (Base) =>
+    class extends Base {
+      [Navigate](...args) {
+        navigateSpy(...args);
+      }
+
+      [GenerateUrl]() {
+        return Promise.resolve("https://www.example.com");
+      }
+    };
+  NavigationMixin.Navigate = Navigate;
+  NavigationMixin.GenerateUrl = GenerateUrl;
+  return {
+    CurrentPageReference: createTestWireAdapter(jest.fn()),
+    NavigationMixin,
+    navigate: navigateSpy
+  };
+});
+
+jest.mock("lightning/prompt", () => ({
+  __esModule: true,
+  default: {
+    open: jest.fn()
+  }
+}));
+
 jest.mock("c/lresKanbanRecordModal", () => ({
   __esModule: true,
   default: {
@@ -58,6 +186,13 @@ jest.mock("c/lresKanbanRecordModal", () => ({
   }
 }));
 
+jest.mock("c/lresKanbanFilterBuilder", () => ({
+  __esModule: true,
+  default: {
+    open: jest.fn()
+  }
+}));
+
 describe("c-lres-kanban-explorer", () => {
   afterEach(() => {
     while (document.body.firstChild) {
@@ -66,6 +201,20 @@ describe("c-lres-kanban-explorer", () => {
     fetchRelatedCardRecords.mockReset();
     fetchParentlessCardRecords.mockReset();
     updateRecord.mockReset();
+    rebalanceRanks.mockReset();
+    fetchCardRecordsByIds.mockReset();
+    resolveParentFieldApiName.mockReset();
+    aggregateCardRecords.mockReset();
+    searchCardRecordIds.mockReset();
+    fetchGroupingFieldChangeDates.mockReset();
+    fetchGroupingFieldHistory.mockReset();
+    fetchSavedViews.mockReset();
+    saveSavedViews.mockReset();
+    KanbanRecordModal.open.mockReset();
+    KanbanFilterBuilder.open.mockReset();
+    LightningPrompt.open.mockReset();
+    navigate.mockReset();
+    window.localStorage.clear();
   });
 
   const buildComponent = () => {
@@ -123,14 +272,32 @@ describe("c-lres-kanban-explorer", () => {
     })
   ];
 
-  const emitMetadata = () => {
+  const withParent = (record, parentId = "001") => ({
+    ...record,
+    parent: { id: parentId, name: "Parent Account" }
+  });
+
+  const emitMetadata = (extraFields = {}) => {
     getObjectInfo.emit({
       apiName: "Opportunity",
+      label: "Opportunity",
+      createable: true,
       defaultRecordTypeId: "012000000000000AAA",
       fields: {
-        Status__c: { label: "Status", dataType: "Picklist", required: false },
-        Name: { label: "Name", dataType: "String" },
-        Amount: { label: "Amount", dataType: "Currency", scale: 2 },
+        Status__c: {
+          label: "Status",
+          dataType: "Picklist",
+          required: false,
+          createable: true
+        },
+        Name: { label: "Name", dataType: "String", createable: true },
+        Amount: {
+          label: "Amount",
+          dataType: "Currency",
+          scale: 2,
+          updateable: true
+        },
+        Rank__c: { label: "Rank", dataType: "Double", scale: 2 },
         CurrencyIsoCode: { label: "Currency", dataType: "String" },
         AccountId: {
           label: "Account Name",
@@ -143,7 +310,8 @@ describe("c-lres-kanban-explorer", () => {
           dataType: "Reference",
           relationshipName: "CreatedBy",
           referenceToInfos: [{ apiName: "User", label: "User" }]
-        }
+        },
+        ...extraFields
       }
     });
     getPicklistValuesByRecordType.emit({
@@ -193,6 +361,229 @@ describe("c-lres-kanban-explorer", () => {
     expect(container.warningMessage).toContain("BadField");
   });
 
+  it("colors cards with the card color rules and lists them in the legend", async () => {
+    const withAmount = (record, amount) => ({
+      ...record,
+      fields: {
+        ...record.fields,
+        "Opportunity.Amount": { value: amount, displayValue: null }
+      }
+    });
+    fetchRelatedCardRecords.mockResolvedValue([
+      withAmount(baseApexRecords[0], 1500),
+      withAmount(baseApexRecords[1], 250)
+    ]);
+    const element = buildComponent();
+    emitMetadata();
+    await settleComponent(2);
+    element.cardColorRulesDefinition =
+      "[Amount|greaterThan|1000|red|Large];[BadField|isBlank||blue]";
+    await settleComponent(4);
+
+    const fetchedFields =
+      fetchRelatedCardRecords.mock.calls.at(-1)[0].fieldApiNames;
+    expect(fetchedFields).toContain("Opportunity.Amount");
+    expect(fetchedFields).not.toContain("Opportunity.BadField");
+    const container = element.shadowRoot.querySelector(
+      "c-lres-kanban-board-container"
+    );
+    const cards = container.columns.flatMap((column) => column.records);
+    const large = cards.find((card) => card.id === "001");
+    expect(large.accentColor).toBe("#ba0517");
+    expect(large.badges.map((badge) => badge.label)).toEqual(["Large"]);
+    expect(cards.find((card) => card.id === "002").accentColor).toBeNull();
+    expect(container.warningMessage).toContain("BadField");
+
+    const actions = element.shadowRoot.querySelector(
+      "c-lres-kanban-board-actions"
+    );
+    expect(actions.colorLegend).toEqual([
+      expect.objectContaining({
+        description: "Amount greater than 1000",
+        badge: "Large"
+      })
+    ]);
+  });
+
+  it("shows aging badges and sorts cards oldest first", async () => {
+    const daysAgo = (days) =>
+      new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    fetchRelatedCardRecords.mockResolvedValue([
+      ...baseApexRecords,
+      buildWireRecord({
+        id: "003",
+        fields: {
+          "Opportunity.Id": { value: "003" },
+          "Opportunity.Status__c": { value: "Open", displayValue: "Open" },
+          "Opportunity.Name": {
+            value: "Third Deal",
+            displayValue: "Third Deal"
+          }
+        }
+      })
+    ]);
+    fetchGroupingFieldChangeDates.mockResolvedValue([
+      { recordId: "001", changedDate: daysAgo(2), source: "History" },
+      { recordId: "002", changedDate: daysAgo(4), source: "History" },
+      { recordId: "003", changedDate: daysAgo(10), source: "LastModifiedDate" }
+    ]);
+    const element = buildComponent();
+    element.showCardAging = true;
+    element.cardAgingThresholds = "[7|red];[3|amber];[soon|blue]";
+    emitMetadata();
+    await settleComponent(4);
+
+    expect(fetchGroupingFieldChangeDates).toHaveBeenCalledWith({
+      cardObjectApiName: "Opportunity",
+      groupingFieldApiName: "Opportunity.Status__c",
+      recordIds: ["001", "002", "003"]
+    });
+    const container = element.shadowRoot.querySelector(
+      "c-lres-kanban-board-container"
+    );
+    const findCard = (id) =>
+      container.columns
+        .flatMap((column) => column.records)
+        .find((card) => card.id === id);
+    expect(findCard("001").agingBadge.label).toBe("2 days");
+    expect(findCard("002").agingBadge.style).toBe(
+      "background-color: #fe9339; color: #181818;"
+    );
+    expect(findCard("003").agingBadge).toEqual(
+      expect.objectContaining({
+        label: "10 days",
+        style: "background-color: #ba0517; color: #ffffff;"
+      })
+    );
+    expect(findCard("003").agingBadge.title).toContain(
+      "status history is not tracked"
+    );
+    expect(container.warningMessage).toContain(
+      'Invalid aging threshold: "[soon|blue]"'
+    );
+
+    const actions = element.shadowRoot.querySelector(
+      "c-lres-kanban-board-actions"
+    );
+    expect(actions.sortFieldOptions).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ label: "Oldest first", value: "__cardAging" })
+      ])
+    );
+    actions.dispatchEvent(
+      new CustomEvent("sortoptionchange", {
+        detail: { value: "__cardAging" },
+        bubbles: true,
+        composed: true
+      })
+    );
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    await new Promise((resolve) => setTimeout(resolve, 270));
+    await settleComponent(2);
+
+    const openColumn = container.columns.find(
+      (column) => column.key === "Open"
+    );
+    expect(openColumn.records.map((card) => card.id)).toEqual(["003", "001"]);
+  });
+
+  it("does not offer oldest first while only a page of records is loaded", async () => {
+    fetchRelatedCardRecords.mockResolvedValue(baseApexRecords);
+    aggregateCardRecords.mockResolvedValue([
+      { value: "Open", count: 4 },
+      { value: "Closed", count: 1 }
+    ]);
+    fetchGroupingFieldChangeDates.mockResolvedValue([]);
+    const element = buildComponent();
+    element.cardRecordsLimit = 2;
+    element.showCardAging = true;
+    emitMetadata();
+    await settleComponent(4);
+
+    const actions = element.shadowRoot.querySelector(
+      "c-lres-kanban-board-actions"
+    );
+    expect(
+      actions.sortFieldOptions.map((option) => option.value)
+    ).not.toContain("__cardAging");
+    actions.dispatchEvent(
+      new CustomEvent("sortoptionchange", {
+        detail: { value: "__cardAging" },
+        bubbles: true,
+        composed: true
+      })
+    );
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    await new Promise((resolve) => setTimeout(resolve, 270));
+    await settleComponent(2);
+
+    const selected = actions.sortFieldOptions.find((option) => option.selected);
+    expect(selected.value).not.toBe("__cardAging");
+  });
+
+  it("loads the analytics panel from the grouping field history", async () => {
+    const daysAgo = (days) =>
+      new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    fetchRelatedCardRecords.mockResolvedValue(baseApexRecords);
+    fetchGroupingFieldHistory.mockResolvedValue({
+      isTracked: true,
+      isTruncated: false,
+      records: [
+        { recordId: "001", createdDate: daysAgo(20) },
+        { recordId: "002", createdDate: daysAgo(10) }
+      ],
+      changes: [
+        {
+          recordId: "002",
+          oldValue: "Open",
+          newValue: "Closed",
+          changedDate: daysAgo(4)
+        }
+      ]
+    });
+    const element = buildComponent();
+    element.showAnalyticsPanel = true;
+    emitMetadata();
+    await settleComponent(2);
+
+    const panel = element.shadowRoot.querySelector(
+      "c-lres-kanban-analytics-panel"
+    );
+    expect(panel.isOpen).toBe(false);
+    expect(fetchGroupingFieldHistory).not.toHaveBeenCalled();
+    panel.dispatchEvent(
+      new CustomEvent("analyticstoggle", { bubbles: true, composed: true })
+    );
+    await settleComponent(2);
+
+    expect(fetchGroupingFieldHistory).toHaveBeenCalledWith({
+      cardObjectApiName: "Opportunity",
+      groupingFieldApiName: "Opportunity.Status__c",
+      recordIds: ["001", "002"],
+      dayCount: 30
+    });
+    expect(panel.isOpen).toBe(true);
+    expect(panel.analytics.doneLabel).toBe("Closed");
+    expect(panel.analytics.cycleTime).toEqual({ averageDays: 6, count: 1 });
+    expect(panel.analytics.throughput.values).toEqual([0, 0, 0, 1]);
+    const closed = panel.analytics.cumulativeFlow.series.find(
+      (entry) => entry.key === "Closed"
+    );
+    expect(closed.values.at(0)).toBe(0);
+    expect(closed.values.at(-1)).toBe(1);
+
+    panel.dispatchEvent(
+      new CustomEvent("analyticsrangechange", {
+        detail: { days: 90 },
+        bubbles: true,
+        composed: true
+      })
+    );
+    await settleComponent(2);
+    expect(fetchGroupingFieldHistory.mock.calls.at(-1)[0].dayCount).toBe(90);
+    expect(panel.rangeOptions.find((option) => option.selected).days).toBe(90);
+  });
+
   it("surfaces mixed currency warnings in the board container", async () => {
     const records = [
       buildWireRecord({
@@ -275,6 +666,124 @@ describe("c-lres-kanban-explorer", () => {
     expect(closedColumn.records).toHaveLength(0);
   });
 
+  it("matches scoped and misspelled search terms and highlights them", async () => {
+    const withDescription = (record, description) => ({
+      ...record,
+      fields: {
+        ...record.fields,
+        "Opportunity.Description__c": {
+          value: description,
+          displayValue: description
+        }
+      }
+    });
+    fetchRelatedCardRecords.mockResolvedValue([
+      withDescription(baseApexRecords[0], "Paper jam in tray two"),
+      withDescription(baseApexRecords[1], "Toner is low")
+    ]);
+    const element = buildComponent();
+    element.cardFieldApiNames = "Name,Description__c";
+    emitMetadata({
+      Description__c: { label: "Description", dataType: "TextArea" }
+    });
+    await settleComponent(4);
+
+    const actions = element.shadowRoot.querySelector(
+      "c-lres-kanban-board-actions"
+    );
+    const container = element.shadowRoot.querySelector(
+      "c-lres-kanban-board-container"
+    );
+    const search = async (value) => {
+      actions.dispatchEvent(
+        new CustomEvent("searchinput", {
+          detail: { value },
+          bubbles: true,
+          composed: true
+        })
+      );
+      // eslint-disable-next-line @lwc/lwc/no-async-operation
+      await new Promise((resolve) => setTimeout(resolve, 270));
+      await flushPromises();
+    };
+    const cards = () => container.columns.flatMap((column) => column.records);
+
+    await search('description:"paper jam"');
+    expect(cards().map((card) => card.id)).toEqual(["001"]);
+    expect(cards()[0].details[0].highlightParts).toEqual([
+      expect.objectContaining({ text: "Paper jam", isMatch: true }),
+      expect.objectContaining({ text: " in tray two", isMatch: false })
+    ]);
+
+    await search("name:jam");
+    expect(cards()).toHaveLength(0);
+
+    await search("tonr");
+    expect(cards().map((card) => card.id)).toEqual(["002"]);
+    expect(cards()[0].details[0].highlightParts[0]).toEqual(
+      expect.objectContaining({ text: "Toner", isMatch: true })
+    );
+  });
+
+  it("searches all records on the server when only some are loaded", async () => {
+    fetchRelatedCardRecords.mockResolvedValue(baseApexRecords);
+    aggregateCardRecords.mockResolvedValue([
+      { value: "Open", count: 4 },
+      { value: "Closed", count: 1 }
+    ]);
+    searchCardRecordIds.mockResolvedValue(["003"]);
+    fetchCardRecordsByIds.mockResolvedValue([
+      withParent(
+        buildWireRecord({
+          id: "003",
+          fields: {
+            "Opportunity.Id": { value: "003" },
+            "Opportunity.Status__c": { value: "Open", displayValue: "Open" },
+            "Opportunity.Name": {
+              value: "Third Deal",
+              displayValue: "Third Deal"
+            }
+          }
+        })
+      )
+    ]);
+    const element = buildComponent();
+    element.cardRecordsLimit = 2;
+    element.searchServerFallback = true;
+    emitMetadata();
+    await settleComponent(4);
+
+    const actions = element.shadowRoot.querySelector(
+      "c-lres-kanban-board-actions"
+    );
+    actions.dispatchEvent(
+      new CustomEvent("searchinput", {
+        detail: { value: '"third deal"' },
+        bubbles: true,
+        composed: true
+      })
+    );
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    await new Promise((resolve) => setTimeout(resolve, 270));
+    await settleComponent(4);
+
+    expect(searchCardRecordIds).toHaveBeenCalledWith({
+      cardObjectApiName: "Opportunity",
+      searchText: '"third deal"'
+    });
+    expect(fetchCardRecordsByIds).toHaveBeenCalledWith(
+      expect.objectContaining({ recordIds: ["003"] })
+    );
+    const container = element.shadowRoot.querySelector(
+      "c-lres-kanban-board-container"
+    );
+    expect(
+      container.columns.flatMap((column) =>
+        column.records.map((card) => card.id)
+      )
+    ).toEqual(["003"]);
+  });
+
   it("debounces search input with trailing-only updates", () => {
     jest.useFakeTimers();
     const component = {
@@ -416,8 +925,1624 @@ describe("c-lres-kanban-explorer", () => {
     expect(fetchRelatedCardRecords.mock.calls.length).toBeGreaterThanOrEqual(2);
   });
 
-  it("enables virtualization when total cards exceed the threshold", async () => {
-    const manyRecords = Array.from({ length: 120 }, (_, index) =>
+  it("builds swimlanes from a lookup field and updates both fields on drop", async () => {
+    const swimlaneRecords = [
+      buildWireRecord({
+        id: "001",
+        fields: {
+          "Opportunity.Id": { value: "001" },
+          "Opportunity.Status__c": { value: "Open", displayValue: "Open" },
+          "Opportunity.Name": {
+            value: "First Deal",
+            displayValue: "First Deal"
+          },
+          "Opportunity.AccountId": { value: "A1", displayValue: "A1" },
+          "Opportunity.Account.Name": { value: "Acme", displayValue: "Acme" }
+        }
+      }),
+      buildWireRecord({
+        id: "002",
+        fields: {
+          "Opportunity.Id": { value: "002" },
+          "Opportunity.Status__c": { value: "Closed", displayValue: "Closed" },
+          "Opportunity.Name": {
+            value: "Second Deal",
+            displayValue: "Second Deal"
+          },
+          "Opportunity.AccountId": { value: "A2", displayValue: "A2" },
+          "Opportunity.Account.Name": {
+            value: "Globex",
+            displayValue: "Globex"
+          }
+        }
+      })
+    ];
+    fetchRelatedCardRecords.mockResolvedValue(swimlaneRecords);
+    const element = buildComponent();
+    await flushPromises();
+    fetchRelatedCardRecords.mockClear();
+    element.swimlaneFieldApiName = "AccountId";
+    await flushPromises();
+    expect(fetchRelatedCardRecords).not.toHaveBeenCalled();
+    emitMetadata();
+    await settleComponent(2);
+
+    // The swimlane fetch waits for object info so it already has the lookup label.
+    expect(fetchRelatedCardRecords).toHaveBeenCalledTimes(1);
+    const fetchArgs = fetchRelatedCardRecords.mock.calls.at(-1)[0];
+    expect(fetchArgs.fieldApiNames).toEqual(
+      expect.arrayContaining([
+        "Opportunity.AccountId",
+        "Opportunity.Account.Name"
+      ])
+    );
+
+    const container = element.shadowRoot.querySelector(
+      "c-lres-kanban-board-container"
+    );
+    expect(container.swimlanes.map((row) => row.label)).toEqual([
+      "Acme",
+      "Globex"
+    ]);
+    expect(container.swimlanes[0].columns.map((cell) => cell.count)).toEqual([
+      1, 0, 0
+    ]);
+
+    updateRecord.mockResolvedValue({});
+    container.dispatchEvent(
+      new CustomEvent("columndrop", {
+        detail: {
+          recordId: "001",
+          sourceColumnKey: "Open",
+          targetColumnKey: "Closed",
+          sourceSwimlaneKey: "A1",
+          targetSwimlaneKey: "A2"
+        },
+        bubbles: true,
+        composed: true
+      })
+    );
+    await flushPromises();
+
+    expect(updateRecord).toHaveBeenCalledWith({
+      fields: { Id: "001", Status__c: "Closed", AccountId: "A2" }
+    });
+  });
+
+  it("updates only the swimlane field when dropped within the same column", async () => {
+    fetchRelatedCardRecords.mockResolvedValue(baseApexRecords);
+    const element = buildComponent();
+    element.swimlaneFieldApiName = "Status__c";
+    emitMetadata();
+    await settleComponent(2);
+
+    updateRecord.mockResolvedValue({});
+    const container = element.shadowRoot.querySelector(
+      "c-lres-kanban-board-container"
+    );
+    container.dispatchEvent(
+      new CustomEvent("columndrop", {
+        detail: {
+          recordId: "001",
+          sourceColumnKey: "Open",
+          targetColumnKey: "Open",
+          sourceSwimlaneKey: "Open",
+          targetSwimlaneKey: "Closed"
+        },
+        bubbles: true,
+        composed: true
+      })
+    );
+    await flushPromises();
+
+    expect(updateRecord).toHaveBeenCalledWith({
+      fields: { Id: "001", Status__c: "Closed" }
+    });
+  });
+
+  it("applies WIP limits to columns and blocks drops into full columns", async () => {
+    fetchRelatedCardRecords.mockResolvedValue(baseApexRecords);
+    const element = buildComponent();
+    element.columnWipLimitsDefinition = "[Closed|1];[Open|bad]";
+    element.enforceWipLimits = true;
+    emitMetadata();
+    await settleComponent(2);
+
+    const container = element.shadowRoot.querySelector(
+      "c-lres-kanban-board-container"
+    );
+    const closedColumn = container.columns.find((col) => col.key === "Closed");
+    expect(closedColumn.wipLimit).toEqual({ max: 1, min: null });
+    expect(container.warningMessage).toContain(
+      'Invalid WIP limit entry: "[Open|bad]"'
+    );
+
+    const toastHandler = jest.fn();
+    element.addEventListener("lightning__showtoast", toastHandler);
+    container.dispatchEvent(
+      new CustomEvent("columndrop", {
+        detail: {
+          recordId: "001",
+          sourceColumnKey: "Open",
+          targetColumnKey: "Closed"
+        },
+        bubbles: true,
+        composed: true
+      })
+    );
+    await flushPromises();
+
+    expect(updateRecord).not.toHaveBeenCalled();
+    expect(toastHandler).toHaveBeenCalledWith(
+      expect.objectContaining({
+        detail: expect.objectContaining({
+          title: "WIP limit reached",
+          variant: "warning"
+        })
+      })
+    );
+  });
+
+  const buildRankedRecords = (ranks) =>
+    [
+      ["001", "Open", "First Deal"],
+      ["002", "Closed", "Second Deal"],
+      ["003", "Open", "Third Deal"]
+    ].map(([id, status, name]) =>
+      buildWireRecord({
+        id,
+        fields: {
+          "Opportunity.Id": { value: id },
+          "Opportunity.Status__c": { value: status, displayValue: status },
+          "Opportunity.Name": { value: name, displayValue: name },
+          "Opportunity.Rank__c": { value: ranks[id] ?? null }
+        }
+      })
+    );
+
+  const selectManualOrder = (element) => {
+    const actions = element.shadowRoot.querySelector(
+      "c-lres-kanban-board-actions"
+    );
+    expect(actions.sortFieldOptions).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({
+          label: "Manual order",
+          value: "Opportunity.Rank__c"
+        })
+      ])
+    );
+    actions.dispatchEvent(
+      new CustomEvent("sortoptionchange", {
+        detail: { value: "Opportunity.Rank__c" },
+        bubbles: true,
+        composed: true
+      })
+    );
+  };
+
+  it("writes a rank between neighbours when dropped in manual order", async () => {
+    fetchRelatedCardRecords.mockResolvedValue(
+      buildRankedRecords({ "001": 1000, "002": 500, "003": 2000 })
+    );
+    updateRecord.mockResolvedValue({});
+    const element = buildComponent();
+    element.rankFieldApiName = "Rank__c";
+    emitMetadata();
+    await settleComponent(2);
+    selectManualOrder(element);
+
+    const container = element.shadowRoot.querySelector(
+      "c-lres-kanban-board-container"
+    );
+    container.dispatchEvent(
+      new CustomEvent("columndrop", {
+        detail: {
+          recordId: "002",
+          sourceColumnKey: "Closed",
+          targetColumnKey: "Open",
+          beforeRecordId: "003"
+        },
+        bubbles: true,
+        composed: true
+      })
+    );
+    await flushPromises();
+
+    expect(updateRecord).toHaveBeenCalledWith({
+      fields: { Id: "002", Status__c: "Open", Rank__c: 1500 }
+    });
+    expect(rebalanceRanks).not.toHaveBeenCalled();
+  });
+
+  it("rebalances the column when a neighbour has no rank", async () => {
+    fetchRelatedCardRecords.mockResolvedValue(
+      buildRankedRecords({ "002": 500, "003": 1000 })
+    );
+    rebalanceRanks.mockResolvedValue();
+    const element = buildComponent();
+    element.rankFieldApiName = "Rank__c";
+    emitMetadata();
+    await settleComponent(2);
+    selectManualOrder(element);
+
+    const container = element.shadowRoot.querySelector(
+      "c-lres-kanban-board-container"
+    );
+    container.dispatchEvent(
+      new CustomEvent("columndrop", {
+        detail: {
+          recordId: "003",
+          sourceColumnKey: "Open",
+          targetColumnKey: "Open",
+          beforeRecordId: "001"
+        },
+        bubbles: true,
+        composed: true
+      })
+    );
+    await flushPromises();
+
+    expect(updateRecord).not.toHaveBeenCalled();
+    expect(rebalanceRanks).toHaveBeenCalledWith({
+      cardObjectApiName: "Opportunity",
+      rankFieldApiName: "Rank__c",
+      orderedRecordIds: ["003", "001"]
+    });
+  });
+
+  it("renumbers cards hidden by search along with the shown cards", async () => {
+    fetchRelatedCardRecords.mockResolvedValue([
+      ...buildRankedRecords({ "002": 500 }),
+      buildWireRecord({
+        id: "004",
+        fields: {
+          "Opportunity.Id": { value: "004" },
+          "Opportunity.Status__c": { value: "Open", displayValue: "Open" },
+          "Opportunity.Name": {
+            value: "Fourth Item",
+            displayValue: "Fourth Item"
+          },
+          "Opportunity.Rank__c": { value: 500 }
+        }
+      })
+    ]);
+    updateRecord.mockResolvedValue({});
+    rebalanceRanks.mockResolvedValue();
+    const element = buildComponent();
+    element.rankFieldApiName = "Rank__c";
+    element.searchFieldApiNames = "Name";
+    emitMetadata();
+    await settleComponent(2);
+    selectManualOrder(element);
+
+    element.shadowRoot
+      .querySelector("c-lres-kanban-board-actions")
+      .dispatchEvent(
+        new CustomEvent("searchinput", {
+          detail: { value: "Deal" },
+          bubbles: true,
+          composed: true
+        })
+      );
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    await new Promise((resolve) => setTimeout(resolve, 220));
+    await flushPromises();
+
+    const container = element.shadowRoot.querySelector(
+      "c-lres-kanban-board-container"
+    );
+    const shownIds = container.columns
+      .find((col) => col.key === "Open")
+      .records.map((card) => card.id);
+    expect(shownIds).not.toContain("004");
+    container.dispatchEvent(
+      new CustomEvent("columndrop", {
+        detail: {
+          recordId: "002",
+          sourceColumnKey: "Closed",
+          targetColumnKey: "Open"
+        },
+        bubbles: true,
+        composed: true
+      })
+    );
+    await flushPromises();
+
+    expect(rebalanceRanks).toHaveBeenCalledWith({
+      cardObjectApiName: "Opportunity",
+      rankFieldApiName: "Rank__c",
+      orderedRecordIds: ["004", ...shownIds, "002"]
+    });
+  });
+
+  it("reloads the board when renumbering fails after the move saved", async () => {
+    fetchRelatedCardRecords.mockResolvedValue(
+      buildRankedRecords({ "002": 500 })
+    );
+    updateRecord.mockResolvedValue({});
+    rebalanceRanks.mockRejectedValue({ body: { message: "Row lock" } });
+    const element = buildComponent();
+    element.rankFieldApiName = "Rank__c";
+    emitMetadata();
+    await settleComponent(2);
+    selectManualOrder(element);
+    fetchRelatedCardRecords.mockClear();
+
+    const toastHandler = jest.fn();
+    element.addEventListener("lightning__showtoast", toastHandler);
+    const container = element.shadowRoot.querySelector(
+      "c-lres-kanban-board-container"
+    );
+    container.dispatchEvent(
+      new CustomEvent("columndrop", {
+        detail: {
+          recordId: "002",
+          sourceColumnKey: "Closed",
+          targetColumnKey: "Open",
+          beforeRecordId: "001"
+        },
+        bubbles: true,
+        composed: true
+      })
+    );
+    await settleComponent(2);
+
+    expect(updateRecord).toHaveBeenCalledWith({
+      fields: { Id: "002", Status__c: "Open" }
+    });
+    expect(fetchRelatedCardRecords).toHaveBeenCalled();
+    expect(toastHandler).toHaveBeenCalledWith(
+      expect.objectContaining({
+        detail: expect.objectContaining({ variant: "error" })
+      })
+    );
+    const cards = container.columns.flatMap((col) => col.records);
+    expect(cards.some((card) => card.isSaving)).toBe(false);
+    expect(element.shadowRoot.querySelector("lightning-spinner")).toBeNull();
+  });
+
+  const buildEditableComponent = () => {
+    fetchRelatedCardRecords.mockResolvedValue([
+      buildWireRecord({
+        id: "001",
+        fields: {
+          "Opportunity.Id": { value: "001" },
+          "Opportunity.Status__c": { value: "Open", displayValue: "Open" },
+          "Opportunity.Name": {
+            value: "First Deal",
+            displayValue: "First Deal"
+          },
+          "Opportunity.Amount": { value: 100, displayValue: "$100.00" }
+        }
+      })
+    ]);
+    const element = buildComponent();
+    element.cardFieldApiNames = "Name, Amount";
+    element.inlineEditFieldApiNames = "Amount";
+    emitMetadata();
+    return element;
+  };
+
+  const findAmountDetail = (container) =>
+    container.columns
+      .find((col) => col.key === "Open")
+      .records[0].details.find((detail) => detail.apiName === "Amount");
+
+  const dispatchFieldEdit = (container, value) => {
+    container.dispatchEvent(
+      new CustomEvent("cardfieldedit", {
+        detail: {
+          recordId: "001",
+          fieldApiName: "Amount",
+          value,
+          displayValue: String(value)
+        },
+        bubbles: true,
+        composed: true
+      })
+    );
+  };
+
+  it("saves inline field edits through updateRecord", async () => {
+    updateRecord.mockResolvedValue({});
+    const element = buildEditableComponent();
+    await settleComponent(2);
+
+    const container = element.shadowRoot.querySelector(
+      "c-lres-kanban-board-container"
+    );
+    expect(findAmountDetail(container).editor).toEqual(
+      expect.objectContaining({ type: "number", step: "0.01", value: 100 })
+    );
+
+    dispatchFieldEdit(container, "250");
+    await flushPromises();
+
+    expect(updateRecord).toHaveBeenCalledWith({
+      fields: { Id: "001", Amount: 250 }
+    });
+  });
+
+  it("rolls back inline edits and shows the validation error on failure", async () => {
+    updateRecord.mockRejectedValue({
+      body: {
+        output: {
+          errors: [],
+          fieldErrors: {
+            Amount: [{ message: "Amount must be below 200." }]
+          }
+        }
+      }
+    });
+    const element = buildEditableComponent();
+    await settleComponent(2);
+
+    const container = element.shadowRoot.querySelector(
+      "c-lres-kanban-board-container"
+    );
+    dispatchFieldEdit(container, "250");
+    await flushPromises();
+
+    const detail = findAmountDetail(container);
+    expect(detail.editor.value).toBe(100);
+    expect(detail.value).toBe("$100.00");
+    expect(detail.editError).toContain("Amount must be below 200.");
+  });
+
+  it("unlocks an edited card when the refresh after saving fails", async () => {
+    updateRecord.mockResolvedValue({});
+    const element = buildEditableComponent();
+    await settleComponent(2);
+    fetchRelatedCardRecords.mockRejectedValue({
+      body: { message: "Request timed out" }
+    });
+
+    const container = element.shadowRoot.querySelector(
+      "c-lres-kanban-board-container"
+    );
+    dispatchFieldEdit(container, "250");
+    await settleComponent(2);
+
+    expect(updateRecord).toHaveBeenCalledWith({
+      fields: { Id: "001", Amount: 250 }
+    });
+    const card = container.columns.find((col) => col.key === "Open").records[0];
+    expect(card.isSaving).toBe(false);
+    expect(findAmountDetail(container).value).toBe("250");
+  });
+
+  it("warns instead of dropping inline edits made while the board is saving", async () => {
+    const element = buildEditableComponent();
+    await settleComponent(2);
+    updateRecord.mockReturnValue(new Promise(() => {}));
+
+    const container = element.shadowRoot.querySelector(
+      "c-lres-kanban-board-container"
+    );
+    container.dispatchEvent(
+      new CustomEvent("columndrop", {
+        detail: {
+          recordId: "001",
+          sourceColumnKey: "Open",
+          targetColumnKey: "Closed"
+        },
+        bubbles: true,
+        composed: true
+      })
+    );
+    await flushPromises();
+    updateRecord.mockClear();
+
+    const toastHandler = jest.fn();
+    element.addEventListener("lightning__showtoast", toastHandler);
+    dispatchFieldEdit(container, "250");
+    await flushPromises();
+
+    expect(updateRecord).not.toHaveBeenCalled();
+    expect(toastHandler).toHaveBeenCalledWith(
+      expect.objectContaining({
+        detail: expect.objectContaining({
+          title: "Edit not saved",
+          variant: "warning"
+        })
+      })
+    );
+  });
+
+  it("creates a record from a column and adds it without reloading the board", async () => {
+    fetchRelatedCardRecords.mockResolvedValue(baseApexRecords);
+    resolveParentFieldApiName.mockResolvedValue("AccountId");
+    KanbanRecordModal.open.mockResolvedValue({
+      recordId: "003",
+      saved: true,
+      created: true
+    });
+    fetchCardRecordsByIds.mockResolvedValue([
+      withParent(
+        buildWireRecord({
+          id: "003",
+          fields: {
+            "Opportunity.Id": { value: "003" },
+            "Opportunity.Status__c": { value: "Open", displayValue: "Open" },
+            "Opportunity.Name": { value: "New Deal", displayValue: "New Deal" }
+          }
+        })
+      )
+    ]);
+    const element = buildComponent();
+    emitMetadata();
+    await settleComponent(2);
+
+    const container = element.shadowRoot.querySelector(
+      "c-lres-kanban-board-container"
+    );
+    expect(container.quickCreateEnabled).toBe(true);
+    fetchRelatedCardRecords.mockClear();
+
+    container.dispatchEvent(
+      new CustomEvent("columncreate", {
+        detail: { columnKey: "Open" },
+        bubbles: true,
+        composed: true
+      })
+    );
+    await settleComponent(2);
+
+    expect(resolveParentFieldApiName).toHaveBeenCalledWith({
+      parentRecordId: "001",
+      childRelationshipName: "Opportunities",
+      cardObjectApiName: "Opportunity"
+    });
+    expect(KanbanRecordModal.open).toHaveBeenCalledWith(
+      expect.objectContaining({
+        objectApiName: "Opportunity",
+        objectLabel: "Opportunity",
+        createFieldApiNames: ["Status__c", "AccountId", "Name"],
+        defaultFieldValues: { Status__c: "Open", AccountId: "001" }
+      })
+    );
+    expect(fetchCardRecordsByIds).toHaveBeenCalledWith(
+      expect.objectContaining({
+        recordIds: ["003"],
+        parentRecordId: "001",
+        parentRecordIds: ["001"],
+        cardObjectApiName: "Opportunity"
+      })
+    );
+    expect(fetchRelatedCardRecords).not.toHaveBeenCalled();
+    const openColumn = container.columns.find((col) => col.key === "Open");
+    expect(openColumn.records.map((card) => card.id).sort()).toEqual([
+      "001",
+      "003"
+    ]);
+  });
+
+  it("does not add the record when the create modal is closed without saving", async () => {
+    fetchRelatedCardRecords.mockResolvedValue(baseApexRecords);
+    resolveParentFieldApiName.mockResolvedValue("AccountId");
+    KanbanRecordModal.open.mockResolvedValue({ saved: false });
+    const element = buildComponent();
+    emitMetadata();
+    await settleComponent(2);
+
+    element.shadowRoot
+      .querySelector("c-lres-kanban-board-container")
+      .dispatchEvent(
+        new CustomEvent("columncreate", {
+          detail: { columnKey: "Closed" },
+          bubbles: true,
+          composed: true
+        })
+      );
+    await settleComponent(2);
+
+    expect(KanbanRecordModal.open).toHaveBeenCalledTimes(1);
+    expect(fetchCardRecordsByIds).not.toHaveBeenCalled();
+  });
+
+  it("merges change events into the board and flags edits by other users", async () => {
+    fetchRelatedCardRecords.mockResolvedValue(baseApexRecords);
+    subscribe.mockClear();
+    const element = buildComponent();
+    element.enableRealTimeUpdates = true;
+    emitMetadata();
+    await settleComponent(2);
+
+    expect(subscribe).toHaveBeenCalledWith(
+      "/data/OpportunityChangeEvent",
+      -1,
+      expect.any(Function)
+    );
+    const emitChange = subscribe.mock.calls[0][2];
+    const container = element.shadowRoot.querySelector(
+      "c-lres-kanban-board-container"
+    );
+    fetchRelatedCardRecords.mockClear();
+    fetchCardRecordsByIds.mockResolvedValue([
+      withParent(
+        buildWireRecord({
+          id: "002",
+          fields: {
+            "Opportunity.Id": { value: "002" },
+            "Opportunity.Status__c": { value: "Open", displayValue: "Open" },
+            "Opportunity.Name": {
+              value: "Second Deal",
+              displayValue: "Second Deal"
+            }
+          }
+        })
+      )
+    ]);
+
+    await emitChange({
+      data: {
+        payload: {
+          ChangeEventHeader: {
+            changeType: "UPDATE",
+            recordIds: ["002"],
+            commitUser: "005OTHERUSER"
+          }
+        }
+      }
+    });
+    await settleComponent(2);
+
+    expect(fetchCardRecordsByIds).toHaveBeenCalledWith(
+      expect.objectContaining({ recordIds: ["002"], parentRecordId: "001" })
+    );
+    expect(fetchRelatedCardRecords).not.toHaveBeenCalled();
+    let openColumn = container.columns.find((col) => col.key === "Open");
+    expect(openColumn.records.map((card) => card.id)).toEqual(["001", "002"]);
+    expect(container.changedRecordIds).toEqual(["002"]);
+
+    await emitChange({
+      data: {
+        payload: {
+          ChangeEventHeader: {
+            changeType: "DELETE",
+            recordIds: ["001"],
+            commitUser: "005OTHERUSER"
+          }
+        }
+      }
+    });
+    await settleComponent(2);
+
+    openColumn = container.columns.find((col) => col.key === "Open");
+    expect(openColumn.records.map((card) => card.id)).toEqual(["002"]);
+
+    KanbanRecordModal.open.mockResolvedValue({ saved: false });
+    container.dispatchEvent(
+      new CustomEvent("cardtitleclick", {
+        detail: { recordId: "002" },
+        bubbles: true,
+        composed: true
+      })
+    );
+    await settleComponent(2);
+
+    const { subscribeToChanges } = KanbanRecordModal.open.mock.calls[0][0];
+    const onRemoteChange = jest.fn();
+    subscribeToChanges("002", onRemoteChange);
+    await emitChange({
+      data: {
+        payload: {
+          ChangeEventHeader: {
+            changeType: "UPDATE",
+            recordIds: ["002"],
+            commitUser: "005OTHERUSER"
+          }
+        }
+      }
+    });
+
+    expect(onRemoteChange).toHaveBeenCalledWith({
+      recordId: "002",
+      changeType: "UPDATE",
+      commitUser: "005OTHERUSER"
+    });
+  });
+
+  it("ignores change events for records outside the board's parents", async () => {
+    fetchRelatedCardRecords.mockResolvedValue(baseApexRecords);
+    subscribe.mockClear();
+    const element = buildComponent();
+    element.enableRealTimeUpdates = true;
+    emitMetadata();
+    await settleComponent(2);
+    const buildCreated = (id) =>
+      buildWireRecord({
+        id,
+        fields: {
+          "Opportunity.Id": { value: id },
+          "Opportunity.Status__c": { value: "Open", displayValue: "Open" },
+          "Opportunity.Name": {
+            value: `Deal ${id}`,
+            displayValue: `Deal ${id}`
+          }
+        }
+      });
+    fetchCardRecordsByIds.mockResolvedValue([
+      withParent(buildCreated("004"), "009"),
+      buildCreated("005")
+    ]);
+
+    await subscribe.mock.calls[0][2]({
+      data: {
+        payload: {
+          ChangeEventHeader: {
+            changeType: "CREATE",
+            recordIds: ["004", "005"],
+            commitUser: "005OTHERUSER"
+          }
+        }
+      }
+    });
+    await settleComponent(2);
+
+    expect(fetchCardRecordsByIds).toHaveBeenCalledWith(
+      expect.objectContaining({
+        recordIds: ["004", "005"],
+        parentRecordIds: ["001"]
+      })
+    );
+    const container = element.shadowRoot.querySelector(
+      "c-lres-kanban-board-container"
+    );
+    const openColumn = container.columns.find((col) => col.key === "Open");
+    expect(openColumn.records.map((card) => card.id)).toEqual(["001"]);
+  });
+
+  it("reloads the board after a change event gap", async () => {
+    fetchRelatedCardRecords.mockResolvedValue(baseApexRecords);
+    subscribe.mockClear();
+    const element = buildComponent();
+    element.enableRealTimeUpdates = true;
+    emitMetadata();
+    await settleComponent(2);
+    fetchRelatedCardRecords.mockClear();
+
+    await subscribe.mock.calls[0][2]({
+      data: {
+        payload: {
+          ChangeEventHeader: {
+            changeType: "GAP_UPDATE",
+            recordIds: ["001"],
+            commitUser: "005OTHERUSER"
+          }
+        }
+      }
+    });
+    await settleComponent(2);
+
+    expect(fetchCardRecordsByIds).not.toHaveBeenCalled();
+    expect(fetchRelatedCardRecords).toHaveBeenCalledTimes(1);
+  });
+
+  it("saves a view and restores it as the default on the next load", async () => {
+    fetchRelatedCardRecords.mockResolvedValue(baseApexRecords);
+    LightningPrompt.open.mockResolvedValue("Open deals");
+    let storedViews = null;
+    fetchSavedViews.mockImplementation(() => Promise.resolve(storedViews));
+    saveSavedViews.mockImplementation(({ viewsJson }) => {
+      storedViews = viewsJson;
+      return Promise.resolve();
+    });
+    let element = buildComponent();
+    emitMetadata();
+    await settleComponent(2);
+
+    let actions = element.shadowRoot.querySelector(
+      "c-lres-kanban-board-actions"
+    );
+    const filterId = actions.filterDefinitions[0].id;
+    actions.dispatchEvent(
+      new CustomEvent("filteroptiontoggle", {
+        detail: { filterId, value: "Open", checked: true },
+        bubbles: true,
+        composed: true
+      })
+    );
+    actions.dispatchEvent(
+      new CustomEvent("sortdirectiontoggle", { bubbles: true, composed: true })
+    );
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    await new Promise((resolve) => setTimeout(resolve, 270));
+    await flushPromises();
+
+    actions.dispatchEvent(
+      new CustomEvent("viewaction", {
+        detail: { action: "save" },
+        bubbles: true,
+        composed: true
+      })
+    );
+    await settleComponent(2);
+
+    expect(LightningPrompt.open).toHaveBeenCalledWith(
+      expect.objectContaining({ label: "Save View" })
+    );
+    expect(actions.savedViews).toEqual([
+      expect.objectContaining({
+        name: "Open deals",
+        isDefault: false,
+        state: {
+          filters: { [filterId]: ["Open"] },
+          quickFilters: [],
+          advancedFilter: null,
+          searchValue: "",
+          sortField: expect.any(String),
+          sortDirection: "desc"
+        }
+      })
+    ]);
+    const viewId = actions.activeViewId;
+    expect(viewId).toBe(actions.savedViews[0].id);
+
+    actions.dispatchEvent(
+      new CustomEvent("viewaction", {
+        detail: { action: "default", viewId },
+        bubbles: true,
+        composed: true
+      })
+    );
+    await settleComponent(1);
+    expect(actions.savedViews[0].isDefault).toBe(true);
+    expect(saveSavedViews).toHaveBeenLastCalledWith({
+      boardKey: fetchSavedViews.mock.calls[0][0].boardKey,
+      viewsJson: expect.stringContaining('"isDefault":true')
+    });
+
+    document.body.removeChild(element);
+    window.localStorage.clear();
+    element = buildComponent();
+    emitMetadata();
+    await settleComponent(2);
+
+    actions = element.shadowRoot.querySelector("c-lres-kanban-board-actions");
+    expect(actions.activeViewId).toBe(viewId);
+    expect(actions.filterDefinitions[0].selectedValues).toEqual(["Open"]);
+    expect(actions.sortDirectionIcon).toBe("utility:arrowdown");
+    const container = element.shadowRoot.querySelector(
+      "c-lres-kanban-board-container"
+    );
+    const closedColumn = container.columns.find((col) => col.key === "Closed");
+    expect(closedColumn.records).toEqual([]);
+  });
+
+  it("writes filters, search, and sort to the URL and restores them from a link", async () => {
+    const pageReference = {
+      type: "standard__navItemPage",
+      attributes: { apiName: "Deals" },
+      state: { c__other: "kept" }
+    };
+    fetchParentlessCardRecords.mockResolvedValue(baseApexRecords);
+    let element = buildParentlessComponent();
+    CurrentPageReference.emit(pageReference);
+    emitMetadata();
+    await settleComponent(2);
+
+    let actions = element.shadowRoot.querySelector(
+      "c-lres-kanban-board-actions"
+    );
+    const filterId = actions.filterDefinitions[0].id;
+    actions.dispatchEvent(
+      new CustomEvent("filteroptiontoggle", {
+        detail: { filterId, value: "Closed", checked: true },
+        bubbles: true,
+        composed: true
+      })
+    );
+    actions.dispatchEvent(
+      new CustomEvent("searchinput", {
+        detail: { value: "Second" },
+        bubbles: true,
+        composed: true
+      })
+    );
+    actions.dispatchEvent(
+      new CustomEvent("sortdirectiontoggle", { bubbles: true, composed: true })
+    );
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    await new Promise((resolve) => setTimeout(resolve, 600));
+    await flushPromises();
+
+    expect(navigate).toHaveBeenCalledTimes(1);
+    const [nextReference, replace] = navigate.mock.calls[0];
+    expect(replace).toBe(true);
+    expect(nextReference.attributes).toEqual(pageReference.attributes);
+    const [paramName, value] = Object.entries(nextReference.state).find(
+      ([name]) => name.startsWith("c__kanban_")
+    );
+    expect(nextReference.state.c__other).toBe("kept");
+    expect(JSON.parse(value)).toEqual({
+      f: { [filterId]: ["Closed"] },
+      q: "Second",
+      d: "desc"
+    });
+
+    // The board's own URL update does not re-apply state.
+    CurrentPageReference.emit(nextReference);
+    await settleComponent(1);
+    expect(navigate).toHaveBeenCalledTimes(1);
+
+    document.body.removeChild(element);
+    element = buildParentlessComponent();
+    CurrentPageReference.emit({
+      ...pageReference,
+      state: { [paramName]: value }
+    });
+    emitMetadata();
+    await settleComponent(2);
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    await new Promise((resolve) => setTimeout(resolve, 600));
+    await flushPromises();
+
+    actions = element.shadowRoot.querySelector("c-lres-kanban-board-actions");
+    expect(actions.searchValue).toBe("Second");
+    expect(actions.filterDefinitions[0].selectedValues).toEqual(["Closed"]);
+    expect(actions.sortDirectionIcon).toBe("utility:arrowdown");
+    const container = element.shadowRoot.querySelector(
+      "c-lres-kanban-board-container"
+    );
+    expect(container.columns.find((col) => col.key === "Open").records).toEqual(
+      []
+    );
+    expect(navigate).toHaveBeenCalledTimes(1);
+  });
+
+  it("applies an advanced filter to the loaded records in the browser", async () => {
+    fetchRelatedCardRecords.mockResolvedValue(baseApexRecords);
+    const element = buildComponent();
+    emitMetadata();
+    await settleComponent(4);
+    fetchRelatedCardRecords.mockClear();
+
+    KanbanFilterBuilder.open.mockResolvedValue({
+      action: "apply",
+      filter: {
+        type: "group",
+        logic: "AND",
+        children: [
+          {
+            type: "condition",
+            field: "Name",
+            operator: "contains",
+            value: "second"
+          }
+        ]
+      }
+    });
+    const actions = element.shadowRoot.querySelector(
+      "c-lres-kanban-board-actions"
+    );
+    expect(actions.advancedFilterAvailable).toBe(true);
+    actions.dispatchEvent(
+      new CustomEvent("advancedfilteropen", { bubbles: true, composed: true })
+    );
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    await new Promise((resolve) => setTimeout(resolve, 270));
+    await flushPromises();
+
+    const fields = KanbanFilterBuilder.open.mock.calls[0][0].fields;
+    expect(fields.map((field) => [field.value, field.type])).toEqual([
+      ["Name", "text"],
+      ["Status__c", "picklist"]
+    ]);
+    expect(fetchRelatedCardRecords).not.toHaveBeenCalled();
+    const container = element.shadowRoot.querySelector(
+      "c-lres-kanban-board-container"
+    );
+    const cardIds = container.columns.flatMap((column) =>
+      column.records.map((card) => card.id)
+    );
+    expect(cardIds).toEqual(["002"]);
+    expect(actions.advancedFilterCount).toBe(1);
+    expect(actions.clearFiltersDisabled).toBe(false);
+  });
+
+  it("sends the advanced filter to Apex when only a page of records is loaded", async () => {
+    fetchRelatedCardRecords.mockResolvedValue(baseApexRecords);
+    aggregateCardRecords.mockResolvedValue([
+      { value: "Open", count: 4 },
+      { value: "Closed", count: 1 }
+    ]);
+    const element = buildComponent();
+    element.cardRecordsLimit = 2;
+    element.cardRecordsWhereClause = "Amount > 0";
+    emitMetadata();
+    await settleComponent(4);
+    fetchRelatedCardRecords.mockClear();
+
+    KanbanFilterBuilder.open.mockResolvedValue({
+      action: "apply",
+      filter: {
+        type: "group",
+        logic: "OR",
+        children: [
+          {
+            type: "condition",
+            field: "Name",
+            operator: "startsWith",
+            value: "First"
+          },
+          { type: "condition", field: "Status__c", operator: "isBlank" }
+        ]
+      }
+    });
+    element.shadowRoot
+      .querySelector("c-lres-kanban-board-actions")
+      .dispatchEvent(
+        new CustomEvent("advancedfilteropen", { bubbles: true, composed: true })
+      );
+    await settleComponent(4);
+
+    const expectedClause =
+      "(Amount > 0) AND (Name LIKE 'First%' OR Status__c = null)";
+    expect(fetchRelatedCardRecords).toHaveBeenCalledWith(
+      expect.objectContaining({ cardWhereClause: expectedClause })
+    );
+    expect(aggregateCardRecords).toHaveBeenLastCalledWith(
+      expect.objectContaining({ cardWhereClause: expectedClause })
+    );
+
+    fetchRelatedCardRecords.mockClear();
+    element.shadowRoot
+      .querySelector("c-lres-kanban-board-actions")
+      .dispatchEvent(
+        new CustomEvent("clearfilters", { bubbles: true, composed: true })
+      );
+    await settleComponent(4);
+
+    expect(fetchRelatedCardRecords).toHaveBeenCalledWith(
+      expect.objectContaining({ cardWhereClause: "Amount > 0" })
+    );
+  });
+
+  it("filters cards by a numeric range and clears the range", async () => {
+    const withAmount = (record, amount) => ({
+      ...record,
+      fields: {
+        ...record.fields,
+        "Opportunity.Amount": { value: amount, displayValue: String(amount) }
+      }
+    });
+    fetchRelatedCardRecords.mockResolvedValue([
+      withAmount(baseApexRecords[0], 100),
+      withAmount(baseApexRecords[1], 900)
+    ]);
+    const element = buildComponent();
+    element.filterFieldApiNames = "Status__c, Amount";
+    emitMetadata();
+    await settleComponent(2);
+
+    const actions = element.shadowRoot.querySelector(
+      "c-lres-kanban-board-actions"
+    );
+    const amountFilter = actions.filterDefinitions.find(
+      (def) => def.id === "Opportunity.Amount"
+    );
+    expect(amountFilter).toEqual(
+      expect.objectContaining({
+        isRange: true,
+        minPlaceholder: "100",
+        maxPlaceholder: "900"
+      })
+    );
+    actions.dispatchEvent(
+      new CustomEvent("filterrangechange", {
+        detail: { filterId: amountFilter.id, min: "500", max: "" },
+        bubbles: true,
+        composed: true
+      })
+    );
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    await new Promise((resolve) => setTimeout(resolve, 270));
+    await flushPromises();
+
+    const container = element.shadowRoot.querySelector(
+      "c-lres-kanban-board-container"
+    );
+    const cardIds = () =>
+      container.columns.flatMap((column) =>
+        column.records.map((card) => card.id)
+      );
+    expect(cardIds()).toEqual(["002"]);
+    expect(actions.clearFiltersDisabled).toBe(false);
+
+    actions.dispatchEvent(
+      new CustomEvent("clearfilters", { bubbles: true, composed: true })
+    );
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    await new Promise((resolve) => setTimeout(resolve, 270));
+    await flushPromises();
+
+    expect(cardIds()).toEqual(expect.arrayContaining(["001", "002"]));
+    expect(
+      actions.filterDefinitions.find((def) => def.id === amountFilter.id)
+        .rangeMin
+    ).toBe("");
+  });
+
+  it("narrows cards with quick filters and clears them", async () => {
+    const withPeople = (record, ownerId) => ({
+      ...record,
+      fields: {
+        ...record.fields,
+        "Opportunity.OwnerId": { value: ownerId },
+        "Opportunity.CreatedById": { value: ownerId }
+      }
+    });
+    fetchRelatedCardRecords.mockResolvedValue([
+      withPeople(baseApexRecords[0], USER_ID),
+      withPeople(baseApexRecords[1], "005000000000OTHER")
+    ]);
+    const element = buildComponent();
+    emitMetadata({
+      OwnerId: {
+        label: "Owner ID",
+        dataType: "Reference",
+        relationshipName: "Owner",
+        referenceToInfos: [{ apiName: "User", label: "User" }]
+      }
+    });
+    await settleComponent(2);
+
+    expect(fetchRelatedCardRecords.mock.calls[0][0].fieldApiNames).toEqual(
+      expect.arrayContaining(["Opportunity.OwnerId", "Opportunity.CreatedById"])
+    );
+    const actions = element.shadowRoot.querySelector(
+      "c-lres-kanban-board-actions"
+    );
+    expect(actions.quickFilterOptions.map((option) => option.id)).toEqual([
+      "mine",
+      "myTeam",
+      "createdByMe"
+    ]);
+    actions.dispatchEvent(
+      new CustomEvent("quickfiltertoggle", {
+        detail: { filterId: "mine" },
+        bubbles: true,
+        composed: true
+      })
+    );
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    await new Promise((resolve) => setTimeout(resolve, 270));
+    await flushPromises();
+
+    const container = element.shadowRoot.querySelector(
+      "c-lres-kanban-board-container"
+    );
+    const cardIds = () =>
+      container.columns.flatMap((column) =>
+        column.records.map((card) => card.id)
+      );
+    expect(cardIds()).toEqual(["001"]);
+    expect(actions.quickFilterOptions[0].selected).toBe(true);
+    expect(actions.clearFiltersDisabled).toBe(false);
+
+    actions.dispatchEvent(
+      new CustomEvent("clearfilters", { bubbles: true, composed: true })
+    );
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    await new Promise((resolve) => setTimeout(resolve, 270));
+    await flushPromises();
+
+    expect(cardIds()).toEqual(expect.arrayContaining(["001", "002"]));
+    expect(actions.quickFilterOptions[0].selected).toBe(false);
+  });
+
+  it("exports the filtered cards and column summaries as CSV", async () => {
+    const withAmount = (record, amount) => ({
+      ...record,
+      fields: {
+        ...record.fields,
+        "Opportunity.Amount": { value: amount, displayValue: null }
+      }
+    });
+    fetchRelatedCardRecords.mockResolvedValue([
+      withAmount(baseApexRecords[0], 1500),
+      withAmount(baseApexRecords[1], 250)
+    ]);
+    const element = buildComponent();
+    element.boardTitle = "Deals: Q1";
+    element.cardFieldApiNames = "Name,Amount";
+    element.columnSummariesDefinition = "[Amount|SUM|Total]";
+    emitMetadata();
+    await settleComponent(4);
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    await flushPromises();
+
+    const downloads = [];
+    const clickSpy = jest
+      .spyOn(HTMLAnchorElement.prototype, "click")
+      .mockImplementation(function captureDownload() {
+        downloads.push({ href: this.href, download: this.download });
+      });
+    const actions = element.shadowRoot.querySelector(
+      "c-lres-kanban-board-actions"
+    );
+    actions.dispatchEvent(
+      new CustomEvent("searchinput", {
+        detail: { value: "First" },
+        bubbles: true,
+        composed: true
+      })
+    );
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    await new Promise((resolve) => setTimeout(resolve, 270));
+    await flushPromises();
+    actions.dispatchEvent(
+      new CustomEvent("boardexport", {
+        detail: { format: "csv", includeRawValues: true },
+        bubbles: true,
+        composed: true
+      })
+    );
+    clickSpy.mockRestore();
+
+    expect(downloads).toHaveLength(1);
+    expect(downloads[0].download).toMatch(/^Deals Q1 \d{4}-\d{2}-\d{2}\.csv$/);
+    const [, base64] = downloads[0].href.split(";base64,");
+    const csv = decodeURIComponent(escape(atob(base64)));
+    const lines = csv
+      .replace(/^\uFEFF/, "")
+      .trim()
+      .split("\r\n");
+    expect(lines[0]).toBe("Status,Name,Name (Raw),Amount,Amount (Raw)");
+    expect(lines[1]).toBe('Open,First Deal,First Deal,"$1,500.00",1500');
+    expect(lines).toHaveLength(5);
+    expect(lines[2]).toBe("");
+    expect(lines[3]).toBe('Open,Total,"$1,500.00"');
+    expect(lines[4]).toMatch(/^Closed,Total,/);
+  });
+
+  it("prints the board with a filter summary and leaves print mode afterwards", async () => {
+    fetchRelatedCardRecords.mockResolvedValue(baseApexRecords);
+    const originalPrint = window.print;
+    window.print = jest.fn();
+    const element = buildComponent();
+    emitMetadata();
+    await settleComponent(4);
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    await flushPromises();
+
+    const actions = element.shadowRoot.querySelector(
+      "c-lres-kanban-board-actions"
+    );
+    expect(actions.printAvailable).toBe(true);
+    actions.dispatchEvent(
+      new CustomEvent("searchinput", {
+        detail: { value: "First" },
+        bubbles: true,
+        composed: true
+      })
+    );
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    await new Promise((resolve) => setTimeout(resolve, 270));
+    await flushPromises();
+    actions.dispatchEvent(
+      new CustomEvent("boardprint", { bubbles: true, composed: true })
+    );
+    await flushPromises();
+
+    const header = element.shadowRoot.querySelector(".kanban-print-header");
+    expect(header).not.toBeNull();
+    expect(
+      header.querySelector(".kanban-print-header_timestamp").textContent
+    ).toMatch(/^Printed /);
+    const filterLines = Array.from(
+      header.querySelectorAll(".kanban-print-header_filters li"),
+      (item) => item.textContent
+    );
+    expect(filterLines).toContain('Search: "First"');
+    expect(
+      element.shadowRoot.querySelector("c-lres-kanban-board-container")
+        .printMode
+    ).toBe(true);
+    expect(actions.classList.contains("kanban-print-hidden")).toBe(true);
+
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    await new Promise((resolve) => setTimeout(resolve, 350));
+    expect(window.print).toHaveBeenCalledTimes(1);
+    window.dispatchEvent(new CustomEvent("afterprint"));
+    await flushPromises();
+    window.print = originalPrint;
+
+    expect(element.shadowRoot.querySelector(".kanban-print-header")).toBeNull();
+    expect(
+      element.shadowRoot.querySelector("c-lres-kanban-board-container")
+        .printMode
+    ).toBe(false);
+  });
+
+  it("shows record totals and loads the next page of a single column", async () => {
+    fetchRelatedCardRecords.mockResolvedValue(baseApexRecords);
+    aggregateCardRecords.mockResolvedValue([
+      { value: "Open", count: 4 },
+      { value: "Closed", count: 1 }
+    ]);
+    const element = buildComponent();
+    element.cardRecordsLimit = 2;
+    emitMetadata();
+    await settleComponent(4);
+
+    expect(aggregateCardRecords).toHaveBeenCalledWith(
+      expect.objectContaining({
+        parentRecordIds: ["001"],
+        groupingFieldApiName: "Opportunity.Status__c"
+      })
+    );
+    const totals = element.shadowRoot.querySelector(".kanban-record-totals");
+    expect(totals.textContent).toBe("Showing 2 of 5 records");
+    const container = element.shadowRoot.querySelector(
+      "c-lres-kanban-board-container"
+    );
+    const findColumn = (key) =>
+      container.columns.find((column) => column.key === key);
+    expect(findColumn("Open").pagination).toEqual(
+      expect.objectContaining({
+        loaded: 1,
+        total: 4,
+        label: "Showing 1 of 4",
+        canLoadMore: true
+      })
+    );
+    expect(findColumn("Closed").pagination).toBeFalsy();
+
+    fetchRelatedCardRecords.mockClear();
+    fetchRelatedCardRecords.mockResolvedValue([
+      baseApexRecords[0],
+      buildWireRecord({
+        id: "003",
+        fields: {
+          "Opportunity.Id": { value: "003" },
+          "Opportunity.Status__c": { value: "Open", displayValue: "Open" },
+          "Opportunity.Name": {
+            value: "Third Deal",
+            displayValue: "Third Deal"
+          }
+        }
+      })
+    ]);
+    container.dispatchEvent(
+      new CustomEvent("columnloadmore", {
+        detail: { columnKey: "Open" },
+        bubbles: true,
+        composed: true
+      })
+    );
+    await settleComponent(2);
+
+    expect(fetchRelatedCardRecords).toHaveBeenCalledWith(
+      expect.objectContaining({
+        limitSize: 2,
+        offsetSize: 1,
+        groupingFieldApiName: "Opportunity.Status__c",
+        groupingValue: "Open"
+      })
+    );
+    expect(findColumn("Open").records.map((card) => card.id)).toEqual([
+      "001",
+      "003"
+    ]);
+    expect(findColumn("Open").pagination.label).toBe("Showing 2 of 4");
+    expect(findColumn("Closed").records).toHaveLength(1);
+  });
+
+  it("shows server counts and summaries until board filters are applied", async () => {
+    fetchRelatedCardRecords.mockResolvedValue(baseApexRecords);
+    aggregateCardRecords.mockResolvedValue([
+      { value: "Open", count: 4, summaries: { "Amount|SUM": 5000 } },
+      { value: "Closed", count: 1, summaries: { "Amount|SUM": 0 } }
+    ]);
+    const element = buildComponent();
+    element.cardRecordsLimit = 2;
+    element.columnSummariesDefinition = "[Amount|SUM|Total]";
+    emitMetadata();
+    await settleComponent(4);
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    await flushPromises();
+
+    expect(aggregateCardRecords).toHaveBeenCalledWith(
+      expect.objectContaining({ summaryDefinitions: ["Amount|SUM"] })
+    );
+    const container = element.shadowRoot.querySelector(
+      "c-lres-kanban-board-container"
+    );
+    const findColumn = (key) =>
+      container.columns.find((column) => column.key === key);
+    const openColumn = findColumn("Open");
+    expect(openColumn.serverTotals).toEqual(
+      expect.objectContaining({ count: 4, countLabel: "4" })
+    );
+    expect(openColumn.summaries[0]).toEqual(
+      expect.objectContaining({ isServerTotal: true })
+    );
+    expect(openColumn.summaries[0].value).toContain("5,000");
+    expect(findColumn("Closed").serverTotals).toBeUndefined();
+
+    element.shadowRoot
+      .querySelector("c-lres-kanban-board-actions")
+      .dispatchEvent(
+        new CustomEvent("searchinput", {
+          detail: { value: "First" },
+          bubbles: true,
+          composed: true
+        })
+      );
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    await new Promise((resolve) => setTimeout(resolve, 270));
+    await flushPromises();
+
+    const filteredOpen = findColumn("Open");
+    expect(filteredOpen.serverTotals).toBeUndefined();
+    expect(filteredOpen.summaries[0].isServerTotal).toBeUndefined();
+  });
+
+  it("skips the count query when every record fits in one page", async () => {
+    fetchRelatedCardRecords.mockResolvedValue(baseApexRecords);
+    const element = buildComponent();
+    emitMetadata();
+    await settleComponent(4);
+
+    expect(aggregateCardRecords).not.toHaveBeenCalled();
+    expect(
+      element.shadowRoot.querySelector(".kanban-record-totals")
+    ).toBeNull();
+  });
+
+  it("bulk moves selected cards and reports per-record failures", async () => {
+    fetchRelatedCardRecords.mockResolvedValue([
+      ...baseApexRecords,
+      buildWireRecord({
+        id: "003",
+        fields: {
+          "Opportunity.Id": { value: "003" },
+          "Opportunity.Status__c": { value: "Open", displayValue: "Open" },
+          "Opportunity.Name": {
+            value: "Third Deal",
+            displayValue: "Third Deal"
+          }
+        }
+      })
+    ]);
+    const element = buildComponent();
+    emitMetadata();
+    await settleComponent(2);
+
+    const container = element.shadowRoot.querySelector(
+      "c-lres-kanban-board-container"
+    );
+    ["001", "003"].forEach((recordId) => {
+      container.dispatchEvent(
+        new CustomEvent("cardselect", {
+          detail: { recordId, columnKey: "Open" },
+          bubbles: true,
+          composed: true
+        })
+      );
+    });
+    await flushPromises();
+    expect(container.selectedRecordIds).toEqual(["001", "003"]);
+
+    const actions = element.shadowRoot.querySelector(
+      "c-lres-kanban-board-actions"
+    );
+    expect(actions.selectedCount).toBe(2);
+
+    updateRecord.mockImplementation(({ fields }) => {
+      if (fields.Id === "003") {
+        return Promise.reject({ body: { message: "Validation failed" } });
+      }
+      return Promise.resolve({});
+    });
+    const toastHandler = jest.fn();
+    element.addEventListener("lightning__showtoast", toastHandler);
+    actions.dispatchEvent(
+      new CustomEvent("bulkmove", {
+        detail: { targetColumnKey: "Closed" },
+        bubbles: true,
+        composed: true
+      })
+    );
+    await settleComponent(2);
+
+    expect(updateRecord).toHaveBeenCalledTimes(2);
+    expect(updateRecord).toHaveBeenCalledWith({
+      fields: { Id: "001", Status__c: "Closed" }
+    });
+    expect(updateRecord).toHaveBeenCalledWith({
+      fields: { Id: "003", Status__c: "Closed" }
+    });
+    expect(toastHandler).toHaveBeenCalledWith(
+      expect.objectContaining({
+        detail: expect.objectContaining({
+          title: "Updated 1 of 2 records",
+          variant: "warning"
+        })
+      })
+    );
+    expect(toastHandler.mock.calls[0][0].detail.message).toContain(
+      '"Third Deal": Validation failed'
+    );
+    expect(container.selectedRecordIds).toEqual(["003"]);
+  });
+
+  it("blocks bulk moves that would take a column past its WIP limit", async () => {
+    fetchRelatedCardRecords.mockResolvedValue([
+      ...baseApexRecords,
+      buildWireRecord({
+        id: "003",
+        fields: {
+          "Opportunity.Id": { value: "003" },
+          "Opportunity.Status__c": { value: "Open", displayValue: "Open" },
+          "Opportunity.Name": {
+            value: "Third Deal",
+            displayValue: "Third Deal"
+          }
+        }
+      })
+    ]);
+    const element = buildComponent();
+    element.columnWipLimitsDefinition = "[Closed|2]";
+    element.enforceWipLimits = true;
+    emitMetadata();
+    await settleComponent(2);
+
+    const container = element.shadowRoot.querySelector(
+      "c-lres-kanban-board-container"
+    );
+    ["001", "003"].forEach((recordId) => {
+      container.dispatchEvent(
+        new CustomEvent("cardselect", {
+          detail: { recordId, columnKey: "Open" },
+          bubbles: true,
+          composed: true
+        })
+      );
+    });
+    await flushPromises();
+
+    const toastHandler = jest.fn();
+    element.addEventListener("lightning__showtoast", toastHandler);
+    element.shadowRoot
+      .querySelector("c-lres-kanban-board-actions")
+      .dispatchEvent(
+        new CustomEvent("bulkmove", {
+          detail: { targetColumnKey: "Closed" },
+          bubbles: true,
+          composed: true
+        })
+      );
+    await settleComponent(2);
+
+    expect(updateRecord).not.toHaveBeenCalled();
+    expect(toastHandler).toHaveBeenCalledWith(
+      expect.objectContaining({
+        detail: expect.objectContaining({
+          title: "WIP limit reached",
+          variant: "warning"
+        })
+      })
+    );
+    expect(toastHandler.mock.calls[0][0].detail.message).toContain(
+      "Moving 2 cards"
+    );
+    const openColumn = container.columns.find((col) => col.key === "Open");
+    expect(openColumn.records.map((record) => record.id)).toEqual([
+      "001",
+      "003"
+    ]);
+    expect(container.selectedRecordIds).toEqual(["001", "003"]);
+  });
+
+  it("enables virtualization when total cards exceed the threshold", async () => {
+    const manyRecords = Array.from({ length: 120 }, (_, index) =>
       buildWireRecord({
         id: `00${index}`,
         fields: {
@@ -710,4 +2835,227 @@ describe("c-lres-kanban-explorer", () => {
     expect(summary.value).toContain("100");
     global.requestAnimationFrame = originalRaf;
   });
+
+  it("shows board totals and column shares that follow the search", async () => {
+    const buildDeal = (id, status, name, amount) =>
+      buildWireRecord({
+        id,
+        fields: {
+          "Opportunity.Id": { value: id },
+          "Opportunity.Status__c": { value: status, displayValue: status },
+          "Opportunity.Name": { value: name, displayValue: name },
+          "Opportunity.Amount": { value: amount, displayValue: String(amount) },
+          "Opportunity.CurrencyIsoCode": { value: "USD", displayValue: "USD" }
+        }
+      });
+    fetchRelatedCardRecords.mockResolvedValue([
+      buildDeal("001", "Open", "First Deal", 100),
+      buildDeal("002", "Open", "Second Deal", 300),
+      buildDeal("003", "Closed", "Third Deal", 100)
+    ]);
+
+    const element = buildComponent();
+    element.columnSummariesDefinition = "[Amount|SUM|Total]";
+    element.showBoardSummaries = true;
+    let rafCallback;
+    const originalRaf = global.requestAnimationFrame;
+    global.requestAnimationFrame = (callback) => {
+      rafCallback = callback;
+      return 1;
+    };
+    // Search rebuilds the columns in one frame and the summaries in the next.
+    const runFrame = async () => {
+      const callback = rafCallback;
+      rafCallback = undefined;
+      if (typeof callback === "function") {
+        callback();
+      }
+      await flushPromises();
+    };
+    emitMetadata();
+    await settleComponent(4);
+
+    const getBoardValues = () =>
+      Array.from(
+        element.shadowRoot.querySelectorAll(".kanban-board-summaries_value")
+      ).map((item) => item.textContent);
+    expect(
+      element.shadowRoot.querySelector(".kanban-board-summaries_spinner")
+    ).not.toBeNull();
+
+    await runFrame();
+
+    const container = element.shadowRoot.querySelector(
+      "c-lres-kanban-board-container"
+    );
+    expect(getBoardValues()[0]).toContain("500");
+    const openSummary = container.columns.find((col) => col.key === "Open")
+      .summaries[0];
+    expect(openSummary.share).toBe(
+      new Intl.NumberFormat(undefined, {
+        style: "percent",
+        maximumFractionDigits: 1
+      }).format(0.8)
+    );
+
+    element.shadowRoot
+      .querySelector("c-lres-kanban-board-actions")
+      .dispatchEvent(
+        new CustomEvent("searchinput", {
+          detail: { value: "Deal" },
+          bubbles: true,
+          composed: true
+        })
+      );
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    await new Promise((resolve) => setTimeout(resolve, 220));
+    await flushPromises();
+    await runFrame();
+    await runFrame();
+    expect(getBoardValues()[0]).toContain("500");
+
+    element.shadowRoot
+      .querySelector("c-lres-kanban-board-actions")
+      .dispatchEvent(
+        new CustomEvent("searchinput", {
+          detail: { value: "Second" },
+          bubbles: true,
+          composed: true
+        })
+      );
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    await new Promise((resolve) => setTimeout(resolve, 220));
+    await flushPromises();
+    await runFrame();
+    await runFrame();
+    expect(getBoardValues()[0]).toContain("300");
+    expect(getBoardValues()[0]).not.toContain("500");
+    global.requestAnimationFrame = originalRaf;
+  });
+
+  it("reorders, collapses, and hides columns and restores them for the user", async () => {
+    fetchRelatedCardRecords.mockResolvedValue([
+      buildWireRecord({
+        id: "001",
+        fields: {
+          "Opportunity.Id": { value: "001" },
+          "Opportunity.Status__c": { value: "Open", displayValue: "Open" },
+          "Opportunity.Name": { value: "First", displayValue: "First" }
+        }
+      })
+    ]);
+    const element = buildComponent();
+    emitMetadata();
+    await settleComponent(4);
+
+    const getContainer = (host) =>
+      host.shadowRoot.querySelector("c-lres-kanban-board-container");
+    const getLayout = (host) =>
+      getContainer(host).columns.map(({ key, isCollapsed }) => ({
+        key,
+        isCollapsed
+      }));
+    expect(getContainer(element).columns.map((col) => col.key)).toEqual([
+      "Open",
+      "Closed",
+      "__KANBAN_BLANK__"
+    ]);
+
+    getContainer(element).dispatchEvent(
+      new CustomEvent("columnreorder", {
+        detail: { sourceColumnKey: "Closed", targetColumnKey: "Open" }
+      })
+    );
+    getContainer(element).dispatchEvent(
+      new CustomEvent("columncollapsetoggle", {
+        detail: { columnKey: "Open" }
+      })
+    );
+    element.shadowRoot
+      .querySelector("c-lres-kanban-board-actions")
+      .dispatchEvent(
+        new CustomEvent("columnlayoutaction", {
+          detail: { action: "toggle", columnKey: "__KANBAN_BLANK__" }
+        })
+      );
+    // Layout changes rebuild the columns in the next animation frame.
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    await settleComponent(4);
+
+    const expected = [
+      { key: "Closed", isCollapsed: false },
+      { key: "Open", isCollapsed: true }
+    ];
+    expect(getLayout(element)).toEqual(expected);
+    expect(
+      element.shadowRoot.querySelector("c-lres-kanban-board-actions")
+        .columnOptions
+    ).toEqual([
+      { value: "Closed", label: "Closed", checked: true },
+      { value: "Open", label: "Open", checked: true },
+      { value: "__KANBAN_BLANK__", label: "No Value", checked: false }
+    ]);
+
+    document.body.removeChild(element);
+    const restored = buildComponent();
+    emitMetadata();
+    await settleComponent(4);
+    expect(getLayout(restored)).toEqual(expected);
+  });
+
+  it("weights column and board sums by the configured column weights", async () => {
+    const buildDeal = (id, status, amount) =>
+      buildWireRecord({
+        id,
+        fields: {
+          "Opportunity.Id": { value: id },
+          "Opportunity.Status__c": { value: status, displayValue: status },
+          "Opportunity.Name": { value: `Deal ${id}`, displayValue: id },
+          "Opportunity.Amount": { value: amount, displayValue: String(amount) },
+          "Opportunity.CurrencyIsoCode": { value: "USD", displayValue: "USD" }
+        }
+      });
+    fetchRelatedCardRecords.mockResolvedValue([
+      buildDeal("001", "Open", 100),
+      buildDeal("002", "Open", 300),
+      buildDeal("003", "Closed", 100)
+    ]);
+
+    const element = buildComponent();
+    element.columnSummariesDefinition = "[Amount|WEIGHTED_SUM|Weighted]";
+    element.columnWeightsDefinition = "[Open|25];[Closed|100]";
+    element.showBoardSummaries = true;
+    let rafCallback;
+    const originalRaf = global.requestAnimationFrame;
+    global.requestAnimationFrame = (callback) => {
+      rafCallback = callback;
+      return 1;
+    };
+    emitMetadata();
+    await settleComponent(4);
+    if (typeof rafCallback === "function") {
+      rafCallback();
+      await flushPromises();
+    }
+
+    const container = element.shadowRoot.querySelector(
+      "c-lres-kanban-board-container"
+    );
+    const getSummary = (key) =>
+      container.columns.find((col) => col.key === key).summaries[0];
+    expect(getSummary("Open").value).toContain("100");
+    expect(getSummary("Closed").value).toContain("100");
+    expect(getSummary("Open").share).toBe(
+      new Intl.NumberFormat(undefined, {
+        style: "percent",
+        maximumFractionDigits: 1
+      }).format(0.5)
+    );
+    expect(
+      element.shadowRoot.querySelector(".kanban-board-summaries_value")
+        .textContent
+    ).toContain("200");
+    global.requestAnimationFrame = originalRaf;
+  });
 });
@@ -0,0 +1,104 @@
+import {
+  applyColumnPagination,
+  buildGroupTotals,
+  countLoadedByGroup,
+  formatShowingLabel,
+  isPageFull
+} from "../paginationUtils";
+
+const BLANK = "__BLANK__";
+
+describe("paginationUtils.isPageFull", () => {
+  it("treats a fetch that filled the page as possibly truncated", () => {
+    expect(isPageFull([1, 2], 2)).toBe(true);
+    expect(isPageFull([1], 2)).toBe(false);
+    expect(isPageFull(null, 2)).toBe(false);
+  });
+
+  it("caps the page size at the controller limit", () => {
+    expect(isPageFull(new Array(1000).fill({}), 5000)).toBe(true);
+  });
+});
+
+describe("paginationUtils.buildGroupTotals", () => {
+  it("keys counts by column and maps blank values to the blank key", () => {
+    expect(
+      buildGroupTotals(
+        [
+          { value: "Open", count: 3000 },
+          { value: null, count: 12 },
+          { value: "", count: 3 }
+        ],
+        BLANK
+      )
+    ).toMatchObject({ byKey: { Open: 3000, [BLANK]: 15 }, total: 3015 });
+  });
+
+  it("keeps the server summaries for each column", () => {
+    const { summariesByKey } = buildGroupTotals(
+      [{ value: "Open", count: 2, summaries: { "Amount|SUM": 300 } }],
+      BLANK
+    );
+    expect(summariesByKey).toEqual({ Open: { "Amount|SUM": 300 } });
+  });
+
+  it("returns empty totals for missing input", () => {
+    expect(buildGroupTotals(undefined, BLANK)).toEqual({
+      byKey: {},
+      summariesByKey: {},
+      total: 0
+    });
+  });
+});
+
+describe("paginationUtils.countLoadedByGroup", () => {
+  it("counts loaded records per column key", () => {
+    const records = [{ stage: "Open" }, { stage: "Open" }, { stage: null }];
+    expect(
+      countLoadedByGroup(records, (record) => record.stage, BLANK)
+    ).toEqual({ Open: 2, [BLANK]: 1 });
+  });
+});
+
+describe("paginationUtils.formatShowingLabel", () => {
+  it("formats both numbers with grouping separators", () => {
+    expect(formatShowingLabel(200, 3412)).toBe("Showing 200 of 3,412");
+  });
+});
+
+describe("paginationUtils.applyColumnPagination", () => {
+  const columns = [
+    { key: "Open", records: [] },
+    { key: "Closed", records: [], pagination: { loaded: 1, total: 2 } }
+  ];
+
+  it("adds pagination to truncated columns and clears complete ones", () => {
+    const result = applyColumnPagination(columns, {
+      totals: { byKey: { Open: 3412, Closed: 2 }, total: 3414 },
+      loadedByKey: { Open: 200, Closed: 2 },
+      loadingColumnKey: "Open"
+    });
+    expect(result[0].pagination).toEqual({
+      loaded: 200,
+      total: 3412,
+      label: "Showing 200 of 3,412",
+      isLoading: true,
+      canLoadMore: true
+    });
+    expect(result[1].pagination).toBeNull();
+  });
+
+  it("stops offering more records past the SOQL offset limit", () => {
+    const [open] = applyColumnPagination(columns, {
+      totals: { byKey: { Open: 5000 }, total: 5000 },
+      loadedByKey: { Open: 2200 }
+    });
+    expect(open.pagination.canLoadMore).toBe(false);
+  });
+
+  it("leaves untouched columns as-is when totals are unknown", () => {
+    const result = applyColumnPagination(columns, { totals: null });
+    expect(result[0]).toBe(columns[0]);
+    expect(result[1].pagination).toBeNull();
+  });
+});
@@ -0,0 +1,113 @@
+import USER_ID from "@salesforce/user/Id";
+import fetchTeamUserIds from "@salesforce/apex/LRES_KanbanTeamController.fetchTeamUserIds";
+import {
+  getQuickFilterFields,
+  getQuickFilterOptions,
+  normalizeQuickFilters,
+  recordMatchesQuickFilters,
+  setQuickFilters
+} from "../quickFilterService";
+
+jest.mock(
+  "@salesforce/apex/LRES_KanbanTeamController.fetchTeamUserIds",
+  () => ({
+    default: jest.fn()
+  }),
+  { virtual: true }
+);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const buildComponent = (overrides = {}) => ({
+  objectInfo: {
+    fields: { OwnerId: {}, LastModifiedDate: {}, CreatedById: {} }
+  },
+  quickFilters: [],
+  _teamUserIds: null,
+  qualifyFieldName: (field) => `Case.${field}`,
+  extractFieldData: (record, field) => ({ raw: record[field] }),
+  getRecordOwnerId: (record) => record["Case.OwnerId"] || "",
+  logDebug: jest.fn(),
+  logError: jest.fn(),
+  showErrorToast: jest.fn(),
+  ...overrides
+});
+
+describe("quickFilterService", () => {
+  beforeEach(() => {
+    fetchTeamUserIds.mockReset();
+  });
+
+  it("offers the quick filters the card object has fields for", () => {
+    const component = buildComponent({
+      objectInfo: { fields: { LastModifiedDate: {} } },
+      quickFilters: ["recentlyModified"]
+    });
+
+    expect(getQuickFilterOptions(component)).toEqual([
+      expect.objectContaining({ id: "recentlyModified", selected: true })
+    ]);
+    expect(getQuickFilterFields(buildComponent())).toEqual([
+      "Case.OwnerId",
+      "Case.LastModifiedDate",
+      "Case.CreatedById"
+    ]);
+    expect(normalizeQuickFilters(["createdByMe", "bogus", "mine"])).toEqual([
+      "mine",
+      "createdByMe"
+    ]);
+  });
+
+  it("combines active quick filters", () => {
+    const component = buildComponent({
+      quickFilters: ["mine", "recentlyModified"]
+    });
+    const recent = new Date(Date.now() - DAY_MS).toISOString();
+    const stale = new Date(Date.now() - 30 * DAY_MS).toISOString();
+
+    expect(
+      recordMatchesQuickFilters(component, {
+        "Case.OwnerId": USER_ID,
+        "Case.LastModifiedDate": recent
+      })
+    ).toBe(true);
+    expect(
+      recordMatchesQuickFilters(component, {
+        "Case.OwnerId": USER_ID,
+        "Case.LastModifiedDate": stale
+      })
+    ).toBe(false);
+    expect(
+      recordMatchesQuickFilters(component, {
+        "Case.OwnerId": "005OTHER",
+        "Case.LastModifiedDate": recent
+      })
+    ).toBe(false);
+  });
+
+  it("loads the team once for the team filter", async () => {
+    fetchTeamUserIds.mockResolvedValue([USER_ID, "005REPORT"]);
+    const component = buildComponent();
+
+    await expect(setQuickFilters(component, ["myTeam"])).resolves.toBe(true);
+    await expect(setQuickFilters(component, ["myTeam"])).resolves.toBe(false);
+
+    expect(fetchTeamUserIds).toHaveBeenCalledTimes(1);
+    expect(
+      recordMatchesQuickFilters(component, { "Case.OwnerId": "005REPORT" })
+    ).toBe(true);
+    expect(
+      recordMatchesQuickFilters(component, { "Case.OwnerId": "005OTHER" })
+    ).toBe(false);
+  });
+
+  it("turns the team filter off when the team cannot be loaded", async () => {
+    fetchTeamUserIds.mockRejectedValue(new Error("No access"));
+    const component = buildComponent();
+
+    await setQuickFilters(component, ["myTeam", "createdByMe"]);
+
+    expect(component.quickFilters).toEqual(["createdByMe"]);
+    expect(component.showErrorToast).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,75 @@
+import {
+  buildRangeSelection,
+  collectRangeBounds,
+  matchesRange,
+  parseRangeSelection,
+  resolvePresetBounds,
+  resolveRangeType
+} from "../rangeFilterUtils";
+
+describe("rangeFilterUtils", () => {
+  it("resolves range types from field metadata", () => {
+    expect(resolveRangeType({ dataType: "Currency" })).toBe("number");
+    expect(resolveRangeType({ dataType: "Percent" })).toBe("number");
+    expect(resolveRangeType({ dataType: "DateTime" })).toBe("date");
+    expect(resolveRangeType({ dataType: "Picklist" })).toBeNull();
+    expect(resolveRangeType(null)).toBeNull();
+  });
+
+  it("round-trips selections and drops invalid bounds", () => {
+    expect(buildRangeSelection({ min: "10", max: "abc" }, "number")).toEqual([
+      "min:10"
+    ]);
+    expect(
+      buildRangeSelection(
+        { min: "2025-01-01", max: "2025-02-01", preset: "thisMonth" },
+        "date"
+      )
+    ).toEqual(["preset:thisMonth"]);
+    expect(buildRangeSelection({ preset: "bogus" }, "date")).toEqual([]);
+    expect(parseRangeSelection(["min:5", "max:9", "preset:bogus"])).toEqual({
+      min: "5",
+      max: "9",
+      preset: ""
+    });
+  });
+
+  it("resolves date presets to inclusive bounds", () => {
+    expect(resolvePresetBounds("overdue", "2025-03-01")).toEqual({
+      min: null,
+      max: "2025-02-28"
+    });
+    expect(resolvePresetBounds("thisQuarter", "2025-05-15")).toEqual({
+      min: "2025-04-01",
+      max: "2025-06-30"
+    });
+    expect(resolvePresetBounds("next7Days", "2025-12-28")).toEqual({
+      min: "2025-12-28",
+      max: "2026-01-04"
+    });
+  });
+
+  it("matches values against inclusive ranges", () => {
+    const amountRange = ["min:100", "max:500"];
+    expect(matchesRange(100, "number", amountRange)).toBe(true);
+    expect(matchesRange("500", "number", amountRange)).toBe(true);
+    expect(matchesRange(501, "number", amountRange)).toBe(false);
+    expect(matchesRange(null, "number", amountRange)).toBe(false);
+    expect(matchesRange(null, "number", [])).toBe(true);
+
+    const overdue = ["preset:overdue"];
+    expect(matchesRange("2025-03-09", "date", overdue, "2025-03-10")).toBe(
+      true
+    );
+    expect(matchesRange("2025-03-10", "date", overdue, "2025-03-10")).toBe(
+      false
+    );
+  });
+
+  it("collects the lowest and highest values", () => {
+    const records = [{ value: 30 }, { value: null }, { value: 5 }, {}];
+    expect(
+      collectRangeBounds(records, (record) => record.value, "number")
+    ).toEqual({ min: 5, max: 30, count: 2 });
+  });
+});
@@ -0,0 +1,134 @@
+import {
+  computeRankForPosition,
+  mergeHiddenRankedIds,
+  RANK_STEP
+} from "../rankUtils";
+
+const ranks = { a: 1000, b: 2000, c: 3000, d: 2000.5 };
+const getRank = (id) => ranks[id] ?? null;
+
+describe("rankUtils.computeRankForPosition", () => {
+  it("places a card halfway between its neighbours", () => {
+    const result = computeRankForPosition({
+      orderedIds: ["a", "b", "c"],
+      recordId: "x",
+      beforeRecordId: "b",
+      getRank
+    });
+
+    expect(result).toEqual({
+      rank: 1500,
+      needsRebalance: false,
+      rankedIds: ["a", "x", "b", "c"]
+    });
+  });
+
+  it("steps past the first or last card at the ends of the column", () => {
+    expect(
+      computeRankForPosition({
+        orderedIds: ["a", "b"],
+        recordId: "x",
+        beforeRecordId: "a",
+        getRank
+      }).rank
+    ).toBe(0);
+    expect(
+      computeRankForPosition({
+        orderedIds: ["a", "b"],
+        recordId: "x",
+        beforeRecordId: null,
+        getRank
+      }).rank
+    ).toBe(3000);
+    expect(
+      computeRankForPosition({ orderedIds: [], recordId: "x", getRank }).rank
+    ).toBe(RANK_STEP);
+  });
+
+  it("swaps neighbours when the column is sorted descending", () => {
+    const result = computeRankForPosition({
+      orderedIds: ["c", "b", "a"],
+      recordId: "x",
+      beforeRecordId: "b",
+      getRank,
+      direction: "desc"
+    });
+
+    expect(result.rank).toBe(2500);
+    expect(result.rankedIds).toEqual(["a", "b", "x", "c"]);
+  });
+
+  it("ignores the moved card when it is already in the column", () => {
+    const result = computeRankForPosition({
+      orderedIds: ["a", "b", "c"],
+      recordId: "a",
+      beforeRecordId: "c",
+      getRank
+    });
+
+    expect(result.rank).toBe(2500);
+    expect(result.rankedIds).toEqual(["b", "a", "c"]);
+  });
+
+  it("requests a rebalance when ranks are too close for the field scale", () => {
+    const result = computeRankForPosition({
+      orderedIds: ["b", "d"],
+      recordId: "x",
+      beforeRecordId: "d",
+      getRank,
+      scale: 0
+    });
+
+    expect(result).toEqual({
+      rank: null,
+      needsRebalance: true,
+      rankedIds: ["b", "x", "d"]
+    });
+    expect(
+      computeRankForPosition({
+        orderedIds: ["b", "d"],
+        recordId: "x",
+        beforeRecordId: "d",
+        getRank,
+        scale: 2
+      }).rank
+    ).toBe(2000.25);
+  });
+
+  it("requests a rebalance when a neighbour has no rank", () => {
+    const result = computeRankForPosition({
+      orderedIds: ["a", "unranked"],
+      recordId: "x",
+      beforeRecordId: "unranked",
+      getRank
+    });
+
+    expect(result.needsRebalance).toBe(true);
+    expect(result.rankedIds).toEqual(["a", "x", "unranked"]);
+  });
+});
+
+describe("rankUtils.mergeHiddenRankedIds", () => {
+  it("keeps hidden cards among the shown cards by their current rank", () => {
+    expect(
+      mergeHiddenRankedIds({
+        rankedIds: ["a", "x", "c"],
+        recordId: "x",
+        cellIds: ["a", "b", "c", "d", "e", "x"],
+        getRank
+      })
+    ).toEqual(["a", "x", "b", "d", "c", "e"]);
+  });
+
+  it("returns the shown order when nothing is hidden", () => {
+    const rankedIds = ["a", "x"];
+    expect(
+      mergeHiddenRankedIds({
+        rankedIds,
+        recordId: "x",
+        cellIds: ["a"],
+        getRank
+      })
+    ).toBe(rankedIds);
+  });
+});
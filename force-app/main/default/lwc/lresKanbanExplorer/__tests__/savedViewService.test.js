@@ -0,0 +1,87 @@
+import fetchSavedViews from "@salesforce/apex/LRES_KanbanSavedViewController.fetchSavedViews";
+import { buildBoardKey, restoreDefaultView } from "../savedViewService";
+
+jest.mock(
+  "@salesforce/apex/LRES_KanbanSavedViewController.fetchSavedViews",
+  () => ({
+    default: jest.fn()
+  }),
+  { virtual: true }
+);
+
+jest.mock(
+  "@salesforce/apex/LRES_KanbanSavedViewController.saveSavedViews",
+  () => ({
+    default: jest.fn()
+  }),
+  { virtual: true }
+);
+
+describe("savedViewService", () => {
+  const buildComponent = (overrides = {}) => ({
+    _isConnected: true,
+    activeViewId: null,
+    savedViews: [],
+    cardObjectApiName: "Case",
+    groupingFieldApiName: "Status",
+    logDebug: jest.fn(),
+    logWarn: jest.fn(),
+    scheduleRebuildColumnsWithPicklist: jest.fn(),
+    ...overrides
+  });
+
+  afterEach(() => {
+    fetchSavedViews.mockReset();
+  });
+
+  it("shares a board key across records of the same page", () => {
+    const config = ["Case", "Status", "Account", "Cases", ""];
+    expect(
+      buildBoardKey("/lightning/r/Account/001000000000001AAA/view", config)
+    ).toBe(
+      buildBoardKey("/lightning/r/Account/001000000000002AAA/view", config)
+    );
+  });
+
+  it("separates boards by page and configuration", () => {
+    const key = buildBoardKey("/lightning/page/home", ["Case", "Status"]);
+    expect(buildBoardKey("/lightning/n/Cases", ["Case", "Status"])).not.toBe(
+      key
+    );
+    expect(
+      buildBoardKey("/lightning/page/home", ["Case", "Priority"])
+    ).not.toBe(key);
+  });
+
+  it("keeps state from the URL over a default view that loads later", async () => {
+    fetchSavedViews.mockResolvedValue(
+      JSON.stringify([
+        { id: "v1", name: "Mine", isDefault: true, state: {} },
+        { id: "v2", name: "Other", state: {} }
+      ])
+    );
+    const component = buildComponent({ _urlStateValue: "encoded" });
+
+    await restoreDefaultView(component);
+
+    expect(fetchSavedViews).toHaveBeenCalledWith({
+      boardKey: expect.any(String)
+    });
+    expect(component.savedViews.map((view) => view.id)).toEqual(["v1", "v2"]);
+    expect(component.activeViewId).toBeNull();
+    expect(component.scheduleRebuildColumnsWithPicklist).not.toHaveBeenCalled();
+  });
+
+  it("starts without views when they cannot be loaded", async () => {
+    fetchSavedViews.mockRejectedValue(new Error("No access"));
+    const component = buildComponent();
+
+    await restoreDefaultView(component);
+
+    expect(component.savedViews).toEqual([]);
+    expect(component.logWarn).toHaveBeenCalledWith(
+      "Unable to load saved views.",
+      expect.any(Error)
+    );
+  });
+});
@@ -0,0 +1,53 @@
+import {
+  boundedEditDistance,
+  buildHighlightParts,
+  matchesSearchToken,
+  parseSearchQuery
+} from "../searchUtils";
+
+describe("searchUtils", () => {
+  it("parses terms, quoted phrases, and field-scoped terms", () => {
+    expect(
+      parseSearchQuery('Printer "paper jam" owner:smith priority:"very high')
+    ).toEqual([
+      { field: null, text: "printer", isPhrase: false },
+      { field: null, text: "paper jam", isPhrase: true },
+      { field: "owner", text: "smith", isPhrase: false },
+      { field: "priority", text: "very high", isPhrase: true }
+    ]);
+    expect(parseSearchQuery('  "" ')).toEqual([]);
+  });
+
+  it("tolerates typos in longer terms only", () => {
+    const term = (text, isPhrase = false) => ({ text, isPhrase });
+
+    expect(boundedEditDistance("smith", "smtih", 2)).toBe(2);
+    expect(boundedEditDistance("smith", "jones", 1)).toBe(2);
+    expect(matchesSearchToken("Jane Smith", term("smyth"))).toBe(true);
+    expect(matchesSearchToken("Smithson", term("smtih"))).toBe(false);
+    expect(matchesSearchToken("Smithson", term("smitj"))).toBe(true);
+    expect(matchesSearchToken("High", term("hgh"))).toBe(false);
+    expect(matchesSearchToken("Paper jam", term("papr jam", true))).toBe(false);
+    expect(matchesSearchToken("", term("paper"))).toBe(false);
+  });
+
+  it("splits values into highlighted parts", () => {
+    const parts = buildHighlightParts("Paper jam in the paper tray", [
+      { text: "paper", isPhrase: false },
+      { text: "jam", isPhrase: false }
+    ]);
+
+    expect(parts.map(({ text, isMatch }) => [text, isMatch])).toEqual([
+      ["Paper", true],
+      [" ", false],
+      ["jam", true],
+      [" in the ", false],
+      ["paper", true],
+      [" tray", false]
+    ]);
+    expect(new Set(parts.map((part) => part.key)).size).toBe(parts.length);
+    expect(
+      buildHighlightParts("Toner", [{ text: "jam", isPhrase: false }])
+    ).toBeNull();
+  });
+});
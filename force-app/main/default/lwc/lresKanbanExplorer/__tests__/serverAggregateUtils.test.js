@@ -0,0 +1,176 @@
+import {
+  applyServerAggregates,
+  buildSummaryRequests
+} from "../serverAggregateUtils";
+
+const stripPrefix = (field) => String(field || "").replace(/^\w+\./, "");
+
+describe("serverAggregateUtils.buildSummaryRequests", () => {
+  it("builds unique Field|TYPE entries without object prefixes", () => {
+    expect(
+      buildSummaryRequests(
+        [
+          { fieldApiName: "Opportunity.Amount", summaryType: "SUM" },
+          { fieldApiName: "Opportunity.Amount", summaryType: "SUM" },
+          { fieldApiName: "Opportunity.IsWon", summaryType: "COUNT_TRUE" }
+        ],
+        stripPrefix
+      )
+    ).toEqual(["Amount|SUM", "IsWon|COUNT_TRUE"]);
+  });
+
+  it("leaves out summary types the server cannot aggregate", () => {
+    expect(
+      buildSummaryRequests(
+        [
+          {
+            fieldApiName: "Opportunity.AccountId",
+            summaryType: "COUNT_DISTINCT"
+          },
+          { fieldApiName: "Opportunity.Amount", summaryType: "MEDIAN" },
+          {
+            fieldApiName: "Opportunity.Amount",
+            summaryType: "PERCENT_OF_TOTAL"
+          },
+          { fieldApiName: "Opportunity.IsWon", summaryType: "PERCENT_TRUE" }
+        ],
+        stripPrefix
+      )
+    ).toEqual(["AccountId|COUNT_DISTINCT"]);
+  });
+
+  it("asks for the plain sum of weighted summaries", () => {
+    expect(
+      buildSummaryRequests(
+        [
+          { fieldApiName: "Opportunity.Amount", summaryType: "WEIGHTED_SUM" },
+          { fieldApiName: "Opportunity.Amount", summaryType: "SUM" }
+        ],
+        stripPrefix
+      )
+    ).toEqual(["Amount|SUM"]);
+  });
+});
+
+describe("serverAggregateUtils.applyServerAggregates", () => {
+  const summaryDefinitions = [
+    { fieldApiName: "Opportunity.Amount", summaryType: "SUM", label: "Total" }
+  ];
+  const buildColumn = (key, value) => ({
+    key,
+    summaries: [{ key: "Opportunity.Amount|SUM|Total", label: "Total", value }]
+  });
+  const context = {
+    summaryDefinitions,
+    extractSimpleFieldName: stripPrefix,
+    formatSummaryValue: (summary, value) => `#${value}`
+  };
+
+  it("replaces counts and summaries for partially loaded columns", () => {
+    const [open, closed] = applyServerAggregates(
+      [buildColumn("Open", "#10"), buildColumn("Closed", "#5")],
+      {
+        ...context,
+        totals: {
+          byKey: { Open: 3412, Closed: 1 },
+          summariesByKey: {
+            Open: { "Amount|SUM": 900000 },
+            Closed: { "Amount|SUM": 5 }
+          }
+        },
+        loadedByKey: { Open: 200, Closed: 1 }
+      }
+    );
+    expect(open.serverTotals).toEqual({
+      count: 3412,
+      countLabel: "3,412",
+      title: "3,412 records in total; 200 loaded on the board"
+    });
+    expect(open.summaries[0]).toEqual(
+      expect.objectContaining({ value: "#900000", isServerTotal: true })
+    );
+    expect(closed.serverTotals).toBeUndefined();
+    expect(closed.summaries[0].value).toBe("#5");
+  });
+
+  it("drops the board share from replaced summaries", () => {
+    const column = buildColumn("Open", "#10");
+    column.summaries[0] = {
+      ...column.summaries[0],
+      share: "40%",
+      shareTitle: "40% of the board total"
+    };
+    const [open] = applyServerAggregates([column], {
+      ...context,
+      totals: {
+        byKey: { Open: 50 },
+        summariesByKey: { Open: { "Amount|SUM": 700 } }
+      },
+      loadedByKey: { Open: 20 }
+    });
+    expect(open.summaries[0]).toEqual({
+      key: "Opportunity.Amount|SUM|Total",
+      label: "Total",
+      value: "#700",
+      isLoading: false,
+      isServerTotal: true
+    });
+  });
+
+  it("weights server sums by the column weight", () => {
+    const weighted = {
+      fieldApiName: "Opportunity.Amount",
+      summaryType: "WEIGHTED_SUM",
+      label: "Weighted"
+    };
+    const buildWeightedColumn = (key) => ({
+      key,
+      summaries: [
+        { key: "Opportunity.Amount|WEIGHTED_SUM|Weighted", value: "#1" }
+      ]
+    });
+    const [open, review] = applyServerAggregates(
+      [buildWeightedColumn("Open"), buildWeightedColumn("Review")],
+      {
+        ...context,
+        summaryDefinitions: [weighted],
+        getColumnWeight: (key) => (key === "Open" ? 25 : null),
+        totals: {
+          byKey: { Open: 50, Review: 50 },
+          summariesByKey: {
+            Open: { "Amount|SUM": 1000 },
+            Review: { "Amount|SUM": 1000 }
+          }
+        },
+        loadedByKey: { Open: 20, Review: 20 }
+      }
+    );
+    expect(open.summaries[0]).toEqual(
+      expect.objectContaining({ value: "#250", isServerTotal: true })
+    );
+    expect(review.summaries[0].value).toBe("#1");
+  });
+
+  it("keeps mixed currency warnings and summaries without server values", () => {
+    const [open] = applyServerAggregates(
+      [buildColumn("Open", "Mixed currencies")],
+      {
+        ...context,
+        totals: {
+          byKey: { Open: 10 },
+          summariesByKey: { Open: { "Amount|SUM": 900 } }
+        },
+        loadedByKey: { Open: 2 }
+      }
+    );
+    expect(open.summaries[0].value).toBe("Mixed currencies");
+    expect(open.serverTotals.count).toBe(10);
+  });
+
+  it("returns the columns unchanged without totals", () => {
+    const columns = [buildColumn("Open", "#1")];
+    expect(applyServerAggregates(columns, { ...context, totals: null })).toBe(
+      columns
+    );
+  });
+});
@@ -1,4 +1,6 @@
 import {
+  getServerSummaryType,
+  isServerSummaryType,
   parseSummaryDefinitions,
   normalizeSummaryType
 } from "../summaryConfigUtils";
@@ -62,11 +64,47 @@ describe("summaryConfigUtils.parseSummaryDefinitions", () => {
     expect(warnings).toContain("Only the first 3 summaries are used.");
   });
 
-  it("flags unsupported summary types", () => {
+  it("uses a configured maximum", () => {
     const { summaries, warnings } = parseSummaryDefinitions(
-      "[Amount|MEDIAN|Median]"
+      "[A|SUM|A];[B|AVG|B];[C|MIN|C];[D|MAX|D];[E|COUNT|E]",
+      { maxSummaries: 4 }
     );
 
+    expect(summaries.map((summary) => summary.label)).toEqual([
+      "A",
+      "B",
+      "C",
+      "D"
+    ]);
+    expect(warnings).toEqual(["Only the first 4 summaries are used."]);
+    expect(
+      parseSummaryDefinitions("[A|SUM|A];[B|AVG|B]", { maxSummaries: 1 })
+        .warnings
+    ).toEqual(["Only the first summary is used."]);
+  });
+
+  it("parses count, median, and percentage types", () => {
+    const { summaries, warnings } = parseSummaryDefinitions(
+      "[AccountId|count_distinct|Accounts];[NextStep|COUNT|Next steps];" +
+        "[Amount|MEDIAN|Median];[Amount|PERCENT_OF_TOTAL|Share];" +
+        "[IsWon|percent_true|Won]",
+      { maxSummaries: 5 }
+    );
+
+    expect(warnings).toHaveLength(0);
+    expect(summaries.map((summary) => summary.summaryType)).toEqual([
+      "COUNT_DISTINCT",
+      "COUNT",
+      "MEDIAN",
+      "PERCENT_OF_TOTAL",
+      "PERCENT_TRUE"
+    ]);
+  });
+
+  it("flags unsupported summary types", () => {
+    const { summaries, warnings } =
+      parseSummaryDefinitions("[Amount|MODE|Mode]");
+
     expect(summaries).toHaveLength(0);
     expect(warnings).toHaveLength(1);
   });
@@ -76,9 +114,26 @@ describe("summaryConfigUtils.normalizeSummaryType", () => {
   it("normalizes supported types", () => {
     expect(normalizeSummaryType("sum")).toBe("SUM");
     expect(normalizeSummaryType("count_true")).toBe("COUNT_TRUE");
+    expect(normalizeSummaryType("median")).toBe("MEDIAN");
   });
 
   it("returns null for unsupported types", () => {
-    expect(normalizeSummaryType("median")).toBeNull();
+    expect(normalizeSummaryType("mode")).toBeNull();
+  });
+});
+
+describe("summaryConfigUtils.isServerSummaryType", () => {
+  it("accepts types with a SOQL aggregate", () => {
+    expect(isServerSummaryType("SUM")).toBe(true);
+    expect(isServerSummaryType("COUNT_DISTINCT")).toBe(true);
+    expect(isServerSummaryType("MEDIAN")).toBe(false);
+    expect(isServerSummaryType("PERCENT_TRUE")).toBe(false);
+    expect(isServerSummaryType("MODE")).toBe(false);
+  });
+
+  it("maps weighted sums to the plain server sum", () => {
+    expect(getServerSummaryType("WEIGHTED_SUM")).toBe("SUM");
+    expect(getServerSummaryType("COUNT")).toBe("COUNT");
+    expect(getServerSummaryType("MEDIAN")).toBeNull();
   });
 });
@@ -1,7 +1,8 @@
 import {
   coerceNumericValue,
   coerceBooleanValue,
-  coerceSummaryValue
+  coerceSummaryValue,
+  formatSummaryValue
 } from "../summaryValueUtils";
 
 describe("summaryValueUtils.coerceNumericValue", () => {
@@ -48,6 +49,31 @@ describe("summaryValueUtils.coerceSummaryValue", () => {
     expect(coerceSummaryValue(record, summary, extractFieldData)).toBe(2500);
   });
 
+  it("keeps text values for count summaries", () => {
+    const summary = {
+      fieldApiName: "NextStep",
+      summaryType: "COUNT",
+      dataType: "string"
+    };
+    expect(
+      coerceSummaryValue({ NextStep: " Call " }, summary, extractFieldData)
+    ).toBe("Call");
+    expect(
+      coerceSummaryValue({ NextStep: "   " }, summary, extractFieldData)
+    ).toBeNull();
+    expect(
+      coerceSummaryValue(
+        { Amount: "$2,500" },
+        {
+          fieldApiName: "Amount",
+          summaryType: "COUNT_DISTINCT",
+          dataType: "currency"
+        },
+        extractFieldData
+      )
+    ).toBe("$2,500");
+  });
+
   it("returns raw values for date summaries", () => {
     const record = { CloseDate: "2024-01-10" };
     const summary = { fieldApiName: "CloseDate", dataType: "date" };
@@ -56,3 +82,52 @@ describe("summaryValueUtils.coerceSummaryValue", () => {
     );
   });
 });
+
+describe("summaryValueUtils.formatSummaryValue", () => {
+  it("formats counts as plain numbers whatever the field type", () => {
+    expect(
+      formatSummaryValue(
+        { summaryType: "COUNT", dataType: "currency", scale: 2 },
+        1200,
+        { currencyCode: "USD" }
+      )
+    ).toBe(new Intl.NumberFormat().format(1200));
+    expect(
+      formatSummaryValue({ summaryType: "COUNT_DISTINCT", dataType: "date" }, 3)
+    ).toBe("3");
+  });
+
+  it("formats percentages of a total", () => {
+    const percent = (value) =>
+      new Intl.NumberFormat(undefined, {
+        style: "percent",
+        maximumFractionDigits: 1
+      }).format(value);
+    expect(
+      formatSummaryValue(
+        { summaryType: "PERCENT_OF_TOTAL", dataType: "currency" },
+        0.4567
+      )
+    ).toBe(percent(0.4567));
+    expect(
+      formatSummaryValue(
+        { summaryType: "PERCENT_TRUE", dataType: "boolean" },
+        1
+      )
+    ).toBe(percent(1));
+  });
+
+  it("formats medians like the field", () => {
+    expect(
+      formatSummaryValue(
+        { summaryType: "MEDIAN", dataType: "double", scale: 1 },
+        2.25
+      )
+    ).toBe(
+      new Intl.NumberFormat(undefined, {
+        minimumFractionDigits: 1,
+        maximumFractionDigits: 1
+      }).format(2.25)
+    );
+  });
+});
@@ -0,0 +1,65 @@
+import { decodeBoardState, encodeBoardState } from "../urlStateService";
+
+describe("urlStateService", () => {
+  it("round-trips board state and leaves out defaults", () => {
+    const state = {
+      parents: ["001A", "001B"],
+      filters: { "Case.Status": ["New", "Working"] },
+      quickFilters: ["mine", "recentlyModified"],
+      advancedFilter: {
+        type: "group",
+        logic: "OR",
+        children: [
+          {
+            type: "condition",
+            field: "Amount",
+            operator: "greaterThan",
+            value: "10"
+          }
+        ]
+      },
+      searchValue: "router",
+      sortField: "Case.Priority",
+      sortDirection: "desc"
+    };
+    const encoded = encodeBoardState(state, "Case.CreatedDate");
+    expect(decodeBoardState(encoded)).toEqual(state);
+
+    expect(
+      JSON.parse(
+        encodeBoardState(
+          {
+            ...state,
+            quickFilters: [],
+            advancedFilter: null,
+            sortField: "Case.CreatedDate",
+            sortDirection: "asc"
+          },
+          "Case.CreatedDate"
+        )
+      )
+    ).toEqual({ p: state.parents, f: state.filters, q: "router" });
+    expect(
+      encodeBoardState(
+        { parents: [], filters: {}, searchValue: "", sortDirection: "asc" },
+        null
+      )
+    ).toBeNull();
+  });
+
+  it("ignores malformed values", () => {
+    expect(decodeBoardState("not json")).toBeNull();
+    expect(decodeBoardState("[1,2]")).toBeNull();
+    expect(
+      decodeBoardState(JSON.stringify({ p: "001", f: { Status: [1, "New"] } }))
+    ).toEqual({
+      parents: [],
+      filters: { Status: ["New"] },
+      quickFilters: [],
+      advancedFilter: null,
+      searchValue: "",
+      sortField: null,
+      sortDirection: "asc"
+    });
+  });
+});
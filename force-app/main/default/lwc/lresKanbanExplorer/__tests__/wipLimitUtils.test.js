@@ -0,0 +1,113 @@
+import {
+  applyWipLimits,
+  findWipLimit,
+  isColumnAtWipLimit,
+  parseWipLimitDefinitions
+} from "../wipLimitUtils";
+
+describe("wipLimitUtils.parseWipLimitDefinitions", () => {
+  it("returns empty results for null, undefined, or whitespace input", () => {
+    [null, undefined, "", "   "].forEach((value) => {
+      const { limits, warnings } = parseWipLimitDefinitions(value);
+      expect(limits).toHaveLength(0);
+      expect(warnings).toHaveLength(0);
+    });
+  });
+
+  it("parses max and optional min values with trimming", () => {
+    const { limits, warnings } = parseWipLimitDefinitions(
+      "[ In Progress | 5 ]; [Review|3|1];[Backlog||2]"
+    );
+
+    expect(warnings).toHaveLength(0);
+    expect(limits).toEqual([
+      { columnValue: "In Progress", max: 5, min: null },
+      { columnValue: "Review", max: 3, min: 1 },
+      { columnValue: "Backlog", max: null, min: 2 }
+    ]);
+  });
+
+  it("returns warnings for malformed, inverted, and duplicate entries", () => {
+    const { limits, warnings } = parseWipLimitDefinitions(
+      "[Open];[Open|abc];[Open|0];[Open|2|4];[Done|4];[Done|6]"
+    );
+
+    expect(limits).toEqual([{ columnValue: "Done", max: 4, min: null }]);
+    expect(warnings).toEqual([
+      'Invalid WIP limit entry: "[Open]"',
+      'Invalid WIP limit entry: "[Open|abc]"',
+      'Invalid WIP limit entry: "[Open|0]"',
+      'WIP limit minimum exceeds maximum in "[Open|2|4]"; entry ignored.',
+      'Duplicate WIP limit for "Done"; the first entry is used.'
+    ]);
+  });
+});
+
+describe("wipLimitUtils column helpers", () => {
+  const limits = [
+    { columnValue: "open", max: 2, min: null },
+    { columnValue: "Closed", max: null, min: 1 }
+  ];
+
+  it("matches limits by column key before falling back to label", () => {
+    expect(findWipLimit({ key: "Closed", label: "Done" }, limits)).toEqual({
+      max: null,
+      min: 1
+    });
+    expect(findWipLimit({ key: "O", label: "Open" }, limits)).toEqual({
+      max: 2,
+      min: null
+    });
+    expect(findWipLimit({ key: "Other", label: "Other" }, limits)).toBeNull();
+  });
+
+  it("attaches limits to matching columns only", () => {
+    const columns = [
+      { key: "Open", label: "Open", records: [] },
+      { key: "Other", label: "Other", records: [] }
+    ];
+    const result = applyWipLimits(columns, limits);
+    expect(result[0].wipLimit).toEqual({ max: 2, min: null });
+    expect(result[1]).toBe(columns[1]);
+    expect(applyWipLimits(columns, [])).toBe(columns);
+  });
+
+  it("counts every record of a paged or filtered column", () => {
+    const columns = [{ key: "Open", label: "Open", records: [{ id: "1" }] }];
+    const [paged] = applyWipLimits(columns, limits, {
+      totals: { byKey: { Open: 2 } },
+      loadedByKey: { Open: 1 }
+    });
+    expect(paged.wipCount).toBe(2);
+    expect(isColumnAtWipLimit(paged)).toBe(true);
+    const [filtered] = applyWipLimits(columns, limits, {
+      totals: null,
+      loadedByKey: { Open: 2 }
+    });
+    expect(filtered.wipCount).toBe(2);
+    expect(isColumnAtWipLimit(filtered)).toBe(true);
+    expect(isColumnAtWipLimit(applyWipLimits(columns, limits)[0])).toBe(false);
+  });
+
+  it("detects columns at or over their maximum", () => {
+    expect(
+      isColumnAtWipLimit({
+        wipLimit: { max: 2, min: null },
+        records: [{ id: "1" }, { id: "2" }]
+      })
+    ).toBe(true);
+    expect(
+      isColumnAtWipLimit({ wipLimit: { max: 2, min: null }, records: [] })
+    ).toBe(false);
+    expect(
+      isColumnAtWipLimit({ wipLimit: { max: null, min: 1 }, records: [] })
+    ).toBe(false);
+    expect(
+      isColumnAtWipLimit(
+        { wipLimit: { max: 3, min: null }, records: [{ id: "1" }] },
+        3
+      )
+    ).toBe(true);
+    expect(isColumnAtWipLimit(null)).toBe(false);
+  });
+});
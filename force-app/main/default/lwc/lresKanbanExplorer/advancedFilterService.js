@@ -0,0 +1,210 @@
+import {
+  buildFilterWhereClause,
+  countFilterConditions,
+  evaluateFilterTree,
+  normalizeFilterTree,
+  resolveFilterFieldType
+} from "c/lresAdvancedFilterUtils";
+import KanbanFilterBuilder from "c/lresKanbanFilterBuilder";
+
+function resolveFieldType(component, fieldApiName) {
+  const metadata = component.getFieldMetadata(
+    component.qualifyFieldName(fieldApiName)
+  );
+  return resolveFilterFieldType(metadata?.dataType || metadata?.type);
+}
+
+function buildFilterContext(component) {
+  return {
+    getFieldType: (field) => resolveFieldType(component, field),
+    getFieldName: (field) => field
+  };
+}
+
+/**
+ * Lists the fields the advanced filter can use: the card, filter, search, and sort
+ * fields that sit directly on the card object. These are already loaded with every
+ * record, so conditions on them can be evaluated in the browser.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @returns {Array<{value: string, label: string, type: string, options: Array<Object>}>}
+ */
+export function getAdvancedFilterFields(component) {
+  if (!component.objectInfo) {
+    return [];
+  }
+  const candidates = component.uniqueFieldList([
+    ...component.cardFieldsQualified,
+    ...component.filterFieldsQualified,
+    ...component.searchFieldsQualified,
+    ...component.availableSortFields
+  ]);
+  const fields = [];
+  candidates.forEach((field) => {
+    if (!field || component.stripObjectPrefix(field).includes(".")) {
+      return;
+    }
+    const value = component.extractSimpleFieldName(field);
+    const type = resolveFieldType(component, value);
+    if (!type || fields.some((option) => option.value === value)) {
+      return;
+    }
+    const picklistValues =
+      type === "picklist" ? component.getUiPicklistValues(field) || [] : [];
+    fields.push({
+      value,
+      label: component.getFieldLabel(field),
+      type,
+      options: picklistValues.map((entry) => ({
+        label: entry.label,
+        value: entry.value
+      }))
+    });
+  });
+  return fields.sort((a, b) => a.label.localeCompare(b.label));
+}
+
+/**
+ * Returns the number of conditions in the board's advanced filter.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @returns {number}
+ */
+export function getAdvancedFilterCount(component) {
+  return countFilterConditions(component.advancedFilter);
+}
+
+/**
+ * Combines the admin's card WHERE clause with the advanced filter when the filter is
+ * being applied on the server.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @returns {string|null} WHERE clause sent to Apex.
+ */
+export function resolveEffectiveWhereClause(component) {
+  const baseClause = component.cardRecordsWhereClause;
+  const advancedClause = component._advancedFilterServerClause;
+  if (!advancedClause) {
+    return baseClause || null;
+  }
+  return baseClause ? `(${baseClause}) AND ${advancedClause}` : advancedClause;
+}
+
+/**
+ * Tests a loaded record against the advanced filter. Records are only tested in the
+ * browser while the filter is not applied on the server; server results already match.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @param {Object} record Card record.
+ * @returns {boolean}
+ */
+export function recordMatchesAdvancedFilter(component, record) {
+  if (!component.advancedFilter || component._advancedFilterServerClause) {
+    return true;
+  }
+  return evaluateFilterTree(component.advancedFilter, {
+    getFieldType: (field) => resolveFieldType(component, field),
+    getValue: (field) =>
+      component.extractFieldData(record, component.qualifyFieldName(field))?.raw
+  });
+}
+
+/**
+ * Sets the board's advanced filter and decides where it runs. While every matching
+ * record is loaded the filter runs in the browser against the snapshot; when the board
+ * holds only the first page of records, or has not loaded yet, the filter is added to
+ * the WHERE clause so Apex returns the right records and totals.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @param {Object|null} filter Filter tree, or `null` to remove the filter.
+ * @returns {boolean} True when the board needs to fetch its records again.
+ */
+export function setAdvancedFilter(component, filter) {
+  component.advancedFilter = normalizeFilterTree(filter);
+  const clause = buildFilterWhereClause(
+    component.advancedFilter,
+    buildFilterContext(component)
+  );
+  const isSnapshotComplete =
+    component._cardRecordsLoaded &&
+    !component.recordTotals &&
+    !component._advancedFilterServerClause;
+  const serverClause = clause && !isSnapshotComplete ? clause : null;
+  const changed = serverClause !== component._advancedFilterServerClause;
+  component._advancedFilterServerClause = serverClause;
+  component.logDebug("Advanced filter updated.", {
+    conditionCount: getAdvancedFilterCount(component),
+    runsOnServer: Boolean(serverClause)
+  });
+  return changed && Boolean(component._cardRecordsLoaded);
+}
+
+/**
+ * Moves a browser-side advanced filter to the server after a refresh returns more
+ * records than one page holds.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @returns {boolean} True when the board needs to fetch its records again.
+ */
+export function syncAdvancedFilterMode(component) {
+  if (
+    !component.advancedFilter ||
+    component._advancedFilterServerClause ||
+    !component.recordTotals
+  ) {
+    return false;
+  }
+  component.logInfo(
+    "Board holds a partial snapshot; applying the advanced filter on the server."
+  );
+  return setAdvancedFilter(component, component.advancedFilter);
+}
+
+/**
+ * Applies a filter tree to the board, fetching records again when the filter moves to
+ * or from the server and rebuilding the columns otherwise.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @param {Object|null} filter Filter tree, or `null` to remove the filter.
+ * @returns {Promise<void>}
+ */
+export async function applyAdvancedFilter(component, filter) {
+  if (!setAdvancedFilter(component, filter)) {
+    component.scheduleUserRebuildColumnsWithPicklist();
+    return;
+  }
+  try {
+    await component.performCardRecordsRefresh();
+  } catch {
+    // performCardRecordsRefresh already surfaced the error to the UI.
+  }
+}
+
+/**
+ * Opens the advanced filter builder and applies the result.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @returns {Promise<void>}
+ */
+export async function openAdvancedFilterBuilder(component) {
+  if (component._modalOpen) {
+    return;
+  }
+  component._modalOpen = true;
+  try {
+    component.closeFilterMenus();
+    const result = await KanbanFilterBuilder.open({
+      size: "medium",
+      fields: getAdvancedFilterFields(component),
+      filter: component.advancedFilter
+    });
+    if (result?.action === "apply") {
+      await applyAdvancedFilter(component, result.filter);
+    }
+  } catch (error) {
+    component.logError("Advanced filter builder failed.", error);
+    component.showErrorToast(error, { title: "Unable to apply filter" });
+  } finally {
+    component._modalOpen = false;
+  }
+}
@@ -0,0 +1,199 @@
+import fetchGroupingFieldChangeDates from "@salesforce/apex/LRES_KanbanCardRecordsController.fetchGroupingFieldChangeDates";
+import { formatValueWithPattern } from "c/lresDateTimeUtils";
+import {
+  AGING_SORT_FIELD,
+  buildAgingBadge,
+  parseAgingThresholds
+} from "./agingUtils";
+
+// Matches the most record ids the Apex method accepts per call.
+const CHANGE_DATE_BATCH_SIZE = 500;
+const LAST_MODIFIED_SOURCE = "LastModifiedDate";
+
+function getGroupingValue(component, record) {
+  const raw = component.extractFieldData(
+    record,
+    component.groupingFieldQualified
+  )?.raw;
+  return raw === undefined || raw === null ? "" : String(raw);
+}
+
+function isAgingSelected(component) {
+  return (
+    isAgingSortAvailable(component) &&
+    component.selectedSortField === AGING_SORT_FIELD
+  );
+}
+
+/**
+ * Reports whether "Oldest first" can be offered. The order comes from the change dates
+ * of the loaded cards, so it is only offered while every matching record is on the
+ * board; otherwise the longest-waiting cards could sit on pages that never load.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @returns {boolean} `true` when the sort menu should include "Oldest first".
+ */
+export function isAgingSortAvailable(component) {
+  if (!component.showCardAging) {
+    return false;
+  }
+  const total = component.recordTotals?.total;
+  return !total || total <= (component.relatedRecords?.length || 0);
+}
+
+/**
+ * Parses the board's aging thresholds.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @returns {{thresholds: Array<Object>, warnings: Array<string>}}
+ */
+export function getAgingThresholdConfig(component) {
+  if (!component.showCardAging) {
+    return { thresholds: [], warnings: [] };
+  }
+  return parseAgingThresholds(component.cardAgingThresholds);
+}
+
+/**
+ * Returns the field the server should sort by. "Oldest first" is computed on the client
+ * from the change dates, so the query sorts by LastModifiedDate as the closest match
+ * until the record totals show whether the whole board fits in one page.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @param {string} defaultField Field used when no sort field is selected.
+ * @returns {string|null} Qualified sort field.
+ */
+export function getQuerySortField(component, defaultField) {
+  if (isAgingSelected(component)) {
+    return component.qualifyFieldName("LastModifiedDate");
+  }
+  return component.getEffectiveSortField(defaultField);
+}
+
+/**
+ * Loads when each card last changed column, for records the board has not loaded a
+ * change date for yet, then rebuilds the columns so the aging badges appear. A failed
+ * call only hides the badges; the cards stay on the board.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @param {Array<Object>} records Records on the board.
+ * @returns {Promise<void>}
+ */
+export async function syncCardAging(component, records) {
+  if (!component.showCardAging || !component.groupingFieldQualified) {
+    return;
+  }
+  const cache = component._cardAgingDates || new Map();
+  component._cardAgingDates = cache;
+  const pending = (records || [])
+    .filter((record) => {
+      const cached = record?.id ? cache.get(record.id) : null;
+      return (
+        record?.id &&
+        (!cached ||
+          cached.groupingValue !== getGroupingValue(component, record))
+      );
+    })
+    .map((record) => ({
+      id: record.id,
+      groupingValue: getGroupingValue(component, record)
+    }));
+  if (!pending.length) {
+    return;
+  }
+  const requestId = (component._cardAgingRequestId || 0) + 1;
+  component._cardAgingRequestId = requestId;
+  try {
+    for (let i = 0; i < pending.length; i += CHANGE_DATE_BATCH_SIZE) {
+      const batch = pending.slice(i, i + CHANGE_DATE_BATCH_SIZE);
+      // eslint-disable-next-line no-await-in-loop
+      const changes = await fetchGroupingFieldChangeDates({
+        cardObjectApiName: component.cardObjectApiName,
+        groupingFieldApiName: component.groupingFieldQualified,
+        recordIds: batch.map((entry) => entry.id)
+      });
+      if (requestId !== component._cardAgingRequestId) {
+        return;
+      }
+      const groupingValues = new Map(
+        batch.map((entry) => [entry.id, entry.groupingValue])
+      );
+      (Array.isArray(changes) ? changes : []).forEach((change) => {
+        if (!groupingValues.has(change?.recordId)) {
+          return;
+        }
+        cache.set(change.recordId, {
+          changedDate: change.changedDate,
+          isEstimate: change.source === LAST_MODIFIED_SOURCE,
+          groupingValue: groupingValues.get(change.recordId)
+        });
+      });
+    }
+    component.logDebug("Card aging dates loaded.", {
+      recordCount: pending.length
+    });
+  } catch (error) {
+    component.logWarn("Unable to load card aging dates.", error);
+    return;
+  }
+  component.rebuildColumnsWithPicklist();
+}
+
+/**
+ * Creates the callback that adds aging badges while the columns are built. A card
+ * whose column changed on the board since its date was loaded counts from now.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @returns {Function} Takes a record and returns its aging badge, or `null`.
+ */
+export function createCardAgingResolver(component) {
+  const cache = component._cardAgingDates;
+  if (!component.showCardAging || !cache?.size) {
+    return () => null;
+  }
+  const { thresholds } = getAgingThresholdConfig(component);
+  const now = new Date();
+  const formatDate = (value) =>
+    formatValueWithPattern(value, {
+      pattern: component.effectiveDateTimeFormat,
+      patternTokenCache: component.patternTokenCache
+    }) || new Date(value).toLocaleString();
+  return (record) => {
+    const change = cache.get(record?.id);
+    if (!change) {
+      return null;
+    }
+    const moved = change.groupingValue !== getGroupingValue(component, record);
+    return buildAgingBadge(
+      moved ? { changedDate: now.toISOString(), isEstimate: false } : change,
+      { thresholds, now, formatDate }
+    );
+  };
+}
+
+/**
+ * Creates the callback that supplies sort values for "Oldest first": the time the card
+ * last changed column, so ascending order puts the longest-waiting cards on top.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @returns {Function} Takes a record and a sort field; returns `undefined` for fields
+ *   that are sorted by their own value.
+ */
+export function createAgingSortValueResolver(component) {
+  const cache = component._cardAgingDates;
+  return (record, field) => {
+    if (field !== AGING_SORT_FIELD) {
+      return undefined;
+    }
+    const change = cache?.get(record?.id);
+    if (
+      !change ||
+      change.groupingValue !== getGroupingValue(component, record)
+    ) {
+      // Cards without a loaded date sort last; cards that just moved count from now.
+      return change ? Date.now() : null;
+    }
+    const time = new Date(change.changedDate).getTime();
+    return Number.isNaN(time) ? null : time;
+  };
+}
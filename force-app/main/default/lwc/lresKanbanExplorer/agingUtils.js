@@ -0,0 +1,112 @@
+import { getContrastTextColor, resolveRuleColor } from "./cardColorRuleUtils";
+
+// Sort option value for "Oldest first"; it never reaches the server query.
+export const AGING_SORT_FIELD = "__cardAging";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_BADGE_STYLE = "background-color: #f3f3f3; color: #181818;";
+
+/**
+ * Parses the aging thresholds. Each entry is `[Days|Color]` and entries are separated by
+ * semicolons; a card that has sat in its column for at least `Days` days takes the color
+ * of the highest threshold it reaches.
+ *
+ * @param {string} rawValue Threshold definition string from the component property.
+ * @returns {{thresholds: Array<{days: number, color: string}>, warnings: Array<string>}}
+ *   Thresholds in ascending order of days.
+ */
+export function parseAgingThresholds(rawValue) {
+  const thresholds = [];
+  const warnings = [];
+  const raw =
+    rawValue === undefined || rawValue === null ? "" : String(rawValue);
+  if (!raw.trim()) {
+    return { thresholds, warnings };
+  }
+
+  raw
+    .split(";")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      let normalized = entry;
+      if (normalized.startsWith("[") && normalized.endsWith("]")) {
+        normalized = normalized.slice(1, -1).trim();
+      }
+      const parts = normalized.split("|").map((part) => part.trim());
+      const days = Number(parts[0]);
+      if (
+        parts.length !== 2 ||
+        !parts[0] ||
+        !Number.isInteger(days) ||
+        days < 0
+      ) {
+        warnings.push(`Invalid aging threshold: "${entry}"`);
+        return;
+      }
+      const color = resolveRuleColor(parts[1]);
+      if (!color) {
+        warnings.push(`Unsupported aging color "${parts[1]}" in "${entry}"`);
+        return;
+      }
+      if (thresholds.some((threshold) => threshold.days === days)) {
+        warnings.push(`Duplicate aging threshold for ${days} days ignored.`);
+        return;
+      }
+      thresholds.push({ days, color });
+    });
+
+  thresholds.sort((first, second) => first.days - second.days);
+  return { thresholds, warnings };
+}
+
+/**
+ * Counts the whole days between a change and now.
+ *
+ * @param {string|Date} changedDate When the card last changed column.
+ * @param {Date} [now] Current time.
+ * @returns {number|null} Days, or `null` when the date cannot be read.
+ */
+export function getAgingDays(changedDate, now = new Date()) {
+  const changed =
+    changedDate instanceof Date ? changedDate : new Date(changedDate);
+  if (!changedDate || Number.isNaN(changed.getTime())) {
+    return null;
+  }
+  return Math.max(0, Math.floor((now.getTime() - changed.getTime()) / DAY_MS));
+}
+
+/**
+ * Builds the aging badge for a card.
+ *
+ * @param {Object} change Last column change for the record.
+ * @param {string} change.changedDate When the grouping field last changed.
+ * @param {boolean} [change.isEstimate] True when the date is the record's last
+ *   modified date because field history is not available.
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.thresholds] Thresholds from `parseAgingThresholds`.
+ * @param {Date} [options.now] Current time.
+ * @param {Function} [options.formatDate] Formats the change date for the tooltip.
+ * @returns {{label: string, title: string, style: string, days: number}|null}
+ */
+export function buildAgingBadge(
+  change,
+  { thresholds = [], now = new Date(), formatDate = (value) => value } = {}
+) {
+  const days = getAgingDays(change?.changedDate, now);
+  if (days === null) {
+    return null;
+  }
+  const reached = thresholds.filter((threshold) => days >= threshold.days);
+  const color = reached.length ? reached[reached.length - 1].color : null;
+  const since = formatDate(change.changedDate);
+  return {
+    label: `${days} ${days === 1 ? "day" : "days"}`,
+    title: change.isEstimate
+      ? `Last modified ${since}; status history is not tracked`
+      : `In this column since ${since}`,
+    style: color
+      ? `background-color: ${color}; color: ${getContrastTextColor(color)};`
+      : DEFAULT_BADGE_STYLE,
+    days
+  };
+}
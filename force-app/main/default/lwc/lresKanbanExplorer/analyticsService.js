@@ -0,0 +1,186 @@
+import fetchGroupingFieldHistory from "@salesforce/apex/LRES_KanbanCardRecordsController.fetchGroupingFieldHistory";
+import {
+  buildCumulativeFlow,
+  buildCycleTime,
+  buildThroughput
+} from "./analyticsUtils";
+
+// Matches the most record ids the Apex method accepts per call.
+const HISTORY_BATCH_SIZE = 500;
+export const ANALYTICS_RANGE_OPTIONS = [30, 90];
+
+function toColumnKey(value, blankKey) {
+  return value === null || value === undefined || value === ""
+    ? blankKey
+    : String(value);
+}
+
+async function fetchHistory(component, recordIds) {
+  const merged = {
+    isTracked: false,
+    isTruncated: false,
+    records: [],
+    changes: []
+  };
+  for (let i = 0; i < recordIds.length; i += HISTORY_BATCH_SIZE) {
+    // eslint-disable-next-line no-await-in-loop
+    const history = await fetchGroupingFieldHistory({
+      cardObjectApiName: component.cardObjectApiName,
+      groupingFieldApiName: component.groupingFieldQualified,
+      recordIds: recordIds.slice(i, i + HISTORY_BATCH_SIZE),
+      dayCount: component.analyticsRangeDays
+    });
+    merged.isTracked = merged.isTracked || Boolean(history?.isTracked);
+    merged.isTruncated = merged.isTruncated || Boolean(history?.isTruncated);
+    merged.records.push(...(history?.records || []));
+    merged.changes.push(...(history?.changes || []));
+  }
+  return merged;
+}
+
+/**
+ * Builds the analytics panel charts from the grouping field history of the cards on
+ * the board. The last column that is not the blank column counts as done.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @param {Object} history Merged `fetchGroupingFieldHistory` results.
+ * @param {Object} options Additional inputs.
+ * @param {string} options.blankKey Key of the blank column.
+ * @param {Date} [options.now] End of the period.
+ * @returns {Object} Panel model.
+ */
+export function buildBoardAnalytics(component, history, { blankKey, now }) {
+  const columns = (component.columns || []).map((column) => ({
+    key: column.key,
+    label: column.label
+  }));
+  const doneColumn = [...columns]
+    .reverse()
+    .find((column) => column.key !== blankKey);
+  const createdDates = new Map(
+    (history.records || []).map((record) => [
+      record.recordId,
+      record.createdDate
+    ])
+  );
+  const groupingField = component.groupingFieldQualified;
+  const records = (component.relatedRecords || [])
+    .filter((record) => createdDates.has(record?.id))
+    .map((record) => ({
+      id: record.id,
+      columnKey: toColumnKey(
+        component.extractFieldData(record, groupingField)?.raw,
+        blankKey
+      ),
+      createdDate: createdDates.get(record.id)
+    }));
+  const changes = (history.changes || []).map((change) => ({
+    recordId: change.recordId,
+    oldKey: toColumnKey(change.oldValue, blankKey),
+    newKey: toColumnKey(change.newValue, blankKey),
+    changedDate: change.changedDate
+  }));
+  const dayCount = component.analyticsRangeDays;
+  const doneKey = doneColumn?.key;
+  const cycleTime = buildCycleTime({ records, changes, doneKey });
+  return {
+    isTracked: history.isTracked,
+    isTruncated: history.isTruncated,
+    doneLabel: doneColumn?.label || "",
+    cumulativeFlow: buildCumulativeFlow({
+      records,
+      changes,
+      columns,
+      dayCount,
+      now
+    }),
+    throughput: buildThroughput({ changes, doneKey, dayCount, now }),
+    cycleTime
+  };
+}
+
+/**
+ * Loads the grouping field history for the cards on the board and rebuilds the
+ * analytics panel. Does nothing while the panel is closed.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @param {Object} options Additional inputs.
+ * @param {string} options.blankKey Key of the blank column.
+ * @returns {Promise<void>}
+ */
+export async function loadBoardAnalytics(component, { blankKey }) {
+  if (!component.isAnalyticsOpen || !component.groupingFieldQualified) {
+    return;
+  }
+  const recordIds = (component.relatedRecords || [])
+    .map((record) => record?.id)
+    .filter(Boolean);
+  const requestId = (component._analyticsRequestId || 0) + 1;
+  component._analyticsRequestId = requestId;
+  component.isAnalyticsLoading = true;
+  component.analyticsErrorMessage = null;
+  try {
+    const history = await fetchHistory(component, recordIds);
+    if (requestId !== component._analyticsRequestId) {
+      return;
+    }
+    component.analyticsData = buildBoardAnalytics(component, history, {
+      blankKey
+    });
+    component.logDebug("Board analytics loaded.", {
+      recordCount: recordIds.length,
+      changeCount: history.changes.length
+    });
+  } catch (error) {
+    if (requestId !== component._analyticsRequestId) {
+      return;
+    }
+    component.logError("Loading board analytics failed.", error);
+    component.analyticsData = null;
+    component.analyticsErrorMessage = component.formatError(error);
+  } finally {
+    if (requestId === component._analyticsRequestId) {
+      component.isAnalyticsLoading = false;
+    }
+  }
+}
+
+/**
+ * Opens or closes the analytics panel, loading the history when it opens.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @param {Event} event Toggle event from the analytics panel.
+ * @param {Object} options Additional inputs.
+ * @param {string} options.blankKey Key of the blank column.
+ */
+export function toggleAnalyticsPanel(component, event, { blankKey }) {
+  event?.stopPropagation?.();
+  component.isAnalyticsOpen = !component.isAnalyticsOpen;
+  component.logDebug("Analytics panel toggled.", {
+    open: component.isAnalyticsOpen
+  });
+  if (component.isAnalyticsOpen) {
+    loadBoardAnalytics(component, { blankKey });
+  }
+}
+
+/**
+ * Changes the analytics period and reloads the history.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @param {Event} event Range event from the analytics panel.
+ * @param {Object} options Additional inputs.
+ * @param {string} options.blankKey Key of the blank column.
+ */
+export function changeAnalyticsRange(component, event, { blankKey }) {
+  event?.stopPropagation?.();
+  const days = Number(event?.detail?.days);
+  if (!ANALYTICS_RANGE_OPTIONS.includes(days)) {
+    return;
+  }
+  if (days === component.analyticsRangeDays) {
+    return;
+  }
+  component.analyticsRangeDays = days;
+  loadBoardAnalytics(component, { blankKey });
+}
@@ -0,0 +1,182 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_DAYS = 7;
+
+function toTime(value) {
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+function defaultFormatDate(time) {
+  return new Date(time).toLocaleDateString(undefined, {
+    month: "short",
+    day: "numeric"
+  });
+}
+
+function groupChangesByRecord(changes) {
+  const byRecord = new Map();
+  (changes || []).forEach((change) => {
+    const time = toTime(change?.changedDate);
+    if (!change?.recordId || time === null) {
+      return;
+    }
+    if (!byRecord.has(change.recordId)) {
+      byRecord.set(change.recordId, []);
+    }
+    byRecord.get(change.recordId).push({ ...change, time });
+  });
+  byRecord.forEach((entries) => entries.sort((a, b) => a.time - b.time));
+  return byRecord;
+}
+
+// Walks back from the current column: the first change after `time` tells where the
+// card was at that moment.
+function getColumnAt(record, recordChanges, time) {
+  const next = recordChanges.find((change) => change.time > time);
+  return next ? next.oldKey : record.columnKey;
+}
+
+/**
+ * Counts the cards in each column at the end of each day of the period, for the
+ * cumulative flow diagram. Cards are placed by walking their grouping field changes
+ * back from the column they are in now, and are left out before they were created.
+ *
+ * @param {Object} input
+ * @param {Array<{id: string, columnKey: string, createdDate: string}>} input.records
+ *   Cards on the board.
+ * @param {Array<{recordId: string, oldKey: string, newKey: string,
+ *   changedDate: string}>} input.changes Grouping field changes in the period.
+ * @param {Array<{key: string, label: string}>} input.columns Board columns, in order.
+ * @param {number} input.dayCount Days in the period.
+ * @param {Date} [input.now] End of the period.
+ * @param {Function} [input.formatDate] Formats a point's date for the x axis.
+ * @returns {{labels: Array<string>, series: Array<Object>}} One series per column,
+ *   last column first so the finished work sits at the bottom of the stack.
+ */
+export function buildCumulativeFlow({
+  records = [],
+  changes = [],
+  columns = [],
+  dayCount,
+  now = new Date(),
+  formatDate = defaultFormatDate
+}) {
+  const end = now.getTime();
+  const times = [];
+  for (let day = dayCount; day >= 0; day -= 1) {
+    times.push(end - day * DAY_MS);
+  }
+  const columnIndex = new Map(
+    columns.map((column, index) => [column.key, index])
+  );
+  const counts = columns.map(() => times.map(() => 0));
+  const changesByRecord = groupChangesByRecord(changes);
+
+  records.forEach((record) => {
+    const created = toTime(record.createdDate);
+    const recordChanges = changesByRecord.get(record.id) || [];
+    times.forEach((time, pointIndex) => {
+      if (created !== null && created > time) {
+        return;
+      }
+      const index = columnIndex.get(getColumnAt(record, recordChanges, time));
+      if (index !== undefined) {
+        counts[index][pointIndex] += 1;
+      }
+    });
+  });
+
+  return {
+    labels: times.map((time) => formatDate(time)),
+    series: columns
+      .map((column, index) => ({
+        key: column.key,
+        label: column.label,
+        values: counts[index]
+      }))
+      .reverse()
+  };
+}
+
+/**
+ * Counts the cards that moved into the done column in each whole week of the period,
+ * oldest week first. The last week ends now.
+ *
+ * @param {Object} input
+ * @param {Array<Object>} input.changes Grouping field changes in the period.
+ * @param {string} input.doneKey Key of the done column.
+ * @param {number} input.dayCount Days in the period.
+ * @param {Date} [input.now] End of the period.
+ * @param {Function} [input.formatDate] Formats a week's start date.
+ * @returns {{labels: Array<string>, values: Array<number>}}
+ */
+export function buildThroughput({
+  changes = [],
+  doneKey,
+  dayCount,
+  now = new Date(),
+  formatDate = defaultFormatDate
+}) {
+  const end = now.getTime();
+  // Whole weeks only, so the first week is not missing history from before the period.
+  const weekCount = Math.max(1, Math.floor(dayCount / WEEK_DAYS));
+  const weekMs = WEEK_DAYS * DAY_MS;
+  const starts = [];
+  for (let week = weekCount; week >= 1; week -= 1) {
+    starts.push(end - week * weekMs);
+  }
+  const values = starts.map(() => 0);
+  changes.forEach((change) => {
+    const time = toTime(change.changedDate);
+    if (
+      time === null ||
+      change.newKey !== doneKey ||
+      change.oldKey === doneKey ||
+      time <= starts[0] ||
+      time > end
+    ) {
+      return;
+    }
+    const index = Math.min(
+      weekCount - 1,
+      Math.floor((time - starts[0]) / weekMs)
+    );
+    values[index] += 1;
+  });
+  return { labels: starts.map((time) => formatDate(time)), values };
+}
+
+/**
+ * Averages the days from creation to the done column for cards that reached it during
+ * the period. A card that reached it more than once counts its latest arrival.
+ *
+ * @param {Object} input
+ * @param {Array<Object>} input.records Cards on the board.
+ * @param {Array<Object>} input.changes Grouping field changes in the period.
+ * @param {string} input.doneKey Key of the done column.
+ * @returns {{averageDays: (number|null), count: number}} Average rounded to one
+ *   decimal place, or `null` when no card finished.
+ */
+export function buildCycleTime({ records = [], changes = [], doneKey }) {
+  const changesByRecord = groupChangesByRecord(changes);
+  const durations = [];
+  records.forEach((record) => {
+    const created = toTime(record.createdDate);
+    const arrivals = (changesByRecord.get(record.id) || []).filter(
+      (change) => change.newKey === doneKey && change.oldKey !== doneKey
+    );
+    if (created === null || !arrivals.length) {
+      return;
+    }
+    const arrival = arrivals[arrivals.length - 1].time;
+    durations.push(Math.max(0, arrival - created) / DAY_MS);
+  });
+  if (!durations.length) {
+    return { averageDays: null, count: 0 };
+  }
+  const total = durations.reduce((sum, days) => sum + days, 0);
+  return {
+    averageDays: Math.round((total / durations.length) * 10) / 10,
+    count: durations.length
+  };
+}
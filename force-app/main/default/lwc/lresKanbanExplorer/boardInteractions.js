@@ -1,7 +1,26 @@
 import { NavigationMixin } from "lightning/navigation";
 import { updateRecord } from "lightning/uiRecordApi";
-import { buildFilterDefinitions as buildFilterDefinitionsUtil } from "./filterUtils";
-import { buildOptimisticColumnsForDrop } from "./dragDropUtils";
+import {
+  applyRangeSelection,
+  buildFilterDefinitions as buildFilterDefinitionsUtil
+} from "./filterUtils";
+import {
+  buildRangeSelection,
+  matchesRange,
+  resolveRangeType
+} from "./rangeFilterUtils";
+import {
+  buildOptimisticColumnsForDrop,
+  findRecordLocation
+} from "./dragDropUtils";
+import { getWipCount, isColumnAtWipLimit } from "./wipLimitUtils";
+import { computeRankForPosition, mergeHiddenRankedIds } from "./rankUtils";
+import {
+  normalizeInlineEditValue,
+  updateCardInColumns
+} from "./inlineEditUtils";
+import { recordMatchesSearch as recordMatchesSearchService } from "./searchService";
+import rebalanceRanks from "@salesforce/apex/LRES_KanbanRankController.rebalanceRanks";
 import { sanitizeFieldOutput } from "c/lresOutputUtils";
 
 export function buildFilterDefinitions(component, records) {
@@ -12,16 +31,24 @@ export function buildFilterDefinitions(component, records) {
     });
     return;
   }
+  const pendingSelections = component._pendingFilterSelections;
   const { definitions, activeFilterMenuId, shouldCloseMenus } =
     buildFilterDefinitionsUtil({
       records: records || [],
       blueprints: getFilterBlueprints(component),
-      existingDefinitions: component.filterDefinitions,
+      existingDefinitions: pendingSelections
+        ? Object.entries(pendingSelections).map(([id, selectedValues]) => ({
+            id,
+            selectedValues
+          }))
+        : component.filterDefinitions,
       activeFilterMenuId: component.activeFilterMenuId,
       getFilterValueKey: (record, blueprint) =>
         getFilterValueKey(component, record, blueprint),
       getFilterValueLabel: (record, blueprint, fallback) =>
         getFilterValueLabel(component, record, blueprint, fallback),
+      getFilterRangeValue: (record, blueprint) =>
+        component.extractFieldData(record, blueprint.field)?.raw,
       sortFilterOptions: (options, field) =>
         sortFilterOptions(component, options, field),
       getFilterButtonClass: (id, hasSelection) =>
@@ -31,6 +58,10 @@ export function buildFilterDefinitions(component, records) {
     });
   component.filterDefinitions = definitions;
   component.activeFilterMenuId = activeFilterMenuId;
+  if (pendingSelections && records?.length) {
+    // Selections restored from a saved view wait until there are options to match.
+    component._pendingFilterSelections = null;
+  }
   if (shouldCloseMenus) {
     component.unregisterMenuOutsideClick();
   }
@@ -44,16 +75,28 @@ function syncFilterDefinitions(component) {
   const activeFilterMenuId = component.activeFilterMenuId;
   let activeMenuExists = false;
   const definitions = (component.filterDefinitions || []).map((def) => {
+    const isOpen = def.id === activeFilterMenuId;
+    if (isOpen) {
+      activeMenuExists = true;
+    }
+    if (def.isRange) {
+      const selectedValues = def.selectedValues || [];
+      return {
+        ...applyRangeSelection(def, selectedValues),
+        isOpen,
+        buttonClass: getFilterButtonClass(
+          component,
+          def.id,
+          selectedValues.length > 0
+        )
+      };
+    }
     const options = Array.isArray(def.options) ? def.options : [];
     const optionValues = new Set(options.map((option) => option.value));
     const selectedValues = (def.selectedValues || []).filter((value) =>
       optionValues.has(value)
     );
     const hasSelection = selectedValues.length > 0;
-    const isOpen = def.id === activeFilterMenuId;
-    if (isOpen) {
-      activeMenuExists = true;
-    }
     return {
       ...def,
       selectedValues,
@@ -77,11 +120,16 @@ export function getFilterBlueprints(component) {
   const uniqueFields = component.filterFieldsQualified;
   return uniqueFields.map((field) => {
     const isOwner = field === component.ownerFieldName;
+    const isDirectField = !component.stripObjectPrefix(field).includes(".");
     return {
       id: field,
       field,
       label: isOwner ? "Owner" : component.getFieldLabel(field),
-      type: isOwner ? "owner" : "field"
+      type: isOwner ? "owner" : "field",
+      rangeType:
+        !isOwner && isDirectField
+          ? resolveRangeType(component.getFieldMetadata(field))
+          : null
     };
   });
 }
@@ -204,27 +252,28 @@ export function isRecordIncluded(component, record) {
     if (!def.selectedValues?.length) {
       return true;
     }
+    if (def.isRange) {
+      return matchesRange(
+        component.extractFieldData(record, def.field)?.raw,
+        def.rangeType,
+        def.selectedValues
+      );
+    }
     const value = getFilterValueKey(component, record, def);
     return def.selectedValues.includes(value);
   });
-  if (!passesFilters) {
+  if (
+    !passesFilters ||
+    !component.recordMatchesQuickFilters(record) ||
+    !component.recordMatchesAdvancedFilter(record)
+  ) {
     return false;
   }
   return recordMatchesSearch(component, record);
 }
 
 export function recordMatchesSearch(component, record) {
-  if (!component.searchValue) {
-    return true;
-  }
-  if (!component.searchFieldsQualified.length) {
-    return true;
-  }
-  const searchLower = component.searchValue.toLowerCase();
-  return component.searchFieldsQualified.some((field) => {
-    const value = component.getFieldDisplay(record, field);
-    return value && value.toLowerCase().includes(searchLower);
-  });
+  return recordMatchesSearchService(component, record);
 }
 
 export function handleSortDirectionToggle(component) {
@@ -241,9 +290,11 @@ export function handleClearFilters(component) {
   if (component.clearFiltersDisabled) {
     return;
   }
-  component.logInfo("Clearing filters and search.");
+  component.logInfo(
+    "Clearing filters, quick filters, advanced filter, and search."
+  );
   component.filterDefinitions = component.filterDefinitions.map((def) => ({
-    ...def,
+    ...(def.isRange ? applyRangeSelection(def, []) : def),
     selectedValues: [],
     options: (def.options || []).map((option) => ({
       ...option,
@@ -253,7 +304,11 @@ export function handleClearFilters(component) {
     buttonClass: getFilterButtonClass(component, def.id, false)
   }));
   component.searchValue = "";
+  component.quickFilters = [];
   component.closeFilterMenus();
+  if (component.advancedFilter) {
+    component.applyAdvancedFilter(null);
+  }
   scheduleUserRebuild(component);
 }
 
@@ -307,6 +362,36 @@ export function handleFilterOptionToggle(component, event) {
   scheduleUserRebuild(component);
 }
 
+export function handleFilterRangeChange(component, event) {
+  event?.stopPropagation?.();
+  const { filterId, min, max, preset } = event.detail || {};
+  const definition = component.filterDefinitions.find(
+    (def) => def.id === filterId
+  );
+  if (!definition?.isRange) {
+    return;
+  }
+  const selectedValues = buildRangeSelection(
+    { min, max, preset },
+    definition.rangeType
+  );
+  component.logDebug("Filter range changed.", { filterId, selectedValues });
+  component.filterDefinitions = component.filterDefinitions.map((def) => {
+    if (def.id !== filterId) {
+      return def;
+    }
+    return {
+      ...applyRangeSelection(def, selectedValues),
+      buttonClass: getFilterButtonClass(
+        component,
+        def.id,
+        selectedValues.length > 0
+      )
+    };
+  });
+  scheduleUserRebuild(component);
+}
+
 export function updateFilterSelection(component, filterId, value, isSelected) {
   component.logDebug("Updating filter selection.", {
     filterId,
@@ -388,23 +473,62 @@ export async function handleColumnDrop(component, event) {
   if (component.isLoading) {
     return;
   }
-  const { recordId, sourceColumnKey, targetColumnKey } = event.detail || {};
+  const {
+    recordId,
+    sourceColumnKey,
+    targetColumnKey,
+    sourceSwimlaneKey,
+    targetSwimlaneKey,
+    beforeRecordId
+  } = event.detail || {};
   if (!recordId || !targetColumnKey) {
     return;
   }
   component.logDebug("Drop received.", {
     recordId,
     sourceColumnKey,
-    targetColumnKey
+    targetColumnKey,
+    sourceSwimlaneKey,
+    targetSwimlaneKey,
+    beforeRecordId
   });
+  const targetColumn = component.findColumnByKey(targetColumnKey);
+  if (
+    component.enforceWipLimits &&
+    targetColumnKey !== sourceColumnKey &&
+    isColumnAtWipLimit(targetColumn)
+  ) {
+    component.logInfo("Drop blocked by WIP limit.", {
+      recordId,
+      targetColumnKey,
+      max: targetColumn.wipLimit.max
+    });
+    showWipLimitToast(component, targetColumn);
+    return;
+  }
   await updateRecordGrouping(component, {
     recordId,
     sourceColumnKey,
     targetColumnKey,
+    sourceSwimlaneKey,
+    targetSwimlaneKey,
+    beforeRecordId,
     blankKey: event?.detail?.blankKey
   });
 }
 
+function showWipLimitToast(component, column, incoming = 1) {
+  const max = column.wipLimit.max;
+  component.showToast({
+    title: "WIP limit reached",
+    message:
+      incoming > 1 && getWipCount(column) < max
+        ? `Moving ${incoming} cards into "${column.label}" would take it past its limit of ${max}. Select fewer cards or move cards out first.`
+        : `"${column.label}" already has ${max} or more cards. Move a card out before adding another.`,
+    variant: "warning"
+  });
+}
+
 export function handleParentViewClick(component, event) {
   const recordId = event?.detail?.recordId;
   if (!recordId) {
@@ -713,6 +837,9 @@ function applyNormalizedSearchValue(component, normalized) {
   });
   component.searchValue = normalized;
   scheduleSearchRebuild(component);
+  if (typeof component.runServerSearch === "function") {
+    component.runServerSearch();
+  }
 }
 
 function scheduleUserRebuild(component) {
@@ -733,9 +860,31 @@ function scheduleSearchRebuild(component) {
 
 export async function updateRecordGrouping(
   component,
-  { recordId, sourceColumnKey, targetColumnKey, blankKey }
+  {
+    recordId,
+    sourceColumnKey,
+    targetColumnKey,
+    sourceSwimlaneKey,
+    targetSwimlaneKey,
+    beforeRecordId = null,
+    blankKey
+  }
 ) {
-  if (!recordId || !targetColumnKey || targetColumnKey === sourceColumnKey) {
+  const swimlaneField = component.swimlaneFieldSimpleName;
+  const rankField = component.isManualOrderActive
+    ? component.rankFieldSimpleName
+    : null;
+  const columnChanged = targetColumnKey !== sourceColumnKey;
+  const swimlaneChanged = Boolean(
+    swimlaneField &&
+    targetSwimlaneKey &&
+    targetSwimlaneKey !== sourceSwimlaneKey
+  );
+  if (
+    !recordId ||
+    !targetColumnKey ||
+    (!columnChanged && !swimlaneChanged && !rankField)
+  ) {
     return;
   }
   const targetColumn = component.findColumnByKey(targetColumnKey);
@@ -743,24 +892,55 @@ export async function updateRecordGrouping(
   if (!targetColumn || !groupingField) {
     return;
   }
+  const rankPlan = rankField
+    ? resolveRankPlan(component, {
+        recordId,
+        targetColumn,
+        targetSwimlaneKey: swimlaneChanged
+          ? targetSwimlaneKey
+          : sourceSwimlaneKey,
+        beforeRecordId
+      })
+    : null;
+  if (!columnChanged && !swimlaneChanged && !rankPlan) {
+    return;
+  }
 
-  const newValue =
-    targetColumn.key === (blankKey || null)
-      ? null
-      : targetColumn.rawValue !== undefined
-        ? targetColumn.rawValue
-        : targetColumn.key;
+  const newValue = resolveDropValue(targetColumn, blankKey);
 
   const fields = {
     Id: recordId
   };
-  fields[groupingField] =
-    newValue === null || newValue === undefined ? null : String(newValue);
+  if (columnChanged) {
+    fields[groupingField] =
+      newValue === null || newValue === undefined ? null : String(newValue);
+  }
+  let newSwimlaneValue;
+  if (swimlaneChanged) {
+    const targetSwimlane = (targetColumn.swimlanes || []).find(
+      (swimlane) => swimlane.key === targetSwimlaneKey
+    );
+    if (!targetSwimlane) {
+      return;
+    }
+    newSwimlaneValue = resolveDropValue(targetSwimlane, blankKey);
+    fields[swimlaneField] =
+      newSwimlaneValue === null || newSwimlaneValue === undefined
+        ? null
+        : String(newSwimlaneValue);
+  }
+  if (rankPlan && !rankPlan.needsRebalance) {
+    fields[rankField] = rankPlan.rank;
+  }
 
   const optimisticColumns = buildOptimisticColumnsForDrop(component.columns, {
     recordId,
     sourceColumnKey,
     targetColumnKey,
+    sourceSwimlaneKey,
+    targetSwimlaneKey: swimlaneChanged ? targetSwimlaneKey : sourceSwimlaneKey,
+    beforeRecordId: rankPlan ? beforeRecordId : null,
+    allowReorder: Boolean(rankPlan),
     findColumnByKey: (key) => component.findColumnByKey(key)
   });
   if (optimisticColumns) {
@@ -774,6 +954,9 @@ export async function updateRecordGrouping(
       sourceColumnKey,
       targetColumnKey,
       newValue,
+      targetSwimlaneKey,
+      newSwimlaneValue,
+      rankPlan,
       mode: component.isParentless ? "parentless" : "parent"
     });
   }
@@ -781,12 +964,28 @@ export async function updateRecordGrouping(
     recordId,
     sourceColumnKey,
     targetColumnKey,
-    newValue
+    newValue,
+    targetSwimlaneKey,
+    newSwimlaneValue,
+    rank: rankPlan?.rank ?? null,
+    needsRebalance: Boolean(rankPlan?.needsRebalance)
   });
 
+  let recordSaved = false;
   let updateSucceeded = false;
   try {
-    await updateRecord({ fields });
+    if (Object.keys(fields).length > 1) {
+      await updateRecord({ fields });
+      recordSaved = true;
+    }
+    if (rankPlan?.needsRebalance) {
+      // Neighbouring ranks are missing or too close to split, so renumber the lane.
+      await rebalanceRanks({
+        cardObjectApiName: component.cardObjectApiName,
+        rankFieldApiName: rankField,
+        orderedRecordIds: rankPlan.rankedIds
+      });
+    }
     updateSucceeded = true;
     await component.performCardRecordsRefresh();
     component.logInfo("Record grouping updated.", {
@@ -795,12 +994,25 @@ export async function updateRecordGrouping(
       newValue
     });
   } catch (error) {
-    if (!updateSucceeded && optimisticColumns?.previousColumns) {
-      component.columns = optimisticColumns.previousColumns;
-    }
     component.isLoading = false;
     component.showErrorToast(error, { title: "Unable to update record" });
     component.logError("Record update failed.", error);
+    if (!recordSaved && !updateSucceeded) {
+      if (optimisticColumns?.previousColumns) {
+        component.columns = optimisticColumns.previousColumns;
+      }
+    } else {
+      if (!updateSucceeded) {
+        // The record moved but its lane was not renumbered, so reload what was saved.
+        await component.performCardRecordsRefresh().catch(() => {});
+      }
+      // The move is saved, so a card left in place by a failed refresh can be moved again.
+      component.columns = updateCardInColumns(
+        component.columns,
+        recordId,
+        (card) => (card.isSaving ? { ...card, isSaving: false } : card)
+      );
+    }
   } finally {
     // Ensure the spinner clears even if the refresh was skipped or failed silently.
     if (component.isLoading) {
@@ -809,6 +1021,426 @@ export async function updateRecordGrouping(
   }
 }
 
+function resolveRankPlan(
+  component,
+  { recordId, targetColumn, targetSwimlaneKey, beforeRecordId }
+) {
+  const swimlane =
+    targetSwimlaneKey && Array.isArray(targetColumn.swimlanes)
+      ? targetColumn.swimlanes.find((cell) => cell.key === targetSwimlaneKey)
+      : null;
+  const orderedIds = ((swimlane || targetColumn).records || []).map(
+    (card) => card.id
+  );
+  const currentIndex = orderedIds.indexOf(recordId);
+  if (currentIndex !== -1) {
+    const nextId = orderedIds[currentIndex + 1] || null;
+    if ((beforeRecordId || null) === nextId || beforeRecordId === recordId) {
+      return null;
+    }
+  }
+  const recordsById = new Map(
+    (component.relatedRecords || []).map((record) => [record.id, record])
+  );
+  const getRank = (id) => {
+    const record = recordsById.get(id);
+    return record
+      ? component.extractFieldData(record, component.rankFieldQualified)?.raw
+      : null;
+  };
+  const rankPlan = computeRankForPosition({
+    orderedIds,
+    recordId,
+    beforeRecordId,
+    getRank,
+    direction: component.sortDirection,
+    scale: component.rankFieldMetadata?.scale
+  });
+  if (!rankPlan.needsRebalance) {
+    return rankPlan;
+  }
+  // Records that are not loaded keep their ranks; loaded ones hidden by search or
+  // filters are renumbered in place so clearing the filters does not reorder them.
+  const groupingField = component.groupingFieldQualified;
+  const swimlaneField = component.swimlaneFieldQualified;
+  const cellIds = (component.relatedRecords || [])
+    .filter(
+      (record) =>
+        isRecordInCell(
+          component.extractFieldData(record, groupingField),
+          targetColumn
+        ) &&
+        (!swimlane ||
+          isRecordInCell(
+            component.extractFieldData(record, swimlaneField),
+            swimlane
+          ))
+    )
+    .map((record) => record.id);
+  return {
+    ...rankPlan,
+    rankedIds: mergeHiddenRankedIds({
+      rankedIds: rankPlan.rankedIds,
+      recordId,
+      cellIds,
+      getRank
+    })
+  };
+}
+
+function isRecordInCell(data, cell) {
+  const raw = data?.raw;
+  if (raw === null || raw === undefined || raw === "") {
+    return cell.rawValue === null || cell.rawValue === undefined;
+  }
+  return String(raw) === cell.key;
+}
+
+function resolveDropValue(target, blankKey) {
+  if (target.key === (blankKey || null)) {
+    return null;
+  }
+  return target.rawValue !== undefined ? target.rawValue : target.key;
+}
+
+/**
+ * Saves an inline card field edit. The card shows the new value straight away; on
+ * failure the board is restored and the save error is shown under the field.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @param {Object} edit Edit details from the `cardfieldedit` event.
+ * @returns {Promise<void>}
+ */
+export async function updateCardField(
+  component,
+  { recordId, fieldApiName, value, displayValue }
+) {
+  if (!recordId || !fieldApiName) {
+    return;
+  }
+  if (component.isLoading) {
+    component.logInfo("Inline edit skipped while the board is loading.", {
+      recordId,
+      fieldApiName
+    });
+    component.showToast({
+      title: "Edit not saved",
+      message: "The board is still updating. Try the edit again in a moment.",
+      variant: "warning"
+    });
+    return;
+  }
+  const location = findRecordLocation(component.columns, recordId);
+  const detail = location?.card?.details?.find(
+    (item) => item.apiName === fieldApiName
+  );
+  if (!detail?.editor) {
+    component.logWarn("Inline edit ignored for a read-only field.", {
+      recordId,
+      fieldApiName
+    });
+    return;
+  }
+  const nextValue = normalizeInlineEditValue(detail.editor.type, value);
+  const previousColumns = component.columns;
+  const applyToDetail = (columns, changes, cardChanges = {}) =>
+    updateCardInColumns(columns, recordId, (card) => ({
+      ...card,
+      ...cardChanges,
+      details: card.details.map((item) => {
+        if (item.apiName !== fieldApiName) {
+          return item;
+        }
+        return { ...item, ...changes };
+      })
+    }));
+
+  component.columns = applyToDetail(
+    previousColumns,
+    {
+      value: displayValue ?? detail.value,
+      highlightParts: null,
+      editor: { ...detail.editor, value: nextValue },
+      editError: null
+    },
+    { isSaving: true }
+  );
+  component.logInfo("Updating card field inline.", {
+    recordId,
+    fieldApiName,
+    value: nextValue
+  });
+
+  let updateSucceeded = false;
+  try {
+    await updateRecord({
+      fields: { Id: recordId, [fieldApiName]: nextValue }
+    });
+    updateSucceeded = true;
+    await component.performCardRecordsRefresh();
+    component.logInfo("Card field updated.", { recordId, fieldApiName });
+  } catch (error) {
+    if (!updateSucceeded) {
+      component.columns = applyToDetail(previousColumns, {
+        editError: component.formatError(error)
+      });
+    }
+    component.logError("Inline field update failed.", error);
+  } finally {
+    // A failed refresh keeps the edited card, which must not stay locked as saving.
+    if (findRecordLocation(component.columns, recordId)?.card?.isSaving) {
+      component.columns = updateCardInColumns(
+        component.columns,
+        recordId,
+        (card) => ({ ...card, isSaving: false })
+      );
+    }
+  }
+}
+
+export function handleCardSelect(component, event) {
+  event?.stopPropagation?.();
+  const { recordId, columnKey, rangeSelect } = event?.detail || {};
+  if (!recordId) {
+    return;
+  }
+  const selected = new Set(component.selectedRecordIds || []);
+  const anchor = component._selectionAnchor;
+  const rangeIds =
+    rangeSelect && anchor && anchor.columnKey === columnKey
+      ? resolveSelectionRange(component, columnKey, anchor.recordId, recordId)
+      : null;
+  if (rangeIds) {
+    rangeIds.forEach((id) => selected.add(id));
+  } else if (selected.has(recordId)) {
+    selected.delete(recordId);
+  } else {
+    selected.add(recordId);
+  }
+  component._selectionAnchor = { recordId, columnKey };
+  component.selectedRecordIds = Array.from(selected);
+  component.logDebug("Card selection changed.", {
+    recordId,
+    rangeSelect: Boolean(rangeIds),
+    selectedCount: component.selectedRecordIds.length
+  });
+}
+
+function resolveSelectionRange(component, columnKey, fromId, toId) {
+  const records = component.findColumnByKey(columnKey)?.records || [];
+  const ids = records.map((card) => card.id);
+  const fromIndex = ids.indexOf(fromId);
+  const toIndex = ids.indexOf(toId);
+  if (fromIndex === -1 || toIndex === -1) {
+    return null;
+  }
+  const start = Math.min(fromIndex, toIndex);
+  const end = Math.max(fromIndex, toIndex);
+  return ids.slice(start, end + 1);
+}
+
+export function clearCardSelection(component) {
+  if (!component.selectedRecordIds?.length) {
+    return;
+  }
+  component.selectedRecordIds = [];
+  component._selectionAnchor = null;
+  component.logDebug("Card selection cleared.");
+}
+
+export function pruneCardSelection(component, records) {
+  const selected = component.selectedRecordIds || [];
+  if (!selected.length) {
+    return;
+  }
+  const available = new Set(
+    (records || []).map((record) => record?.id).filter(Boolean)
+  );
+  const next = selected.filter((id) => available.has(id));
+  if (next.length !== selected.length) {
+    component.selectedRecordIds = next;
+  }
+}
+
+/**
+ * Moves every selected card into the target column. Cards are moved optimistically, each
+ * record is saved with its own `updateRecord` call, and failures are reported per record
+ * without rolling back the records that saved successfully.
+ *
+ * @param {Object} component Explorer instance.
+ * @param {Object} options Bulk move options.
+ * @param {Array<string>} options.recordIds Ids of the cards to move.
+ * @param {string} options.targetColumnKey Destination column key.
+ * @param {string} options.blankKey Key used for the blank column.
+ * @returns {Promise<void>} Resolves once all updates settle and the board refreshes.
+ */
+export async function bulkUpdateRecordGrouping(
+  component,
+  { recordIds, targetColumnKey, blankKey }
+) {
+  const targetColumn = component.findColumnByKey(targetColumnKey);
+  const groupingField = component.groupingFieldSimpleName;
+  if (!targetColumn || !groupingField || component.isLoading) {
+    return;
+  }
+  const newValue = resolveDropValue(targetColumn, blankKey);
+  const fieldValue =
+    newValue === null || newValue === undefined ? null : String(newValue);
+
+  const previousColumns = component.columns;
+  let nextColumns = previousColumns;
+  const updates = [];
+  (recordIds || []).forEach((recordId) => {
+    const location = findRecordLocation(nextColumns, recordId);
+    if (!location || location.column.key === targetColumn.key) {
+      return;
+    }
+    const optimisticColumns = buildOptimisticColumnsForDrop(nextColumns, {
+      recordId,
+      sourceColumnKey: location.column.key,
+      targetColumnKey,
+      sourceSwimlaneKey: location.swimlaneKey,
+      targetSwimlaneKey: location.swimlaneKey
+    });
+    if (optimisticColumns) {
+      nextColumns = optimisticColumns.nextColumns;
+    }
+    updates.push({
+      recordId,
+      label: location.card.title || recordId,
+      fields: { Id: recordId, [groupingField]: fieldValue }
+    });
+  });
+  if (!updates.length) {
+    return;
+  }
+  if (
+    component.enforceWipLimits &&
+    isColumnAtWipLimit(targetColumn, updates.length)
+  ) {
+    component.logInfo("Bulk move blocked by WIP limit.", {
+      recordCount: updates.length,
+      targetColumnKey,
+      max: targetColumn.wipLimit.max
+    });
+    showWipLimitToast(component, targetColumn, updates.length);
+    return;
+  }
+  component.columns = nextColumns;
+  component.logInfo("Bulk moving records.", {
+    recordCount: updates.length,
+    targetColumnKey,
+    newValue
+  });
+  await runBulkRecordUpdates(component, updates, {
+    previousColumns,
+    successMessage: `Moved ${updates.length} record(s) to "${targetColumn.label}".`
+  });
+}
+
+/**
+ * Reassigns the owner of every selected card, reporting failures per record.
+ *
+ * @param {Object} component Explorer instance.
+ * @param {Object} options Bulk owner change options.
+ * @param {Array<string>} options.recordIds Ids of the cards to update.
+ * @param {string} options.ownerId Id of the new owner.
+ * @returns {Promise<void>} Resolves once all updates settle and the board refreshes.
+ */
+export async function bulkUpdateRecordOwner(component, { recordIds, ownerId }) {
+  const ownerField = component.extractSimpleFieldName(component.ownerFieldName);
+  if (!ownerId || !ownerField || component.isLoading) {
+    return;
+  }
+  const updates = [];
+  (recordIds || []).forEach((recordId) => {
+    const location = findRecordLocation(component.columns, recordId);
+    if (!location) {
+      return;
+    }
+    updates.push({
+      recordId,
+      label: location.card.title || recordId,
+      fields: { Id: recordId, [ownerField]: ownerId }
+    });
+  });
+  if (!updates.length) {
+    return;
+  }
+  component.logInfo("Bulk changing record owner.", {
+    recordCount: updates.length,
+    ownerId
+  });
+  await runBulkRecordUpdates(component, updates, {
+    previousColumns: component.columns,
+    successMessage: `Changed the owner of ${updates.length} record(s).`
+  });
+}
+
+async function runBulkRecordUpdates(
+  component,
+  updates,
+  { previousColumns, successMessage }
+) {
+  component.isLoading = true;
+  let failures = [];
+  try {
+    const results = await Promise.allSettled(
+      updates.map((update) => updateRecord({ fields: update.fields }))
+    );
+    failures = results
+      .map((result, index) => ({ result, update: updates[index] }))
+      .filter(({ result }) => result.status === "rejected")
+      .map(({ result, update }) => ({
+        ...update,
+        message: component.formatError(result.reason)
+      }));
+    failures.forEach((failure) => {
+      component.logError("Bulk record update failed.", {
+        recordId: failure.recordId,
+        message: failure.message
+      });
+    });
+    if (failures.length === updates.length) {
+      component.columns = previousColumns;
+    } else {
+      await component.performCardRecordsRefresh();
+    }
+  } catch (error) {
+    component.logError("Bulk update refresh failed.", error);
+  } finally {
+    if (component.isLoading) {
+      component.isLoading = false;
+    }
+  }
+
+  const failedIds = new Set(failures.map((failure) => failure.recordId));
+  component.selectedRecordIds = (component.selectedRecordIds || []).filter(
+    (id) => failedIds.has(id)
+  );
+  if (!failures.length) {
+    component.showToast({
+      title: "Records updated",
+      message: successMessage,
+      variant: "success"
+    });
+    return;
+  }
+  const details = failures
+    .map((failure) => `"${failure.label}": ${failure.message}`)
+    .join(" ");
+  const succeeded = updates.length - failures.length;
+  component.showToast({
+    title:
+      succeeded > 0
+        ? `Updated ${succeeded} of ${updates.length} records`
+        : "Unable to update records",
+    message: `${failures.length} record(s) failed and remain selected. ${details}`,
+    variant: succeeded > 0 ? "warning" : "error",
+    mode: "sticky"
+  });
+}
+
 export function applySearchAndFilters(component, records) {
   buildFilterDefinitions(component, records);
   component.rebuildColumnsWithPicklist();
@@ -0,0 +1,57 @@
+import { buildBoardSummaries } from "./columnBuilder";
+
+function buildPlaceholders(component, value, isLoading) {
+  return (component.summaryDefinitions || [])
+    .filter((summary) => summary.summaryType !== "PERCENT_OF_TOTAL")
+    .map((summary) => ({
+      key: [
+        summary.fieldApiName || "",
+        summary.summaryType || "",
+        summary.label || ""
+      ].join("|"),
+      label: summary.label || "",
+      value,
+      isLoading
+    }));
+}
+
+/**
+ * Rebuilds the board summary bar for the records being laid out. While column summaries
+ * are deferred the bar shows loading placeholders, and it is rebuilt with them.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @param {Array<Object>} records Related record dataset.
+ * @param {Object} buildOptions Options passed to `buildColumns`.
+ * @param {Object} options Additional inputs.
+ * @param {boolean} options.isDeferred True while column summaries are deferred.
+ * @returns {{totalsByKey: (Map<string, number>|null), warnings: Array<string>}} Board
+ *   totals for the column shares, or `null` when the bar is off or still loading.
+ */
+export function updateBoardSummaries(
+  component,
+  records,
+  buildOptions,
+  { isDeferred }
+) {
+  if (!component.showBoardSummaries) {
+    component.boardSummaries = [];
+    return { totalsByKey: null, warnings: [] };
+  }
+  if (isDeferred) {
+    component.boardSummaries = buildPlaceholders(component, "", true);
+    return { totalsByKey: null, warnings: [] };
+  }
+  const hasVisibleRecords = (records || []).some((record) =>
+    buildOptions.isRecordIncluded(record)
+  );
+  if (!hasVisibleRecords) {
+    component.boardSummaries = buildPlaceholders(component, "-", false);
+    return { totalsByKey: null, warnings: [] };
+  }
+  const { summaries, warnings, totalsByKey } = buildBoardSummaries(
+    records,
+    buildOptions
+  );
+  component.boardSummaries = summaries;
+  return { totalsByKey, warnings };
+}
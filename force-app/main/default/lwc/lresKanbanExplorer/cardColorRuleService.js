@@ -0,0 +1,90 @@
+import { resolveFilterFieldType, toDateKey } from "c/lresAdvancedFilterUtils";
+import {
+  buildCardColorLegend,
+  evaluateCardColorRules,
+  parseCardColorRules,
+  validateCardColorRules
+} from "./cardColorRuleUtils";
+
+function resolveFieldType(component, fieldApiName) {
+  const metadata = component.getFieldMetadata(
+    component.qualifyFieldName(fieldApiName)
+  );
+  return resolveFilterFieldType(metadata?.dataType || metadata?.type);
+}
+
+/**
+ * Parses the board's card color rules. Once the card object's metadata has loaded, rules
+ * on missing fields or with values that do not suit the field are dropped with a warning.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @returns {{rules: Array<Object>, warnings: Array<string>}}
+ */
+export function getCardColorRuleConfig(component) {
+  const parsed = parseCardColorRules(component.cardColorRulesDefinition);
+  if (!component.objectInfo || !parsed.rules.length) {
+    return parsed;
+  }
+  const validated = validateCardColorRules(parsed.rules, (field) =>
+    resolveFieldType(component, field)
+  );
+  return {
+    rules: validated.rules,
+    warnings: [...parsed.warnings, ...validated.warnings]
+  };
+}
+
+/**
+ * Returns the qualified fields the card color rules read, so they are loaded with the
+ * card records. Fields that fail validation are left out of the query.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @returns {Array<string>}
+ */
+export function getCardColorRuleFields(component) {
+  return getCardColorRuleConfig(component)
+    .rules.map((rule) => component.qualifyFieldName(rule.fieldApiName))
+    .filter(Boolean);
+}
+
+/**
+ * Creates the callback that colors cards while the columns are built. The rules and
+ * today's date are resolved once per build rather than once per card.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @returns {Function} Takes a record and returns its accent color and badges, or `null`.
+ */
+export function createCardColorResolver(component) {
+  const { rules } = getCardColorRuleConfig(component);
+  if (!rules.length) {
+    return () => null;
+  }
+  const today = toDateKey(new Date());
+  const fieldTypes = new Map(
+    rules.map((rule) => [
+      rule.fieldApiName,
+      resolveFieldType(component, rule.fieldApiName)
+    ])
+  );
+  return (record) =>
+    evaluateCardColorRules(rules, {
+      getFieldType: (field) => fieldTypes.get(field) || null,
+      getValue: (field) =>
+        component.extractFieldData(record, component.qualifyFieldName(field))
+          ?.raw,
+      today
+    });
+}
+
+/**
+ * Builds the legend that lists the card color rules in precedence order.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @returns {Array<Object>} Legend entries for the board actions.
+ */
+export function getCardColorLegend(component) {
+  const { rules } = getCardColorRuleConfig(component);
+  return buildCardColorLegend(rules, (field) =>
+    component.getFieldLabel(component.qualifyFieldName(field))
+  );
+}
@@ -0,0 +1,272 @@
+import {
+  evaluateFilterTree,
+  getOperatorLabel,
+  resolveOperator,
+  toDateKey,
+  validateFilterCondition
+} from "c/lresAdvancedFilterUtils";
+
+const RULE_COLORS = {
+  red: "#ba0517",
+  orange: "#dd7a01",
+  amber: "#fe9339",
+  yellow: "#fcc003",
+  green: "#2e844a",
+  teal: "#0b827c",
+  blue: "#0176d3",
+  purple: "#9050e9",
+  pink: "#e3066a",
+  gray: "#747474"
+};
+RULE_COLORS.grey = RULE_COLORS.gray;
+const HEX_COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+const RELATIVE_DATE_PATTERN = /^TODAY(?:\s*([+-])\s*(\d+))?$/i;
+// Rules hold a single value, so range operators are left to the advanced filter.
+const UNSUPPORTED_OPERATORS = new Set(["between"]);
+const MAX_RULES = 10;
+
+/**
+ * Resolves a named rule color or a hex code.
+ *
+ * @param {string} value Color name such as "red", or a hex code such as "#c00".
+ * @returns {string|null} Hex color, or `null` when the color is not supported.
+ */
+export function resolveRuleColor(value) {
+  const normalized = String(value || "")
+    .trim()
+    .toLowerCase();
+  if (RULE_COLORS[normalized]) {
+    return RULE_COLORS[normalized];
+  }
+  return HEX_COLOR_PATTERN.test(normalized) ? normalized : null;
+}
+
+function toHexChannels(color) {
+  const hex = color.slice(1);
+  const full =
+    hex.length === 3
+      ? hex
+          .split("")
+          .map((digit) => digit + digit)
+          .join("")
+      : hex;
+  return [0, 2, 4].map((index) => parseInt(full.slice(index, index + 2), 16));
+}
+
+/**
+ * Picks dark or light badge text so the label stays readable on light colors.
+ *
+ * @param {string} color Hex background color.
+ * @returns {string} Hex text color.
+ */
+export function getContrastTextColor(color) {
+  const [red, green, blue] = toHexChannels(color);
+  const luminance = (0.299 * red + 0.587 * green + 0.114 * blue) / 255;
+  return luminance > 0.6 ? "#181818" : "#ffffff";
+}
+
+function resolveRelativeDate(value, today) {
+  const match = RELATIVE_DATE_PATTERN.exec(String(value || "").trim());
+  if (!match) {
+    return value;
+  }
+  const [year, month, day] = today.split("-").map(Number);
+  const offset = match[2] ? Number(match[2]) * (match[1] === "-" ? -1 : 1) : 0;
+  return toDateKey(new Date(year, month - 1, day + offset));
+}
+
+function toCondition(rule, fieldType, today) {
+  const isDateField = fieldType === "date" || fieldType === "datetime";
+  return {
+    type: "condition",
+    id: rule.key,
+    field: rule.fieldApiName,
+    operator: rule.operator,
+    value: isDateField ? resolveRelativeDate(rule.value, today) : rule.value,
+    valueTo: ""
+  };
+}
+
+/**
+ * Parses card color rules. Each entry is `[FieldApiName|operator|Value|Color|Badge]`
+ * and entries are separated by semicolons. Operators are the advanced filter operators,
+ * date values may be relative to today (`TODAY`, `TODAY+7`, `TODAY-30`), the color is a
+ * named color or a hex code, and the badge label is optional.
+ *
+ * @param {string} rawValue Rule definition string from the component property.
+ * @returns {{rules: Array<Object>, warnings: Array<string>}}
+ */
+export function parseCardColorRules(rawValue) {
+  const rules = [];
+  const warnings = [];
+  const raw =
+    rawValue === undefined || rawValue === null ? "" : String(rawValue);
+  if (!raw.trim()) {
+    return { rules, warnings };
+  }
+
+  const entries = raw
+    .split(";")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+  for (const entry of entries) {
+    let normalized = entry;
+    if (normalized.startsWith("[") && normalized.endsWith("]")) {
+      normalized = normalized.slice(1, -1).trim();
+    }
+
+    const parts = normalized.split("|").map((part) => part.trim());
+    if (parts.length < 4 || parts.length > 5 || !parts[0]) {
+      warnings.push(`Invalid card color rule: "${entry}"`);
+      continue;
+    }
+
+    const [fieldApiName, operatorRaw, value, colorRaw, badge = ""] = parts;
+    const operator = resolveOperator(operatorRaw);
+    if (!operator || UNSUPPORTED_OPERATORS.has(operator)) {
+      warnings.push(
+        `Unsupported card color rule operator "${operatorRaw}" in "${entry}"`
+      );
+      continue;
+    }
+    const color = resolveRuleColor(colorRaw);
+    if (!color) {
+      warnings.push(`Unsupported card color "${colorRaw}" in "${entry}"`);
+      continue;
+    }
+
+    rules.push({
+      key: `rule-${rules.length}`,
+      source: entry,
+      fieldApiName,
+      operator,
+      value,
+      color,
+      badge
+    });
+    if (rules.length === MAX_RULES) {
+      if (entries.length > MAX_RULES) {
+        warnings.push(`Only the first ${MAX_RULES} card color rules are used.`);
+      }
+      break;
+    }
+  }
+
+  return { rules, warnings };
+}
+
+/**
+ * Drops rules whose field cannot be compared or whose value does not suit the field
+ * type, for example a text value on a date field.
+ *
+ * @param {Array<Object>} rules Rules from `parseCardColorRules`.
+ * @param {Function} getFieldType Returns the advanced filter type of a rule's field.
+ * @returns {{rules: Array<Object>, warnings: Array<string>}}
+ */
+export function validateCardColorRules(rules, getFieldType) {
+  const validRules = [];
+  const warnings = [];
+  const today = toDateKey(new Date());
+  (rules || []).forEach((rule) => {
+    const fieldType = getFieldType(rule.fieldApiName);
+    if (!fieldType) {
+      warnings.push(
+        `Card color rule field "${rule.fieldApiName}" does not exist or cannot be compared.`
+      );
+      return;
+    }
+    const problem = validateFilterCondition(
+      toCondition(rule, fieldType, today),
+      fieldType
+    );
+    if (problem) {
+      warnings.push(`Card color rule "${rule.source}" is invalid: ${problem}`);
+      return;
+    }
+    validRules.push(rule);
+  });
+  return { rules: validRules, warnings };
+}
+
+/**
+ * Tests a record against the card color rules. The first matching rule sets the card's
+ * accent color; every matching rule with a badge label adds a badge, in rule order.
+ *
+ * @param {Array<Object>} rules Validated rules.
+ * @param {Object} context Evaluation inputs.
+ * @param {Function} context.getFieldType Returns the advanced filter type of a field.
+ * @param {Function} context.getValue Returns a field's raw value on the record.
+ * @param {string} [context.today] Today's date as `YYYY-MM-DD`.
+ * @returns {{accentColor: string, badges: Array<Object>}|null} `null` when no rule
+ *   matches.
+ */
+export function evaluateCardColorRules(
+  rules,
+  { getFieldType, getValue, today = toDateKey(new Date()) }
+) {
+  let accentColor = null;
+  const badges = [];
+  (rules || []).forEach((rule) => {
+    const fieldType = getFieldType(rule.fieldApiName);
+    const condition = toCondition(rule, fieldType, today);
+    if (!fieldType || validateFilterCondition(condition, fieldType)) {
+      return;
+    }
+    const matches = evaluateFilterTree(condition, {
+      getFieldType: () => fieldType,
+      getValue,
+      today
+    });
+    if (!matches) {
+      return;
+    }
+    accentColor = accentColor || rule.color;
+    if (rule.badge) {
+      badges.push({
+        key: rule.key,
+        label: rule.badge,
+        style: `background-color: ${rule.color}; color: ${getContrastTextColor(
+          rule.color
+        )};`
+      });
+    }
+  });
+  return accentColor ? { accentColor, badges } : null;
+}
+
+function describeValue(rule) {
+  const match = RELATIVE_DATE_PATTERN.exec(rule.value);
+  if (!match) {
+    return rule.value;
+  }
+  if (!match[2] || Number(match[2]) === 0) {
+    return "today";
+  }
+  const days = Number(match[2]);
+  return `today ${match[1]} ${days} ${days === 1 ? "day" : "days"}`;
+}
+
+/**
+ * Builds the legend entries that explain each rule, in precedence order.
+ *
+ * @param {Array<Object>} rules Validated rules.
+ * @param {Function} getFieldLabel Returns the label of a rule's field.
+ * @returns {Array<{key: string, description: string, badge: string,
+ *   swatchStyle: string}>}
+ */
+export function buildCardColorLegend(rules, getFieldLabel) {
+  return (rules || []).map((rule) => {
+    const operatorLabel = getOperatorLabel(rule.operator);
+    let condition = `${operatorLabel} ${describeValue(rule)}`.trim();
+    if (rule.operator === "lastNDays" || rule.operator === "nextNDays") {
+      condition = operatorLabel.replace("N", rule.value);
+    }
+    return {
+      key: rule.key,
+      description: `${getFieldLabel(rule.fieldApiName)} ${condition}`,
+      badge: rule.badge,
+      swatchStyle: `background-color: ${rule.color};`
+    };
+  });
+}
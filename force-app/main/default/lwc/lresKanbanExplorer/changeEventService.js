@@ -0,0 +1,247 @@
+import { onError, subscribe, unsubscribe } from "lightning/empApi";
+import USER_ID from "@salesforce/user/Id";
+import { fetchVisibleCardRecords } from "./dataModeService";
+
+const MAX_FETCH_IDS = 200;
+const HIGHLIGHT_DURATION_MS = 3000;
+
+/**
+ * Builds the Change Data Capture channel for an object, e.g. `/data/CaseChangeEvent`
+ * or `/data/Project__ChangeEvent` for `Project__c`.
+ *
+ * @param {string} objectApiName Card object API name.
+ * @returns {string|null} Channel name, or `null` without an object.
+ */
+export function resolveChangeEventChannel(objectApiName) {
+  const name = typeof objectApiName === "string" ? objectApiName.trim() : "";
+  if (!name) {
+    return null;
+  }
+  if (name.toLowerCase().endsWith("__c")) {
+    return `/data/${name.slice(0, -3)}__ChangeEvent`;
+  }
+  return `/data/${name}ChangeEvent`;
+}
+
+/**
+ * Subscribes to or unsubscribes from the card object's change events so the
+ * subscription matches the current configuration. Safe to call on every config change.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @returns {Promise<void>}
+ */
+export async function syncChangeEventSubscription(component) {
+  const channel =
+    component._isConnected && component.enableRealTimeUpdates
+      ? resolveChangeEventChannel(component.cardObjectApiName)
+      : null;
+  if (channel === component._changeEventChannel) {
+    return;
+  }
+  await stopChangeEvents(component);
+  if (!channel) {
+    return;
+  }
+  component._changeEventChannel = channel;
+  registerErrorListener(component);
+  try {
+    const subscription = await subscribe(channel, -1, (message) =>
+      handleChangeEvent(component, message)
+    );
+    if (component._changeEventChannel !== channel) {
+      // The configuration changed while subscribing.
+      await unsubscribe(subscription, () => {});
+      return;
+    }
+    component._changeEventSubscription = subscription;
+    component.logInfo("Subscribed to change events.", { channel });
+  } catch (error) {
+    component._changeEventChannel = null;
+    component.logWarn("Unable to subscribe to change events.", {
+      channel,
+      error
+    });
+  }
+}
+
+/**
+ * Ends the change event subscription and clears pending card highlights.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @returns {Promise<void>}
+ */
+export async function stopChangeEvents(component) {
+  const subscription = component._changeEventSubscription;
+  component._changeEventChannel = null;
+  component._changeEventSubscription = null;
+  clearTimeout(component._changeHighlightTimeoutId);
+  component._changeHighlightTimeoutId = null;
+  if (!subscription) {
+    return;
+  }
+  try {
+    await unsubscribe(subscription, () => {});
+  } catch (error) {
+    component.logWarn("Unable to unsubscribe from change events.", error);
+  }
+}
+
+function registerErrorListener(component) {
+  if (component._changeEventErrorListenerRegistered) {
+    return;
+  }
+  component._changeEventErrorListenerRegistered = true;
+  onError((error) => {
+    component.logWarn("Streaming API error.", error);
+  });
+}
+
+/**
+ * Registers a callback that runs when another user changes a specific record, used by
+ * the record modal to flag edits made while it is open.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @param {string} recordId Record to watch.
+ * @param {Function} callback Receives `{ recordId, changeType, commitUser }`.
+ * @returns {Function} Removes the callback.
+ */
+export function addRecordChangeListener(component, recordId, callback) {
+  if (!component._recordChangeListeners) {
+    component._recordChangeListeners = new Map();
+  }
+  const listeners = component._recordChangeListeners;
+  if (!listeners.has(recordId)) {
+    listeners.set(recordId, new Set());
+  }
+  listeners.get(recordId).add(callback);
+  return () => {
+    const set = listeners.get(recordId);
+    set?.delete(callback);
+    if (set && !set.size) {
+      listeners.delete(recordId);
+    }
+  };
+}
+
+function notifyRecordListeners(component, recordIds, header) {
+  const listeners = component._recordChangeListeners;
+  if (!listeners?.size) {
+    return;
+  }
+  recordIds.forEach((recordId) => {
+    listeners.get(recordId)?.forEach((callback) => {
+      callback({
+        recordId,
+        changeType: header.changeType,
+        commitUser: header.commitUser
+      });
+    });
+  });
+}
+
+function highlightRecords(component, recordIds) {
+  if (!recordIds.length) {
+    return;
+  }
+  component.remoteChangedRecordIds = Array.from(
+    new Set([...(component.remoteChangedRecordIds || []), ...recordIds])
+  );
+  clearTimeout(component._changeHighlightTimeoutId);
+  // eslint-disable-next-line @lwc/lwc/no-async-operation
+  component._changeHighlightTimeoutId = setTimeout(() => {
+    component._changeHighlightTimeoutId = null;
+    component.remoteChangedRecordIds = [];
+  }, HIGHLIGHT_DURATION_MS);
+}
+
+/**
+ * Merges refreshed records into the board snapshot. Updated records keep their place,
+ * records that no longer match the board are removed, and new ones are appended.
+ *
+ * @param {Array<Object>} existing Current records.
+ * @param {Array<string>} recordIds Ids covered by the change.
+ * @param {Array<Object>} fetched Records that still belong on the board.
+ * @returns {Array<Object>} Next snapshot.
+ */
+export function mergeChangedRecords(existing, recordIds, fetched) {
+  const changedIds = new Set(recordIds);
+  const fetchedById = new Map(fetched.map((record) => [record.id, record]));
+  const merged = [];
+  (existing || []).forEach((record) => {
+    if (!changedIds.has(record?.id)) {
+      merged.push(record);
+      return;
+    }
+    const replacement = fetchedById.get(record.id);
+    if (replacement) {
+      merged.push(replacement);
+      fetchedById.delete(record.id);
+    }
+  });
+  return [...merged, ...fetchedById.values()];
+}
+
+/**
+ * Applies a Change Data Capture message to the board without reloading every card.
+ * Deletes remove cards, creates and updates reload only the affected records, and gap
+ * or overflow events (when Salesforce could not deliver the details) reload the board.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @param {Object} message Streaming API message.
+ * @returns {Promise<void>}
+ */
+export async function handleChangeEvent(component, message) {
+  const header = message?.data?.payload?.ChangeEventHeader;
+  const recordIds = Array.isArray(header?.recordIds) ? header.recordIds : [];
+  if (!header || !component.relatedRecords) {
+    return;
+  }
+  const changeType = String(header.changeType || "");
+  component.logDebug("Change event received.", {
+    changeType,
+    recordCount: recordIds.length
+  });
+  if (
+    changeType.startsWith("GAP_") ||
+    changeType === "OVERFLOW" ||
+    recordIds.length > MAX_FETCH_IDS
+  ) {
+    await component.performCardRecordsRefresh();
+    return;
+  }
+  if (!recordIds.length) {
+    return;
+  }
+  const isRemote = header.commitUser !== USER_ID;
+  if (isRemote) {
+    notifyRecordListeners(component, recordIds, header);
+  }
+  try {
+    if (changeType === "DELETE") {
+      const removed = new Set(recordIds);
+      const existing = component.relatedRecords;
+      const remaining = existing.filter((record) => !removed.has(record?.id));
+      if (remaining.length !== existing.length) {
+        component.applyCardRecordsSnapshot(remaining);
+      }
+      return;
+    }
+    const fetched = await fetchVisibleCardRecords(component, recordIds);
+    const existing = component.relatedRecords || [];
+    const isOnBoard = (id) => existing.some((record) => record?.id === id);
+    if (!fetched.length && !recordIds.some(isOnBoard)) {
+      return;
+    }
+    component.applyCardRecordsSnapshot(
+      mergeChangedRecords(existing, recordIds, fetched)
+    );
+    if (isRemote) {
+      highlightRecords(
+        component,
+        fetched.map((record) => record.id)
+      );
+    }
+  } catch (error) {
+    component.logError("Unable to apply change event.", error);
+  }
+}
@@ -1,5 +1,13 @@
+import { applyColumnLayout } from "./columnLayoutUtils";
+
 export const BLANK_KEY = "__KANBAN_BLANK__";
 
+function normalizeGroupingValue(rawValue) {
+  return rawValue !== null && rawValue !== undefined && rawValue !== ""
+    ? rawValue
+    : null;
+}
+
 export function buildColumns(records = [], options = {}) {
   const {
     groupingField,
@@ -22,6 +30,11 @@ export function buildColumns(records = [], options = {}) {
     shouldDisplayParentReferenceOnCards = false,
     getRecordParentLabel = () => null,
     getRecordUrl = () => null,
+    getInlineEditor = () => null,
+    getHighlightParts = () => null,
+    getCardColor = () => null,
+    getCardAging = () => null,
+    getComputedSortValue = () => undefined,
     parentBadgeLabel = "Parent",
     sanitizeFieldOutput = (value) => value,
     getFieldMetadata = () => null,
@@ -32,6 +45,13 @@ export function buildColumns(records = [], options = {}) {
     coerceSummaryValue = () => null,
     formatSummaryValue = () => "",
     getSummaryCurrencyCode = () => null,
+    boardSummaryTotals = null,
+    getColumnWeight = () => null,
+    columnLayout = null,
+    swimlaneField = null,
+    swimlaneLabelField = null,
+    swimlaneMetadata = [],
+    blankSwimlaneLabel = blankGroupLabel,
     logDebug = () => {},
     logWarn = () => {}
   } = options;
@@ -54,6 +74,7 @@ export function buildColumns(records = [], options = {}) {
   });
 
   const lanes = new Map();
+  const swimlanes = new Map();
 
   records.forEach((record) => {
     if (!isRecordIncluded(record)) {
@@ -65,10 +86,7 @@ export function buildColumns(records = [], options = {}) {
     };
     const rawValue = groupingData.raw;
     const displayValue = groupingData.display || blankGroupLabel;
-    const normalizedRawValue =
-      rawValue !== null && rawValue !== undefined && rawValue !== ""
-        ? rawValue
-        : null;
+    const normalizedRawValue = normalizeGroupingValue(rawValue);
     const laneKey =
       normalizedRawValue !== null ? String(normalizedRawValue) : blankKey;
 
@@ -94,13 +112,28 @@ export function buildColumns(records = [], options = {}) {
       extractSimpleFieldName,
       getFieldLabel,
       getRecordUrl,
+      getInlineEditor,
+      getHighlightParts,
+      getCardColor,
+      getCardAging,
       shouldDisplayParentReferenceOnCards,
       getRecordParentLabel,
       parentBadgeLabel
     });
+    const swimlaneKey = swimlaneField
+      ? registerSwimlane(record, swimlanes, {
+          swimlaneField,
+          swimlaneLabelField,
+          blankKey,
+          blankSwimlaneLabel,
+          extractFieldData
+        })
+      : null;
     lane.entries.push({
       record,
-      card
+      card,
+      swimlaneKey,
+      columnKey: laneKey
     });
   });
 
@@ -109,11 +142,21 @@ export function buildColumns(records = [], options = {}) {
     fallbackField: fallbackSortField || titleField,
     direction: sortDirection,
     extractFieldData,
+    getComputedSortValue,
     sanitizeFieldOutput,
     getFieldMetadata,
     getUiPicklistValues
   };
 
+  // Hidden columns are left out of the totals so the visible shares add up to 100%.
+  const hiddenKeys = new Set(columnLayout?.hidden || []);
+  const summaryTotals = buildSummaryTotals(
+    Array.from(lanes.values())
+      .filter((lane) => !hiddenKeys.has(lane.key))
+      .flatMap((lane) => lane.entries || []),
+    { summaryDefinitions, coerceSummaryValue, getSummaryCurrencyCode }
+  );
+
   lanes.forEach((lane) => {
     const entries = lane.entries || [];
     const sortedEntries = sortEntries(entries, sortOptions);
@@ -124,6 +167,9 @@ export function buildColumns(records = [], options = {}) {
       coerceSummaryValue,
       formatSummaryValue,
       getSummaryCurrencyCode,
+      summaryTotals,
+      boardSummaryTotals,
+      getColumnWeight,
       columnLabel: lane.label,
       dateTimeFormat,
       patternTokenCache
@@ -158,6 +204,8 @@ export function buildColumns(records = [], options = {}) {
         coerceSummaryValue,
         formatSummaryValue,
         getSummaryCurrencyCode,
+        summaryTotals,
+        getColumnWeight,
         columnLabel: lane.label,
         dateTimeFormat,
         patternTokenCache
@@ -190,75 +238,292 @@ export function buildColumns(records = [], options = {}) {
     }
   }
 
-  const orderedColumns = orderedKeys.map((key) => {
-    const lane = lanes.get(key);
-    return {
-      key: lane.key,
-      label: lane.label,
-      rawValue: lane.rawValue,
-      records: lane.records,
-      count: lane.records.length,
-      summaries: lane.summaries || [],
-      summaryWarnings: lane.summaryWarnings || []
-    };
-  });
+  if (swimlaneField) {
+    const orderedSwimlanes = orderSwimlanes(swimlanes, swimlaneMetadata);
+    lanes.forEach((lane) => {
+      lane.swimlanes = buildSwimlaneCells(lane, orderedSwimlanes, {
+        summaryDefinitions,
+        coerceSummaryValue,
+        formatSummaryValue,
+        getSummaryCurrencyCode,
+        summaryTotals,
+        getColumnWeight,
+        dateTimeFormat,
+        patternTokenCache
+      });
+    });
+  }
+
+  const orderedColumns = orderedKeys.map((key) =>
+    toColumnDescriptor(lanes.get(key))
+  );
 
   const remainingColumns = Array.from(lanes.entries())
     .filter(([key]) => !usedKeys.has(key))
-    .map(([, lane]) => ({
-      key: lane.key,
-      label: lane.label,
-      rawValue: lane.rawValue,
-      records: lane.records,
-      count: lane.records.length,
-      summaries: lane.summaries || [],
-      summaryWarnings: lane.summaryWarnings || []
-    }))
+    .map(([, lane]) => toColumnDescriptor(lane))
     .sort((a, b) => {
       const aLabel = a.label || "";
       const bLabel = b.label || "";
       return aLabel.localeCompare(bLabel, undefined, { sensitivity: "base" });
     });
 
-  const columns = [...orderedColumns, ...remainingColumns];
+  const columns = applyColumnLayout(
+    [...orderedColumns, ...remainingColumns],
+    columnLayout
+  );
   logDebug("Column build complete.", { columnCount: columns.length });
   return columns;
 }
 
+/**
+ * Regroups swimlane cells from built columns into horizontal rows. Each row carries
+ * one column-shaped cell per board column so the UI can render the same column
+ * components inside every swimlane.
+ *
+ * @param {Array<Object>} columns Columns returned by `buildColumns`.
+ * @returns {Array<Object>} Swimlane rows (key, label, rawValue, count, columns).
+ */
+export function buildSwimlaneRows(columns = []) {
+  const rows = new Map();
+  (columns || []).forEach((column) => {
+    if (!Array.isArray(column?.swimlanes)) {
+      return;
+    }
+    column.swimlanes.forEach((cell) => {
+      if (!rows.has(cell.key)) {
+        rows.set(cell.key, {
+          key: cell.key,
+          label: cell.label,
+          rawValue: cell.rawValue,
+          count: 0,
+          columns: []
+        });
+      }
+      const row = rows.get(cell.key);
+      row.count += cell.count;
+      row.columns.push({
+        key: column.key,
+        label: column.label,
+        rawValue: column.rawValue,
+        swimlaneKey: cell.key,
+        records: cell.records,
+        count: cell.count,
+        summaries: cell.summaries || [],
+        summaryWarnings: cell.summaryWarnings || [],
+        isCollapsed: Boolean(column.isCollapsed)
+      });
+    });
+  });
+  return Array.from(rows.values());
+}
+
+function toColumnDescriptor(lane) {
+  const column = {
+    key: lane.key,
+    label: lane.label,
+    rawValue: lane.rawValue,
+    records: lane.records,
+    count: lane.records.length,
+    summaries: lane.summaries || [],
+    summaryWarnings: lane.summaryWarnings || []
+  };
+  if (Array.isArray(lane.swimlanes)) {
+    column.swimlanes = lane.swimlanes;
+  }
+  return column;
+}
+
+function registerSwimlane(record, swimlanes, options = {}) {
+  const {
+    swimlaneField,
+    swimlaneLabelField,
+    blankKey,
+    blankSwimlaneLabel,
+    extractFieldData
+  } = options;
+  const data = extractFieldData(record, swimlaneField) || {
+    raw: null,
+    display: ""
+  };
+  const rawValue =
+    data.raw !== null && data.raw !== undefined && data.raw !== ""
+      ? data.raw
+      : null;
+  const key = rawValue !== null ? String(rawValue) : blankKey;
+  if (!swimlanes.has(key)) {
+    let label = blankSwimlaneLabel;
+    if (rawValue !== null) {
+      const labelData = swimlaneLabelField
+        ? extractFieldData(record, swimlaneLabelField)
+        : null;
+      label = labelData?.display || data.display || String(rawValue);
+    }
+    swimlanes.set(key, { key, label, rawValue });
+  }
+  return key;
+}
+
+function orderSwimlanes(swimlanes, swimlaneMetadata = []) {
+  const ordered = [];
+  const used = new Set();
+  (swimlaneMetadata || []).forEach((definition) => {
+    if (!definition || used.has(definition.key)) {
+      return;
+    }
+    const existing = swimlanes.get(definition.key);
+    ordered.push({
+      key: definition.key,
+      label: definition.label || existing?.label || definition.key,
+      rawValue:
+        definition.rawValue !== undefined
+          ? definition.rawValue
+          : existing?.rawValue
+    });
+    used.add(definition.key);
+  });
+  const remaining = Array.from(swimlanes.values())
+    .filter((swimlane) => !used.has(swimlane.key))
+    .sort((a, b) => {
+      if (a.rawValue === null && b.rawValue !== null) {
+        return 1;
+      }
+      if (b.rawValue === null && a.rawValue !== null) {
+        return -1;
+      }
+      return (a.label || "").localeCompare(b.label || "", undefined, {
+        sensitivity: "base"
+      });
+    });
+  return [...ordered, ...remaining];
+}
+
+function buildSwimlaneCells(lane, orderedSwimlanes, summaryOptions) {
+  const entries = Array.isArray(lane.entries) ? lane.entries : [];
+  return orderedSwimlanes.map((swimlane) => {
+    const cellEntries = entries.filter(
+      (entry) => entry.swimlaneKey === swimlane.key
+    );
+    const { summaries, warnings } = buildLaneSummaries(cellEntries, {
+      ...summaryOptions,
+      columnLabel: `${lane.label} / ${swimlane.label}`
+    });
+    const records = cellEntries.map((entry) => entry.card);
+    return {
+      key: swimlane.key,
+      label: swimlane.label,
+      rawValue: swimlane.rawValue,
+      records,
+      count: records.length,
+      summaries,
+      summaryWarnings: warnings
+    };
+  });
+}
+
+// Summary types whose column values add up to the board value, so a column can show
+// its share of the board total.
+const SHARE_SUMMARY_TYPES = new Set([
+  "SUM",
+  "WEIGHTED_SUM",
+  "COUNT",
+  "COUNT_TRUE",
+  "COUNT_FALSE"
+]);
+
+function getSummaryKey(summary) {
+  return [
+    summary.fieldApiName || "",
+    summary.summaryType || "",
+    summary.label || ""
+  ].join("|");
+}
+
+function getCurrencyCodes(entries, getSummaryCurrencyCode) {
+  return new Set(
+    entries
+      .map((entry) => getSummaryCurrencyCode(entry.record))
+      .map((value) => (typeof value === "string" ? value : value?.code))
+      .filter((value) => value)
+  );
+}
+
+function getMedian(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Sums each PERCENT_OF_TOTAL field across every card on the board; a total is null when
+// the cards mix currencies.
+function buildSummaryTotals(entries, options) {
+  const {
+    summaryDefinitions = [],
+    coerceSummaryValue = () => null,
+    getSummaryCurrencyCode = () => null
+  } = options;
+  const totals = new Map();
+  (summaryDefinitions || []).forEach((summary) => {
+    if (summary.summaryType !== "PERCENT_OF_TOTAL") {
+      return;
+    }
+    if (
+      summary.dataType === "currency" &&
+      getCurrencyCodes(entries, getSummaryCurrencyCode).size > 1
+    ) {
+      totals.set(getSummaryKey(summary), null);
+      return;
+    }
+    const total = entries
+      .map((entry) => coerceSummaryValue(entry.record, summary))
+      .filter((value) => typeof value === "number")
+      .reduce((sum, value) => sum + value, 0);
+    totals.set(getSummaryKey(summary), total);
+  });
+  return totals;
+}
+
 function buildLaneSummaries(entries, options = {}) {
   const {
     summaryDefinitions = [],
     coerceSummaryValue = () => null,
     formatSummaryValue = () => "",
     getSummaryCurrencyCode = () => null,
+    summaryTotals = new Map(),
+    boardSummaryTotals = null,
+    getColumnWeight = () => null,
+    warnUnweighted = true,
     columnLabel,
     dateTimeFormat,
     patternTokenCache
   } = options;
 
   if (!Array.isArray(summaryDefinitions) || summaryDefinitions.length === 0) {
-    return { summaries: [], warnings: [] };
+    return { summaries: [], warnings: [], results: new Map() };
   }
 
   const summaries = [];
   const warnings = [];
+  const results = new Map();
   summaryDefinitions.forEach((summary) => {
-    const summaryKey = [
-      summary.fieldApiName || "",
-      summary.summaryType || "",
-      summary.label || ""
-    ].join("|");
-    if (summary.dataType === "currency") {
-      const currencyCodes = new Set(
-        entries
-          .map((entry) => getSummaryCurrencyCode(entry.record))
-          .map((value) => (typeof value === "string" ? value : value?.code))
-          .filter((value) => value)
-      );
-      if (currencyCodes.size > 1) {
+    const summaryKey = getSummaryKey(summary);
+    const isCountSummary =
+      summary.summaryType === "COUNT" ||
+      summary.summaryType === "COUNT_DISTINCT";
+    if (summary.dataType === "currency" && !isCountSummary) {
+      const isBoardMixed =
+        summary.summaryType === "PERCENT_OF_TOTAL" &&
+        summaryTotals.get(summaryKey) === null;
+      if (
+        isBoardMixed ||
+        getCurrencyCodes(entries, getSummaryCurrencyCode).size > 1
+      ) {
         const resolvedLabel = columnLabel || "this column";
         warnings.push(
-          `Summary "${summary.label}" is blocked for "${resolvedLabel}" because multiple currencies are present.`
+          isBoardMixed
+            ? `Summary "${summary.label}" is blocked because multiple currencies are present on the board.`
+            : `Summary "${summary.label}" is blocked for "${resolvedLabel}" because multiple currencies are present.`
         );
         summaries.push({
           key: summaryKey,
@@ -268,10 +533,33 @@ function buildLaneSummaries(entries, options = {}) {
         return;
       }
     }
+    let unweightedCount = 0;
     const values = entries
-      .map((entry) => coerceSummaryValue(entry.record, summary))
+      .map((entry) => {
+        const value = coerceSummaryValue(entry.record, summary);
+        if (
+          summary.summaryType !== "WEIGHTED_SUM" ||
+          value === null ||
+          value === undefined
+        ) {
+          return value;
+        }
+        // Each card takes the weight of its own column, so board totals mix weights.
+        const weight = getColumnWeight(entry.columnKey);
+        if (weight === null || weight === undefined) {
+          unweightedCount += 1;
+          return null;
+        }
+        return (value * weight) / 100;
+      })
       .filter((value) => value !== null && value !== undefined);
-    if (!values.length) {
+    if (unweightedCount && warnUnweighted) {
+      warnings.push(
+        `Summary "${summary.label}" has no weight for "${columnLabel || "this column"}".`
+      );
+    }
+    // A column of cards with blank values still has a count of zero.
+    if (!values.length && !(isCountSummary && entries.length)) {
       summaries.push({
         key: summaryKey,
         label: summary.label,
@@ -280,7 +568,13 @@ function buildLaneSummaries(entries, options = {}) {
       return;
     }
     let result = null;
-    if (summary.summaryType === "COUNT_TRUE") {
+    if (summary.summaryType === "COUNT") {
+      result = values.length;
+    } else if (summary.summaryType === "COUNT_DISTINCT") {
+      result = new Set(values.map((value) => String(value))).size;
+    } else if (summary.summaryType === "PERCENT_TRUE") {
+      result = values.filter((value) => value === true).length / values.length;
+    } else if (summary.summaryType === "COUNT_TRUE") {
       result = values.filter((value) => value === true).length;
     } else if (summary.summaryType === "COUNT_FALSE") {
       result = values.filter((value) => value === false).length;
@@ -318,11 +612,20 @@ function buildLaneSummaries(entries, options = {}) {
         }
       });
       result = best;
-    } else if (summary.summaryType === "SUM") {
+    } else if (
+      summary.summaryType === "SUM" ||
+      summary.summaryType === "WEIGHTED_SUM"
+    ) {
       result = values.reduce((total, value) => total + value, 0);
     } else if (summary.summaryType === "AVG") {
       const total = values.reduce((sum, value) => sum + value, 0);
       result = total / values.length;
+    } else if (summary.summaryType === "MEDIAN") {
+      result = getMedian(values);
+    } else if (summary.summaryType === "PERCENT_OF_TOTAL") {
+      const boardTotal = summaryTotals.get(summaryKey);
+      const total = values.reduce((sum, value) => sum + value, 0);
+      result = boardTotal ? total / boardTotal : null;
     } else if (summary.summaryType === "MIN") {
       result = Math.min(...values);
     } else if (summary.summaryType === "MAX") {
@@ -344,7 +647,8 @@ function buildLaneSummaries(entries, options = {}) {
         }
       }
     }
-    summaries.push({
+    results.set(summaryKey, result);
+    const item = {
       key: summaryKey,
       label: summary.label,
       value: formatSummaryValue(summary, result, {
@@ -353,10 +657,87 @@ function buildLaneSummaries(entries, options = {}) {
         dateTimeFormat,
         patternTokenCache
       })
-    });
+    };
+    const boardTotal = boardSummaryTotals?.get(summaryKey);
+    if (boardTotal && typeof result === "number") {
+      item.share = formatSummaryValue(
+        { ...summary, summaryType: "PERCENT_OF_TOTAL" },
+        result / boardTotal
+      );
+      item.shareTitle = `${item.share} of the board total`;
+    }
+    summaries.push(item);
   });
 
-  return { summaries, warnings };
+  return { summaries, warnings, results };
+}
+
+/**
+ * Builds the board summary bar: the configured summaries over every card that passes
+ * the board filters and search and sits in a column the user has not hidden.
+ * PERCENT_OF_TOTAL is left out because it is always 100% for the whole board.
+ *
+ * @param {Array<Object>} records Related record dataset.
+ * @param {Object} options Same summary options as `buildColumns`.
+ * @returns {{summaries: Array<Object>, warnings: Array<string>,
+ *   totalsByKey: Map<string, number>}} Summary items, warnings, and the positive
+ *   board totals of additive summaries, for `buildColumns` to show each column's share.
+ */
+export function buildBoardSummaries(records = [], options = {}) {
+  const {
+    groupingField,
+    blankKey = BLANK_KEY,
+    isRecordIncluded = () => true,
+    extractFieldData = () => ({ raw: null, display: "" }),
+    getColumnWeight,
+    columnLayout = null,
+    summaryDefinitions = [],
+    coerceSummaryValue,
+    formatSummaryValue,
+    getSummaryCurrencyCode,
+    dateTimeFormat,
+    patternTokenCache
+  } = options;
+  const hiddenKeys = new Set(columnLayout?.hidden || []);
+  const definitions = (summaryDefinitions || []).filter(
+    (summary) => summary.summaryType !== "PERCENT_OF_TOTAL"
+  );
+  const entries = (records || [])
+    .filter((record) => isRecordIncluded(record))
+    .map((record) => {
+      const rawValue = normalizeGroupingValue(
+        extractFieldData(record, groupingField)?.raw
+      );
+      return {
+        record,
+        columnKey: rawValue !== null ? String(rawValue) : blankKey
+      };
+    })
+    .filter((entry) => !hiddenKeys.has(entry.columnKey));
+  const { summaries, warnings, results } = buildLaneSummaries(entries, {
+    summaryDefinitions: definitions,
+    coerceSummaryValue,
+    formatSummaryValue,
+    getSummaryCurrencyCode,
+    getColumnWeight,
+    warnUnweighted: false,
+    columnLabel: "Board totals",
+    dateTimeFormat,
+    patternTokenCache
+  });
+  const totalsByKey = new Map();
+  definitions.forEach((summary) => {
+    const key = getSummaryKey(summary);
+    const total = results.get(key);
+    if (
+      SHARE_SUMMARY_TYPES.has(summary.summaryType) &&
+      typeof total === "number" &&
+      total > 0
+    ) {
+      totalsByKey.set(key, total);
+    }
+  });
+  return { summaries, warnings, totalsByKey };
 }
 
 export function buildCard(record, options = {}) {
@@ -369,6 +750,10 @@ export function buildCard(record, options = {}) {
     extractSimpleFieldName = () => "",
     getFieldLabel = () => "",
     getRecordUrl = () => null,
+    getInlineEditor = () => null,
+    getHighlightParts = () => null,
+    getCardColor = () => null,
+    getCardAging = () => null,
     shouldDisplayParentReferenceOnCards = false,
     getRecordParentLabel = () => null,
     parentBadgeLabel = "Parent"
@@ -378,7 +763,7 @@ export function buildCard(record, options = {}) {
   const titleIconMeta = parseIconEntry(icons[0]);
   const details = (cardFields || []).slice(1).map((field, index) => {
     const iconMeta = parseIconEntry(icons[index + 1]);
-    return {
+    const detail = {
       apiName: extractSimpleFieldName(field),
       label: getFieldLabel(field),
       value: extractFieldValue(record, field),
@@ -386,6 +771,15 @@ export function buildCard(record, options = {}) {
       iconEmoji: iconMeta.emoji,
       className: "kanban-card_field"
     };
+    const editor = getInlineEditor(record, field);
+    if (editor) {
+      detail.editor = editor;
+    }
+    const highlightParts = getHighlightParts(field, detail.value);
+    if (highlightParts) {
+      detail.highlightParts = highlightParts;
+    }
+    return detail;
   });
 
   if (shouldDisplayParentReferenceOnCards) {
@@ -403,13 +797,18 @@ export function buildCard(record, options = {}) {
     }
   }
 
+  const color = getCardColor(record);
+
   return {
     id: record?.id,
     title: extractFieldValue(record, titleField),
     titleIcon: titleIconMeta.iconName,
     titleEmoji: titleIconMeta.emoji,
     details,
-    recordUrl: getRecordUrl(record)
+    recordUrl: getRecordUrl(record),
+    accentColor: color?.accentColor || null,
+    badges: color?.badges || [],
+    agingBadge: getCardAging(record)
   };
 }
 
@@ -460,6 +859,11 @@ function getSortValue(record, field, options = {}) {
   if (!record || !field) {
     return null;
   }
+  // Sort values that are not record fields, such as the time in column.
+  const computed = options.getComputedSortValue?.(record, field);
+  if (computed !== undefined) {
+    return computed;
+  }
   const data = options.extractFieldData?.(record, field);
   if (data?.raw !== null && data?.raw !== undefined && data.raw !== "") {
     return data.raw;
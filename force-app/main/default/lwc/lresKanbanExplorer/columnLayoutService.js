@@ -0,0 +1,142 @@
+import USER_ID from "@salesforce/user/Id";
+import {
+  isDefaultColumnLayout,
+  moveColumnKey,
+  normalizeColumnLayout,
+  toggleColumnKey
+} from "./columnLayoutUtils";
+import { resolveBoardKey } from "./savedViewService";
+
+const STORAGE_PREFIX = "lres.kanbanColumns";
+
+function getStorage() {
+  try {
+    return window.localStorage || null;
+  } catch {
+    // Storage can be blocked by browser privacy settings.
+    return null;
+  }
+}
+
+function resolveStorageKey(component) {
+  return `${STORAGE_PREFIX}.${USER_ID || "guest"}.${resolveBoardKey(component)}`;
+}
+
+// A layout that cannot be stored still applies until the page is reloaded.
+function writeLayout(component, layout) {
+  component.columnLayout = layout;
+  const storage = getStorage();
+  if (storage) {
+    try {
+      const key = resolveStorageKey(component);
+      if (isDefaultColumnLayout(layout)) {
+        storage.removeItem(key);
+      } else {
+        storage.setItem(key, JSON.stringify(layout));
+      }
+    } catch (error) {
+      component.logWarn("Unable to save the column layout.", error);
+    }
+  }
+  component.scheduleRebuildColumnsWithPicklist();
+}
+
+/**
+ * Loads the running user's column order, hidden columns, and collapsed columns for this
+ * board. Runs before the board is first built so the columns open in place.
+ *
+ * @param {Object} component Kanban explorer instance.
+ */
+export function restoreColumnLayout(component) {
+  const storage = getStorage();
+  if (!storage) {
+    component.columnLayout = normalizeColumnLayout(null);
+    return;
+  }
+  try {
+    component.columnLayout = normalizeColumnLayout(
+      JSON.parse(storage.getItem(resolveStorageKey(component)))
+    );
+  } catch (error) {
+    component.logWarn("Ignoring unreadable column layout.", error);
+    component.columnLayout = normalizeColumnLayout(null);
+  }
+}
+
+/**
+ * Collapses a column to a narrow strip, or expands it again.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @param {string} columnKey Column to toggle.
+ */
+export function toggleColumnCollapsed(component, columnKey) {
+  if (!columnKey) {
+    return;
+  }
+  const layout = component.columnLayout;
+  component.logDebug("Column collapse toggled.", { columnKey });
+  writeLayout(component, {
+    ...layout,
+    collapsed: toggleColumnKey(layout.collapsed, columnKey)
+  });
+}
+
+/**
+ * Moves a column to the place of the column it was dropped on. The whole order is
+ * stored so later picklist changes do not shuffle the columns the user placed.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @param {Object} detail Reorder event detail.
+ * @param {string} detail.sourceColumnKey Column being moved.
+ * @param {string} detail.targetColumnKey Column it was dropped on.
+ */
+export function moveColumn(
+  component,
+  { sourceColumnKey, targetColumnKey } = {}
+) {
+  const keys = component.columnChooserOptions.map((option) => option.value);
+  const order = moveColumnKey(keys, sourceColumnKey, targetColumnKey);
+  if (!order) {
+    return;
+  }
+  component.logDebug("Column moved.", { sourceColumnKey, targetColumnKey });
+  writeLayout(component, { ...component.columnLayout, order });
+}
+
+/**
+ * Handles a choice from the column chooser: showing or hiding a column, or resetting
+ * the order, visibility, and collapsed columns. The last visible column cannot be
+ * hidden.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @param {Object} detail Menu selection.
+ * @param {string} detail.action `toggle` or `reset`.
+ * @param {string} [detail.columnKey] Column to show or hide.
+ */
+export function handleColumnLayoutAction(
+  component,
+  { action, columnKey } = {}
+) {
+  component.logDebug("Column layout action selected.", { action, columnKey });
+  const layout = component.columnLayout;
+  if (action === "reset") {
+    writeLayout(component, normalizeColumnLayout(null));
+    return;
+  }
+  if (action !== "toggle" || !columnKey) {
+    return;
+  }
+  const hidden = toggleColumnKey(layout.hidden, columnKey);
+  const visibleCount = component.columnChooserOptions.filter(
+    (option) => !hidden.includes(option.value)
+  ).length;
+  if (!visibleCount) {
+    component.showToast({
+      title: "Column not hidden",
+      message: "At least one column must stay visible.",
+      variant: "warning"
+    });
+    return;
+  }
+  writeLayout(component, { ...layout, hidden });
+}
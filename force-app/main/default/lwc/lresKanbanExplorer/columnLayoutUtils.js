@@ -0,0 +1,112 @@
+function normalizeKeys(value) {
+  if (!Array.isArray(value)) {
+    return [];
+  }
+  return Array.from(
+    new Set(
+      value
+        .filter((key) => key !== null && key !== undefined && key !== "")
+        .map((key) => String(key))
+    )
+  );
+}
+
+/**
+ * Normalizes a stored column layout, dropping anything that is not a list of column
+ * keys.
+ *
+ * @param {Object} value Stored layout.
+ * @returns {{order: Array<string>, hidden: Array<string>, collapsed: Array<string>}}
+ */
+export function normalizeColumnLayout(value) {
+  const layout = value && typeof value === "object" ? value : {};
+  return {
+    order: normalizeKeys(layout.order),
+    hidden: normalizeKeys(layout.hidden),
+    collapsed: normalizeKeys(layout.collapsed)
+  };
+}
+
+/**
+ * Tells whether a layout changes nothing, so it does not need to be stored.
+ *
+ * @param {Object} layout Normalized layout.
+ * @returns {boolean}
+ */
+export function isDefaultColumnLayout(layout) {
+  return (
+    !layout?.order?.length &&
+    !layout?.hidden?.length &&
+    !layout?.collapsed?.length
+  );
+}
+
+/**
+ * Orders the columns by the layout and flags the hidden and collapsed ones. Columns
+ * missing from the saved order, such as new picklist values, keep their default place
+ * after the ordered ones.
+ *
+ * @param {Array<Object>} columns Columns in their default order.
+ * @param {Object} layout Normalized layout, or `null` for the default layout.
+ * @returns {Array<Object>} Columns with `isHidden` and `isCollapsed` set.
+ */
+export function applyColumnLayout(columns = [], layout = null) {
+  if (!layout || isDefaultColumnLayout(layout)) {
+    return columns;
+  }
+  const positions = new Map(layout.order.map((key, index) => [key, index]));
+  const hidden = new Set(layout.hidden);
+  const collapsed = new Set(layout.collapsed);
+  return columns
+    .map((column, index) => ({ column, index }))
+    .sort((a, b) => {
+      const aPosition = positions.get(a.column.key);
+      const bPosition = positions.get(b.column.key);
+      if (aPosition !== undefined && bPosition !== undefined) {
+        return aPosition - bPosition;
+      }
+      if (aPosition !== undefined || bPosition !== undefined) {
+        return aPosition !== undefined ? -1 : 1;
+      }
+      return a.index - b.index;
+    })
+    .map(({ column }) => ({
+      ...column,
+      isHidden: hidden.has(column.key),
+      isCollapsed: collapsed.has(column.key)
+    }));
+}
+
+/**
+ * Moves a column to the place of another. Moving right lands after the target and
+ * moving left lands before it.
+ *
+ * @param {Array<string>} keys Column keys in their current order.
+ * @param {string} sourceKey Column being moved.
+ * @param {string} targetKey Column it was dropped on.
+ * @returns {Array<string>|null} New order, or `null` when nothing moves.
+ */
+export function moveColumnKey(keys = [], sourceKey, targetKey) {
+  const from = keys.indexOf(sourceKey);
+  const to = keys.indexOf(targetKey);
+  if (from === -1 || to === -1 || from === to) {
+    return null;
+  }
+  const order = [...keys];
+  order.splice(from, 1);
+  order.splice(to, 0, sourceKey);
+  return order;
+}
+
+/**
+ * Adds a key to a list or removes it when it is already there.
+ *
+ * @param {Array<string>} keys Column keys.
+ * @param {string} key Column key to toggle.
+ * @returns {Array<string>}
+ */
+export function toggleColumnKey(keys = [], key) {
+  return keys.includes(key)
+    ? keys.filter((item) => item !== key)
+    : [...keys, key];
+}
@@ -0,0 +1,108 @@
+import fetchOpportunityStageProbabilities from "@salesforce/apex/LRES_KanbanCardRecordsController.fetchOpportunityStageProbabilities";
+import { findColumnWeight, parseColumnWeights } from "./columnWeightUtils";
+
+function hasWeightedSummaries(component) {
+  return (component.summaryDefinitions || []).some(
+    (summary) => summary?.summaryType === "WEIGHTED_SUM"
+  );
+}
+
+function isStageGrouping(component) {
+  return (
+    String(component.cardObjectApiName || "").toLowerCase() === "opportunity" &&
+    String(component.groupingFieldSimpleName || "").toLowerCase() ===
+      "stagename"
+  );
+}
+
+/**
+ * Parses the board's column weights. Boards with WEIGHTED_SUM summaries that are not
+ * grouped by opportunity stage need at least one weight.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @returns {{weights: Array<Object>, warnings: Array<string>}}
+ */
+export function getColumnWeightConfig(component) {
+  const parsed = parseColumnWeights(component.columnWeightsDefinition);
+  if (
+    hasWeightedSummaries(component) &&
+    !parsed.weights.length &&
+    !isStageGrouping(component)
+  ) {
+    return {
+      weights: parsed.weights,
+      warnings: [
+        ...parsed.warnings,
+        "WEIGHTED_SUM summaries need Column Weights unless the board groups opportunities by Stage."
+      ]
+    };
+  }
+  return parsed;
+}
+
+/**
+ * Loads the default probability of each opportunity stage when the board groups
+ * opportunities by Stage and has WEIGHTED_SUM summaries, then rebuilds the columns so
+ * the weighted values appear. A failed call leaves only the configured weights.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @returns {Promise<void>}
+ */
+export async function syncStageProbabilities(component) {
+  if (
+    !hasWeightedSummaries(component) ||
+    !isStageGrouping(component) ||
+    component._stageProbabilities ||
+    component._isLoadingStageProbabilities
+  ) {
+    return;
+  }
+  component._isLoadingStageProbabilities = true;
+  try {
+    const result = await fetchOpportunityStageProbabilities();
+    component._stageProbabilities = new Map(
+      Object.entries(result || {})
+        .filter(([, probability]) => probability !== null)
+        .map(([stage, probability]) => [stage, Number(probability)])
+    );
+    component.logDebug("Opportunity stage probabilities loaded.", {
+      stageCount: component._stageProbabilities.size
+    });
+  } catch (error) {
+    component.logWarn("Unable to load opportunity stage probabilities.", error);
+    return;
+  } finally {
+    component._isLoadingStageProbabilities = false;
+  }
+  component.rebuildColumnsWithPicklist();
+}
+
+/**
+ * Creates the callback that returns a column's weight while the columns are built. A
+ * configured weight wins over the stage probability.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @returns {Function} Takes a column key and returns its weight in percent, or `null`.
+ */
+export function createColumnWeightResolver(component) {
+  const { weights } = getColumnWeightConfig(component);
+  const probabilities = isStageGrouping(component)
+    ? component._stageProbabilities
+    : null;
+  if (!weights.length && !probabilities) {
+    return () => null;
+  }
+  const labelsByKey = new Map(
+    component.getMetadataColumns().map((column) => [column.key, column.label])
+  );
+  return (columnKey) => {
+    const configured = findColumnWeight(
+      { key: columnKey, label: labelsByKey.get(columnKey) },
+      weights
+    );
+    if (configured !== null) {
+      return configured;
+    }
+    return probabilities?.get(columnKey) ?? null;
+  };
+}
@@ -0,0 +1,72 @@
+/**
+ * Parses the column weights used by WEIGHTED_SUM summaries. Each entry is
+ * `[ColumnValue|Weight]`, where the weight is a percentage from 0 to 100, and entries
+ * are separated by semicolons.
+ *
+ * @param {string} rawValue Column weight definition string from the component property.
+ * @returns {{weights: Array<{columnValue: string, weight: number}>,
+ *   warnings: Array<string>}}
+ */
+export function parseColumnWeights(rawValue) {
+  const weights = [];
+  const warnings = [];
+  const raw =
+    rawValue === undefined || rawValue === null ? "" : String(rawValue);
+  if (!raw.trim()) {
+    return { weights, warnings };
+  }
+
+  const seenValues = new Set();
+  raw
+    .split(";")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      let normalized = entry;
+      if (normalized.startsWith("[") && normalized.endsWith("]")) {
+        normalized = normalized.slice(1, -1).trim();
+      }
+      const parts = normalized.split("|").map((part) => part.trim());
+      const weight = Number(parts[1]);
+      if (
+        parts.length !== 2 ||
+        !parts[0] ||
+        !parts[1] ||
+        !Number.isFinite(weight) ||
+        weight < 0 ||
+        weight > 100
+      ) {
+        warnings.push(`Invalid column weight entry: "${entry}"`);
+        return;
+      }
+      if (seenValues.has(parts[0])) {
+        warnings.push(
+          `Duplicate column weight for "${parts[0]}"; the first entry is used.`
+        );
+        return;
+      }
+      seenValues.add(parts[0]);
+      weights.push({ columnValue: parts[0], weight });
+    });
+
+  return { weights, warnings };
+}
+
+/**
+ * Finds the configured weight for a column. Entries match the column's raw value first
+ * and fall back to a case-insensitive label match.
+ *
+ * @param {{key: string, label?: string}} column Column key and label.
+ * @param {Array<Object>} weights Parsed weights from `parseColumnWeights`.
+ * @returns {number|null} Weight in percent, or `null` when none is configured.
+ */
+export function findColumnWeight(column, weights = []) {
+  if (!column || !Array.isArray(weights) || !weights.length) {
+    return null;
+  }
+  const label = (column.label || "").toLowerCase();
+  const match =
+    weights.find((entry) => entry.columnValue === column.key) ||
+    weights.find((entry) => entry.columnValue.toLowerCase() === label);
+  return match ? match.weight : null;
+}
@@ -21,6 +21,10 @@ function scheduleParentSelectionRefresh(component) {
 export function handleConfigChange(component) {
   component.filtersDirty = true;
   component._dataModeCache = null;
+  // The grouping field or card object may have changed, so reload the aging dates and
+  // stage probabilities.
+  component._cardAgingDates = null;
+  component._stageProbabilities = null;
   component.logDebug("handleConfigChange invoked.", {
     hasRequiredConfig: component.hasRequiredConfig,
     effectiveRecordId: component.effectiveRecordId
@@ -29,6 +33,7 @@ export function handleConfigChange(component) {
     component.clearParentSelectionRefreshDebounce?.();
     component.columns = [];
     component.relatedRecords = [];
+    component.recordTotals = null;
     component.selectedSortField = null;
     component.sortDirection = "asc";
     component.filterDefinitions = [];
@@ -1,5 +1,14 @@
 import fetchRelatedCardRecords from "@salesforce/apex/LRES_KanbanCardRecordsController.fetchRelatedCardRecords";
 import fetchParentlessCardRecords from "@salesforce/apex/LRES_KanbanCardRecordsController.fetchParentlessCardRecords";
+import fetchCardRecordsByIds from "@salesforce/apex/LRES_KanbanCardRecordsController.fetchCardRecordsByIds";
+import aggregateCardRecords from "@salesforce/apex/LRES_KanbanCardRecordsController.aggregateCardRecords";
+import {
+  buildGroupTotals,
+  countLoadedByGroup,
+  isPageFull
+} from "./paginationUtils";
+import { buildSummaryRequests } from "./serverAggregateUtils";
+import { getQuerySortField } from "./agingService";
 
 export function shouldAutoRefreshOnConfig(component) {
   const mode = component.dataMode;
@@ -75,6 +84,30 @@ export function buildDataFetchRequest(component, fieldList) {
   };
 }
 
+function buildCardQueryParams(component, fieldList, { defaultCardTitleField }) {
+  return {
+    cardObjectApiName: component.cardObjectApiName,
+    fieldApiNames: fieldList,
+    sortFieldApiName: getQuerySortField(
+      component,
+      component.qualifyFieldName(defaultCardTitleField)
+    ),
+    sortDirection: component.sortDirection,
+    limitSize: component.dataFetchPageSize,
+    cardWhereClause: component.effectiveCardWhereClause,
+    orderByClause: component.cardRecordsOrderByClause,
+    debugWhereErrors: component._debugLoggingEnabled
+  };
+}
+
+function buildParentQueryParams(component, parentIds) {
+  return {
+    parentRecordId: parentIds[0],
+    parentRecordIds: parentIds,
+    childRelationshipName: component.childRelationshipName
+  };
+}
+
 export async function refreshParentlessCardRecords(
   component,
   fieldList,
@@ -94,18 +127,9 @@ export async function refreshParentlessCardRecords(
       }
     );
   }
-  const records = await fetchParentlessCardRecords({
-    cardObjectApiName: component.cardObjectApiName,
-    fieldApiNames: fieldList,
-    sortFieldApiName: component.getEffectiveSortField(
-      component.qualifyFieldName(defaultCardTitleField)
-    ),
-    sortDirection: component.sortDirection,
-    limitSize: component.dataFetchPageSize,
-    cardWhereClause: component.cardRecordsWhereClause,
-    orderByClause: component.cardRecordsOrderByClause,
-    debugWhereErrors: component._debugLoggingEnabled
-  });
+  const records = await fetchParentlessCardRecords(
+    buildCardQueryParams(component, fieldList, { defaultCardTitleField })
+  );
   if (Array.isArray(records)) {
     component.logInfo("Parentless card snapshot received.", {
       recordCount: records.length
@@ -146,19 +170,10 @@ export async function executeDataFetch(
     parentIdCount: parentIds.length
   });
   const records = await fetchRelatedCardRecords({
-    parentRecordId: parentIds[0],
-    parentRecordIds: parentIds,
-    childRelationshipName: component.childRelationshipName,
-    cardObjectApiName: component.cardObjectApiName,
-    fieldApiNames: fetchRequest.fieldList,
-    sortFieldApiName: component.getEffectiveSortField(
-      component.qualifyFieldName(defaultCardTitleField)
-    ),
-    sortDirection: component.sortDirection,
-    limitSize: component.dataFetchPageSize,
-    cardWhereClause: component.cardRecordsWhereClause,
-    orderByClause: component.cardRecordsOrderByClause,
-    debugWhereErrors: component._debugLoggingEnabled
+    ...buildParentQueryParams(component, parentIds),
+    ...buildCardQueryParams(component, fetchRequest.fieldList, {
+      defaultCardTitleField
+    })
   });
   if (component._debugLoggingEnabled) {
     // eslint-disable-next-line no-console
@@ -172,7 +187,7 @@ export async function executeDataFetch(
 
 export async function performCardRecordsRefresh(
   component,
-  { defaultCardTitleField }
+  { defaultCardTitleField, blankKey }
 ) {
   const fieldList = component.dataFetchFieldList;
   if (!Array.isArray(fieldList) || fieldList.length === 0) {
@@ -217,6 +232,7 @@ export async function performCardRecordsRefresh(
         component.applyCardRecordsSnapshot([]);
       }
     }
+    await refreshRecordTotals(component, fetchRequest, records, { blankKey });
     return true;
   } catch (error) {
     component.logError("Related records refresh failed.", error);
@@ -229,3 +245,156 @@ export async function performCardRecordsRefresh(
     }
   }
 }
+
+/**
+ * Loads server-side counts and summaries when the last fetch filled its page, so the
+ * board can show true totals for the records it is not showing. Totals are cleared when
+ * every record is already loaded. A failed query only hides the totals; the cards stay
+ * on the board.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @param {Object} fetchRequest Request built by `buildDataFetchRequest`.
+ * @param {Array<Object>} records Records returned by the fetch.
+ * @param {Object} options Additional inputs.
+ * @param {string} options.blankKey Key of the blank column.
+ * @returns {Promise<void>}
+ */
+export async function refreshRecordTotals(
+  component,
+  fetchRequest,
+  records,
+  { blankKey }
+) {
+  const previousTotals = component.recordTotals;
+  component.recordTotals = null;
+  if (isPageFull(records, component.dataFetchPageSize)) {
+    const parentIds =
+      fetchRequest.mode === "parent" ? fetchRequest.parentIds || [] : [];
+    try {
+      const groupAggregates = await aggregateCardRecords({
+        ...buildParentQueryParams(component, parentIds),
+        cardObjectApiName: component.cardObjectApiName,
+        groupingFieldApiName: component.groupingFieldQualified,
+        summaryDefinitions: buildSummaryRequests(
+          component.summaryDefinitions,
+          (field) => component.extractSimpleFieldName(field)
+        ),
+        cardWhereClause: component.effectiveCardWhereClause,
+        debugWhereErrors: component._debugLoggingEnabled
+      });
+      component.recordTotals = buildGroupTotals(groupAggregates, blankKey);
+      component.logInfo("Card record totals received.", {
+        total: component.recordTotals.total
+      });
+    } catch (error) {
+      component.logWarn("Unable to load card record totals.", error);
+    }
+  }
+  if (previousTotals || component.recordTotals) {
+    // Columns were built with the previous totals, so rebuild their counts and summaries.
+    component.rebuildColumnsWithPicklist();
+  }
+}
+
+/**
+ * Fetches the next page of records for one column. The grouping field is constrained
+ * server-side and the offset is the number of the column's records already loaded, so
+ * the page continues where the column's share of the initial fetch stopped.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @param {string} columnKey Column to load more records into.
+ * @param {Object} options Additional inputs.
+ * @param {string} options.defaultCardTitleField Fallback sort field.
+ * @param {string} options.blankKey Key of the blank column.
+ * @returns {Promise<number>} Number of records added to the board.
+ */
+export async function loadMoreColumnRecords(
+  component,
+  columnKey,
+  { defaultCardTitleField, blankKey }
+) {
+  const column = component.findColumnByKey(columnKey);
+  const fieldList = component.dataFetchFieldList;
+  const fetchRequest = Array.isArray(fieldList)
+    ? buildDataFetchRequest(component, fieldList)
+    : null;
+  if (!column?.pagination?.canLoadMore || !fetchRequest?.ready) {
+    return 0;
+  }
+  const groupingField = component.groupingFieldQualified;
+  const existing = component.relatedRecords || [];
+  const loaded = countLoadedByGroup(
+    existing,
+    (record) => component.extractFieldData(record, groupingField)?.raw,
+    blankKey
+  );
+  const params = {
+    ...buildCardQueryParams(component, fieldList, { defaultCardTitleField }),
+    offsetSize: loaded[columnKey] || 0,
+    groupingFieldApiName: groupingField,
+    groupingValue: columnKey === blankKey ? null : String(column.rawValue)
+  };
+  component.loadingMoreColumnKey = columnKey;
+  component.refreshColumnPagination();
+  try {
+    const records =
+      fetchRequest.mode === "parentless"
+        ? await fetchParentlessCardRecords(params)
+        : await fetchRelatedCardRecords({
+            ...buildParentQueryParams(component, fetchRequest.parentIds),
+            ...params
+          });
+    const knownIds = new Set(existing.map((record) => record?.id));
+    const added = (Array.isArray(records) ? records : []).filter(
+      (record) => record?.id && !knownIds.has(record.id)
+    );
+    component.logInfo("Loaded more column records.", {
+      columnKey,
+      recordCount: added.length
+    });
+    if (added.length) {
+      component.applyCardRecordsSnapshot([...existing, ...added]);
+    }
+    return added.length;
+  } catch (error) {
+    component.logError("Loading more column records failed.", error);
+    component.showErrorToast(error, { title: "Unable to load more records" });
+    return 0;
+  } finally {
+    component.loadingMoreColumnKey = null;
+    component.refreshColumnPagination();
+  }
+}
+
+/**
+ * Loads specific card records, keeping only those that still belong on the board: they
+ * must match the card WHERE clause and, in parent mode, one of the selected parents.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @param {Array<string>} recordIds Ids to load (up to 200).
+ * @returns {Promise<Array<Object>>} Records that belong on the board.
+ */
+export async function fetchVisibleCardRecords(component, recordIds) {
+  const fieldList = component.dataFetchFieldList;
+  if (!recordIds?.length || !Array.isArray(fieldList) || !fieldList.length) {
+    return [];
+  }
+  const mode = component.dataMode;
+  const parentIds = mode?.type === "parent" ? mode.parentIds || [] : [];
+  const records = await fetchCardRecordsByIds({
+    recordIds,
+    parentRecordId: parentIds[0] || null,
+    parentRecordIds: parentIds,
+    childRelationshipName: component.childRelationshipName,
+    cardObjectApiName: component.cardObjectApiName,
+    fieldApiNames: fieldList,
+    cardWhereClause: component.effectiveCardWhereClause,
+    debugWhereErrors: component._debugLoggingEnabled
+  });
+  const requested = new Set(recordIds);
+  return (Array.isArray(records) ? records : []).filter(
+    (record) =>
+      requested.has(record?.id) &&
+      (mode?.type !== "parent" || parentIds.includes(record.parent?.id))
+  );
+}
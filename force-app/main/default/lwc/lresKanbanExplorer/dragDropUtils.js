@@ -1,6 +1,15 @@
 export function buildOptimisticColumnsForDrop(
   columns,
-  { recordId, sourceColumnKey, targetColumnKey, findColumnByKey }
+  {
+    recordId,
+    sourceColumnKey,
+    targetColumnKey,
+    sourceSwimlaneKey = null,
+    targetSwimlaneKey = null,
+    beforeRecordId = null,
+    allowReorder = false,
+    findColumnByKey
+  }
 ) {
   const sourceColumns = Array.isArray(columns) ? columns : [];
   if (!sourceColumns.length) {
@@ -40,32 +49,40 @@ export function buildOptimisticColumnsForDrop(
     return null;
   }
 
-  if (sourceColumn.key === targetColumn.key) {
+  const swimlaneChanged =
+    Boolean(targetSwimlaneKey) && targetSwimlaneKey !== sourceSwimlaneKey;
+  if (
+    sourceColumn.key === targetColumn.key &&
+    !swimlaneChanged &&
+    !allowReorder
+  ) {
     return null;
   }
 
   const savingCard = { ...sourceCard, isSaving: true };
   const nextColumns = sourceColumns.map((column) => {
-    if (column.key === sourceColumn.key) {
-      const records = Array.isArray(column.records) ? column.records : [];
-      const nextRecords = records.filter((card) => card.id !== recordId);
-      return {
-        ...column,
-        records: nextRecords
-      };
+    const isSource = column.key === sourceColumn.key;
+    const isTarget = column.key === targetColumn.key;
+    if (!isSource && !isTarget) {
+      return column;
     }
-    if (column.key === targetColumn.key) {
-      const records = Array.isArray(column.records) ? column.records : [];
-      const nextRecords = [
-        ...records.filter((card) => card.id !== recordId),
-        savingCard
-      ];
-      return {
-        ...column,
-        records: nextRecords
-      };
+    const records = Array.isArray(column.records) ? column.records : [];
+    const remainingRecords = records.filter((card) => card.id !== recordId);
+    const nextColumn = {
+      ...column,
+      records: isTarget
+        ? insertCard(remainingRecords, savingCard, beforeRecordId)
+        : remainingRecords
+    };
+    if (Array.isArray(column.swimlanes) && targetSwimlaneKey) {
+      nextColumn.swimlanes = moveCardBetweenSwimlanes(column.swimlanes, {
+        recordId,
+        savingCard: isTarget ? savingCard : null,
+        targetSwimlaneKey,
+        beforeRecordId
+      });
     }
-    return column;
+    return nextColumn;
   });
 
   return {
@@ -73,3 +90,66 @@ export function buildOptimisticColumnsForDrop(
     nextColumns
   };
 }
+
+function moveCardBetweenSwimlanes(
+  swimlanes,
+  { recordId, savingCard, targetSwimlaneKey, beforeRecordId }
+) {
+  return swimlanes.map((cell) => {
+    const records = Array.isArray(cell.records) ? cell.records : [];
+    const remainingRecords = records.filter((card) => card.id !== recordId);
+    if (savingCard && cell.key === targetSwimlaneKey) {
+      return {
+        ...cell,
+        records: insertCard(remainingRecords, savingCard, beforeRecordId)
+      };
+    }
+    if (remainingRecords.length === records.length) {
+      return cell;
+    }
+    return {
+      ...cell,
+      records: remainingRecords
+    };
+  });
+}
+
+function insertCard(records, card, beforeRecordId) {
+  const index = beforeRecordId
+    ? records.findIndex((entry) => entry.id === beforeRecordId)
+    : -1;
+  if (index === -1) {
+    return [...records, card];
+  }
+  return [...records.slice(0, index), card, ...records.slice(index)];
+}
+
+/**
+ * Locates the column (and swimlane cell, when swimlanes are active) holding a card.
+ *
+ * @param {Array<Object>} columns Current board columns.
+ * @param {string} recordId Id of the card to find.
+ * @returns {{column: Object, card: Object, swimlaneKey: (string|null)}|null} Location or `null`.
+ */
+export function findRecordLocation(columns, recordId) {
+  if (!recordId || !Array.isArray(columns)) {
+    return null;
+  }
+  for (const column of columns) {
+    const card = Array.isArray(column?.records)
+      ? column.records.find((entry) => entry.id === recordId)
+      : null;
+    if (!card) {
+      continue;
+    }
+    const swimlane = Array.isArray(column.swimlanes)
+      ? column.swimlanes.find(
+          (cell) =>
+            Array.isArray(cell.records) &&
+            cell.records.some((entry) => entry.id === recordId)
+        )
+      : null;
+    return { column, card, swimlaneKey: swimlane?.key || null };
+  }
+  return null;
+}
@@ -0,0 +1,159 @@
+import { buildCsv, buildXlsx, encodeUtf8, toBase64 } from "./exportUtils";
+
+const EXPORT_FORMATS = {
+  csv: {
+    extension: "csv",
+    mimeType: "text/csv;charset=utf-8",
+    build: (rows) => encodeUtf8(buildCsv(rows))
+  },
+  xlsx: {
+    extension: "xlsx",
+    mimeType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    build: (rows) => buildXlsx(rows)
+  }
+};
+
+function getExportFields(component) {
+  const cardFields = component.cardFieldsQualified;
+  return cardFields.length ? cardFields : [component.defaultDisplayField];
+}
+
+function toRawCell(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  return typeof value === "number" ? value : String(value);
+}
+
+function buildFieldCells(component, record, field, includeRawValues) {
+  const data = component.lookupFieldData(record, field);
+  const raw = data?.value ?? null;
+  const display = component.formatFieldDisplayValue(
+    field,
+    raw,
+    data?.displayValue ?? raw ?? "",
+    record
+  );
+  const cells = [display ?? ""];
+  if (includeRawValues) {
+    cells.push(toRawCell(raw));
+  }
+  return cells;
+}
+
+/**
+ * Builds the export rows from the board as shown: one row per card in column order
+ * and the current sort, with the column as the first cell and a cell per card field.
+ * Column summaries follow as footer rows after a blank row.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @param {Object} [options]
+ * @param {boolean} [options.includeRawValues=false] Add a raw value cell after each
+ * displayed value.
+ * @returns {{rows: Array<Array<*>>, cardCount: number}}
+ */
+export function buildExportRows(component, { includeRawValues = false } = {}) {
+  const fields = getExportFields(component);
+  const header = [component.getFieldLabel(component.groupingFieldQualified)];
+  fields.forEach((field) => {
+    const label = component.getFieldLabel(field);
+    header.push(label);
+    if (includeRawValues) {
+      header.push(`${label} (Raw)`);
+    }
+  });
+  const recordsById = new Map(
+    (component.relatedRecords || []).map((record) => [record?.id, record])
+  );
+  const columns = component.columns || [];
+  const rows = [header];
+  columns.forEach((column) => {
+    (column.records || []).forEach((card) => {
+      const record = recordsById.get(card.id);
+      if (!record) {
+        return;
+      }
+      rows.push([
+        column.label,
+        ...fields.flatMap((field) =>
+          buildFieldCells(component, record, field, includeRawValues)
+        )
+      ]);
+    });
+  });
+  const cardCount = rows.length - 1;
+  const summaryRows = columns.flatMap((column) =>
+    (column.summaries || []).map((summary) => [
+      column.label,
+      summary.label,
+      summary.value ?? ""
+    ])
+  );
+  if (summaryRows.length) {
+    rows.push([], ...summaryRows);
+  }
+  return { rows, cardCount };
+}
+
+function buildFileName(component, extension) {
+  const title = String(component.resolvedBoardTitle || "Kanban")
+    .replace(/[\\/:*?"<>|]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  const today = new Date();
+  const date = [
+    today.getFullYear(),
+    String(today.getMonth() + 1).padStart(2, "0"),
+    String(today.getDate()).padStart(2, "0")
+  ].join("-");
+  return `${title} ${date}.${extension}`;
+}
+
+function downloadFile(fileName, mimeType, bytes) {
+  const link = document.createElement("a");
+  link.href = `data:${mimeType};base64,${toBase64(bytes)}`;
+  link.download = fileName;
+  link.style.display = "none";
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+}
+
+/**
+ * Downloads the cards on the board as a CSV or Excel file, generated in the browser.
+ * Only the loaded cards that pass the current filters and search are exported.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @param {Event} event Export event with `detail.format` (`csv` or `xlsx`) and
+ * `detail.includeRawValues`.
+ */
+export function handleBoardExport(component, event) {
+  event?.stopPropagation?.();
+  const format = EXPORT_FORMATS[event?.detail?.format];
+  if (!format) {
+    return;
+  }
+  const { rows, cardCount } = buildExportRows(component, {
+    includeRawValues: Boolean(event.detail.includeRawValues)
+  });
+  if (!cardCount) {
+    component.showToast({
+      title: "Nothing to export",
+      message: "There are no cards on the board to export.",
+      variant: "warning"
+    });
+    return;
+  }
+  try {
+    const fileName = buildFileName(component, format.extension);
+    downloadFile(fileName, format.mimeType, format.build(rows));
+    component.logInfo("Board exported.", {
+      format: format.extension,
+      cardCount
+    });
+  } catch (error) {
+    component.logError("Board export failed.", error);
+    component.showErrorToast(error, { title: "Unable to export the board" });
+  }
+}
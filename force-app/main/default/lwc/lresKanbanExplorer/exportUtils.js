@@ -0,0 +1,289 @@
+const XLSX_SHEET_NAME = "Board";
+const SPREADSHEET_NS =
+  "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+const RELATIONSHIP_NS =
+  "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+const PACKAGE_RELATIONSHIP_NS =
+  "http://schemas.openxmlformats.org/package/2006/relationships";
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+// Spreadsheet apps run cells that start with these characters as formulas.
+const FORMULA_PREFIX_PATTERN = /^[=+\-@\t\r]/;
+// Characters XML 1.0 does not allow, even escaped.
+const INVALID_XML_PATTERN =
+  // eslint-disable-next-line no-control-regex
+  /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+let crcTable = null;
+
+function isBlank(value) {
+  return value === null || value === undefined || value === "";
+}
+
+function isNumberCell(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+function formatCsvCell(value) {
+  if (isBlank(value)) {
+    return "";
+  }
+  let text = String(value);
+  if (!isNumberCell(value) && FORMULA_PREFIX_PATTERN.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes rows as CSV text (RFC 4180). Text that a spreadsheet app would run as a
+ * formula is prefixed with an apostrophe, and a byte order mark is added so Excel
+ * reads the file as UTF-8.
+ *
+ * @param {Array<Array<*>>} rows Rows of cell values.
+ * @returns {string} CSV text.
+ */
+export function buildCsv(rows) {
+  const lines = (rows || []).map((row) =>
+    (row || []).map(formatCsvCell).join(",")
+  );
+  return `\uFEFF${lines.join("\r\n")}\r\n`;
+}
+
+/**
+ * Encodes text as UTF-8 bytes.
+ *
+ * @param {string} text Text to encode.
+ * @returns {Uint8Array}
+ */
+export function encodeUtf8(text) {
+  const bytes = [];
+  for (const char of String(text ?? "")) {
+    const code = char.codePointAt(0);
+    if (code < 0x80) {
+      bytes.push(code);
+    } else if (code < 0x800) {
+      bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+    } else if (code < 0x10000) {
+      bytes.push(
+        0xe0 | (code >> 12),
+        0x80 | ((code >> 6) & 0x3f),
+        0x80 | (code & 0x3f)
+      );
+    } else {
+      bytes.push(
+        0xf0 | (code >> 18),
+        0x80 | ((code >> 12) & 0x3f),
+        0x80 | ((code >> 6) & 0x3f),
+        0x80 | (code & 0x3f)
+      );
+    }
+  }
+  return Uint8Array.from(bytes);
+}
+
+/**
+ * Computes the CRC-32 checksum zip entries need.
+ *
+ * @param {Uint8Array} bytes Data to check.
+ * @returns {number} Unsigned checksum.
+ */
+export function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n += 1) {
+      let c = n;
+      for (let k = 0; k < 8; k += 1) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i += 1) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function toDosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time:
+      (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Packs files into an uncompressed zip archive.
+ *
+ * @param {Array<{name: string, content: string}>} files Files to add, in order.
+ * @param {Date} [modified] Modification time stored for every file.
+ * @returns {Uint8Array} Zip archive bytes.
+ */
+export function buildZip(files, modified = new Date()) {
+  const stamp = toDosDateTime(modified);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+  files.forEach((file) => {
+    const name = encodeUtf8(file.name);
+    const data = encodeUtf8(file.content);
+    const crc = crc32(data);
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true);
+    local.setUint16(8, 0, true);
+    local.setUint16(10, stamp.time, true);
+    local.setUint16(12, stamp.date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    localParts.push(new Uint8Array(local.buffer), name, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, stamp.time, true);
+    central.setUint16(14, stamp.date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + data.length;
+  });
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const archive = new Uint8Array(
+    parts.reduce((sum, part) => sum + part.length, 0)
+  );
+  let position = 0;
+  parts.forEach((part) => {
+    archive.set(part, position);
+    position += part.length;
+  });
+  return archive;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(INVALID_XML_PATTERN, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function toColumnName(index) {
+  let name = "";
+  let remaining = index + 1;
+  while (remaining > 0) {
+    const digit = (remaining - 1) % 26;
+    name = String.fromCharCode(65 + digit) + name;
+    remaining = Math.floor((remaining - 1) / 26);
+  }
+  return name;
+}
+
+function buildSheetCell(value, reference, styleId) {
+  const style = styleId ? ` s="${styleId}"` : "";
+  if (isNumberCell(value)) {
+    return `<c r="${reference}"${style}><v>${value}</v></c>`;
+  }
+  return `<c r="${reference}" t="inlineStr"${style}><is><t xml:space="preserve">${escapeXml(
+    value
+  )}</t></is></c>`;
+}
+
+function buildSheetXml(rows, headerRowCount) {
+  const rowXml = rows.map((row, rowIndex) => {
+    const rowNumber = rowIndex + 1;
+    const styleId = rowIndex < headerRowCount ? 1 : 0;
+    const cells = (row || [])
+      .map((value, columnIndex) => {
+        if (isBlank(value)) {
+          return "";
+        }
+        const reference = `${toColumnName(columnIndex)}${rowNumber}`;
+        return buildSheetCell(value, reference, styleId);
+      })
+      .join("");
+    return `<row r="${rowNumber}">${cells}</row>`;
+  });
+  return `${XML_HEADER}<worksheet xmlns="${SPREADSHEET_NS}"><sheetData>${rowXml.join(
+    ""
+  )}</sheetData></worksheet>`;
+}
+
+/**
+ * Writes rows as a single-sheet Excel workbook (XLSX). Numbers stay numeric cells and
+ * everything else is stored as text; header rows are bold.
+ *
+ * @param {Array<Array<*>>} rows Rows of cell values.
+ * @param {Object} [options]
+ * @param {number} [options.headerRowCount=1] Number of leading rows shown in bold.
+ * @param {Date} [options.modified] Modification time stored in the archive.
+ * @returns {Uint8Array} Workbook bytes.
+ */
+export function buildXlsx(rows, { headerRowCount = 1, modified } = {}) {
+  const files = [
+    {
+      name: "[Content_Types].xml",
+      content: `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/></Types>`
+    },
+    {
+      name: "_rels/.rels",
+      content: `${XML_HEADER}<Relationships xmlns="${PACKAGE_RELATIONSHIP_NS}"><Relationship Id="rId1" Type="${RELATIONSHIP_NS}/officeDocument" Target="xl/workbook.xml"/></Relationships>`
+    },
+    {
+      name: "xl/workbook.xml",
+      content: `${XML_HEADER}<workbook xmlns="${SPREADSHEET_NS}" xmlns:r="${RELATIONSHIP_NS}"><sheets><sheet name="${XLSX_SHEET_NAME}" sheetId="1" r:id="rId1"/></sheets></workbook>`
+    },
+    {
+      name: "xl/_rels/workbook.xml.rels",
+      content: `${XML_HEADER}<Relationships xmlns="${PACKAGE_RELATIONSHIP_NS}"><Relationship Id="rId1" Type="${RELATIONSHIP_NS}/worksheet" Target="worksheets/sheet1.xml"/><Relationship Id="rId2" Type="${RELATIONSHIP_NS}/styles" Target="styles.xml"/></Relationships>`
+    },
+    {
+      name: "xl/styles.xml",
+      content: `${XML_HEADER}<styleSheet xmlns="${SPREADSHEET_NS}"><fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts><fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills><borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders><cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs><cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs></styleSheet>`
+    },
+    {
+      name: "xl/worksheets/sheet1.xml",
+      content: buildSheetXml(rows || [], headerRowCount)
+    }
+  ];
+  return buildZip(files, modified);
+}
+
+/**
+ * Encodes bytes as base64 for a data URL.
+ *
+ * @param {Uint8Array} bytes Bytes to encode.
+ * @returns {string}
+ */
+export function toBase64(bytes) {
+  let binary = "";
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
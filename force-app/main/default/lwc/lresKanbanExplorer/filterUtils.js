@@ -1,3 +1,10 @@
+import {
+  DATE_RANGE_PRESETS,
+  buildRangeSelection,
+  collectRangeBounds,
+  parseRangeSelection
+} from "./rangeFilterUtils";
+
 export function buildFilterDefinitions({
   records = [],
   blueprints = [],
@@ -5,6 +12,7 @@ export function buildFilterDefinitions({
   activeFilterMenuId = null,
   getFilterValueKey,
   getFilterValueLabel,
+  getFilterRangeValue = () => null,
   sortFilterOptions,
   getFilterButtonClass,
   isSortMenuOpen = false,
@@ -19,6 +27,13 @@ export function buildFilterDefinitions({
 
   const definitions = blueprints
     .map((bp) => {
+      if (bp.rangeType) {
+        return buildRangeDefinition(bp, dataset, previous.get(bp.id), {
+          activeFilterMenuId,
+          getFilterRangeValue,
+          getFilterButtonClass
+        });
+      }
       const valueMap = collectFilterValues(dataset, bp, {
         getFilterValueKey,
         getFilterValueLabel
@@ -59,6 +74,76 @@ export function buildFilterDefinitions({
   };
 }
 
+/**
+ * Builds a range filter for a number or date field. The selection is kept from the
+ * previous definition, and the lowest and highest loaded values become input hints.
+ *
+ * @param {Object} blueprint Filter blueprint with a `rangeType`.
+ * @param {Array<Object>} records Card records.
+ * @param {Object} [previous] Previous definition for the same filter.
+ * @param {Object} options Callbacks and menu state.
+ * @returns {Object|null} Filter definition, or `null` when no record has a value.
+ */
+function buildRangeDefinition(
+  blueprint,
+  records,
+  previous,
+  { activeFilterMenuId, getFilterRangeValue, getFilterButtonClass }
+) {
+  const bounds = collectRangeBounds(
+    records,
+    (record) => getFilterRangeValue(record, blueprint),
+    blueprint.rangeType
+  );
+  const selectedValues = buildRangeSelection(
+    parseRangeSelection(previous?.selectedValues),
+    blueprint.rangeType
+  );
+  if (!bounds.count && !selectedValues.length) {
+    return null;
+  }
+  const isDate = blueprint.rangeType === "date";
+  return applyRangeSelection(
+    {
+      ...blueprint,
+      isRange: true,
+      inputType: isDate ? "date" : "number",
+      minLabel: isDate ? "From" : "Min",
+      maxLabel: isDate ? "To" : "Max",
+      minPlaceholder: bounds.min === null ? "" : String(bounds.min),
+      maxPlaceholder: bounds.max === null ? "" : String(bounds.max),
+      options: [],
+      isOpen: previous?.isOpen && activeFilterMenuId === blueprint.id,
+      buttonClass: getFilterButtonClass(blueprint.id, selectedValues.length > 0)
+    },
+    selectedValues
+  );
+}
+
+/**
+ * Sets a range filter's selection and the input values and preset states that show it.
+ *
+ * @param {Object} definition Range filter definition.
+ * @param {Array<string>} selectedValues Selection built by `buildRangeSelection`.
+ * @returns {Object} Updated definition.
+ */
+export function applyRangeSelection(definition, selectedValues) {
+  const selection = parseRangeSelection(selectedValues);
+  return {
+    ...definition,
+    selectedValues,
+    rangeMin: selection.min,
+    rangeMax: selection.max,
+    presetOptions:
+      definition.rangeType === "date"
+        ? DATE_RANGE_PRESETS.map((preset) => ({
+            ...preset,
+            selected: preset.value === selection.preset
+          }))
+        : []
+  };
+}
+
 function collectFilterValues(
   records,
   blueprint,
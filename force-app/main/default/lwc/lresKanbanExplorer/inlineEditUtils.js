@@ -0,0 +1,138 @@
+const EDITOR_TYPES = {
+  picklist: "picklist",
+  string: "text",
+  textarea: "text",
+  email: "text",
+  phone: "text",
+  url: "text",
+  double: "number",
+  int: "number",
+  currency: "number",
+  percent: "number",
+  date: "date",
+  boolean: "checkbox",
+  reference: "lookup"
+};
+
+/**
+ * Resolves which inline editor a field uses. Fields must be updateable for the running
+ * user (UI API metadata already reflects field-level security) and must not be formulas.
+ *
+ * @param {Object} metadata Field metadata from `getObjectInfo`.
+ * @returns {string|null} Editor type or `null` when the field cannot be edited inline.
+ */
+export function resolveInlineEditorType(metadata) {
+  if (!metadata || !metadata.updateable || metadata.calculated) {
+    return null;
+  }
+  const dataType =
+    typeof metadata.dataType === "string"
+      ? metadata.dataType.toLowerCase()
+      : "";
+  return EDITOR_TYPES[dataType] || null;
+}
+
+/**
+ * Builds the editor descriptor attached to a card detail.
+ *
+ * @param {string} fieldApiName Simple field API name.
+ * @param {Object} metadata Field metadata from `getObjectInfo`.
+ * @param {Object} options Editor inputs.
+ * @param {*} options.rawValue Current field value.
+ * @param {Array<Object>} [options.picklistValues] UI API picklist values for the field.
+ * @returns {Object|null} Editor descriptor or `null` when the field is not editable.
+ */
+export function buildInlineEditor(
+  fieldApiName,
+  metadata,
+  { rawValue, picklistValues = [] } = {}
+) {
+  const type = resolveInlineEditorType(metadata);
+  if (!type || !fieldApiName) {
+    return null;
+  }
+  const editor = {
+    type,
+    fieldApiName,
+    value: rawValue ?? null,
+    required: Boolean(metadata.required)
+  };
+  if (type === "picklist") {
+    editor.options = (picklistValues || []).map((item) => ({
+      label: item.label ?? item.value,
+      value: item.value
+    }));
+  } else if (type === "number") {
+    editor.step =
+      typeof metadata.scale === "number" && metadata.scale > 0
+        ? String(10 ** -metadata.scale)
+        : "1";
+  } else if (type === "lookup") {
+    editor.referenceObjectApiName =
+      metadata.referenceToInfos?.[0]?.apiName || null;
+    if (!editor.referenceObjectApiName) {
+      return null;
+    }
+  }
+  return editor;
+}
+
+/**
+ * Converts an editor's draft value into the value saved through `updateRecord`.
+ *
+ * @param {string} type Editor type.
+ * @param {*} value Draft value from the input.
+ * @returns {*} Normalized value (blank values become `null`).
+ */
+export function normalizeInlineEditValue(type, value) {
+  if (type === "checkbox") {
+    return Boolean(value);
+  }
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  if (type === "number") {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? parsed : null;
+  }
+  return value;
+}
+
+/**
+ * Applies an update to one card wherever it appears on the board, including the
+ * swimlane cell copies of the card.
+ *
+ * @param {Array<Object>} columns Current board columns.
+ * @param {string} recordId Id of the card to update.
+ * @param {Function} updateCard Receives the card and returns its replacement.
+ * @returns {Array<Object>} Columns with the card replaced.
+ */
+export function updateCardInColumns(columns, recordId, updateCard) {
+  const updateRecords = (records) => {
+    if (!Array.isArray(records) || !records.some((c) => c.id === recordId)) {
+      return records;
+    }
+    return records.map((card) => {
+      if (card.id !== recordId) {
+        return card;
+      }
+      return updateCard(card);
+    });
+  };
+  return (columns || []).map((column) => {
+    const records = updateRecords(column.records);
+    if (records === column.records) {
+      return column;
+    }
+    const nextColumn = { ...column, records };
+    if (Array.isArray(column.swimlanes)) {
+      nextColumn.swimlanes = column.swimlanes.map((cell) => {
+        const cellRecords = updateRecords(cell.records);
+        return cellRecords === cell.records
+          ? cell
+          : { ...cell, records: cellRecords };
+      });
+    }
+    return nextColumn;
+  });
+}
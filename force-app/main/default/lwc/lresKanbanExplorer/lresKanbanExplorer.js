@@ -1,5 +1,5 @@
 import { LightningElement, api, wire } from "lwc";
-import { NavigationMixin } from "lightning/navigation";
+import { CurrentPageReference, NavigationMixin } from "lightning/navigation";
 import CURRENCY from "@salesforce/i18n/currency";
 import {
   getObjectInfo,
@@ -13,11 +13,22 @@ import {
   formatObjectLabel
 } from "c/lresFieldUtils";
 import { sanitizeFieldOutput } from "c/lresOutputUtils";
-import { BLANK_KEY, buildColumns as buildColumnsUtil } from "./columnBuilder";
-import { parseSummaryDefinitions } from "./summaryConfigUtils";
+import {
+  BLANK_KEY,
+  buildColumns as buildColumnsUtil,
+  buildSwimlaneRows as buildSwimlaneRowsUtil
+} from "./columnBuilder";
+import {
+  DEFAULT_MAX_SUMMARIES,
+  MAX_SUMMARIES_LIMIT,
+  parseSummaryDefinitions
+} from "./summaryConfigUtils";
 import {
   applySearchValue as applySearchValueInteractions,
+  bulkUpdateRecordGrouping as bulkUpdateRecordGroupingInteractions,
+  bulkUpdateRecordOwner as bulkUpdateRecordOwnerInteractions,
   buildFilterDefinitions as buildFilterDefinitionsInteractions,
+  clearCardSelection as clearCardSelectionInteractions,
   closeFilterMenus as closeFilterMenusInteractions,
   closeSortMenu as closeSortMenuInteractions,
   focusElementNextTick as focusElementNextTickInteractions,
@@ -27,10 +38,12 @@ import {
   getFilterValueLabel as getFilterValueLabelInteractions,
   getPicklistOrderMap as getPicklistOrderMapInteractions,
   getUiPicklistValues as getUiPicklistValuesInteractions,
+  handleCardSelect as handleCardSelectInteractions,
   handleClearFilters as handleClearFiltersInteractions,
   handleColumnDrop as handleColumnDropInteractions,
   handleFilterMenuKeydown as handleFilterMenuKeydownInteractions,
   handleFilterOptionToggle as handleFilterOptionToggleInteractions,
+  handleFilterRangeChange as handleFilterRangeChangeInteractions,
   handleManualRefresh as handleManualRefreshInteractions,
   handleParentViewClick as handleParentViewClickInteractions,
   handleSearchInput as handleSearchInputInteractions,
@@ -43,6 +56,7 @@ import {
   handleExternalOpen as handleExternalOpenInteractions,
   isAnyMenuOpen as isAnyMenuOpenInteractions,
   navigateToRecord as navigateToRecordInteractions,
+  pruneCardSelection as pruneCardSelectionInteractions,
   registerMenuOutsideClick as registerMenuOutsideClickInteractions,
   isRecordIncluded as isRecordIncludedInteractions,
   recordMatchesSearch as recordMatchesSearchInteractions,
@@ -51,6 +65,7 @@ import {
   toggleFilterMenu as toggleFilterMenuInteractions,
   toggleSortMenu as toggleSortMenuInteractions,
   unregisterMenuOutsideClick as unregisterMenuOutsideClickInteractions,
+  updateCardField as updateCardFieldInteractions,
   updateRecordGrouping as updateRecordGroupingInteractions
 } from "./boardInteractions";
 import {
@@ -66,11 +81,90 @@ import {
 import {
   buildDataFetchRequest as buildDataFetchRequestService,
   executeDataFetch as executeDataFetchService,
+  loadMoreColumnRecords as loadMoreColumnRecordsService,
   performCardRecordsRefresh as performCardRecordsRefreshService,
   refreshParentlessCardRecords as refreshParentlessCardRecordsService,
   resolveDataMode as resolveDataModeService,
   shouldAutoRefreshOnConfig as shouldAutoRefreshOnConfigService
 } from "./dataModeService";
+import {
+  applyAdvancedFilter as applyAdvancedFilterService,
+  getAdvancedFilterCount as getAdvancedFilterCountService,
+  getAdvancedFilterFields as getAdvancedFilterFieldsService,
+  openAdvancedFilterBuilder as openAdvancedFilterBuilderService,
+  recordMatchesAdvancedFilter as recordMatchesAdvancedFilterService,
+  resolveEffectiveWhereClause as resolveEffectiveWhereClauseService,
+  syncAdvancedFilterMode as syncAdvancedFilterModeService
+} from "./advancedFilterService";
+import {
+  getQuickFilterFields as getQuickFilterFieldsService,
+  getQuickFilterOptions as getQuickFilterOptionsService,
+  handleQuickFilterToggle as handleQuickFilterToggleService,
+  recordMatchesQuickFilters as recordMatchesQuickFiltersService
+} from "./quickFilterService";
+import { handleBoardExport as handleBoardExportService } from "./exportService";
+import {
+  createCardColorResolver as createCardColorResolverService,
+  getCardColorLegend as getCardColorLegendService,
+  getCardColorRuleConfig as getCardColorRuleConfigService,
+  getCardColorRuleFields as getCardColorRuleFieldsService
+} from "./cardColorRuleService";
+import {
+  createAgingSortValueResolver as createAgingSortValueResolverService,
+  createCardAgingResolver as createCardAgingResolverService,
+  getAgingThresholdConfig as getAgingThresholdConfigService,
+  isAgingSortAvailable as isAgingSortAvailableService,
+  syncCardAging as syncCardAgingService
+} from "./agingService";
+import { AGING_SORT_FIELD } from "./agingUtils";
+import {
+  ANALYTICS_RANGE_OPTIONS,
+  changeAnalyticsRange as changeAnalyticsRangeService,
+  loadBoardAnalytics as loadBoardAnalyticsService,
+  toggleAnalyticsPanel as toggleAnalyticsPanelService
+} from "./analyticsService";
+import { updateBoardSummaries as updateBoardSummariesService } from "./boardSummaryService";
+import {
+  createColumnWeightResolver as createColumnWeightResolverService,
+  getColumnWeightConfig as getColumnWeightConfigService,
+  syncStageProbabilities as syncStageProbabilitiesService
+} from "./columnWeightService";
+import {
+  handleColumnLayoutAction as handleColumnLayoutActionService,
+  moveColumn as moveColumnService,
+  restoreColumnLayout as restoreColumnLayoutService,
+  toggleColumnCollapsed as toggleColumnCollapsedService
+} from "./columnLayoutService";
+import {
+  exitPrintMode as exitPrintModeService,
+  getPrintHeader as getPrintHeaderService,
+  startPrintMode as startPrintModeService
+} from "./printService";
+import {
+  getSearchHighlightParts as getSearchHighlightPartsService,
+  runServerSearch as runServerSearchService
+} from "./searchService";
+import {
+  addRecordChangeListener as addRecordChangeListenerService,
+  stopChangeEvents as stopChangeEventsService,
+  syncChangeEventSubscription as syncChangeEventSubscriptionService
+} from "./changeEventService";
+import {
+  buildQuickCreateDefaults as buildQuickCreateDefaultsService,
+  buildQuickCreateFieldList as buildQuickCreateFieldListService,
+  insertCreatedRecord as insertCreatedRecordService,
+  isQuickCreateAvailable as isQuickCreateAvailableService,
+  resolveQuickCreateParentField as resolveQuickCreateParentFieldService
+} from "./quickCreateService";
+import {
+  handleViewAction as handleViewActionService,
+  restoreDefaultView as restoreDefaultViewService
+} from "./savedViewService";
+import {
+  cancelUrlStateSync as cancelUrlStateSyncService,
+  handlePageReference as handlePageReferenceService,
+  scheduleUrlStateSync as scheduleUrlStateSyncService
+} from "./urlStateService";
 import {
   coerceIconName as coerceIconNameField,
   expandRelationshipPath as expandRelationshipPathField,
@@ -84,6 +178,7 @@ import {
   getFieldMetadata as getFieldMetadataField,
   getMetadataColumns as getMetadataColumnsField,
   getParentLabelById as getParentLabelByIdField,
+  getPicklistMetadataValues as getPicklistMetadataValuesField,
   getRecordOwnerId as getRecordOwnerIdField,
   getRecordOwnerLabel as getRecordOwnerLabelField,
   getRecordParentLabel as getRecordParentLabelField,
@@ -106,6 +201,17 @@ import {
   showErrorToast as showErrorToastLogger,
   showToast as showToastLogger
 } from "./loggingUtils";
+import {
+  applyWipLimits as applyWipLimitsUtil,
+  parseWipLimitDefinitions
+} from "./wipLimitUtils";
+import { buildInlineEditor as buildInlineEditorUtil } from "./inlineEditUtils";
+import {
+  applyColumnPagination as applyColumnPaginationUtil,
+  countLoadedByGroup as countLoadedByGroupUtil,
+  formatShowingLabel as formatShowingLabelUtil
+} from "./paginationUtils";
+import { applyServerAggregates as applyServerAggregatesUtil } from "./serverAggregateUtils";
 import {
   coerceSummaryValue as coerceSummaryValueUtil,
   formatSummaryValue as formatSummaryValueUtil,
@@ -123,6 +229,12 @@ import KanbanRecordModal from "c/lresKanbanRecordModal";
 const DEFAULT_EMPTY_LABEL = "No Value";
 const MASTER_RECORD_TYPE_ID = "012000000000000AAA";
 const SUPPORTED_GROUPING_FIELD_TYPES = new Set(["picklist", "string"]);
+const SUPPORTED_SWIMLANE_FIELD_TYPES = new Set([
+  "picklist",
+  "string",
+  "reference"
+]);
+const SUPPORTED_RANK_FIELD_TYPES = new Set(["double", "int"]);
 const PERFORMANCE_MODE_DEFAULT_THRESHOLD = 200;
 const PERFORMANCE_MODE_MIN_THRESHOLD = 100;
 
@@ -159,12 +271,25 @@ export default class KanbanExplorer extends NavigationMixin(LightningElement) {
   _cardRecordsOrderByClause;
   _childRelationshipName;
   _groupingFieldApiName;
+  _swimlaneFieldApiName;
   _cardFieldApiNames = "";
   _columnSummariesDefinition = "";
+  _maxColumnSummaries = DEFAULT_MAX_SUMMARIES;
+  _showBoardSummaries = false;
+  _columnWeightsDefinition = "";
+  _columnWipLimitsDefinition = "";
+  _cardColorRulesDefinition = "";
+  _showCardAging = false;
+  _cardAgingThresholds = "";
+  _showAnalyticsPanel = false;
+  _enforceWipLimits = false;
+  _rankFieldApiName;
   _cardFieldIcons = "";
+  _inlineEditFieldApiNames = "";
   _sortFieldApiNames = "";
   _filterFieldApiNames = "";
   _searchFieldApiNames = "";
+  _searchServerFallback = false;
   _cardRecordsLimit = 200;
   _performanceModeThreshold = null;
   _parentRecordsLimit = 100;
@@ -178,7 +303,9 @@ export default class KanbanExplorer extends NavigationMixin(LightningElement) {
   _showParentRecordFieldLabels = false;
   _dateTimeFormat;
   _defaultToMultipleParentSelection = false;
+  _enableRealTimeUpdates = false;
   _suppressNextConfigRefresh = false;
+  _refreshAfterObjectInfo = false;
 
   selectedSortField = null;
   sortDirection = "asc";
@@ -188,15 +315,49 @@ export default class KanbanExplorer extends NavigationMixin(LightningElement) {
   activeFilterMenuId = null;
   isSortMenuOpen = false;
   searchValue = "";
+  savedViews = [];
+  activeViewId = null;
+  columnLayout = { order: [], hidden: [], collapsed: [] };
+  columnChooserOptions = [];
+  _pendingFilterSelections = null;
+  advancedFilter = null;
+  _advancedFilterServerClause = null;
+  quickFilters = [];
+  _teamUserIds = null;
+  _searchTokenCache = null;
+  _serverSearchMatches = null;
+  _cardRecordsLoaded = false;
+  _pageReference = null;
+  _urlStateReady = false;
+  _urlStateValue = null;
+  _urlSyncTimeoutId = null;
+  selectedRecordIds = [];
+  _selectionAnchor = null;
+  isPrintMode = false;
+  printedAt = null;
+  _printTimeoutId = null;
+  _afterPrintListener = null;
+  _cardAgingDates = null;
+  _cardAgingRequestId = 0;
+  isAnalyticsOpen = false;
+  isAnalyticsLoading = false;
+  analyticsRangeDays = ANALYTICS_RANGE_OPTIONS[0];
+  analyticsData = null;
+  analyticsErrorMessage = null;
+  _analyticsRequestId = 0;
 
   isLoading = false;
   errorMessage;
   warningMessage;
   columns = [];
   relatedRecords = [];
+  recordTotals = null;
+  loadingMoreColumnKey = null;
+  remoteChangedRecordIds = [];
   summaryDefinitions = [];
   summaryWarnings = [];
   summaryRuntimeWarnings = [];
+  boardSummaries = [];
 
   objectInfo;
   objectInfoError;
@@ -221,6 +382,11 @@ export default class KanbanExplorer extends NavigationMixin(LightningElement) {
   _summaryRebuildRafId = null;
   _summaryRebuildRafType = null;
   _summaryRebuildToken = 0;
+  _changeEventChannel = null;
+  _changeEventSubscription = null;
+  _changeEventErrorListenerRegistered = false;
+  _changeHighlightTimeoutId = null;
+  _recordChangeListeners = null;
 
   shouldAutoRefreshOnConfig() {
     return shouldAutoRefreshOnConfigService(this);
@@ -465,6 +631,34 @@ export default class KanbanExplorer extends NavigationMixin(LightningElement) {
     this.handleConfigChange();
   }
 
+  /**
+   * API name of the optional field used to split the board into horizontal swimlanes.
+   *
+   * @returns {string|null} Field API name or `null` when swimlanes are disabled.
+   */
+  @api
+  get swimlaneFieldApiName() {
+    return this._swimlaneFieldApiName;
+  }
+
+  /**
+   * Updates the swimlane field, prompting the board to rebuild its rows.
+   *
+   * @param {string} value Field API name, optionally object-qualified.
+   */
+  set swimlaneFieldApiName(value) {
+    const normalized = normalizeString(value);
+    if (normalized === this._swimlaneFieldApiName) {
+      return;
+    }
+    this.logDebug("swimlaneFieldApiName changed.", {
+      previous: this._swimlaneFieldApiName,
+      next: normalized
+    });
+    this._swimlaneFieldApiName = normalized;
+    this.handleConfigChange();
+  }
+
   /**
    * Label applied to the column representing blank grouping values.
    *
@@ -550,6 +744,277 @@ export default class KanbanExplorer extends NavigationMixin(LightningElement) {
     this.handleConfigChange();
   }
 
+  /**
+   * Most column summaries shown per column.
+   *
+   * @returns {number} Summary limit.
+   */
+  @api
+  get maxColumnSummaries() {
+    return this._maxColumnSummaries;
+  }
+
+  /**
+   * Sets the summary limit (1-10, defaults to 3 when invalid) and re-parses the
+   * summary definitions.
+   *
+   * @param {number|string} value Positive integer or stringifiable number.
+   */
+  set maxColumnSummaries(value) {
+    const parsed = Math.min(
+      normalizePositiveInteger(value, DEFAULT_MAX_SUMMARIES),
+      MAX_SUMMARIES_LIMIT
+    );
+    if (parsed === this._maxColumnSummaries) {
+      return;
+    }
+    this.logDebug("maxColumnSummaries changed.", {
+      previous: this._maxColumnSummaries,
+      next: parsed
+    });
+    this._maxColumnSummaries = parsed;
+    this.handleConfigChange();
+  }
+
+  /**
+   * Adds a bar under the board with the column summaries totalled across every card that
+   * passes the filters and search, and shows each column's share of those totals.
+   *
+   * @returns {boolean} True when the board summary bar is shown.
+   */
+  @api
+  get showBoardSummaries() {
+    return this._showBoardSummaries;
+  }
+
+  set showBoardSummaries(value) {
+    const normalized = normalizeBoolean(value);
+    if (normalized === this._showBoardSummaries) {
+      return;
+    }
+    this._showBoardSummaries = normalized;
+    this.logDebug("showBoardSummaries changed.", { enabled: normalized });
+    this.scheduleRebuildColumnsWithPicklist();
+  }
+
+  /**
+   * Column weights, in percent, used by WEIGHTED_SUM summaries.
+   *
+   * @returns {string} Raw column weight definition string.
+   */
+  @api
+  get columnWeightsDefinition() {
+    return this._columnWeightsDefinition;
+  }
+
+  /**
+   * Updates the column weights and rebuilds the columns so weighted summaries reflect
+   * them.
+   *
+   * @param {string} value Column weight definition string.
+   */
+  set columnWeightsDefinition(value) {
+    const normalized =
+      value === undefined || value === null ? "" : String(value);
+    if (normalized === this._columnWeightsDefinition) {
+      return;
+    }
+    this.logDebug("columnWeightsDefinition changed.", {
+      previous: this._columnWeightsDefinition,
+      next: normalized
+    });
+    this._columnWeightsDefinition = normalized;
+    this.updateWarningMessage();
+    this.scheduleRebuildColumnsWithPicklist();
+  }
+
+  /**
+   * Work-in-progress limits configured via Lightning App Builder.
+   *
+   * @returns {string} Raw WIP limit definition string.
+   */
+  @api
+  get columnWipLimitsDefinition() {
+    return this._columnWipLimitsDefinition;
+  }
+
+  /**
+   * Updates the WIP limit definition string and rebuilds the columns so headers
+   * reflect the new limits.
+   *
+   * @param {string} value WIP limit definition string.
+   */
+  set columnWipLimitsDefinition(value) {
+    const normalized =
+      value === undefined || value === null ? "" : String(value);
+    if (normalized === this._columnWipLimitsDefinition) {
+      return;
+    }
+    this.logDebug("columnWipLimitsDefinition changed.", {
+      previous: this._columnWipLimitsDefinition,
+      next: normalized
+    });
+    this._columnWipLimitsDefinition = normalized;
+    this.updateWarningMessage();
+    this.scheduleRebuildColumnsWithPicklist();
+  }
+
+  /**
+   * Card color rules configured via Lightning App Builder.
+   *
+   * @returns {string} Raw card color rule definition string.
+   */
+  @api
+  get cardColorRulesDefinition() {
+    return this._cardColorRulesDefinition;
+  }
+
+  /**
+   * Updates the card color rules and reloads the board so the fields the rules read
+   * are queried.
+   *
+   * @param {string} value Card color rule definition string.
+   */
+  set cardColorRulesDefinition(value) {
+    const normalized =
+      value === undefined || value === null ? "" : String(value);
+    if (normalized === this._cardColorRulesDefinition) {
+      return;
+    }
+    this.logDebug("cardColorRulesDefinition changed.", {
+      previous: this._cardColorRulesDefinition,
+      next: normalized
+    });
+    this._cardColorRulesDefinition = normalized;
+    this.updateWarningMessage();
+    this.handleConfigChange();
+  }
+
+  /**
+   * Shows how long each card has sat in its column and adds the "Oldest first" sort.
+   *
+   * @returns {boolean} True when cards show aging badges.
+   */
+  @api
+  get showCardAging() {
+    return this._showCardAging;
+  }
+
+  /**
+   * Toggles the aging badges and reloads the board so the change dates are fetched.
+   *
+   * @param {boolean|string} value Truthy value shows aging badges.
+   */
+  set showCardAging(value) {
+    const normalized = normalizeBoolean(value);
+    if (normalized === this._showCardAging) {
+      return;
+    }
+    this._showCardAging = normalized;
+    this.logDebug("showCardAging changed.", { enabled: normalized });
+    this.updateWarningMessage();
+    this.handleConfigChange();
+  }
+
+  /**
+   * Adds a collapsible panel with a cumulative flow diagram, weekly throughput, and
+   * average cycle time for the cards on the board.
+   *
+   * @returns {boolean} True when the analytics panel is shown.
+   */
+  @api
+  get showAnalyticsPanel() {
+    return this._showAnalyticsPanel;
+  }
+
+  set showAnalyticsPanel(value) {
+    const normalized = normalizeBoolean(value);
+    if (normalized === this._showAnalyticsPanel) {
+      return;
+    }
+    this._showAnalyticsPanel = normalized;
+    this.logDebug("showAnalyticsPanel changed.", { enabled: normalized });
+  }
+
+  /**
+   * Day thresholds that change the aging badge color.
+   *
+   * @returns {string} Raw aging threshold definition string.
+   */
+  @api
+  get cardAgingThresholds() {
+    return this._cardAgingThresholds;
+  }
+
+  set cardAgingThresholds(value) {
+    const normalized =
+      value === undefined || value === null ? "" : String(value);
+    if (normalized === this._cardAgingThresholds) {
+      return;
+    }
+    this.logDebug("cardAgingThresholds changed.", {
+      previous: this._cardAgingThresholds,
+      next: normalized
+    });
+    this._cardAgingThresholds = normalized;
+    this.updateWarningMessage();
+    this.scheduleRebuildColumnsWithPicklist();
+  }
+
+  /**
+   * Indicates whether drops into a column at its WIP limit are refused.
+   *
+   * @returns {boolean} True when WIP limits block drops.
+   */
+  @api
+  get enforceWipLimits() {
+    return this._enforceWipLimits;
+  }
+
+  /**
+   * Toggles WIP limit enforcement for drag-and-drop.
+   *
+   * @param {boolean|string} value Truthy value blocks drops into full columns.
+   */
+  set enforceWipLimits(value) {
+    const normalized = normalizeBoolean(value);
+    if (normalized === this._enforceWipLimits) {
+      return;
+    }
+    this._enforceWipLimits = normalized;
+    this.logDebug("enforceWipLimits changed.", {
+      enabled: this._enforceWipLimits
+    });
+  }
+
+  /**
+   * API name of the Number field that stores each card's manual position.
+   *
+   * @returns {string|null} Field API name or `null` when manual ranking is off.
+   */
+  @api
+  get rankFieldApiName() {
+    return this._rankFieldApiName;
+  }
+
+  /**
+   * Updates the rank field, adding or removing the "Manual order" sort option.
+   *
+   * @param {string} value Field API name, optionally object-qualified.
+   */
+  set rankFieldApiName(value) {
+    const normalized = normalizeString(value);
+    if (normalized === this._rankFieldApiName) {
+      return;
+    }
+    this.logDebug("rankFieldApiName changed.", {
+      previous: this._rankFieldApiName,
+      next: normalized
+    });
+    this._rankFieldApiName = normalized;
+    this.handleConfigChange();
+  }
+
   /**
    * Comma-delimited list pairing fields to icon metadata.
    *
@@ -579,6 +1044,38 @@ export default class KanbanExplorer extends NavigationMixin(LightningElement) {
     this.handleConfigChange();
   }
 
+  /**
+   * Comma-delimited list of card fields users can edit directly on the card.
+   *
+   * @returns {string} Raw string input stored for later parsing.
+   */
+  @api
+  get inlineEditFieldApiNames() {
+    return this._inlineEditFieldApiNames;
+  }
+
+  /**
+   * Updates the inline-editable fields and rebuilds the cards so edit controls refresh.
+   *
+   * @param {string|string[]} value Field API names, optionally provided as an array.
+   */
+  set inlineEditFieldApiNames(value) {
+    const normalized = Array.isArray(value)
+      ? value.join(",")
+      : value === undefined || value === null
+        ? ""
+        : String(value);
+    if (normalized === this._inlineEditFieldApiNames) {
+      return;
+    }
+    this.logDebug("inlineEditFieldApiNames changed.", {
+      previous: this._inlineEditFieldApiNames,
+      next: normalized
+    });
+    this._inlineEditFieldApiNames = normalized;
+    this.scheduleRebuildColumnsWithPicklist();
+  }
+
   /**
    * Indicates whether card field labels should render alongside the values.
    *
@@ -699,6 +1196,26 @@ export default class KanbanExplorer extends NavigationMixin(LightningElement) {
     this.handleConfigChange();
   }
 
+  /**
+   * Runs searches in Apex with SOSL when the board has loaded only part of its records,
+   * and adds the matching records to the board.
+   *
+   * @returns {boolean} True when searches fall back to the server.
+   */
+  @api
+  get searchServerFallback() {
+    return this._searchServerFallback;
+  }
+
+  set searchServerFallback(value) {
+    const normalized = normalizeBoolean(value);
+    if (normalized === this._searchServerFallback) {
+      return;
+    }
+    this._searchServerFallback = normalized;
+    this.logDebug("searchServerFallback changed.", { enabled: normalized });
+  }
+
   // Filtering
 
   /**
@@ -932,6 +1449,27 @@ export default class KanbanExplorer extends NavigationMixin(LightningElement) {
     }
   }
 
+  /**
+   * Keeps the board in sync with changes made by other users through Change Data
+   * Capture. Change Data Capture must be enabled for the card object.
+   *
+   * @returns {boolean} True when the board listens for change events.
+   */
+  @api
+  get enableRealTimeUpdates() {
+    return this._enableRealTimeUpdates;
+  }
+
+  set enableRealTimeUpdates(value) {
+    const normalized = normalizeBoolean(value);
+    if (normalized === this._enableRealTimeUpdates) {
+      return;
+    }
+    this._enableRealTimeUpdates = normalized;
+    this.logDebug("enableRealTimeUpdates changed.", { enabled: normalized });
+    this.syncChangeEventSubscription();
+  }
+
   // Presentation and diagnostics
 
   /**
@@ -1006,9 +1544,32 @@ export default class KanbanExplorer extends NavigationMixin(LightningElement) {
    * @returns {Promise<boolean>} Resolves to `true` when Apex returns successfully, otherwise `false`.
    */
   async performCardRecordsRefresh() {
-    return performCardRecordsRefreshService(this, {
-      defaultCardTitleField: this.defaultDisplayField
+    // Lookup swimlane labels need the relationship name from object info, so boards
+    // with a swimlane field wait for it instead of fetching twice.
+    if (
+      this.swimlaneFieldSimpleName &&
+      !this.objectInfo &&
+      !this.objectInfoError
+    ) {
+      this.logDebug("Deferring records refresh until object info loads.");
+      this._refreshAfterObjectInfo = true;
+      return false;
+    }
+    const refreshed = await performCardRecordsRefreshService(this, {
+      defaultCardTitleField: this.defaultDisplayField,
+      blankKey: BLANK_KEY
     });
+    if (refreshed && syncAdvancedFilterModeService(this)) {
+      return this.performCardRecordsRefresh();
+    }
+    if (refreshed && this.searchValue && this.searchServerFallback) {
+      // A refresh replaces the records the server search added.
+      this.runServerSearch();
+    }
+    if (refreshed && this.isAnalyticsOpen) {
+      loadBoardAnalyticsService(this, { blankKey: BLANK_KEY });
+    }
+    return refreshed;
   }
 
   async refreshParentlessCardRecords(fieldList) {
@@ -1041,6 +1602,8 @@ export default class KanbanExplorer extends NavigationMixin(LightningElement) {
     });
     this.filtersDirty = true;
     this.relatedRecords = dataset;
+    this._cardRecordsLoaded = true;
+    pruneCardSelectionInteractions(this, dataset);
     this.buildFieldDataCache(dataset);
     const groupingField = this.groupingFieldQualified;
     const cardFields = this.cardFieldsQualified;
@@ -1052,6 +1615,8 @@ export default class KanbanExplorer extends NavigationMixin(LightningElement) {
       recordCount: this.relatedRecords.length,
       groupingField
     });
+    syncCardAgingService(this, dataset);
+    syncStageProbabilitiesService(this);
   }
 
   normalizeCardRecords(records) {
@@ -1083,6 +1648,10 @@ export default class KanbanExplorer extends NavigationMixin(LightningElement) {
     (this.summaryDefinitions || []).forEach((summary) =>
       addField(summary?.fieldApiName)
     );
+    if (this.isSwimlaneEnabled) {
+      addField(this.swimlaneFieldQualified);
+      addField(this.swimlaneLabelFieldQualified);
+    }
 
     const needsCurrency = (this.summaryDefinitions || []).some(
       (summary) => summary?.dataType === "currency"
@@ -1132,6 +1701,8 @@ export default class KanbanExplorer extends NavigationMixin(LightningElement) {
   connectedCallback() {
     this._isConnected = true;
     this._dataModeCache = null;
+    restoreColumnLayoutService(this);
+    restoreDefaultViewService(this);
     this.handleConfigChange();
   }
 
@@ -1144,12 +1715,20 @@ export default class KanbanExplorer extends NavigationMixin(LightningElement) {
     this.cancelScheduledUserRebuild();
     this.cancelScheduledSummaryRebuild();
     clearDebouncedSearchInteractions(this);
+    stopChangeEventsService(this);
+    cancelUrlStateSyncService(this);
+    exitPrintModeService(this);
   }
 
   handleConfigChange() {
     this.clearFieldDataCache("config change");
     this.refreshSummaryDefinitions();
     handleConfigChangeState(this);
+    this.syncChangeEventSubscription();
+  }
+
+  syncChangeEventSubscription() {
+    return syncChangeEventSubscriptionService(this);
   }
 
   clearParentSelectionRefreshDebounce() {
@@ -1236,16 +1815,44 @@ export default class KanbanExplorer extends NavigationMixin(LightningElement) {
       summaryContext,
       callbacks
     );
-    const columns = buildColumnsUtil(records || [], buildOptions);
+    const boardSummary = updateBoardSummariesService(
+      this,
+      records,
+      buildOptions,
+      { isDeferred: shouldDeferSummaries }
+    );
+    const allColumns = buildColumnsUtil(records || [], {
+      ...buildOptions,
+      boardSummaryTotals: boardSummary.totalsByKey
+    });
+    this.columnChooserOptions = allColumns.map((column) => ({
+      value: column.key,
+      label: column.label,
+      checked: !column.isHidden
+    }));
+    const wipLimits = this.wipLimitConfig.limits;
+    const columns = this.applyRecordTotals(
+      applyWipLimitsUtil(
+        allColumns.filter((column) => !column.isHidden),
+        wipLimits,
+        wipLimits.length
+          ? {
+              totals: this.recordTotals,
+              loadedByKey: this.getLoadedCountsByColumn()
+            }
+          : undefined
+      )
+    );
     if (shouldDeferSummaries) {
       this.summaryRuntimeWarnings = [];
       this.updateWarningMessage();
       this.scheduleSummaryRebuild(records, groupingField, resolvedCardFields);
       return this.applySummaryPlaceholders(columns);
     }
-    this.summaryRuntimeWarnings = columns.flatMap(
-      (column) => column.summaryWarnings || []
-    );
+    this.summaryRuntimeWarnings = [
+      ...columns.flatMap((column) => column.summaryWarnings || []),
+      ...boardSummary.warnings
+    ];
     this.updateWarningMessage();
     return columns;
   }
@@ -1283,6 +1890,7 @@ export default class KanbanExplorer extends NavigationMixin(LightningElement) {
     if (this.relatedRecords) {
       this.buildFilterDefinitions(this.relatedRecords);
     }
+    scheduleUrlStateSyncService(this);
     const groupingField = this.groupingFieldQualified;
     if (!groupingField) {
       this.logWarn("Cannot rebuild columns; grouping field failed to qualify.");
@@ -1325,12 +1933,86 @@ export default class KanbanExplorer extends NavigationMixin(LightningElement) {
     cancelScheduledSummaryRebuildUtil(this);
   }
 
-  shouldDeferSummaries(records) {
-    return (
-      Array.isArray(this.summaryDefinitions) &&
-      this.summaryDefinitions.length > 0 &&
-      Array.isArray(records) &&
-      records.length > 0
+  /**
+   * Applies the totals from the last aggregate query: columns with more records on the
+   * server get paging details and, while no board filters or search are active, the
+   * server's count and summaries in place of the loaded-record values.
+   *
+   * @param {Array<Object>} columns Column descriptors.
+   * @returns {Array<Object>} Columns with record totals applied.
+   */
+  applyRecordTotals(columns) {
+    if (!this.recordTotals) {
+      return this.applyColumnPagination(columns);
+    }
+    const loadedByKey = this.getLoadedCountsByColumn();
+    const hasBoardFilters = this.hasClientBoardFilters;
+    return this.applyColumnPagination(
+      applyServerAggregatesUtil(columns, {
+        totals: hasBoardFilters ? null : this.recordTotals,
+        loadedByKey,
+        summaryDefinitions: this.summaryDefinitions,
+        extractSimpleFieldName: (field) => this.extractSimpleFieldName(field),
+        getColumnWeight: createColumnWeightResolverService(this),
+        formatSummaryValue: (summary, value) =>
+          formatSummaryValueUtil(summary, value, {
+            currencyCode: CURRENCY,
+            useNarrowCurrencySymbol: true,
+            dateTimeFormat: this.effectiveDateTimeFormat,
+            patternTokenCache: this.patternTokenCache
+          })
+      }),
+      loadedByKey
+    );
+  }
+
+  applyColumnPagination(columns, loadedByKey) {
+    return applyColumnPaginationUtil(columns, {
+      totals: this.recordTotals,
+      loadedByKey:
+        loadedByKey ||
+        (this.recordTotals ? this.getLoadedCountsByColumn() : {}),
+      loadingColumnKey: this.loadingMoreColumnKey
+    });
+  }
+
+  getLoadedCountsByColumn() {
+    const groupingField = this.groupingFieldQualified;
+    return countLoadedByGroupUtil(
+      this.relatedRecords,
+      (record) => this.extractFieldData(record, groupingField)?.raw,
+      BLANK_KEY
+    );
+  }
+
+  refreshColumnPagination() {
+    if (!this.columns?.length) {
+      return;
+    }
+    this.columns = this.applyColumnPagination(this.columns);
+  }
+
+  /**
+   * Describes how many of the matching records are on the board, or `null` when every
+   * record is loaded.
+   *
+   * @returns {string|null} Text such as "Showing 200 of 3,412 records".
+   */
+  get recordTotalsLabel() {
+    const total = this.recordTotals?.total;
+    const loaded = this.relatedRecords?.length || 0;
+    if (!total || total <= loaded) {
+      return null;
+    }
+    return `${formatShowingLabelUtil(loaded, total)} records`;
+  }
+
+  shouldDeferSummaries(records) {
+    return (
+      Array.isArray(this.summaryDefinitions) &&
+      this.summaryDefinitions.length > 0 &&
+      Array.isArray(records) &&
+      records.length > 0
     );
   }
 
@@ -1341,11 +2023,8 @@ export default class KanbanExplorer extends NavigationMixin(LightningElement) {
     if (!definitions.length) {
       return columns;
     }
-    return (columns || []).map((column) => {
-      if (!column || typeof column !== "object") {
-        return column;
-      }
-      const hasRecords = Boolean(column.count);
+    const applyPlaceholders = (group) => {
+      const hasRecords = Boolean(group.count);
       const summaries = definitions.map((summary) => ({
         key: [
           summary?.fieldApiName || "",
@@ -1357,10 +2036,20 @@ export default class KanbanExplorer extends NavigationMixin(LightningElement) {
         isLoading: hasRecords
       }));
       return {
-        ...column,
+        ...group,
         summaries,
         summaryWarnings: []
       };
+    };
+    return (columns || []).map((column) => {
+      if (!column || typeof column !== "object") {
+        return column;
+      }
+      const nextColumn = applyPlaceholders(column);
+      if (Array.isArray(column.swimlanes)) {
+        nextColumn.swimlanes = column.swimlanes.map(applyPlaceholders);
+      }
+      return nextColumn;
     });
   }
 
@@ -1380,7 +2069,8 @@ export default class KanbanExplorer extends NavigationMixin(LightningElement) {
   @api
   refreshSummaryDefinitions() {
     const { summaries, warnings } = parseSummaryDefinitions(
-      this.columnSummariesDefinition
+      this.columnSummariesDefinition,
+      { maxSummaries: this.maxColumnSummaries }
     );
 
     if (!this.objectInfo) {
@@ -1405,6 +2095,10 @@ export default class KanbanExplorer extends NavigationMixin(LightningElement) {
     ]);
     const dateTypes = new Set(["date", "datetime"]);
     const booleanTypes = new Set(["boolean"]);
+    // Compound and binary fields have no single value to count; long text rarely repeats,
+    // so distinct counts skip it as well.
+    const uncountableTypes = new Set(["address", "location", "base64"]);
+    const indistinctTypes = new Set([...uncountableTypes, "textarea"]);
 
     summaries.forEach((summary) => {
       const qualifiedField = this.qualifyFieldName(summary.fieldApiName);
@@ -1430,16 +2124,28 @@ export default class KanbanExplorer extends NavigationMixin(LightningElement) {
       }
       const normalizedType = dataType.toLowerCase();
       const summaryType = summary.summaryType;
-      const isNumericSummary = summaryType === "SUM" || summaryType === "AVG";
+      const isNumericSummary = [
+        "SUM",
+        "AVG",
+        "MEDIAN",
+        "PERCENT_OF_TOTAL",
+        "WEIGHTED_SUM"
+      ].includes(summaryType);
       const isMinMaxSummary = summaryType === "MIN" || summaryType === "MAX";
-      const isCountSummary =
-        summaryType === "COUNT_TRUE" || summaryType === "COUNT_FALSE";
+      const isBooleanSummary = [
+        "COUNT_TRUE",
+        "COUNT_FALSE",
+        "PERCENT_TRUE"
+      ].includes(summaryType);
       if (
         (isNumericSummary && !numericTypes.has(normalizedType)) ||
         (isMinMaxSummary &&
           !numericTypes.has(normalizedType) &&
           !dateTypes.has(normalizedType)) ||
-        (isCountSummary && !booleanTypes.has(normalizedType))
+        (isBooleanSummary && !booleanTypes.has(normalizedType)) ||
+        (summaryType === "COUNT" && uncountableTypes.has(normalizedType)) ||
+        (summaryType === "COUNT_DISTINCT" &&
+          indistinctTypes.has(normalizedType))
       ) {
         validationWarnings.push(
           `Summary field "${summary.fieldApiName}" is not valid for ${summaryType}.`
@@ -1463,7 +2169,13 @@ export default class KanbanExplorer extends NavigationMixin(LightningElement) {
   updateWarningMessage() {
     const warnings = [
       ...(this.summaryWarnings || []),
-      ...(this.summaryRuntimeWarnings || [])
+      ...(this.summaryRuntimeWarnings || []),
+      ...this.swimlaneWarnings,
+      ...this.rankWarnings,
+      ...this.wipLimitConfig.warnings,
+      ...getCardColorRuleConfigService(this).warnings,
+      ...getAgingThresholdConfigService(this).warnings,
+      ...getColumnWeightConfigService(this).warnings
     ].filter(Boolean);
     const uniqueWarnings = Array.from(new Set(warnings));
     this.warningMessage = uniqueWarnings.length
@@ -1471,6 +2183,11 @@ export default class KanbanExplorer extends NavigationMixin(LightningElement) {
       : undefined;
   }
 
+  @wire(CurrentPageReference)
+  wiredPageReference(pageReference) {
+    handlePageReferenceService(this, pageReference);
+  }
+
   @wire(getObjectInfo, { objectApiName: "$cardObjectApiName" })
   wiredObjectInfo({ error, data }) {
     if (data) {
@@ -1485,11 +2202,25 @@ export default class KanbanExplorer extends NavigationMixin(LightningElement) {
       this.buildFieldDataCache(this.relatedRecords || []);
       this.filtersDirty = true;
       this.rebuildColumnsWithPicklist();
+      this.runDeferredRefresh();
     } else if (error) {
       this.objectInfo = undefined;
       this.objectInfoError = error;
       this.refreshSummaryDefinitions();
       this.logError("Failed to load object info.", error);
+      this.runDeferredRefresh();
+    }
+  }
+
+  runDeferredRefresh() {
+    if (!this._refreshAfterObjectInfo) {
+      return;
+    }
+    this._refreshAfterObjectInfo = false;
+    if (this.hasRequiredConfig) {
+      this.performCardRecordsRefresh().catch(() => {
+        // Errors are surfaced by performCardRecordsRefresh.
+      });
     }
   }
 
@@ -1562,6 +2293,34 @@ export default class KanbanExplorer extends NavigationMixin(LightningElement) {
     return fields.filter(Boolean);
   }
 
+  get inlineEditFieldsQualified() {
+    return this.uniqueFieldList(
+      this.parseFieldList(this.inlineEditFieldApiNames)
+    ).filter(Boolean);
+  }
+
+  /**
+   * Builds the inline editor for a card field when it is configured for inline editing,
+   * lives directly on the card object, and is updateable for the running user.
+   *
+   * @param {Object} record Card record.
+   * @param {string} field Qualified card field.
+   * @returns {Object|null} Editor descriptor or `null` when the field is read-only.
+   */
+  getInlineEditor(record, field) {
+    if (!this.inlineEditFieldsQualified.includes(field)) {
+      return null;
+    }
+    const fieldApiName = this.extractSimpleFieldName(field);
+    if (this.stripObjectPrefix(field) !== fieldApiName) {
+      return null;
+    }
+    return buildInlineEditorUtil(fieldApiName, this.getFieldMetadata(field), {
+      rawValue: this.extractFieldData(record, field).raw,
+      picklistValues: this.getUiPicklistValues(field) || []
+    });
+  }
+
   get sortFieldsQualified() {
     return this.uniqueFieldList(
       this.parseFieldList(this.sortFieldApiNames)
@@ -1574,7 +2333,7 @@ export default class KanbanExplorer extends NavigationMixin(LightningElement) {
     ).filter(Boolean);
   }
 
-  get availableSortFields() {
+  get baseSortFields() {
     const configured = this.sortFieldsQualified;
     if (configured.length) {
       return configured;
@@ -1587,6 +2346,19 @@ export default class KanbanExplorer extends NavigationMixin(LightningElement) {
     return fallback ? [fallback] : [];
   }
 
+  get availableSortFields() {
+    const fields = this.baseSortFields;
+    const rankField = this.isManualRankEnabled ? this.rankFieldQualified : null;
+    const extraFields = [];
+    if (rankField && !fields.includes(rankField)) {
+      extraFields.push(rankField);
+    }
+    if (isAgingSortAvailableService(this)) {
+      extraFields.push(AGING_SORT_FIELD);
+    }
+    return extraFields.length ? [...fields, ...extraFields] : fields;
+  }
+
   get groupingFieldQualified() {
     return this.qualifyFieldName(this.groupingFieldApiName);
   }
@@ -1595,10 +2367,26 @@ export default class KanbanExplorer extends NavigationMixin(LightningElement) {
     return this.extractSimpleFieldName(this.groupingFieldApiName);
   }
 
+  get swimlaneFieldQualified() {
+    return this.qualifyFieldName(this.swimlaneFieldApiName);
+  }
+
+  get swimlaneFieldSimpleName() {
+    return this.extractSimpleFieldName(this.swimlaneFieldApiName);
+  }
+
+  get rankFieldQualified() {
+    return this.qualifyFieldName(this.rankFieldApiName);
+  }
+
+  get rankFieldSimpleName() {
+    return this.extractSimpleFieldName(this.rankFieldApiName);
+  }
+
   get sortFieldQualified() {
     const field = this.selectedSortField;
     if (field) {
-      if (field.includes(".")) {
+      if (field.includes(".") || field === AGING_SORT_FIELD) {
         return field;
       }
       return this.qualifyFieldName(field);
@@ -1608,8 +2396,13 @@ export default class KanbanExplorer extends NavigationMixin(LightningElement) {
 
   get sortFieldOptions() {
     const selected = this.selectedSortField;
+    const rankField = this.isManualRankEnabled ? this.rankFieldQualified : null;
+    const specialLabels = { [AGING_SORT_FIELD]: "Oldest first" };
+    if (rankField) {
+      specialLabels[rankField] = "Manual order";
+    }
     return this.availableSortFields.map((field) => ({
-      label: this.getFieldLabel(field),
+      label: specialLabels[field] || this.getFieldLabel(field),
       value: field,
       selected: field === selected
     }));
@@ -1698,14 +2491,113 @@ export default class KanbanExplorer extends NavigationMixin(LightningElement) {
   }
 
   get clearFiltersDisabled() {
+    return !this.hasClientBoardFilters && !this.advancedFilter;
+  }
+
+  /**
+   * Indicates whether filters or search narrow the loaded records in the browser, which
+   * makes server totals inaccurate. An advanced filter only counts while it runs in the
+   * browser; on the server it is already part of the totals query.
+   *
+   * @returns {boolean}
+   */
+  get hasClientBoardFilters() {
     const hasFilterSelection = this.filterDefinitions.some(
       (def) => def.selectedValues?.length
     );
-    return !hasFilterSelection && !this.searchValue;
+    return (
+      hasFilterSelection ||
+      this.quickFilters.length > 0 ||
+      Boolean(this.searchValue) ||
+      Boolean(this.advancedFilter && !this._advancedFilterServerClause)
+    );
+  }
+
+  get effectiveCardWhereClause() {
+    return resolveEffectiveWhereClauseService(this);
+  }
+
+  get advancedFilterAvailable() {
+    return getAdvancedFilterFieldsService(this).length > 0;
+  }
+
+  get advancedFilterCount() {
+    return getAdvancedFilterCountService(this);
+  }
+
+  get quickFilterOptions() {
+    return getQuickFilterOptionsService(this);
+  }
+
+  get exportAvailable() {
+    return (this.columns?.length || 0) > 0;
+  }
+
+  get cardColorLegend() {
+    return getCardColorLegendService(this);
+  }
+
+  get printAvailable() {
+    return (this.columns?.length || 0) > 0;
+  }
+
+  get printHeader() {
+    return getPrintHeaderService(this);
+  }
+
+  get analyticsAvailable() {
+    return this.showAnalyticsPanel && (this.columns?.length || 0) > 0;
+  }
+
+  get analyticsRangeOptions() {
+    return ANALYTICS_RANGE_OPTIONS.map((days) => ({
+      days,
+      label: `Last ${days} days`,
+      selected: days === this.analyticsRangeDays
+    }));
+  }
+
+  get analyticsGroupingFieldLabel() {
+    return this.getFieldLabel(this.groupingFieldQualified);
+  }
+
+  // The toolbar and parent selector stay rendered in print mode so their state is kept.
+  get boardSummaryBarAvailable() {
+    return this.showBoardSummaries && this.boardSummaries.length > 0;
+  }
+
+  get printHiddenClass() {
+    return this.isPrintMode ? "kanban-print-hidden" : "";
   }
 
   get actionsAvailable() {
-    return this.filtersAvailable || (this.sortFieldOptions?.length || 0) > 0;
+    return (
+      this.filtersAvailable ||
+      this.quickFilterOptions.length > 0 ||
+      this.advancedFilterAvailable ||
+      (this.sortFieldOptions?.length || 0) > 0 ||
+      this.selectedCount > 0 ||
+      this.exportAvailable ||
+      this.printAvailable ||
+      this.columnChooserOptions.length > 0 ||
+      this.cardColorLegend.length > 0
+    );
+  }
+
+  get selectedCount() {
+    return this.selectedRecordIds?.length || 0;
+  }
+
+  get bulkMoveOptions() {
+    return (this.columns || []).map((column) => ({
+      label: column.label,
+      value: column.key
+    }));
+  }
+
+  get bulkOwnerChangeAvailable() {
+    const ownerField = this.extractSimpleFieldName(this.ownerFieldName);
+    return Boolean(ownerField && this.objectInfo?.fields?.[ownerField]);
   }
 
   get refreshButtonDisabled() {
@@ -1731,6 +2623,9 @@ export default class KanbanExplorer extends NavigationMixin(LightningElement) {
       ].forEach((field) => dependencies.add(field));
     }
     this.searchFieldsQualified.forEach((field) => dependencies.add(field));
+    getQuickFilterFieldsService(this).forEach((field) =>
+      dependencies.add(field)
+    );
     return Array.from(dependencies).filter(Boolean);
   }
 
@@ -1814,6 +2709,148 @@ export default class KanbanExplorer extends NavigationMixin(LightningElement) {
     return SUPPORTED_GROUPING_FIELD_TYPES.has(dataType.toLowerCase());
   }
 
+  get swimlaneFieldMetadata() {
+    const fieldName = this.swimlaneFieldSimpleName;
+    if (!fieldName) {
+      return null;
+    }
+    return this.objectInfo?.fields?.[fieldName] || null;
+  }
+
+  /**
+   * Indicates whether swimlanes should be built. Until object info loads the configured
+   * field is trusted; afterwards it must exist and use a supported data type.
+   *
+   * @returns {boolean} True when cards should be split into swimlane rows.
+   */
+  get isSwimlaneEnabled() {
+    if (!this.swimlaneFieldSimpleName) {
+      return false;
+    }
+    if (!this.objectInfo) {
+      return true;
+    }
+    const metadata = this.swimlaneFieldMetadata;
+    if (!metadata) {
+      return false;
+    }
+    const dataType = normalizeString(metadata.dataType || metadata.type);
+    return (
+      !dataType || SUPPORTED_SWIMLANE_FIELD_TYPES.has(dataType.toLowerCase())
+    );
+  }
+
+  /**
+   * Field used to label swimlanes. Reference fields resolve to the related record name
+   * so rows show a readable label instead of an Id.
+   *
+   * @returns {string|null} Qualified label field or `null` to use the swimlane value.
+   */
+  get swimlaneLabelFieldQualified() {
+    const metadata = this.swimlaneFieldMetadata;
+    const dataType = normalizeString(metadata?.dataType || metadata?.type);
+    if (
+      !this.isSwimlaneEnabled ||
+      !metadata?.relationshipName ||
+      dataType?.toLowerCase() !== "reference"
+    ) {
+      return null;
+    }
+    return this.qualifyFieldName(`${metadata.relationshipName}.Name`);
+  }
+
+  get swimlaneWarnings() {
+    const fieldName = this.swimlaneFieldSimpleName;
+    if (!fieldName || !this.objectInfo || this.isSwimlaneEnabled) {
+      return [];
+    }
+    const fieldLabel = formatApiName(this.swimlaneFieldApiName) || fieldName;
+    if (!this.swimlaneFieldMetadata) {
+      return [
+        `Swimlane field "${fieldLabel}" does not exist. Swimlanes are hidden.`
+      ];
+    }
+    return [
+      `Swimlane field "${fieldLabel}" must be a Picklist, String, or Lookup field. Swimlanes are hidden.`
+    ];
+  }
+
+  get rankFieldMetadata() {
+    const fieldName = this.rankFieldSimpleName;
+    if (!fieldName) {
+      return null;
+    }
+    return this.objectInfo?.fields?.[fieldName] || null;
+  }
+
+  /**
+   * Indicates whether cards can be ranked manually. Like swimlanes, the configured field
+   * is trusted until object info loads and must then be an existing Number field.
+   *
+   * @returns {boolean} True when the rank field can be sorted on and written.
+   */
+  get isManualRankEnabled() {
+    if (!this.rankFieldSimpleName) {
+      return false;
+    }
+    if (!this.objectInfo) {
+      return true;
+    }
+    const dataType = normalizeString(
+      this.rankFieldMetadata?.dataType || this.rankFieldMetadata?.type
+    );
+    return SUPPORTED_RANK_FIELD_TYPES.has(dataType?.toLowerCase());
+  }
+
+  /**
+   * Indicates whether the board is currently sorted by the rank field, which is when
+   * drops write a new rank for the moved card.
+   *
+   * @returns {boolean} True when "Manual order" is the active sort.
+   */
+  get isManualOrderActive() {
+    return (
+      this.isManualRankEnabled &&
+      this.sortFieldQualified === this.rankFieldQualified
+    );
+  }
+
+  get isQuickCreateEnabled() {
+    return isQuickCreateAvailableService(this);
+  }
+
+  get rankWarnings() {
+    const fieldName = this.rankFieldSimpleName;
+    if (!fieldName || !this.objectInfo || this.isManualRankEnabled) {
+      return [];
+    }
+    const fieldLabel = formatApiName(this.rankFieldApiName) || fieldName;
+    if (!this.rankFieldMetadata) {
+      return [
+        `Rank field "${fieldLabel}" does not exist. Manual ordering is unavailable.`
+      ];
+    }
+    return [
+      `Rank field "${fieldLabel}" must be a Number field. Manual ordering is unavailable.`
+    ];
+  }
+
+  get wipLimitConfig() {
+    return parseWipLimitDefinitions(this.columnWipLimitsDefinition);
+  }
+
+  /**
+   * Swimlane rows derived from the current columns, or an empty list when swimlanes are off.
+   *
+   * @returns {Array<Object>} Rows containing one cell per column.
+   */
+  get swimlanes() {
+    if (!this.isSwimlaneEnabled) {
+      return [];
+    }
+    return buildSwimlaneRowsUtil(this.columns);
+  }
+
   get isGroupingFieldOptional() {
     const metadata = this.groupingFieldMetadata;
     if (!metadata) {
@@ -1908,6 +2945,18 @@ export default class KanbanExplorer extends NavigationMixin(LightningElement) {
         fields.add(field);
       }
     });
+    if (this.isSwimlaneEnabled) {
+      [this.swimlaneFieldQualified, this.swimlaneLabelFieldQualified].forEach(
+        (field) => {
+          if (field) {
+            fields.add(field);
+          }
+        }
+      );
+    }
+    getCardColorRuleFieldsService(this).forEach((field) => {
+      fields.add(field);
+    });
     (this.summaryDefinitions || []).forEach((summary) => {
       if (summary?.fieldApiName) {
         fields.add(summary.fieldApiName);
@@ -1985,10 +3034,55 @@ export default class KanbanExplorer extends NavigationMixin(LightningElement) {
     return isRecordIncludedInteractions(this, record);
   }
 
+  recordMatchesAdvancedFilter(record) {
+    return recordMatchesAdvancedFilterService(this, record);
+  }
+
+  applyAdvancedFilter(filter) {
+    return applyAdvancedFilterService(this, filter);
+  }
+
+  recordMatchesQuickFilters(record) {
+    return recordMatchesQuickFiltersService(this, record);
+  }
+
+  handleQuickFilterToggle(event) {
+    return handleQuickFilterToggleService(this, event);
+  }
+
+  handleBoardExport(event) {
+    return handleBoardExportService(this, event);
+  }
+
+  handleBoardPrint(event) {
+    return startPrintModeService(this, event);
+  }
+
+  handlePrintExit() {
+    return exitPrintModeService(this);
+  }
+
+  handleAnalyticsToggle(event) {
+    return toggleAnalyticsPanelService(this, event, { blankKey: BLANK_KEY });
+  }
+
+  handleAnalyticsRangeChange(event) {
+    return changeAnalyticsRangeService(this, event, { blankKey: BLANK_KEY });
+  }
+
+  handleAdvancedFilterOpen(event) {
+    event?.stopPropagation?.();
+    return openAdvancedFilterBuilderService(this);
+  }
+
   recordMatchesSearch(record) {
     return recordMatchesSearchInteractions(this, record);
   }
 
+  runServerSearch() {
+    return runServerSearchService(this);
+  }
+
   handleSortDirectionToggle() {
     return handleSortDirectionToggleInteractions(this);
   }
@@ -2013,6 +3107,10 @@ export default class KanbanExplorer extends NavigationMixin(LightningElement) {
     return handleFilterOptionToggleInteractions(this, event);
   }
 
+  handleFilterRangeChange(event) {
+    return handleFilterRangeChangeInteractions(this, event);
+  }
+
   closeFilterMenus(skipUnregister = false) {
     return closeFilterMenusInteractions(this, skipUnregister);
   }
@@ -2073,6 +3171,74 @@ export default class KanbanExplorer extends NavigationMixin(LightningElement) {
     return handleTitleClickInteractions(this, event);
   }
 
+  handleCardSelect(event) {
+    return handleCardSelectInteractions(this, event);
+  }
+
+  handleViewAction(event) {
+    event?.stopPropagation?.();
+    return handleViewActionService(this, event?.detail);
+  }
+
+  handleColumnLayoutAction(event) {
+    event?.stopPropagation?.();
+    return handleColumnLayoutActionService(this, event?.detail);
+  }
+
+  handleColumnCollapseToggle(event) {
+    event?.stopPropagation?.();
+    return toggleColumnCollapsedService(this, event?.detail?.columnKey);
+  }
+
+  handleColumnReorder(event) {
+    event?.stopPropagation?.();
+    return moveColumnService(this, event?.detail);
+  }
+
+  handleSelectionClear(event) {
+    event?.stopPropagation?.();
+    return clearCardSelectionInteractions(this);
+  }
+
+  async handleBulkMove(event) {
+    event?.stopPropagation?.();
+    return bulkUpdateRecordGroupingInteractions(this, {
+      recordIds: [...this.selectedRecordIds],
+      targetColumnKey: event?.detail?.targetColumnKey,
+      blankKey: BLANK_KEY
+    });
+  }
+
+  async handleBulkOwnerChange(event) {
+    event?.stopPropagation?.();
+    return bulkUpdateRecordOwnerInteractions(this, {
+      recordIds: [...this.selectedRecordIds],
+      ownerId: event?.detail?.ownerId
+    });
+  }
+
+  async handleCardFieldEdit(event) {
+    event?.stopPropagation?.();
+    return updateCardFieldInteractions(this, event?.detail || {});
+  }
+
+  async handleColumnLoadMore(event) {
+    event?.stopPropagation?.();
+    const columnKey = event?.detail?.columnKey;
+    if (!columnKey || this.loadingMoreColumnKey) {
+      return 0;
+    }
+    return loadMoreColumnRecordsService(this, columnKey, {
+      defaultCardTitleField: this.defaultDisplayField,
+      blankKey: BLANK_KEY
+    });
+  }
+
+  async handleColumnCreate(event) {
+    event?.stopPropagation?.();
+    return this.openCreateModal(event?.detail || {});
+  }
+
   handleExternalOpen(event) {
     return handleExternalOpenInteractions(this, event);
   }
@@ -2105,6 +3271,9 @@ export default class KanbanExplorer extends NavigationMixin(LightningElement) {
         recordId,
         objectApiName: this.cardObjectApiName,
         headerFieldApiName,
+        subscribeToChanges: this.enableRealTimeUpdates
+          ? (id, callback) => addRecordChangeListenerService(this, id, callback)
+          : null,
         debugLogging: this._debugLoggingEnabled
       });
       if (result?.saved) {
@@ -2123,6 +3292,77 @@ export default class KanbanExplorer extends NavigationMixin(LightningElement) {
     }
   }
 
+  /**
+   * Opens the record modal in create mode for a column, with the column's grouping value
+   * (and swimlane and parent lookup, when relevant) pre-set. A saved record is added to
+   * the board in place; the full dataset is reloaded only if that lookup fails.
+   *
+   * @param {Object} target Column the record is created in.
+   * @param {string} target.columnKey Column key.
+   * @param {string} [target.swimlaneKey] Swimlane key, when swimlanes are enabled.
+   * @returns {Promise<void>}
+   */
+  async openCreateModal(target) {
+    if (!target?.columnKey || !this.isQuickCreateEnabled) {
+      return;
+    }
+    if (this._modalOpen) {
+      this.logDebug("Modal already open; ignoring create request.", target);
+      return;
+    }
+    this._modalOpen = true;
+    let createdRecordId = null;
+    try {
+      const parentFieldApiName =
+        await resolveQuickCreateParentFieldService(this);
+      const defaultFieldValues = buildQuickCreateDefaultsService(this, target, {
+        blankKey: BLANK_KEY,
+        parentFieldApiName
+      });
+      if (!defaultFieldValues) {
+        return;
+      }
+      this.logDebug("Opening create modal.", {
+        cardObjectApiName: this.cardObjectApiName,
+        defaultFieldValues
+      });
+      const result = await KanbanRecordModal.open({
+        size: "small",
+        objectApiName: this.cardObjectApiName,
+        objectLabel: this.objectInfo?.label,
+        createFieldApiNames: buildQuickCreateFieldListService(
+          this,
+          defaultFieldValues
+        ),
+        defaultFieldValues,
+        debugLogging: this._debugLoggingEnabled
+      });
+      createdRecordId = result?.saved ? result.recordId : null;
+      if (!createdRecordId) {
+        this.logDebug("Create modal closed without save.");
+        return;
+      }
+      const inserted = await insertCreatedRecordService(this, createdRecordId);
+      if (!inserted) {
+        this.showToast({
+          title: "Record created",
+          message:
+            "The new record does not match this board's filters, so it is not shown.",
+          variant: "info"
+        });
+      }
+    } catch (error) {
+      this.logError("Quick create failed.", error);
+      if (createdRecordId) {
+        await this.refresh();
+      } else {
+        this.showErrorToast(error, { title: "Unable to create record" });
+      }
+    } finally {
+      this._modalOpen = false;
+    }
+  }
+
   focusElementNextTick(selector) {
     return focusElementNextTickInteractions(this, selector);
   }
@@ -2135,13 +3375,25 @@ export default class KanbanExplorer extends NavigationMixin(LightningElement) {
    * @param {string} recordId Salesforce id of the card being moved.
    * @param {string} sourceColumnKey Identifier for the original column.
    * @param {string} targetColumnKey Identifier for the destination column.
+   * @param {string} [sourceSwimlaneKey] Identifier for the original swimlane, when enabled.
+   * @param {string} [targetSwimlaneKey] Identifier for the destination swimlane, when enabled.
    * @returns {Promise<void>} Resolves once the update (and optional refresh) completes.
    */
-  async updateRecordGrouping(recordId, sourceColumnKey, targetColumnKey) {
+  async updateRecordGrouping(
+    recordId,
+    sourceColumnKey,
+    targetColumnKey,
+    sourceSwimlaneKey,
+    targetSwimlaneKey,
+    beforeRecordId
+  ) {
     return updateRecordGroupingInteractions(this, {
       recordId,
       sourceColumnKey,
       targetColumnKey,
+      sourceSwimlaneKey,
+      targetSwimlaneKey,
+      beforeRecordId,
       blankKey: BLANK_KEY
     });
   }
@@ -2243,7 +3495,14 @@ export default class KanbanExplorer extends NavigationMixin(LightningElement) {
       summaryDefinitions: this.summaryDefinitions,
       shouldDisplayParentReferenceOnCards:
         this.shouldDisplayParentReferenceOnCards,
-      parentBadgeLabel: this.parentBadgeLabel
+      parentBadgeLabel: this.parentBadgeLabel,
+      swimlaneField: this.isSwimlaneEnabled
+        ? this.swimlaneFieldQualified
+        : null,
+      swimlaneLabelField: this.swimlaneLabelFieldQualified,
+      swimlaneMetadata: this.getSwimlaneMetadata(),
+      blankSwimlaneLabel: this.blankGroupLabel,
+      columnLayout: this.columnLayout
     };
   }
 
@@ -2258,6 +3517,13 @@ export default class KanbanExplorer extends NavigationMixin(LightningElement) {
       getFieldLabel: (field) => this.getFieldLabel(field),
       parseIconEntry: (value) => this.parseIconEntry(value),
       getRecordParentLabel: (record) => this.getRecordParentLabel(record),
+      getInlineEditor: (record, field) => this.getInlineEditor(record, field),
+      getHighlightParts: (field, value) =>
+        getSearchHighlightPartsService(this, field, value),
+      getCardColor: createCardColorResolverService(this),
+      getCardAging: createCardAgingResolverService(this),
+      getComputedSortValue: createAgingSortValueResolverService(this),
+      getColumnWeight: createColumnWeightResolverService(this),
       sanitizeFieldOutput: (value) => sanitizeFieldOutput(value),
       getFieldMetadata: (field) => this.getFieldMetadata(field),
       getUiPicklistValues: (field) => this.getUiPicklistValues(field),
@@ -2302,6 +3568,10 @@ export default class KanbanExplorer extends NavigationMixin(LightningElement) {
     return getMetadataColumnsField(this);
   }
 
+  getSwimlaneMetadata() {
+    return getPicklistMetadataValuesField(this, this.swimlaneFieldSimpleName);
+  }
+
   getFieldLabel(field) {
     return getFieldLabelField(this, field);
   }
@@ -0,0 +1,110 @@
+// The Apex controllers cap a single fetch at 1,000 rows and SOQL rejects OFFSET values
+// above 2,000, so a column can page until 2,000 of its records are loaded.
+export const MAX_PAGE_SIZE = 1000;
+export const MAX_COLUMN_OFFSET = 2000;
+
+const numberFormatter = new Intl.NumberFormat();
+
+function resolveGroupKey(value, blankKey) {
+  return value !== null && value !== undefined && value !== ""
+    ? String(value)
+    : blankKey;
+}
+
+/**
+ * Returns whether a fetch filled its page, meaning more records may exist on the server.
+ *
+ * @param {Array<Object>} records Records returned by the fetch.
+ * @param {number} limitSize Requested page size.
+ * @returns {boolean}
+ */
+export function isPageFull(records, limitSize) {
+  const pageSize = Math.min(limitSize || 0, MAX_PAGE_SIZE);
+  return Array.isArray(records) && pageSize > 0 && records.length >= pageSize;
+}
+
+/**
+ * Converts the per-value aggregates returned by `aggregateCardRecords` into totals keyed
+ * by column key.
+ *
+ * @param {Array<{value: string, count: number, summaries: Object}>} groupAggregates
+ *   Apex group aggregates.
+ * @param {string} blankKey Key of the blank column.
+ * @returns {{byKey: Object<string, number>, summariesByKey: Object<string, Object>, total: number}}
+ */
+export function buildGroupTotals(groupAggregates, blankKey) {
+  const byKey = {};
+  const summariesByKey = {};
+  let total = 0;
+  (Array.isArray(groupAggregates) ? groupAggregates : []).forEach((entry) => {
+    const count = Number(entry?.count) || 0;
+    const key = resolveGroupKey(entry?.value, blankKey);
+    byKey[key] = (byKey[key] || 0) + count;
+    summariesByKey[key] = entry?.summaries || {};
+    total += count;
+  });
+  return { byKey, summariesByKey, total };
+}
+
+/**
+ * Counts loaded records per column key.
+ *
+ * @param {Array<Object>} records Loaded records.
+ * @param {Function} getGroupValue Returns a record's raw grouping value.
+ * @param {string} blankKey Key of the blank column.
+ * @returns {Object<string, number>}
+ */
+export function countLoadedByGroup(records, getGroupValue, blankKey) {
+  const counts = {};
+  (Array.isArray(records) ? records : []).forEach((record) => {
+    const key = resolveGroupKey(getGroupValue(record), blankKey);
+    counts[key] = (counts[key] || 0) + 1;
+  });
+  return counts;
+}
+
+/**
+ * Builds the "Showing 200 of 3,412" text used by columns and the board.
+ *
+ * @param {number} loaded Records loaded on the board.
+ * @param {number} total Records on the server.
+ * @returns {string}
+ */
+export function formatShowingLabel(loaded, total) {
+  return `Showing ${numberFormatter.format(loaded)} of ${numberFormatter.format(total)}`;
+}
+
+/**
+ * Adds `pagination` details to columns that have more records on the server than are
+ * loaded, and clears them from columns that are complete.
+ *
+ * @param {Array<Object>} columns Column descriptors.
+ * @param {Object} context Paging state.
+ * @param {Object|null} context.totals Totals from `buildGroupTotals`, or `null` when the
+ *   board holds every record.
+ * @param {Object<string, number>} context.loadedByKey Loaded counts per column key.
+ * @param {string|null} context.loadingColumnKey Column currently loading its next page.
+ * @returns {Array<Object>} Columns with pagination applied.
+ */
+export function applyColumnPagination(
+  columns,
+  { totals, loadedByKey = {}, loadingColumnKey = null }
+) {
+  return (columns || []).map((column) => {
+    const loaded = loadedByKey[column.key] || 0;
+    const total = totals?.byKey?.[column.key] ?? 0;
+    if (!totals || total <= loaded) {
+      return column.pagination ? { ...column, pagination: null } : column;
+    }
+    return {
+      ...column,
+      pagination: {
+        loaded,
+        total,
+        label: formatShowingLabel(loaded, total),
+        isLoading: column.key === loadingColumnKey,
+        canLoadMore: loaded <= MAX_COLUMN_OFFSET
+      }
+    };
+  });
+}
@@ -0,0 +1,149 @@
+import { formatValueWithPattern } from "c/lresDateTimeUtils";
+
+// Gives the board time to render every card before the print dialog opens.
+const PRINT_RENDER_DELAY_MS = 300;
+
+function describeRangeFilter(definition) {
+  const preset = (definition.presetOptions || []).find(
+    (option) => option.selected
+  );
+  if (preset) {
+    return preset.label;
+  }
+  const bounds = [];
+  if (definition.rangeMin) {
+    bounds.push(`${definition.minLabel} ${definition.rangeMin}`);
+  }
+  if (definition.rangeMax) {
+    bounds.push(`${definition.maxLabel} ${definition.rangeMax}`);
+  }
+  return bounds.join(", ");
+}
+
+function describeValueFilter(definition) {
+  const selected = new Set(definition.selectedValues || []);
+  return (definition.options || [])
+    .filter((option) => selected.has(option.value))
+    .map((option) => option.label)
+    .join(", ");
+}
+
+/**
+ * Describes the filters, search, and sort that shape the board, one line each, for the
+ * print header.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @returns {Array<string>} Lines such as "Status: Open, Escalated".
+ */
+export function describeActiveFilters(component) {
+  const lines = [];
+  (component.filterDefinitions || []).forEach((definition) => {
+    if (!definition.selectedValues?.length) {
+      return;
+    }
+    const text = definition.isRange
+      ? describeRangeFilter(definition)
+      : describeValueFilter(definition);
+    if (text) {
+      lines.push(`${definition.label}: ${text}`);
+    }
+  });
+  const quickFilters = (component.quickFilterOptions || [])
+    .filter((option) => option.selected)
+    .map((option) => option.label);
+  if (quickFilters.length) {
+    lines.push(`Quick filters: ${quickFilters.join(", ")}`);
+  }
+  const conditionCount = component.advancedFilterCount;
+  if (conditionCount) {
+    lines.push(
+      `Advanced filters: ${conditionCount} ${
+        conditionCount === 1 ? "condition" : "conditions"
+      }`
+    );
+  }
+  if (component.searchValue) {
+    lines.push(`Search: "${component.searchValue}"`);
+  }
+  const sortOption = (component.sortFieldOptions || []).find(
+    (option) => option.value === component.selectedSortField
+  );
+  if (sortOption) {
+    const direction =
+      component.sortDirection === "desc" ? "descending" : "ascending";
+    lines.push(`Sorted by: ${sortOption.label} (${direction})`);
+  }
+  return lines;
+}
+
+/**
+ * Builds the header shown above the board in print mode.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @returns {{printedLabel: string, filters: Array<{key: string, text: string}>,
+ * hasFilters: boolean}}
+ */
+export function getPrintHeader(component) {
+  const printedAt = component.printedAt || new Date().toISOString();
+  const formatted =
+    formatValueWithPattern(printedAt, {
+      pattern: component.effectiveDateTimeFormat,
+      patternTokenCache: component.patternTokenCache
+    }) || new Date(printedAt).toLocaleString();
+  const filters = describeActiveFilters(component).map((text, index) => ({
+    key: String(index),
+    text
+  }));
+  return {
+    printedLabel: `Printed ${formatted}`,
+    filters,
+    hasFilters: filters.length > 0
+  };
+}
+
+/**
+ * Leaves print mode and stops waiting for the print dialog.
+ *
+ * @param {Object} component Kanban explorer instance.
+ */
+export function exitPrintMode(component) {
+  if (component._printTimeoutId) {
+    clearTimeout(component._printTimeoutId);
+    component._printTimeoutId = null;
+  }
+  if (component._afterPrintListener) {
+    window.removeEventListener("afterprint", component._afterPrintListener);
+    component._afterPrintListener = null;
+  }
+  if (component.isPrintMode) {
+    component.isPrintMode = false;
+    component.logDebug("Print mode closed.");
+  }
+}
+
+/**
+ * Switches the board to print mode and opens the browser's print dialog once every card
+ * has rendered. Print mode ends when the dialog closes or the user leaves it from the
+ * print header.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @param {Event} [event] Print event from the board actions.
+ */
+export function startPrintMode(component, event) {
+  event?.stopPropagation?.();
+  exitPrintMode(component);
+  component.closeSortMenu();
+  component.closeFilterMenus();
+  component.printedAt = new Date().toISOString();
+  component.isPrintMode = true;
+  component._afterPrintListener = () => exitPrintMode(component);
+  window.addEventListener("afterprint", component._afterPrintListener);
+  component.logDebug("Print mode opened.", {
+    cardCount: component.relatedRecords?.length || 0
+  });
+  // eslint-disable-next-line @lwc/lwc/no-async-operation
+  component._printTimeoutId = setTimeout(() => {
+    component._printTimeoutId = null;
+    window.print();
+  }, PRINT_RENDER_DELAY_MS);
+}
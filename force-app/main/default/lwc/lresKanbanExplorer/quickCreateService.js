@@ -0,0 +1,156 @@
+import resolveParentFieldApiName from "@salesforce/apex/LRES_KanbanCardRecordsController.resolveParentFieldApiName";
+import { fetchVisibleCardRecords } from "./dataModeService";
+
+function resolveDirectField(component, field) {
+  if (!field) {
+    return null;
+  }
+  const simple = component.extractSimpleFieldName(field);
+  if (!simple || component.stripObjectPrefix(field) !== simple) {
+    return null;
+  }
+  return simple;
+}
+
+function resolveTargetValue(target, blankKey) {
+  if (!target || target.key === blankKey) {
+    return null;
+  }
+  return target.rawValue !== undefined ? target.rawValue : target.key;
+}
+
+/**
+ * Returns whether the running user can create card records from a column. The card
+ * object and the grouping field must both be createable.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @returns {boolean}
+ */
+export function isQuickCreateAvailable(component) {
+  if (!component.objectInfo?.createable) {
+    return false;
+  }
+  const groupingField = component.groupingFieldQualified;
+  if (!resolveDirectField(component, groupingField)) {
+    return false;
+  }
+  return Boolean(component.getFieldMetadata(groupingField)?.createable);
+}
+
+/**
+ * Builds the field values a new record starts with when it is created from a column:
+ * the column's grouping value, the swimlane value when created inside a swimlane, and
+ * the parent lookup when exactly one parent record is active.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @param {Object} target Column the record is created in.
+ * @param {string} target.columnKey Column key.
+ * @param {string} [target.swimlaneKey] Swimlane key, when swimlanes are enabled.
+ * @param {Object} options Additional inputs.
+ * @param {string} options.blankKey Key of the blank column and swimlane.
+ * @param {string} [options.parentFieldApiName] Lookup field that points at the parent.
+ * @returns {Object|null} Field values keyed by API name, or `null` for an unknown column.
+ */
+export function buildQuickCreateDefaults(
+  component,
+  { columnKey, swimlaneKey },
+  { blankKey, parentFieldApiName = null }
+) {
+  const column = component.findColumnByKey(columnKey);
+  const groupingField = resolveDirectField(
+    component,
+    component.groupingFieldQualified
+  );
+  if (!column || !groupingField) {
+    return null;
+  }
+  const defaults = {
+    [groupingField]: resolveTargetValue(column, blankKey)
+  };
+  const swimlaneField = resolveDirectField(
+    component,
+    component.swimlaneFieldQualified
+  );
+  if (swimlaneField && swimlaneKey) {
+    const swimlane = (column.swimlanes || []).find(
+      (cell) => cell.key === swimlaneKey
+    );
+    if (swimlane) {
+      defaults[swimlaneField] = resolveTargetValue(swimlane, blankKey);
+    }
+  }
+  const parentIds = component.dataMode?.parentIds || [];
+  if (parentFieldApiName) {
+    defaults[parentFieldApiName] = parentIds.length === 1 ? parentIds[0] : null;
+  }
+  return defaults;
+}
+
+/**
+ * Lists the fields shown on the create form: the pre-set fields first, followed by the
+ * card fields the user can set when creating a record.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @param {Object} defaults Pre-set field values.
+ * @returns {Array<string>} Simple field API names.
+ */
+export function buildQuickCreateFieldList(component, defaults) {
+  const fields = new Set(Object.keys(defaults || {}));
+  const cardFields = component.cardFieldsQualified.length
+    ? component.cardFieldsQualified
+    : [component.qualifyFieldName(component.defaultDisplayField)];
+  cardFields.forEach((field) => {
+    const simple = resolveDirectField(component, field);
+    if (simple && component.getFieldMetadata(field)?.createable) {
+      fields.add(simple);
+    }
+  });
+  return Array.from(fields);
+}
+
+/**
+ * Resolves the lookup field on the card object that links it to the parent records, so
+ * a new record can be attached to the selected parent. Returns `null` in parentless mode.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @returns {Promise<string|null>} Lookup field API name.
+ */
+export async function resolveQuickCreateParentField(component) {
+  const mode = component.dataMode;
+  const parentIds = mode?.parentIds || [];
+  if (mode?.type !== "parent" || !parentIds.length) {
+    return null;
+  }
+  return resolveParentFieldApiName({
+    parentRecordId: parentIds[0],
+    childRelationshipName: component.childRelationshipName,
+    cardObjectApiName: component.cardObjectApiName
+  });
+}
+
+/**
+ * Loads a newly created record and adds it to the board without reloading the rest of
+ * the cards. Records outside the board's parents or the card WHERE clause are not
+ * added.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @param {string} recordId Id of the created record.
+ * @returns {Promise<boolean>} `true` when the record was added to the board.
+ */
+export async function insertCreatedRecord(component, recordId) {
+  const visible = recordId
+    ? await fetchVisibleCardRecords(component, [recordId])
+    : [];
+  if (!visible.length) {
+    component.logInfo("Created record is outside the board's filters.", {
+      recordId
+    });
+    return false;
+  }
+  const existing = (component.relatedRecords || []).filter(
+    (record) => record?.id !== recordId
+  );
+  component.applyCardRecordsSnapshot([...existing, ...visible]);
+  component.logInfo("Created record added to the board.", { recordId });
+  return true;
+}
@@ -0,0 +1,190 @@
+import USER_ID from "@salesforce/user/Id";
+import fetchTeamUserIds from "@salesforce/apex/LRES_KanbanTeamController.fetchTeamUserIds";
+
+const RECENTLY_MODIFIED_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const QUICK_FILTERS = [
+  { id: "mine", label: "My Records", field: "OwnerId" },
+  { id: "myTeam", label: "My Team's Records", field: "OwnerId" },
+  {
+    id: "recentlyModified",
+    label: "Recently Modified",
+    field: "LastModifiedDate"
+  },
+  { id: "createdByMe", label: "Created by Me", field: "CreatedById" }
+];
+
+function getAvailableQuickFilters(component) {
+  const fields = component.objectInfo?.fields;
+  if (!fields) {
+    return [];
+  }
+  return QUICK_FILTERS.filter((filter) => Boolean(fields[filter.field]));
+}
+
+function getFieldValue(component, record, fieldApiName) {
+  const raw = component.extractFieldData(
+    record,
+    component.qualifyFieldName(fieldApiName)
+  )?.raw;
+  return raw === null || raw === undefined ? "" : String(raw);
+}
+
+function matchesQuickFilter(component, record, filterId, now) {
+  switch (filterId) {
+    case "mine":
+      return component.getRecordOwnerId(record) === USER_ID;
+    case "myTeam": {
+      const teamIds = component._teamUserIds || new Set([USER_ID]);
+      return teamIds.has(component.getRecordOwnerId(record));
+    }
+    case "recentlyModified": {
+      const modified = Date.parse(
+        getFieldValue(component, record, "LastModifiedDate")
+      );
+      return (
+        !Number.isNaN(modified) &&
+        modified >= now - RECENTLY_MODIFIED_DAYS * DAY_MS
+      );
+    }
+    case "createdByMe":
+      return getFieldValue(component, record, "CreatedById") === USER_ID;
+    default:
+      return true;
+  }
+}
+
+/**
+ * Keeps the known quick filter ids from a stored list, in toolbar order.
+ *
+ * @param {Array<string>} filterIds Stored quick filter ids.
+ * @returns {Array<string>}
+ */
+export function normalizeQuickFilters(filterIds) {
+  const requested = new Set(Array.isArray(filterIds) ? filterIds : []);
+  return QUICK_FILTERS.filter((filter) => requested.has(filter.id)).map(
+    (filter) => filter.id
+  );
+}
+
+/**
+ * Builds the toolbar buttons for the quick filters the card object supports. Owner
+ * filters need an `OwnerId` field, and the others need `LastModifiedDate` or
+ * `CreatedById`.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @returns {Array<{id: string, label: string, selected: boolean, buttonClass: string}>}
+ */
+export function getQuickFilterOptions(component) {
+  const active = new Set(component.quickFilters || []);
+  return getAvailableQuickFilters(component).map((filter) => {
+    const selected = active.has(filter.id);
+    return {
+      id: filter.id,
+      label: filter.label,
+      selected,
+      buttonClass: selected
+        ? "filter-dropdown_button board-actions_quick-filter filter-dropdown_button--active"
+        : "filter-dropdown_button board-actions_quick-filter"
+    };
+  });
+}
+
+/**
+ * Lists the fields the quick filters read, so they are fetched with the cards. Records
+ * can be fetched before object info loads, so every quick filter field is requested;
+ * Apex leaves out the ones the card object does not have.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @returns {Array<string>} Qualified field API names.
+ */
+export function getQuickFilterFields(component) {
+  return Array.from(
+    new Set(
+      QUICK_FILTERS.map((filter) => component.qualifyFieldName(filter.field))
+    )
+  );
+}
+
+/**
+ * Tests a loaded record against every active quick filter. Like the filter dropdowns,
+ * quick filters only narrow the cards already loaded.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @param {Object} record Card record.
+ * @returns {boolean}
+ */
+export function recordMatchesQuickFilters(component, record) {
+  const active = component.quickFilters || [];
+  if (!active.length) {
+    return true;
+  }
+  const now = Date.now();
+  return active.every((filterId) =>
+    matchesQuickFilter(component, record, filterId, now)
+  );
+}
+
+/**
+ * Loads the running user's team for the "My Team's Records" filter, once per board.
+ * When the team cannot be loaded the filter is turned off and the error is shown.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @returns {Promise<boolean>} True when a request was made and the cards need filtering
+ * again.
+ */
+async function ensureTeamUserIds(component) {
+  if (component._teamUserIds || !component.quickFilters.includes("myTeam")) {
+    return false;
+  }
+  try {
+    const teamIds = await fetchTeamUserIds();
+    component._teamUserIds = new Set((teamIds || []).map(String));
+    component.logDebug("Team members loaded.", {
+      count: component._teamUserIds.size
+    });
+  } catch (error) {
+    component.logError("Failed to load team members.", error);
+    component.quickFilters = component.quickFilters.filter(
+      (filterId) => filterId !== "myTeam"
+    );
+    component.showErrorToast(error, { title: "Unable to load your team" });
+  }
+  return true;
+}
+
+/**
+ * Sets the active quick filters and loads the team members when needed.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @param {Array<string>} filterIds Quick filter ids.
+ * @returns {Promise<boolean>} True when the team was requested and the cards need
+ * filtering again.
+ */
+export function setQuickFilters(component, filterIds) {
+  component.quickFilters = normalizeQuickFilters(filterIds);
+  return ensureTeamUserIds(component);
+}
+
+/**
+ * Turns a quick filter on or off and rebuilds the columns.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @param {Event} event Toggle event with the quick filter id in `detail.filterId`.
+ * @returns {Promise<void>}
+ */
+export async function handleQuickFilterToggle(component, event) {
+  event?.stopPropagation?.();
+  const filterId = event?.detail?.filterId;
+  if (!QUICK_FILTERS.some((filter) => filter.id === filterId)) {
+    return;
+  }
+  const active = component.quickFilters || [];
+  const next = active.includes(filterId)
+    ? active.filter((id) => id !== filterId)
+    : [...active, filterId];
+  component.logDebug("Quick filter toggled.", { filterId, active: next });
+  await setQuickFilters(component, next);
+  component.scheduleUserRebuildColumnsWithPicklist();
+}
@@ -0,0 +1,228 @@
+import { toDateKey } from "c/lresAdvancedFilterUtils";
+
+const NUMBER_TYPES = new Set([
+  "double",
+  "integer",
+  "long",
+  "currency",
+  "percent"
+]);
+const DATE_TYPES = new Set(["date", "datetime"]);
+
+// Range selections are stored in a filter's selectedValues so saved views, links, and
+// the clear-filters logic handle them like value selections.
+const MIN_PREFIX = "min:";
+const MAX_PREFIX = "max:";
+const PRESET_PREFIX = "preset:";
+
+export const DATE_RANGE_PRESETS = [
+  { value: "overdue", label: "Overdue" },
+  { value: "today", label: "Today" },
+  { value: "next7Days", label: "Next 7 Days" },
+  { value: "last30Days", label: "Last 30 Days" },
+  { value: "thisMonth", label: "This Month" },
+  { value: "thisQuarter", label: "This Quarter" },
+  { value: "thisYear", label: "This Year" }
+];
+
+function shiftDateKey(dateKey, { days = 0, months = 0 } = {}) {
+  const [year, month, day] = dateKey.split("-").map(Number);
+  return toDateKey(new Date(year, month - 1 + months, day + days));
+}
+
+/**
+ * Returns the kind of range filter a field gets from its data type.
+ *
+ * @param {Object} metadata Field metadata from object info.
+ * @returns {string|null} `number`, `date`, or `null` for value-list filters.
+ */
+export function resolveRangeType(metadata) {
+  const dataType = String(metadata?.dataType || "").toLowerCase();
+  if (NUMBER_TYPES.has(dataType)) {
+    return "number";
+  }
+  return DATE_TYPES.has(dataType) ? "date" : null;
+}
+
+/**
+ * Reads a range selection from a filter's selected values.
+ *
+ * @param {Array<string>} selectedValues Filter selection.
+ * @returns {{min: string, max: string, preset: string}}
+ */
+export function parseRangeSelection(selectedValues) {
+  const selection = { min: "", max: "", preset: "" };
+  (selectedValues || []).forEach((entry) => {
+    const value = String(entry);
+    if (value.startsWith(MIN_PREFIX)) {
+      selection.min = value.slice(MIN_PREFIX.length);
+    } else if (value.startsWith(MAX_PREFIX)) {
+      selection.max = value.slice(MAX_PREFIX.length);
+    } else if (
+      value.startsWith(PRESET_PREFIX) &&
+      DATE_RANGE_PRESETS.some(
+        (preset) => preset.value === value.slice(PRESET_PREFIX.length)
+      )
+    ) {
+      selection.preset = value.slice(PRESET_PREFIX.length);
+    }
+  });
+  return selection;
+}
+
+/**
+ * Converts a range selection into selected values. A preset replaces typed bounds, and
+ * bounds that are not valid for the range type are dropped.
+ *
+ * @param {Object} selection Range selection.
+ * @param {string} [selection.min] Lower bound.
+ * @param {string} [selection.max] Upper bound.
+ * @param {string} [selection.preset] Date preset.
+ * @param {string} rangeType `number` or `date`.
+ * @returns {Array<string>}
+ */
+export function buildRangeSelection({ min, max, preset } = {}, rangeType) {
+  if (preset && rangeType === "date") {
+    return parseRangeSelection([`${PRESET_PREFIX}${preset}`]).preset
+      ? [`${PRESET_PREFIX}${preset}`]
+      : [];
+  }
+  const isValid = (value) => {
+    const text = String(value ?? "").trim();
+    if (!text) {
+      return false;
+    }
+    return rangeType === "date"
+      ? /^\d{4}-\d{2}-\d{2}$/.test(text)
+      : Number.isFinite(Number(text));
+  };
+  const values = [];
+  if (isValid(min)) {
+    values.push(`${MIN_PREFIX}${String(min).trim()}`);
+  }
+  if (isValid(max)) {
+    values.push(`${MAX_PREFIX}${String(max).trim()}`);
+  }
+  return values;
+}
+
+/**
+ * Resolves a date preset to inclusive `YYYY-MM-DD` bounds.
+ *
+ * @param {string} preset Preset value.
+ * @param {string} today Today's date as `YYYY-MM-DD`.
+ * @returns {{min: (string|null), max: (string|null)}}
+ */
+export function resolvePresetBounds(preset, today) {
+  const [year, month] = today.split("-").map(Number);
+  const firstOfMonth = toDateKey(new Date(year, month - 1, 1));
+  switch (preset) {
+    case "overdue":
+      return { min: null, max: shiftDateKey(today, { days: -1 }) };
+    case "today":
+      return { min: today, max: today };
+    case "next7Days":
+      return { min: today, max: shiftDateKey(today, { days: 7 }) };
+    case "last30Days":
+      return { min: shiftDateKey(today, { days: -30 }), max: today };
+    case "thisMonth":
+      return {
+        min: firstOfMonth,
+        max: shiftDateKey(firstOfMonth, { months: 1, days: -1 })
+      };
+    case "thisQuarter": {
+      const quarterStart = toDateKey(
+        new Date(year, Math.floor((month - 1) / 3) * 3, 1)
+      );
+      return {
+        min: quarterStart,
+        max: shiftDateKey(quarterStart, { months: 3, days: -1 })
+      };
+    }
+    case "thisYear":
+      return { min: `${year}-01-01`, max: `${year}-12-31` };
+    default:
+      return { min: null, max: null };
+  }
+}
+
+function toRangeValue(raw, rangeType) {
+  if (raw === null || raw === undefined || raw === "") {
+    return null;
+  }
+  if (rangeType === "number") {
+    const number = Number(raw);
+    return Number.isFinite(number) ? number : null;
+  }
+  const text = String(raw);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    return text;
+  }
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? null : toDateKey(date);
+}
+
+/**
+ * Tests a field value against a range selection. Bounds are inclusive, date-times are
+ * compared by their date in the browser's time zone, and blank values never match an
+ * active range.
+ *
+ * @param {*} raw Field value.
+ * @param {string} rangeType `number` or `date`.
+ * @param {Array<string>} selectedValues Filter selection.
+ * @param {string} [today] Today's date as `YYYY-MM-DD`.
+ * @returns {boolean}
+ */
+export function matchesRange(
+  raw,
+  rangeType,
+  selectedValues,
+  today = toDateKey(new Date())
+) {
+  const selection = parseRangeSelection(selectedValues);
+  const bounds = selection.preset
+    ? resolvePresetBounds(selection.preset, today)
+    : {
+        min: toRangeValue(selection.min, rangeType),
+        max: toRangeValue(selection.max, rangeType)
+      };
+  if (bounds.min === null && bounds.max === null) {
+    return true;
+  }
+  const value = toRangeValue(raw, rangeType);
+  if (value === null) {
+    return false;
+  }
+  return (
+    (bounds.min === null || value >= bounds.min) &&
+    (bounds.max === null || value <= bounds.max)
+  );
+}
+
+/**
+ * Finds the lowest and highest values among the records, used as input hints.
+ *
+ * @param {Array<Object>} records Card records.
+ * @param {Function} getValue Returns a record's field value.
+ * @param {string} rangeType `number` or `date`.
+ * @returns {{min: *, max: *, count: number}}
+ */
+export function collectRangeBounds(records, getValue, rangeType) {
+  let min = null;
+  let max = null;
+  let count = 0;
+  (records || []).forEach((record) => {
+    const value = toRangeValue(getValue(record), rangeType);
+    if (value === null) {
+      return;
+    }
+    count += 1;
+    if (min === null || value < min) {
+      min = value;
+    }
+    if (max === null || value > max) {
+      max = value;
+    }
+  });
+  return { min, max, count };
+}
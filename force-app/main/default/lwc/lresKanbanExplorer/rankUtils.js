@@ -0,0 +1,129 @@
+export const RANK_STEP = 1000;
+
+function toRank(value) {
+  if (value === null || value === undefined || value === "") {
+    return null;
+  }
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function roundToScale(value, scale) {
+  const digits = Number.isInteger(scale) && scale > 0 ? scale : 0;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Works out the rank a card should take when dropped into a column at a given position.
+ * Cards are listed in display order; for descending sorts the neighbours are swapped so
+ * the new rank still lands between the cards shown above and below the drop point.
+ *
+ * @param {Object} options Rank inputs.
+ * @param {Array<string>} options.orderedIds Card ids in display order, excluding the moved card.
+ * @param {string} options.recordId Id of the moved card.
+ * @param {string|null} options.beforeRecordId Card the moved card is dropped above, or `null` to append.
+ * @param {Function} options.getRank Resolves the current rank for a card id.
+ * @param {string} [options.direction="asc"] Active sort direction.
+ * @param {number} [options.scale=0] Decimal places supported by the rank field.
+ * @returns {{rank: (number|null), needsRebalance: boolean, rankedIds: Array<string>}}
+ *   Rank to save, whether the column must be renumbered instead, and the column's ids in
+ *   ascending rank order including the moved card.
+ */
+export function computeRankForPosition({
+  orderedIds = [],
+  recordId,
+  beforeRecordId = null,
+  getRank = () => null,
+  direction = "asc",
+  scale = 0
+}) {
+  const ids = orderedIds.filter((id) => id && id !== recordId);
+  const beforeIndex = beforeRecordId ? ids.indexOf(beforeRecordId) : -1;
+  const insertIndex = beforeIndex === -1 ? ids.length : beforeIndex;
+  const displayIds = [
+    ...ids.slice(0, insertIndex),
+    recordId,
+    ...ids.slice(insertIndex)
+  ];
+  const isDescending = direction === "desc";
+  const rankedIds = isDescending ? [...displayIds].reverse() : displayIds;
+
+  const position = rankedIds.indexOf(recordId);
+  const lowerId = position > 0 ? rankedIds[position - 1] : null;
+  const upperId =
+    position < rankedIds.length - 1 ? rankedIds[position + 1] : null;
+  const lower = lowerId ? toRank(getRank(lowerId)) : null;
+  const upper = upperId ? toRank(getRank(upperId)) : null;
+
+  if ((lowerId && lower === null) || (upperId && upper === null)) {
+    return { rank: null, needsRebalance: true, rankedIds };
+  }
+  if (lower === null && upper === null) {
+    return { rank: RANK_STEP, needsRebalance: false, rankedIds };
+  }
+  if (upper === null) {
+    return { rank: lower + RANK_STEP, needsRebalance: false, rankedIds };
+  }
+  if (lower === null) {
+    return { rank: upper - RANK_STEP, needsRebalance: false, rankedIds };
+  }
+  const rank = roundToScale((lower + upper) / 2, scale);
+  if (rank <= lower || rank >= upper) {
+    return { rank: null, needsRebalance: true, rankedIds };
+  }
+  return { rank, needsRebalance: false, rankedIds };
+}
+
+/**
+ * Adds the loaded cards that are not shown, such as cards hidden by search or filters,
+ * to a rebalance order so renumbering the shown cards does not leave them out of place.
+ * Each hidden card is kept ahead of the first shown card with a higher rank; hidden
+ * cards without a rank go last. The moved card stays straight after the card it was
+ * dropped below.
+ *
+ * @param {Object} options Merge inputs.
+ * @param {Array<string>} options.rankedIds Shown card ids in ascending rank order, including the moved card.
+ * @param {string} options.recordId Id of the moved card.
+ * @param {Array<string>} options.cellIds Every loaded card id in the column or swimlane cell.
+ * @param {Function} options.getRank Resolves the current rank for a card id.
+ * @returns {Array<string>} Ids to renumber in ascending rank order.
+ */
+export function mergeHiddenRankedIds({
+  rankedIds = [],
+  recordId,
+  cellIds = [],
+  getRank = () => null
+}) {
+  const shown = new Set(rankedIds);
+  const hidden = cellIds
+    .filter((id) => id && id !== recordId && !shown.has(id))
+    .map((id) => ({ id, rank: toRank(getRank(id)) }))
+    .sort((a, b) => {
+      if (a.rank === null || b.rank === null) {
+        return a.rank === b.rank ? 0 : a.rank === null ? 1 : -1;
+      }
+      return a.rank - b.rank;
+    });
+  if (!hidden.length) {
+    return rankedIds;
+  }
+  const merged = [];
+  let next = 0;
+  rankedIds.forEach((id) => {
+    if (id !== recordId) {
+      const rank = toRank(getRank(id));
+      while (
+        next < hidden.length &&
+        hidden[next].rank !== null &&
+        (rank === null || hidden[next].rank < rank)
+      ) {
+        merged.push(hidden[next].id);
+        next += 1;
+      }
+    }
+    merged.push(id);
+  });
+  hidden.slice(next).forEach((card) => merged.push(card.id));
+  return merged;
+}
@@ -0,0 +1,315 @@
+import fetchSavedViews from "@salesforce/apex/LRES_KanbanSavedViewController.fetchSavedViews";
+import saveSavedViews from "@salesforce/apex/LRES_KanbanSavedViewController.saveSavedViews";
+import LightningConfirm from "lightning/confirm";
+import LightningPrompt from "lightning/prompt";
+import { serializeFilterTree } from "c/lresAdvancedFilterUtils";
+import { setAdvancedFilter } from "./advancedFilterService";
+import { setQuickFilters } from "./quickFilterService";
+
+const MAX_VIEW_NAME_LENGTH = 80;
+const RECORD_ID_SEGMENT = /^(?=.*\d)[a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?$/;
+
+function hashString(value) {
+  // 32-bit FNV-1a; only used to keep storage keys short.
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+function createViewId() {
+  return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Builds the identity of a board from the page it sits on and its configuration, so
+ * every record page using the same board shares its views. Record ids in the page path
+ * are ignored.
+ *
+ * @param {string} pathname Page path, e.g. `/lightning/r/Account/001.../view`.
+ * @param {Array<string>} configValues Configuration values that identify the board.
+ * @returns {string} Board key.
+ */
+export function buildBoardKey(pathname, configValues) {
+  const path = String(pathname || "")
+    .split("/")
+    .map((segment) => (RECORD_ID_SEGMENT.test(segment) ? ":id" : segment))
+    .join("/");
+  return hashString(
+    [path, ...(configValues || []).map((value) => value || "")].join("|")
+  );
+}
+
+/**
+ * Returns the key of the board on the current page.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @returns {string} Board key.
+ */
+export function resolveBoardKey(component) {
+  return buildBoardKey(window.location?.pathname, [
+    component.cardObjectApiName,
+    component.groupingFieldApiName,
+    component.parentObjectApiName,
+    component.childRelationshipName,
+    component.boardTitle
+  ]);
+}
+
+function normalizeView(view) {
+  if (!view || typeof view !== "object" || !view.id || !view.name) {
+    return null;
+  }
+  const state = view.state && typeof view.state === "object" ? view.state : {};
+  return {
+    id: String(view.id),
+    name: String(view.name),
+    isDefault: view.isDefault === true,
+    state
+  };
+}
+
+async function readViews(component) {
+  try {
+    const stored = JSON.parse(
+      (await fetchSavedViews({ boardKey: resolveBoardKey(component) })) || "[]"
+    );
+    return (Array.isArray(stored) ? stored : [])
+      .map(normalizeView)
+      .filter(Boolean);
+  } catch (error) {
+    component.logWarn("Unable to load saved views.", error);
+    return [];
+  }
+}
+
+async function writeViews(component, views) {
+  await saveSavedViews({
+    boardKey: resolveBoardKey(component),
+    viewsJson: views.length ? JSON.stringify(views) : null
+  });
+  component.savedViews = views;
+}
+
+/**
+ * Reads the filter selections, quick filters, advanced filter, search text, and sort
+ * currently applied to the board. Selections still waiting for filter options are included as they are.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @returns {{filters: Object<string, Array<string>>, quickFilters: Array<string>, advancedFilter: (Object|null), searchValue: string, sortField: (string|null), sortDirection: string}}
+ */
+export function captureViewState(component) {
+  const filters = {};
+  const definitions = component._pendingFilterSelections
+    ? Object.entries(component._pendingFilterSelections).map(
+        ([id, selectedValues]) => ({ id, selectedValues })
+      )
+    : component.filterDefinitions || [];
+  definitions.forEach((definition) => {
+    if (definition.selectedValues?.length) {
+      filters[definition.id] = [...definition.selectedValues];
+    }
+  });
+  return {
+    filters,
+    quickFilters: [...(component.quickFilters || [])],
+    advancedFilter: serializeFilterTree(component.advancedFilter),
+    searchValue: component.searchValue || "",
+    sortField: component.selectedSortField || null,
+    sortDirection: component.sortDirection === "desc" ? "desc" : "asc"
+  };
+}
+
+/**
+ * Applies a saved view's state to the board. Filter selections are held until the filter
+ * options are rebuilt from the loaded records, so a view can be applied before the first
+ * fetch. Sort fields that are no longer configured fall back to the default sort. An
+ * advanced filter that has to run on the server reloads the records.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @param {Object} state View state from `captureViewState`.
+ */
+export function applyViewState(component, state) {
+  const filters =
+    state?.filters && typeof state.filters === "object" ? state.filters : {};
+  component._pendingFilterSelections = filters;
+  component.filtersDirty = true;
+  component.searchValue =
+    typeof state?.searchValue === "string" ? state.searchValue : "";
+  if (state?.sortField) {
+    component.selectedSortField = state.sortField;
+  }
+  component.sortDirection = state?.sortDirection === "desc" ? "desc" : "asc";
+  setQuickFilters(component, state?.quickFilters).then((teamLoaded) => {
+    if (teamLoaded) {
+      component.scheduleRebuildColumnsWithPicklist();
+    }
+  });
+  if (setAdvancedFilter(component, state?.advancedFilter || null)) {
+    component.performCardRecordsRefresh().catch(() => {
+      // performCardRecordsRefresh already surfaced the error to the UI.
+    });
+  }
+}
+
+/**
+ * Loads the running user's views for this board from Salesforce and applies the default
+ * view, if any. The views load alongside the first records, so the board is rebuilt
+ * once the default view is applied. State from the URL or a view picked in the meantime
+ * is kept.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @returns {Promise<void>}
+ */
+export async function restoreDefaultView(component) {
+  const views = await readViews(component);
+  if (!component._isConnected) {
+    return;
+  }
+  component.savedViews = views;
+  const defaultView = views.find((view) => view.isDefault);
+  if (!defaultView || component.activeViewId || component._urlStateValue) {
+    return;
+  }
+  component.activeViewId = defaultView.id;
+  component.logDebug("Restoring default view.", { name: defaultView.name });
+  applyViewState(component, defaultView.state);
+  component.scheduleRebuildColumnsWithPicklist();
+}
+
+async function promptForViewName(label, defaultValue = "") {
+  const value = await LightningPrompt.open({
+    label,
+    message: "View name",
+    defaultValue
+  });
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const name = String(value).trim().slice(0, MAX_VIEW_NAME_LENGTH);
+  return name || null;
+}
+
+async function saveView(component) {
+  const active = component.savedViews.find(
+    (view) => view.id === component.activeViewId
+  );
+  const name = await promptForViewName("Save View", active?.name);
+  if (!name) {
+    return;
+  }
+  const state = captureViewState(component);
+  const existing = component.savedViews.find(
+    (view) => view.name.toLowerCase() === name.toLowerCase()
+  );
+  const view = existing
+    ? { ...existing, name, state }
+    : { id: createViewId(), name, isDefault: false, state };
+  await writeViews(
+    component,
+    existing
+      ? component.savedViews.map((item) => (item.id === view.id ? view : item))
+      : [...component.savedViews, view]
+  );
+  component.activeViewId = view.id;
+  component.showToast({
+    title: existing ? "View updated" : "View saved",
+    message: `"${name}" saved.`,
+    variant: "success"
+  });
+}
+
+async function renameView(component, view) {
+  const name = await promptForViewName("Rename View", view.name);
+  if (!name || name === view.name) {
+    return;
+  }
+  const duplicate = component.savedViews.some(
+    (item) =>
+      item.id !== view.id && item.name.toLowerCase() === name.toLowerCase()
+  );
+  if (duplicate) {
+    component.showToast({
+      title: "View not renamed",
+      message: `A view named "${name}" already exists.`,
+      variant: "warning"
+    });
+    return;
+  }
+  await writeViews(
+    component,
+    component.savedViews.map((item) => {
+      return item.id === view.id ? { ...item, name } : item;
+    })
+  );
+}
+
+async function toggleDefaultView(component, view) {
+  const makeDefault = !view.isDefault;
+  await writeViews(
+    component,
+    component.savedViews.map((item) => ({
+      ...item,
+      isDefault: makeDefault && item.id === view.id
+    }))
+  );
+}
+
+async function deleteView(component, view) {
+  const confirmed = await LightningConfirm.open({
+    label: "Delete View",
+    message: `Delete the view "${view.name}"?`,
+    theme: "warning"
+  });
+  if (!confirmed) {
+    return;
+  }
+  await writeViews(
+    component,
+    component.savedViews.filter((item) => item.id !== view.id)
+  );
+  component.activeViewId = null;
+}
+
+/**
+ * Handles a choice from the Views menu: applying a view, saving the current state as a
+ * view, or renaming, defaulting, or deleting the active view.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @param {Object} detail Menu selection.
+ * @param {string} detail.action `apply`, `save`, `rename`, `default`, or `delete`.
+ * @param {string} [detail.viewId] View to apply.
+ * @returns {Promise<void>}
+ */
+export async function handleViewAction(component, { action, viewId } = {}) {
+  component.logDebug("View action selected.", { action, viewId });
+  try {
+    if (action === "save") {
+      await saveView(component);
+      return;
+    }
+    const view = component.savedViews.find(
+      (item) => item.id === (viewId || component.activeViewId)
+    );
+    if (!view) {
+      return;
+    }
+    if (action === "apply") {
+      component.activeViewId = view.id;
+      component.closeFilterMenus();
+      applyViewState(component, view.state);
+      component.scheduleUserRebuildColumnsWithPicklist();
+    } else if (action === "rename") {
+      await renameView(component, view);
+    } else if (action === "default") {
+      await toggleDefaultView(component, view);
+    } else if (action === "delete") {
+      await deleteView(component, view);
+    }
+  } catch (error) {
+    component.logError("Saved view action failed.", error);
+    component.showErrorToast(error, { title: "Unable to update views" });
+  }
+}
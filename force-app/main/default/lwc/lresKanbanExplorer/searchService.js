@@ -0,0 +1,226 @@
+import searchCardRecordIds from "@salesforce/apex/LRES_KanbanCardRecordsController.searchCardRecordIds";
+import { fetchVisibleCardRecords } from "./dataModeService";
+import {
+  buildHighlightParts,
+  matchesSearchToken,
+  normalizeSearchKey,
+  parseSearchQuery
+} from "./searchUtils";
+
+/**
+ * Lists the fields plain search terms look in: the configured search fields and every
+ * field shown on the cards.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @returns {Array<string>} Qualified field API names.
+ */
+export function getSearchableFields(component) {
+  return component.uniqueFieldList([
+    ...component.searchFieldsQualified,
+    ...component.cardFieldsQualified
+  ]);
+}
+
+function getFieldKeys(component, field) {
+  const path = component.stripObjectPrefix(field);
+  const simpleName = component.extractSimpleFieldName(field) || path;
+  const keys = [
+    component.getFieldLabel(field),
+    path,
+    simpleName,
+    simpleName.replace(/__c$/i, ""),
+    simpleName.replace(/Id$/, "")
+  ];
+  if (path.includes(".")) {
+    keys.push(path.split(".")[0].replace(/__r$/i, ""));
+  }
+  if (field === component.ownerFieldName) {
+    keys.push("Owner");
+  }
+  return new Set(keys.map(normalizeSearchKey).filter(Boolean));
+}
+
+function resolveScopedFields(component, key) {
+  const normalized = normalizeSearchKey(key);
+  const candidates = component.uniqueFieldList([
+    ...getSearchableFields(component),
+    ...component.filterFieldsQualified
+  ]);
+  return candidates.filter((field) =>
+    getFieldKeys(component, field).has(normalized)
+  );
+}
+
+/**
+ * Parses the board's search text and resolves each `field:` prefix to the fields it
+ * names, by label or API name. A prefix that names no field is searched as plain text,
+ * so values such as times still match. Results are cached per search text.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @returns {Array<{text: string, isPhrase: boolean, isScoped: boolean, fields: Array<string>}>}
+ */
+export function resolveSearchTokens(component) {
+  const searchValue = component.searchValue || "";
+  const searchableFields = getSearchableFields(component);
+  const cacheKey = [
+    searchValue,
+    searchableFields.join(","),
+    component.filterFieldsQualified.join(","),
+    Boolean(component.objectInfo)
+  ].join("\u0000");
+  if (component._searchTokenCache?.key === cacheKey) {
+    return component._searchTokenCache.tokens;
+  }
+  const tokens = parseSearchQuery(searchValue).map((token) => {
+    const scopedFields = token.field
+      ? resolveScopedFields(component, token.field)
+      : [];
+    if (scopedFields.length) {
+      return { ...token, isScoped: true, fields: scopedFields };
+    }
+    return {
+      text: token.field ? `${token.field}:${token.text}` : token.text,
+      isPhrase: token.isPhrase,
+      isScoped: false,
+      fields: searchableFields
+    };
+  });
+  component._searchTokenCache = { key: cacheKey, tokens };
+  return tokens;
+}
+
+function getSearchValue(component, record, field) {
+  if (field === component.ownerFieldName) {
+    return (
+      component.getRecordOwnerLabel(record) ||
+      component.getFieldDisplay(record, field)
+    );
+  }
+  return component.getFieldDisplay(record, field);
+}
+
+function getServerMatchIds(component) {
+  const matches = component._serverSearchMatches;
+  return matches && matches.searchValue === component.searchValue
+    ? matches.recordIds
+    : null;
+}
+
+/**
+ * Tests a record against every search term. Plain terms match any searchable field and
+ * scoped terms match their own fields; records the server search found are included
+ * while the search only has plain terms, since their match may be in a field the board
+ * does not load.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @param {Object} record Card record.
+ * @returns {boolean}
+ */
+export function recordMatchesSearch(component, record) {
+  if (!component.searchValue) {
+    return true;
+  }
+  const tokens = resolveSearchTokens(component);
+  if (!tokens.length) {
+    return true;
+  }
+  if (
+    getServerMatchIds(component)?.has(record?.id) &&
+    tokens.every((token) => !token.isScoped)
+  ) {
+    return true;
+  }
+  return tokens.every((token) =>
+    token.fields.some((field) =>
+      matchesSearchToken(getSearchValue(component, record, field), token)
+    )
+  );
+}
+
+/**
+ * Splits a card field's displayed value into parts with the search matches marked.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @param {string} field Qualified field API name.
+ * @param {string} value Displayed value.
+ * @returns {Array<Object>|null} Parts for highlighting, or `null` when nothing matches.
+ */
+export function getSearchHighlightParts(component, field, value) {
+  if (!component.searchValue || !value) {
+    return null;
+  }
+  const tokens = resolveSearchTokens(component).filter((token) =>
+    token.fields.includes(field)
+  );
+  return buildHighlightParts(value, tokens);
+}
+
+function buildServerSearchText(tokens) {
+  return tokens
+    .map((token) => (token.isPhrase ? `"${token.text}"` : token.text))
+    .join(" ");
+}
+
+/**
+ * Runs the search in Apex with SOSL when the option is on and the board holds only part
+ * of its records, then loads the matching records the board is missing. Matches are
+ * limited to the board's scope (parent records and WHERE clause) and kept for the
+ * current search text only.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @returns {Promise<void>}
+ */
+export async function runServerSearch(component) {
+  const searchValue = component.searchValue;
+  component._serverSearchMatches = null;
+  if (
+    !component.searchServerFallback ||
+    !searchValue ||
+    !component.recordTotals
+  ) {
+    return;
+  }
+  const searchText = buildServerSearchText(resolveSearchTokens(component));
+  if (normalizeSearchKey(searchText).length < 2) {
+    return;
+  }
+  try {
+    const recordIds = await searchCardRecordIds({
+      cardObjectApiName: component.cardObjectApiName,
+      searchText
+    });
+    if (component.searchValue !== searchValue) {
+      return;
+    }
+    const existing = component.relatedRecords || [];
+    const knownIds = new Set(existing.map((record) => record?.id));
+    const missingIds = (recordIds || [])
+      .map(String)
+      .filter((id) => !knownIds.has(id));
+    const fetched = missingIds.length
+      ? await fetchVisibleCardRecords(component, missingIds)
+      : [];
+    if (component.searchValue !== searchValue) {
+      return;
+    }
+    component._serverSearchMatches = {
+      searchValue,
+      recordIds: new Set((recordIds || []).map(String))
+    };
+    component.logInfo("Server search completed.", {
+      matchCount: recordIds?.length || 0,
+      loadedCount: fetched.length
+    });
+    const current = component.relatedRecords || [];
+    const currentIds = new Set(current.map((record) => record?.id));
+    const added = fetched.filter((record) => !currentIds.has(record?.id));
+    if (added.length) {
+      component.applyCardRecordsSnapshot([...current, ...added]);
+    } else {
+      component.scheduleRebuildColumnsWithPicklist();
+    }
+  } catch (error) {
+    component.logError("Server search failed.", error);
+    component.showErrorToast(error, { title: "Unable to search all records" });
+  }
+}
@@ -0,0 +1,194 @@
+// Matches `field:"a phrase"`, `field:term`, `"a phrase"`, and `term`. A phrase's closing
+// quote is optional so the board keeps filtering while the user is still typing.
+const TOKEN_PATTERN = /(?:([^\s:"]+):)?(?:"([^"]*)"?|(\S+))/g;
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Splits search text into terms. Quoted text is kept together as a phrase, and a
+ * `field:` prefix scopes a term or phrase to one field.
+ *
+ * @param {string} text Search text.
+ * @returns {Array<{field: (string|null), text: string, isPhrase: boolean}>} Lowercase terms.
+ */
+export function parseSearchQuery(text) {
+  const tokens = [];
+  const source = String(text || "");
+  TOKEN_PATTERN.lastIndex = 0;
+  let match = TOKEN_PATTERN.exec(source);
+  while (match) {
+    const [, field, phrase, term] = match;
+    const value = (phrase ?? term ?? "").trim().toLowerCase();
+    if (value) {
+      tokens.push({
+        field: field ? field.toLowerCase() : null,
+        text: value,
+        isPhrase: phrase !== undefined
+      });
+    }
+    match = TOKEN_PATTERN.exec(source);
+  }
+  return tokens;
+}
+
+/**
+ * Normalizes a field name, label, or `field:` prefix for comparison.
+ *
+ * @param {string} value Name to normalize.
+ * @returns {string} Lowercase letters and digits only.
+ */
+export function normalizeSearchKey(value) {
+  return String(value || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]/gu, "");
+}
+
+/**
+ * Returns how many typos a term tolerates: none for short terms, one from four
+ * characters, and two from eight.
+ *
+ * @param {Object} token Search term.
+ * @returns {number}
+ */
+export function resolveTypoAllowance(token) {
+  if (token.isPhrase) {
+    return 0;
+  }
+  if (token.text.length >= 8) {
+    return 2;
+  }
+  return token.text.length >= 4 ? 1 : 0;
+}
+
+/**
+ * Levenshtein distance that stops counting once it exceeds `max`.
+ *
+ * @param {string} a First word.
+ * @param {string} b Second word.
+ * @param {number} max Largest distance of interest.
+ * @returns {number} The distance, or `max + 1` when it is larger than `max`.
+ */
+export function boundedEditDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function isFuzzyWordMatch(word, term, allowance) {
+  if (boundedEditDistance(word, term, allowance) <= allowance) {
+    return true;
+  }
+  // Also accept a typo in the start of a longer word, such as "smtih" for "Smithson".
+  return (
+    word.length > term.length &&
+    boundedEditDistance(word.slice(0, term.length), term, allowance) <=
+      allowance
+  );
+}
+
+/**
+ * Finds where a search term appears in a value. Exact matches ignore case; when there
+ * are none, words within the term's typo allowance match instead.
+ *
+ * @param {string} value Field value.
+ * @param {Object} token Search term from `parseSearchQuery`.
+ * @returns {Array<Array<number>>} `[start, end]` ranges.
+ */
+export function findSearchMatches(value, token) {
+  const text = String(value ?? "");
+  const lower = text.toLowerCase();
+  const ranges = [];
+  let index = lower.indexOf(token.text);
+  while (index !== -1) {
+    ranges.push([index, index + token.text.length]);
+    index = lower.indexOf(token.text, index + token.text.length);
+  }
+  const allowance = resolveTypoAllowance(token);
+  if (ranges.length || !allowance) {
+    return ranges;
+  }
+  for (const match of lower.matchAll(WORD_PATTERN)) {
+    if (isFuzzyWordMatch(match[0], token.text, allowance)) {
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Tests whether a value contains a search term, allowing typos.
+ *
+ * @param {string} value Field value.
+ * @param {Object} token Search term from `parseSearchQuery`.
+ * @returns {boolean}
+ */
+export function matchesSearchToken(value, token) {
+  if (value === null || value === undefined || value === "") {
+    return false;
+  }
+  if (String(value).toLowerCase().includes(token.text)) {
+    return true;
+  }
+  return findSearchMatches(value, token).length > 0;
+}
+
+/**
+ * Splits a value into plain and matched parts for highlighting.
+ *
+ * @param {string} value Displayed value.
+ * @param {Array<Object>} tokens Search terms that apply to the value's field.
+ * @returns {Array<{key: string, text: string, isMatch: boolean}>|null} Parts, or `null`
+ * when nothing matches.
+ */
+export function buildHighlightParts(value, tokens) {
+  const text = String(value ?? "");
+  if (!text || !tokens?.length) {
+    return null;
+  }
+  const ranges = tokens
+    .flatMap((token) => findSearchMatches(text, token))
+    .sort((a, b) => a[0] - b[0]);
+  if (!ranges.length) {
+    return null;
+  }
+  const merged = [];
+  ranges.forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  });
+  const parts = [];
+  let cursor = 0;
+  merged.forEach(([start, end]) => {
+    if (start > cursor) {
+      parts.push({ text: text.slice(cursor, start), isMatch: false });
+    }
+    parts.push({ text: text.slice(start, end), isMatch: true });
+    cursor = end;
+  });
+  if (cursor < text.length) {
+    parts.push({ text: text.slice(cursor), isMatch: false });
+  }
+  return parts.map((part, index) => ({ ...part, key: String(index) }));
+}
@@ -0,0 +1,119 @@
+import { getServerSummaryType } from "./summaryConfigUtils";
+
+const numberFormatter = new Intl.NumberFormat();
+
+function buildSummaryKey(summary) {
+  return [
+    summary?.fieldApiName || "",
+    summary?.summaryType || "",
+    summary?.label || ""
+  ].join("|");
+}
+
+/**
+ * Builds the `Field|TYPE` entries sent to `aggregateCardRecords` for the configured
+ * column summaries. Types the server cannot aggregate are left out, and WEIGHTED_SUM
+ * asks for the plain SUM.
+ *
+ * @param {Array<Object>} summaryDefinitions Parsed summary definitions.
+ * @param {Function} extractSimpleFieldName Strips the object prefix from a field.
+ * @returns {Array<string>} Unique summary requests.
+ */
+export function buildSummaryRequests(
+  summaryDefinitions,
+  extractSimpleFieldName
+) {
+  const requests = new Set();
+  (summaryDefinitions || []).forEach((summary) => {
+    const field = extractSimpleFieldName(summary?.fieldApiName);
+    const serverType = getServerSummaryType(summary?.summaryType);
+    if (field && serverType) {
+      requests.add(`${field}|${serverType}`);
+    }
+  });
+  return Array.from(requests);
+}
+
+/**
+ * Replaces loaded-record counts and summaries with the server totals for columns that
+ * have records the board has not loaded. Replaced values are flagged so the column can
+ * mark them and lose their share of the board total. Columns that already hold every
+ * record are left unchanged, and so are summaries blocked by mixed currencies.
+ *
+ * @param {Array<Object>} columns Column descriptors.
+ * @param {Object} context Aggregate inputs.
+ * @param {Object|null} context.totals Totals from `buildGroupTotals`.
+ * @param {Object<string, number>} context.loadedByKey Loaded counts per column key.
+ * @param {Array<Object>} context.summaryDefinitions Parsed summary definitions.
+ * @param {Function} context.extractSimpleFieldName Strips the object prefix from a field.
+ * @param {Function} context.formatSummaryValue Formats a server value for a summary.
+ * @param {Function} [context.getColumnWeight] Returns a column's weight in percent, or
+ *   `null`, for WEIGHTED_SUM summaries.
+ * @returns {Array<Object>} Columns with server totals applied.
+ */
+export function applyServerAggregates(
+  columns,
+  {
+    totals,
+    loadedByKey = {},
+    summaryDefinitions = [],
+    extractSimpleFieldName,
+    formatSummaryValue,
+    getColumnWeight = () => null
+  }
+) {
+  if (!totals) {
+    return columns;
+  }
+  const definitionsByKey = new Map(
+    (summaryDefinitions || []).map((summary) => [
+      buildSummaryKey(summary),
+      summary
+    ])
+  );
+  return (columns || []).map((column) => {
+    const loaded = loadedByKey[column.key] || 0;
+    const total = totals.byKey?.[column.key] ?? 0;
+    if (total <= loaded) {
+      return column;
+    }
+    const serverSummaries = totals.summariesByKey?.[column.key] || {};
+    const summaries = (column.summaries || []).map((item) => {
+      const definition = definitionsByKey.get(item.key);
+      if (!definition || item.value === "Mixed currencies") {
+        return item;
+      }
+      const requestKey = `${extractSimpleFieldName(definition.fieldApiName)}|${getServerSummaryType(definition.summaryType)}`;
+      if (!(requestKey in serverSummaries)) {
+        return item;
+      }
+      let value = serverSummaries[requestKey];
+      if (definition.summaryType === "WEIGHTED_SUM") {
+        const weight = getColumnWeight(column.key);
+        if (weight === null || weight === undefined || value === null) {
+          return item;
+        }
+        value = (Number(value) * weight) / 100;
+      }
+      // The board total only covers loaded cards, so a share of it would not match.
+      const replaced = {
+        ...item,
+        value: formatSummaryValue(definition, value),
+        isLoading: false,
+        isServerTotal: true
+      };
+      delete replaced.share;
+      delete replaced.shareTitle;
+      return replaced;
+    });
+    return {
+      ...column,
+      summaries,
+      serverTotals: {
+        count: total,
+        countLabel: numberFormatter.format(total),
+        title: `${numberFormatter.format(total)} records in total; ${numberFormatter.format(loaded)} loaded on the board`
+      }
+    };
+  });
+}
@@ -4,11 +4,37 @@ const SUMMARY_TYPES = new Set([
   "MIN",
   "MAX",
   "COUNT_TRUE",
-  "COUNT_FALSE"
+  "COUNT_FALSE",
+  "COUNT",
+  "COUNT_DISTINCT",
+  "MEDIAN",
+  "PERCENT_OF_TOTAL",
+  "PERCENT_TRUE",
+  "WEIGHTED_SUM"
 ]);
-const MAX_SUMMARIES = 3;
+// SOQL has no aggregate for these, so they always use the records loaded on the board.
+const CLIENT_ONLY_SUMMARY_TYPES = new Set([
+  "MEDIAN",
+  "PERCENT_OF_TOTAL",
+  "PERCENT_TRUE"
+]);
+export const DEFAULT_MAX_SUMMARIES = 3;
+export const MAX_SUMMARIES_LIMIT = 10;
 
-export function parseSummaryDefinitions(rawValue) {
+/**
+ * Parses the column summary definitions. Each entry is `[Field|TYPE|Label]` and entries
+ * are separated by semicolons.
+ *
+ * @param {string} rawValue Summary definition string from the component property.
+ * @param {Object} [options]
+ * @param {number} [options.maxSummaries] Most summaries to keep; defaults to 3.
+ * @returns {{summaries: Array<{fieldApiName: string, summaryType: string,
+ *   label: string}>, warnings: Array<string>}}
+ */
+export function parseSummaryDefinitions(
+  rawValue,
+  { maxSummaries = DEFAULT_MAX_SUMMARIES } = {}
+) {
   const summaries = [];
   const warnings = [];
   const raw =
@@ -52,9 +78,13 @@ export function parseSummaryDefinitions(rawValue) {
     }
 
     summaries.push({ fieldApiName, summaryType, label });
-    if (summaries.length === MAX_SUMMARIES) {
-      if (entries.length > MAX_SUMMARIES) {
-        warnings.push("Only the first 3 summaries are used.");
+    if (summaries.length === maxSummaries) {
+      if (entries.length > maxSummaries) {
+        warnings.push(
+          maxSummaries === 1
+            ? "Only the first summary is used."
+            : `Only the first ${maxSummaries} summaries are used.`
+        );
       }
       break;
     }
@@ -71,4 +101,31 @@ export function normalizeSummaryType(value) {
   return SUMMARY_TYPES.has(normalized) ? normalized : null;
 }
 
+/**
+ * Returns the aggregate `aggregateCardRecords` computes for a summary type. WEIGHTED_SUM
+ * requests the plain SUM, which the board multiplies by the column weight.
+ *
+ * @param {string} summaryType Normalized summary type.
+ * @returns {string|null} Server summary type, or `null` when the server cannot compute it.
+ */
+export function getServerSummaryType(summaryType) {
+  if (
+    !SUMMARY_TYPES.has(summaryType) ||
+    CLIENT_ONLY_SUMMARY_TYPES.has(summaryType)
+  ) {
+    return null;
+  }
+  return summaryType === "WEIGHTED_SUM" ? "SUM" : summaryType;
+}
+
+/**
+ * Tells whether `aggregateCardRecords` can compute a summary type on the server.
+ *
+ * @param {string} summaryType Normalized summary type.
+ * @returns {boolean}
+ */
+export function isServerSummaryType(summaryType) {
+  return getServerSummaryType(summaryType) !== null;
+}
+
 export const SUPPORTED_SUMMARY_TYPES = Array.from(SUMMARY_TYPES);
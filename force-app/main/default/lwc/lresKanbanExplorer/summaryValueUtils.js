@@ -1,5 +1,13 @@
 import { formatValueWithPattern } from "c/lresDateTimeUtils";
 
+const COUNT_SUMMARY_TYPES = new Set([
+  "COUNT",
+  "COUNT_DISTINCT",
+  "COUNT_TRUE",
+  "COUNT_FALSE"
+]);
+const PERCENT_SUMMARY_TYPES = new Set(["PERCENT_OF_TOTAL", "PERCENT_TRUE"]);
+
 export function coerceNumericValue(rawValue) {
   if (rawValue === null || rawValue === undefined || rawValue === "") {
     return null;
@@ -32,6 +40,24 @@ export function coerceBooleanValue(rawValue) {
   return null;
 }
 
+/**
+ * Normalizes a value for COUNT and COUNT_DISTINCT, which accept fields of any type.
+ * Blank text counts as no value.
+ *
+ * @param {*} rawValue Field value.
+ * @returns {*} The value with text trimmed, or `null` when blank.
+ */
+export function coerceCountValue(rawValue) {
+  if (rawValue === null || rawValue === undefined) {
+    return null;
+  }
+  if (typeof rawValue === "string") {
+    const trimmed = rawValue.trim();
+    return trimmed ? trimmed : null;
+  }
+  return rawValue;
+}
+
 export function coerceSummaryValue(record, summary, extractFieldData) {
   if (
     !record ||
@@ -43,6 +69,12 @@ export function coerceSummaryValue(record, summary, extractFieldData) {
   const data = extractFieldData(record, summary.fieldApiName);
   const raw = data?.raw ?? data?.display ?? null;
   const dataType = summary?.dataType;
+  if (
+    summary.summaryType === "COUNT" ||
+    summary.summaryType === "COUNT_DISTINCT"
+  ) {
+    return coerceCountValue(raw);
+  }
   if (dataType === "date" || dataType === "datetime") {
     return raw;
   }
@@ -104,6 +136,19 @@ export function formatSummaryValue(summary, value, options = {}) {
   if (value === null || value === undefined) {
     return "";
   }
+  // Counts and percentages describe cards, not field values, so the field's own
+  // currency, percent, or date formatting does not apply.
+  if (COUNT_SUMMARY_TYPES.has(summary?.summaryType)) {
+    return Number.isFinite(value) ? new Intl.NumberFormat().format(value) : "";
+  }
+  if (PERCENT_SUMMARY_TYPES.has(summary?.summaryType)) {
+    return Number.isFinite(value)
+      ? new Intl.NumberFormat(undefined, {
+          style: "percent",
+          maximumFractionDigits: 1
+        }).format(value)
+      : "";
+  }
   if (summary?.dataType === "date" || summary?.dataType === "datetime") {
     return (
       formatValueWithPattern(value, {
@@ -0,0 +1,213 @@
+import { NavigationMixin } from "lightning/navigation";
+import { applySelectedParentRecords } from "./configState";
+import {
+  applyViewState,
+  captureViewState,
+  resolveBoardKey
+} from "./savedViewService";
+
+const URL_SYNC_DELAY_MS = 300;
+
+function toStringList(value) {
+  return Array.isArray(value)
+    ? value.filter((item) => typeof item === "string" && item)
+    : [];
+}
+
+/**
+ * Returns the page state parameter that holds this board's state. The name includes the
+ * board key so several boards on one page keep separate state.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @returns {string} Parameter name, e.g. `c__kanban_1a2b3c4d`.
+ */
+export function resolveStateParamName(component) {
+  return `c__kanban_${resolveBoardKey(component)}`;
+}
+
+/**
+ * Serializes board state into a compact URL value. Empty parts are left out, and so is
+ * the sort when it matches the board's default.
+ *
+ * @param {Object} state Board state.
+ * @param {Array<string>} state.parents Selected parent record ids.
+ * @param {Object<string, Array<string>>} state.filters Filter selections by filter id.
+ * @param {Array<string>} state.quickFilters Active quick filter ids.
+ * @param {Object|null} state.advancedFilter Advanced filter tree without ids.
+ * @param {string} state.searchValue Search text.
+ * @param {string|null} state.sortField Sort field.
+ * @param {string} state.sortDirection `asc` or `desc`.
+ * @param {string|null} defaultSortField Sort field the board uses by default.
+ * @returns {string|null} Encoded state, or `null` when nothing differs from the defaults.
+ */
+export function encodeBoardState(state, defaultSortField = null) {
+  const encoded = {};
+  if (state?.parents?.length) {
+    encoded.p = state.parents;
+  }
+  if (state?.filters && Object.keys(state.filters).length) {
+    encoded.f = state.filters;
+  }
+  if (state?.quickFilters?.length) {
+    encoded.k = state.quickFilters;
+  }
+  if (state?.advancedFilter) {
+    encoded.a = state.advancedFilter;
+  }
+  if (state?.searchValue) {
+    encoded.q = state.searchValue;
+  }
+  if (state?.sortField && state.sortField !== defaultSortField) {
+    encoded.s = state.sortField;
+  }
+  if (state?.sortDirection === "desc") {
+    encoded.d = "desc";
+  }
+  return Object.keys(encoded).length ? JSON.stringify(encoded) : null;
+}
+
+/**
+ * Reads a value written by `encodeBoardState`. Malformed parts are ignored.
+ *
+ * @param {string} value Encoded state.
+ * @returns {Object|null} Board state, or `null` when the value is missing or unreadable.
+ */
+export function decodeBoardState(value) {
+  if (!value || typeof value !== "string") {
+    return null;
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch {
+    return null;
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    return null;
+  }
+  const filters = {};
+  if (parsed.f && typeof parsed.f === "object") {
+    Object.entries(parsed.f).forEach(([id, values]) => {
+      const list = toStringList(values);
+      if (list.length) {
+        filters[id] = list;
+      }
+    });
+  }
+  return {
+    parents: toStringList(parsed.p),
+    filters,
+    quickFilters: toStringList(parsed.k),
+    advancedFilter: parsed.a && typeof parsed.a === "object" ? parsed.a : null,
+    searchValue: typeof parsed.q === "string" ? parsed.q : "",
+    sortField: typeof parsed.s === "string" ? parsed.s : null,
+    sortDirection: parsed.d === "desc" ? "desc" : "asc"
+  };
+}
+
+function captureBoardState(component) {
+  return {
+    ...captureViewState(component),
+    parents: component.showParentSelector
+      ? [...(component._selectedParentRecordIds || [])]
+      : []
+  };
+}
+
+function resolveDefaultSortField(component) {
+  return component.sortFieldOptions?.[0]?.value || null;
+}
+
+/**
+ * Applies board state from the page URL. Runs when the page reference first arrives and
+ * when it changes from outside the board (for example, browser back and forward); the
+ * board's own URL updates are recognised and skipped. State from the URL takes priority
+ * over the default saved view.
+ *
+ * @param {Object} component Kanban explorer instance.
+ * @param {Object} pageReference Current page reference.
+ */
+export function handlePageReference(component, pageReference) {
+  if (!pageReference) {
+    return;
+  }
+  component._pageReference = pageReference;
+  const value = pageReference.state?.[resolveStateParamName(component)] ?? null;
+  if (component._urlStateReady && value === component._urlStateValue) {
+    return;
+  }
+  component._urlStateReady = true;
+  component._urlStateValue = value;
+  const state = decodeBoardState(value);
+  if (!state) {
+    return;
+  }
+  component.logDebug("Applying board state from URL.", state);
+  component.activeViewId = null;
+  component.closeFilterMenus();
+  applyViewState(component, {
+    ...state,
+    sortField: state.sortField || resolveDefaultSortField(component)
+  });
+  if (component.showParentSelector && state.parents.length) {
+    applySelectedParentRecords(component, state.parents);
+  }
+  component.scheduleUserRebuildColumnsWithPicklist();
+}
+
+/**
+ * Writes the board state to the URL shortly after it changes. The current history entry
+ * is replaced, so filter changes do not fill the browser history. Does nothing until the
+ * URL state has been read.
+ *
+ * @param {Object} component Kanban explorer instance.
+ */
+export function scheduleUrlStateSync(component) {
+  if (!component._urlStateReady) {
+    return;
+  }
+  clearTimeout(component._urlSyncTimeoutId);
+  // eslint-disable-next-line @lwc/lwc/no-async-operation
+  component._urlSyncTimeoutId = setTimeout(() => {
+    component._urlSyncTimeoutId = null;
+    syncUrlState(component);
+  }, URL_SYNC_DELAY_MS);
+}
+
+/**
+ * Cancels a pending URL update.
+ *
+ * @param {Object} component Kanban explorer instance.
+ */
+export function cancelUrlStateSync(component) {
+  clearTimeout(component._urlSyncTimeoutId);
+  component._urlSyncTimeoutId = null;
+}
+
+function syncUrlState(component) {
+  const pageReference = component._pageReference;
+  if (!pageReference || !component._isConnected) {
+    return;
+  }
+  const value = encodeBoardState(
+    captureBoardState(component),
+    resolveDefaultSortField(component)
+  );
+  if (value === component._urlStateValue) {
+    return;
+  }
+  component._urlStateValue = value;
+  const paramName = resolveStateParamName(component);
+  const state = { ...(pageReference.state || {}) };
+  if (value) {
+    state[paramName] = value;
+  } else {
+    delete state[paramName];
+  }
+  component.logDebug("Updating board state in URL.", { paramName, value });
+  try {
+    component[NavigationMixin.Navigate]({ ...pageReference, state }, true);
+  } catch (error) {
+    component.logWarn("Unable to update the URL.", error);
+  }
+}
@@ -0,0 +1,154 @@
+function parseLimitValue(value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  if (!/^\d+$/.test(value)) {
+    return NaN;
+  }
+  return Number(value);
+}
+
+export function parseWipLimitDefinitions(rawValue) {
+  const limits = [];
+  const warnings = [];
+  const raw =
+    rawValue === undefined || rawValue === null ? "" : String(rawValue);
+  if (!raw.trim()) {
+    return { limits, warnings };
+  }
+
+  const entries = raw
+    .split(";")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+  const seenValues = new Set();
+
+  for (const entry of entries) {
+    let normalized = entry;
+    if (normalized.startsWith("[") && normalized.endsWith("]")) {
+      normalized = normalized.slice(1, -1).trim();
+    }
+
+    const parts = normalized.split("|").map((part) => part.trim());
+    if (parts.length < 2 || parts.length > 3 || !parts[0]) {
+      warnings.push(`Invalid WIP limit entry: "${entry}"`);
+      continue;
+    }
+
+    const columnValue = parts[0];
+    const max = parseLimitValue(parts[1]);
+    const min = parseLimitValue(parts[2]);
+    if (
+      Number.isNaN(max) ||
+      Number.isNaN(min) ||
+      (max === null && min === null) ||
+      max === 0
+    ) {
+      warnings.push(`Invalid WIP limit entry: "${entry}"`);
+      continue;
+    }
+    if (max !== null && min !== null && min > max) {
+      warnings.push(
+        `WIP limit minimum exceeds maximum in "${entry}"; entry ignored.`
+      );
+      continue;
+    }
+    if (seenValues.has(columnValue)) {
+      warnings.push(
+        `Duplicate WIP limit for "${columnValue}"; the first entry is used.`
+      );
+      continue;
+    }
+
+    seenValues.add(columnValue);
+    limits.push({ columnValue, max, min });
+  }
+
+  return { limits, warnings };
+}
+
+/**
+ * Finds the WIP limit that applies to a column. Entries match the column's raw value
+ * first and fall back to a case-insensitive label match.
+ *
+ * @param {Object} column Column descriptor produced by `buildColumns`.
+ * @param {Array<Object>} limits Parsed limits from `parseWipLimitDefinitions`.
+ * @returns {Object|null} Matching `{ max, min }` pair or `null`.
+ */
+export function findWipLimit(column, limits = []) {
+  if (!column || !Array.isArray(limits) || !limits.length) {
+    return null;
+  }
+  const keyMatch = limits.find((limit) => limit.columnValue === column.key);
+  const label = (column.label || "").toLowerCase();
+  const match =
+    keyMatch ||
+    limits.find((limit) => limit.columnValue.toLowerCase() === label);
+  return match ? { max: match.max, min: match.min } : null;
+}
+
+/**
+ * Attaches WIP limits to matching columns along with the count they are checked
+ * against. Search, filters, and paging only trim the cards on the board, so the count
+ * comes from the server totals when they are loaded and from every loaded record of
+ * the column otherwise.
+ *
+ * @param {Array<Object>} columns Column descriptors produced by `buildColumns`.
+ * @param {Array<Object>} limits Parsed limits from `parseWipLimitDefinitions`.
+ * @param {Object} [counts] Column counts.
+ * @param {Object} [counts.totals] Server totals with a `byKey` map, when loaded.
+ * @param {Object} [counts.loadedByKey] Loaded record counts keyed by column.
+ * @returns {Array<Object>} Columns with `wipLimit` and `wipCount` set where a limit applies.
+ */
+export function applyWipLimits(
+  columns,
+  limits = [],
+  { totals = null, loadedByKey = null } = {}
+) {
+  if (!Array.isArray(limits) || !limits.length) {
+    return columns;
+  }
+  return (columns || []).map((column) => {
+    const wipLimit = findWipLimit(column, limits);
+    if (!wipLimit) {
+      return column;
+    }
+    const loaded = loadedByKey?.[column.key];
+    const total = totals?.byKey?.[column.key];
+    const counts = [loaded, total].filter((value) => typeof value === "number");
+    return counts.length
+      ? { ...column, wipLimit, wipCount: Math.max(...counts) }
+      : { ...column, wipLimit };
+  });
+}
+
+/**
+ * Returns the count a column's WIP limit is checked against: `wipCount` when
+ * `applyWipLimits` set it, otherwise the cards on the column.
+ *
+ * @param {Object} column Column descriptor.
+ * @returns {number}
+ */
+export function getWipCount(column) {
+  if (typeof column?.wipCount === "number") {
+    return column.wipCount;
+  }
+  return Array.isArray(column?.records)
+    ? column.records.length
+    : column?.count || 0;
+}
+
+/**
+ * Tells whether adding cards to a column would take it past its maximum.
+ *
+ * @param {Object} column Column descriptor.
+ * @param {number} [incoming=1] Number of cards being added.
+ * @returns {boolean}
+ */
+export function isColumnAtWipLimit(column, incoming = 1) {
+  const max = column?.wipLimit?.max;
+  if (max === null || max === undefined) {
+    return false;
+  }
+  return getWipCount(column) + incoming > max;
+}
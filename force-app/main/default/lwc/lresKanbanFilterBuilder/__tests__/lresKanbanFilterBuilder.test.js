@@ -0,0 +1,130 @@
+import { createElement } from "lwc";
+import KanbanFilterBuilder from "c/lresKanbanFilterBuilder";
+import LightningModal from "lightning/modal";
+
+const FIELDS = [
+  { value: "Subject", label: "Subject", type: "text", options: [] },
+  { value: "Amount", label: "Amount", type: "number", options: [] },
+  {
+    value: "Status",
+    label: "Status",
+    type: "picklist",
+    options: [
+      { label: "New", value: "New" },
+      { label: "Closed", value: "Closed" }
+    ]
+  }
+];
+
+describe("c-lres-kanban-filter-builder", () => {
+  afterEach(() => {
+    while (document.body.firstChild) {
+      document.body.removeChild(document.body.firstChild);
+    }
+    LightningModal.__closeResult = undefined;
+  });
+
+  const buildComponent = (props = {}) => {
+    const element = createElement("c-lres-kanban-filter-builder", {
+      is: KanbanFilterBuilder
+    });
+    Object.assign(element, { fields: FIELDS, ...props });
+    document.body.appendChild(element);
+    return element;
+  };
+
+  const changeValue = (element, value) => {
+    element.dispatchEvent(new CustomEvent("change", { detail: { value } }));
+  };
+
+  it("starts with one condition and shows errors before applying", async () => {
+    const element = buildComponent();
+    await Promise.resolve();
+
+    const fields = element.shadowRoot.querySelectorAll(".filter-builder_field");
+    expect(fields).toHaveLength(1);
+    expect(fields[0].value).toBe("Subject");
+
+    element.shadowRoot.querySelector(".filter-builder_apply").click();
+    await Promise.resolve();
+
+    expect(
+      element.shadowRoot.querySelector(".filter-builder_error").textContent
+    ).toContain("Enter a value.");
+    expect(LightningModal.__closeResult).toBeUndefined();
+
+    changeValue(
+      element.shadowRoot.querySelector(".filter-builder_value"),
+      "router"
+    );
+    await Promise.resolve();
+    element.shadowRoot.querySelector(".filter-builder_apply").click();
+
+    const result = LightningModal.__closeResult;
+    expect(result.action).toBe("apply");
+    expect(result.filter.children).toEqual([
+      expect.objectContaining({
+        field: "Subject",
+        operator: "equals",
+        value: "router"
+      })
+    ]);
+  });
+
+  it("builds groups and offers operators and values for the field type", async () => {
+    const element = buildComponent();
+    await Promise.resolve();
+
+    element.shadowRoot.querySelector(".filter-builder_add-group").click();
+    await Promise.resolve();
+    const group = element.shadowRoot.querySelector(".filter-builder_group");
+    expect(group.querySelector(".filter-builder_group-logic").value).toBe("OR");
+
+    changeValue(group.querySelector(".filter-builder_field"), "Status");
+    await Promise.resolve();
+    const statusValue = group.querySelector(".filter-builder_value");
+    expect(statusValue.tagName).toBe("LIGHTNING-COMBOBOX");
+    expect(statusValue.options.map((option) => option.value)).toEqual([
+      "New",
+      "Closed"
+    ]);
+
+    const amountField = element.shadowRoot.querySelector(
+      ".filter-builder_field"
+    );
+    changeValue(amountField, "Amount");
+    await Promise.resolve();
+    changeValue(
+      element.shadowRoot.querySelector(".filter-builder_operator"),
+      "between"
+    );
+    await Promise.resolve();
+    expect(
+      element.shadowRoot.querySelector(".filter-builder_value-to")
+    ).not.toBeNull();
+  });
+
+  it("clears the filter or closes without changes", async () => {
+    const element = buildComponent({
+      filter: {
+        type: "group",
+        logic: "AND",
+        children: [{ type: "condition", field: "Amount", operator: "isBlank" }]
+      }
+    });
+    await Promise.resolve();
+
+    expect(
+      element.shadowRoot.querySelector(".filter-builder_operator").value
+    ).toBe("isBlank");
+
+    element.shadowRoot.querySelector(".filter-builder_cancel").click();
+    expect(LightningModal.__closeResult).toBeUndefined();
+
+    element.shadowRoot.querySelector(".filter-builder_clear").click();
+    expect(LightningModal.__closeResult).toEqual({
+      action: "apply",
+      filter: null
+    });
+  });
+});
@@ -0,0 +1,258 @@
+import { api } from "lwc";
+import LightningModal from "lightning/modal";
+import {
+  MAX_FILTER_CONDITIONS,
+  countFilterConditions,
+  createFilterCondition,
+  createFilterGroup,
+  getOperatorOptions,
+  getOperatorValueType,
+  normalizeFilterTree,
+  pruneFilterTree,
+  validateFilterCondition
+} from "c/lresAdvancedFilterUtils";
+
+const LOGIC_OPTIONS = [
+  { label: "All conditions are met (AND)", value: "AND" },
+  { label: "Any condition is met (OR)", value: "OR" }
+];
+
+const INPUT_TYPES = {
+  number: "number",
+  date: "date",
+  datetime: "date"
+};
+
+export default class KanbanFilterBuilder extends LightningModal {
+  @api fields = [];
+  @api filter;
+
+  root;
+  showErrors = false;
+
+  connectedCallback() {
+    this.root = normalizeFilterTree(this.filter) || createFilterGroup("AND");
+    if (!this.root.children.length && this.fields?.length) {
+      this.root = {
+        ...this.root,
+        children: [createFilterCondition(this.fields[0])]
+      };
+    }
+  }
+
+  get hasFields() {
+    return Array.isArray(this.fields) && this.fields.length > 0;
+  }
+
+  get logicOptions() {
+    return LOGIC_OPTIONS;
+  }
+
+  get rootLogic() {
+    return this.root.logic;
+  }
+
+  get fieldOptions() {
+    return (this.fields || []).map((field) => ({
+      label: field.label,
+      value: field.value
+    }));
+  }
+
+  get canAddCondition() {
+    return countFilterConditions(this.root) < MAX_FILTER_CONDITIONS;
+  }
+
+  get addConditionDisabled() {
+    return !this.hasFields || !this.canAddCondition;
+  }
+
+  get limitMessage() {
+    return this.canAddCondition
+      ? ""
+      : `Filters can have up to ${MAX_FILTER_CONDITIONS} conditions.`;
+  }
+
+  /**
+   * Splits the filter into display sections: the top-level conditions first, then one
+   * section per group. Conditions and groups combine with the same top-level logic in
+   * any order, so the order shown does not change the result.
+   *
+   * @returns {Array<Object>}
+   */
+  get sections() {
+    const conditions = this.root.children.filter(
+      (child) => child.type === "condition"
+    );
+    const groups = this.root.children.filter((child) => child.type === "group");
+    const sections = [];
+    if (conditions.length) {
+      sections.push({
+        key: "root",
+        isGroup: false,
+        className: "filter-builder_section",
+        conditions: conditions.map((condition) =>
+          this.buildConditionView(condition)
+        )
+      });
+    }
+    groups.forEach((group) => {
+      sections.push({
+        key: group.id,
+        id: group.id,
+        isGroup: true,
+        className:
+          "filter-builder_section filter-builder_group slds-box slds-box_x-small",
+        logic: group.logic,
+        conditions: group.children.map((condition) =>
+          this.buildConditionView(condition)
+        )
+      });
+    });
+    return sections;
+  }
+
+  get hasItems() {
+    return this.root.children.length > 0;
+  }
+
+  buildConditionView(condition) {
+    const field = this.findField(condition.field);
+    const valueType = getOperatorValueType(condition.operator);
+    const picklistOptions =
+      field?.type === "picklist" && field.options?.length
+        ? field.options
+        : null;
+    const error = this.showErrors
+      ? validateFilterCondition(condition, field?.type)
+      : null;
+    return {
+      key: condition.id,
+      id: condition.id,
+      field: condition.field,
+      operator: condition.operator,
+      value: condition.value,
+      valueTo: condition.valueTo,
+      operatorOptions: getOperatorOptions(field?.type),
+      inputType: INPUT_TYPES[field?.type] || "text",
+      showPicklistValue: valueType === "value" && Boolean(picklistOptions),
+      showValue: valueType === "value" && !picklistOptions,
+      showRange: valueType === "range",
+      showDays: valueType === "days",
+      picklistOptions: picklistOptions || [],
+      error
+    };
+  }
+
+  findField(fieldApiName) {
+    return (this.fields || []).find((field) => field.value === fieldApiName);
+  }
+
+  updateNode(id, update) {
+    const visit = (node) => {
+      if (node.id === id) {
+        return update(node);
+      }
+      if (node.type !== "group") {
+        return node;
+      }
+      return {
+        ...node,
+        children: node.children.map(visit).filter(Boolean)
+      };
+    };
+    this.root = visit(this.root);
+  }
+
+  handleRootLogicChange(event) {
+    this.root = { ...this.root, logic: event.detail.value };
+  }
+
+  handleGroupLogicChange(event) {
+    const logic = event.detail.value;
+    this.updateNode(event.target.dataset.id, (node) => ({ ...node, logic }));
+  }
+
+  handleAddCondition() {
+    if (!this.canAddCondition) {
+      return;
+    }
+    this.root = {
+      ...this.root,
+      children: [...this.root.children, createFilterCondition(this.fields[0])]
+    };
+  }
+
+  handleAddGroup() {
+    if (!this.canAddCondition) {
+      return;
+    }
+    const group = createFilterGroup(this.root.logic === "AND" ? "OR" : "AND");
+    group.children = [createFilterCondition(this.fields[0])];
+    this.root = { ...this.root, children: [...this.root.children, group] };
+  }
+
+  handleAddGroupCondition(event) {
+    if (!this.canAddCondition) {
+      return;
+    }
+    this.updateNode(event.target.dataset.id, (node) => ({
+      ...node,
+      children: [...node.children, createFilterCondition(this.fields[0])]
+    }));
+  }
+
+  handleRemove(event) {
+    this.updateNode(event.target.dataset.id, () => null);
+  }
+
+  handleFieldChange(event) {
+    const field = this.findField(event.detail.value);
+    this.updateNode(event.target.dataset.id, (node) => ({
+      ...createFilterCondition(field),
+      id: node.id
+    }));
+  }
+
+  handleOperatorChange(event) {
+    const operator = event.detail.value;
+    this.updateNode(event.target.dataset.id, (node) => ({
+      ...node,
+      operator
+    }));
+  }
+
+  handleValueChange(event) {
+    const { id, part } = event.target.dataset;
+    const value = event.detail?.value ?? event.target.value ?? "";
+    this.updateNode(id, (node) => ({ ...node, [part]: String(value) }));
+  }
+
+  collectErrors(node) {
+    if (node.type === "condition") {
+      return validateFilterCondition(node, this.findField(node.field)?.type)
+        ? 1
+        : 0;
+    }
+    return node.children.reduce(
+      (total, child) => total + this.collectErrors(child),
+      0
+    );
+  }
+
+  handleApply() {
+    if (this.collectErrors(this.root)) {
+      this.showErrors = true;
+      return;
+    }
+    this.close({ action: "apply", filter: pruneFilterTree(this.root) });
+  }
+
+  handleClearAll() {
+    this.close({ action: "apply", filter: null });
+  }
+
+  handleCancel() {
+    this.close();
+  }
+}
@@ -69,4 +69,44 @@ describe("c-lres-kanban-filter-menu", () => {
       checked: true
     });
   });
+
+  it("emits range changes from the bound inputs and presets", () => {
+    const filter = {
+      id: "closeDate",
+      label: "Close Date",
+      buttonClass: "filter-dropdown_button",
+      isOpen: true,
+      isRange: true,
+      inputType: "date",
+      minLabel: "From",
+      maxLabel: "To",
+      rangeMin: "2025-01-01",
+      rangeMax: "",
+      selectedValues: ["min:2025-01-01"],
+      presetOptions: [
+        { value: "overdue", label: "Overdue", selected: false },
+        { value: "thisQuarter", label: "This Quarter", selected: true }
+      ],
+      options: []
+    };
+    const element = buildComponent(filter);
+    const rangeHandler = jest.fn();
+    element.addEventListener("filterrangechange", rangeHandler);
+
+    expect(element.shadowRoot.querySelector(".filter-menu_list")).toBeNull();
+    const maxInput = element.shadowRoot.querySelector(".filter-menu_range-max");
+    maxInput.value = "2025-03-31";
+    maxInput.dispatchEvent(new CustomEvent("change"));
+
+    const presets = element.shadowRoot.querySelectorAll(".filter-menu_preset");
+    presets[0].click();
+    presets[1].click();
+
+    expect(rangeHandler.mock.calls.map((call) => call[0].detail)).toEqual([
+      { filterId: "closeDate", min: "2025-01-01", max: "2025-03-31" },
+      { filterId: "closeDate", preset: "overdue" },
+      { filterId: "closeDate", preset: "" }
+    ]);
+    expect(presets[1].getAttribute("aria-pressed")).toBe("true");
+  });
 });
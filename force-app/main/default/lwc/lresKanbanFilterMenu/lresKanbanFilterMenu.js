@@ -19,6 +19,28 @@ export default class KanbanFilterMenu extends LightningElement {
     return this.filter?.isOpen;
   }
 
+  get isRange() {
+    return Boolean(this.filter?.isRange);
+  }
+
+  get presetOptions() {
+    return (this.filter?.presetOptions || []).map((preset) => ({
+      ...preset,
+      ariaPressed: preset.selected ? "true" : "false",
+      className: preset.selected
+        ? "filter-menu_preset filter-menu_preset--selected"
+        : "filter-menu_preset"
+    }));
+  }
+
+  get hasPresets() {
+    return this.presetOptions.length > 0;
+  }
+
+  get rangeClearDisabled() {
+    return !this.filter?.selectedValues?.length;
+  }
+
   handleToggleClick(event) {
     event.stopPropagation();
     this.dispatchEvent(
@@ -47,6 +69,41 @@ export default class KanbanFilterMenu extends LightningElement {
     }
   }
 
+  dispatchRangeChange(range) {
+    this.dispatchEvent(
+      new CustomEvent("filterrangechange", {
+        detail: { filterId: this.filterId, ...range },
+        bubbles: true,
+        composed: true
+      })
+    );
+  }
+
+  handleRangeInputChange(event) {
+    event.stopPropagation();
+    const value = event.detail?.value ?? event.target?.value ?? "";
+    const range = {
+      min: this.filter?.rangeMin || "",
+      max: this.filter?.rangeMax || ""
+    };
+    range[event.target.dataset.bound] = value;
+    this.dispatchRangeChange(range);
+  }
+
+  handlePresetClick(event) {
+    event.stopPropagation();
+    const preset = event.currentTarget.dataset.value;
+    const isSelected = (this.filter?.presetOptions || []).some(
+      (option) => option.value === preset && option.selected
+    );
+    this.dispatchRangeChange({ preset: isSelected ? "" : preset });
+  }
+
+  handleRangeClear(event) {
+    event.stopPropagation();
+    this.dispatchRangeChange({});
+  }
+
   handleOptionChange(event) {
     event.stopPropagation();
     this.dispatchEvent(
@@ -1,5 +1,6 @@
 import { createElement } from "lwc";
 import KanbanRecordModal from "c/lresKanbanRecordModal";
+import { notifyRecordUpdateAvailable } from "lightning/uiRecordApi";
 
 describe("c-lres-kanban-record-modal", () => {
   afterEach(() => {
@@ -40,4 +41,95 @@ describe("c-lres-kanban-record-modal", () => {
     expect(errorBlock).toBeTruthy();
     expect(errorBlock.textContent).toContain("Save failed");
   });
+
+  it("renders a create form with the pre-set field values", async () => {
+    const element = buildComponent({
+      objectApiName: "Opportunity",
+      objectLabel: "Opportunity",
+      createFieldApiNames: ["StageName", "AccountId", "Name"],
+      defaultFieldValues: { StageName: "Prospecting", AccountId: "001" }
+    });
+    await Promise.resolve();
+
+    expect(
+      element.shadowRoot.querySelector("lightning-record-form")
+    ).toBeNull();
+    const inputs = Array.from(
+      element.shadowRoot.querySelectorAll("lightning-input-field")
+    );
+    expect(
+      inputs.map((input) => [input.fieldName, input.value ?? null])
+    ).toEqual([
+      ["StageName", "Prospecting"],
+      ["AccountId", "001"],
+      ["Name", null]
+    ]);
+
+    const form = element.shadowRoot.querySelector("lightning-record-edit-form");
+    form.submit = jest.fn();
+    const saveButton = Array.from(
+      element.shadowRoot.querySelectorAll("lightning-button")
+    ).find((button) => button.label === "Save");
+    saveButton.click();
+    await Promise.resolve();
+
+    expect(form.submit).toHaveBeenCalled();
+    expect(saveButton.disabled).toBe(true);
+  });
+
+  it("reloads and flags the record when another user changes it", async () => {
+    const unsubscribe = jest.fn();
+    const subscribeToChanges = jest.fn(() => unsubscribe);
+    notifyRecordUpdateAvailable.mockClear();
+    const element = buildComponent({
+      recordId: "001",
+      objectApiName: "Opportunity",
+      subscribeToChanges
+    });
+
+    expect(subscribeToChanges).toHaveBeenCalledWith(
+      "001",
+      expect.any(Function)
+    );
+    const onRemoteChange = subscribeToChanges.mock.calls[0][1];
+    onRemoteChange({ recordId: "001", changeType: "UPDATE" });
+    await Promise.resolve();
+
+    expect(notifyRecordUpdateAvailable).toHaveBeenCalledWith([
+      { recordId: "001" }
+    ]);
+    const alert = element.shadowRoot.querySelector(
+      ".kanban-modal_remote-change"
+    );
+    expect(alert.textContent).toContain("The latest values are shown");
+
+    document.body.removeChild(element);
+    expect(unsubscribe).toHaveBeenCalled();
+  });
+
+  it("warns instead of reloading when the record changes during an edit", async () => {
+    const subscribeToChanges = jest.fn(() => jest.fn());
+    notifyRecordUpdateAvailable.mockClear();
+    const element = buildComponent({
+      recordId: "001",
+      objectApiName: "Opportunity",
+      subscribeToChanges
+    });
+    Array.from(element.shadowRoot.querySelectorAll("lightning-button"))
+      .find((button) => button.label === "Edit")
+      .click();
+    await Promise.resolve();
+
+    subscribeToChanges.mock.calls[0][1]({
+      recordId: "001",
+      changeType: "UPDATE"
+    });
+    await Promise.resolve();
+
+    expect(notifyRecordUpdateAvailable).not.toHaveBeenCalled();
+    expect(
+      element.shadowRoot.querySelector(".kanban-modal_remote-change")
+        .textContent
+    ).toContain("Saving may overwrite their changes");
+  });
 });
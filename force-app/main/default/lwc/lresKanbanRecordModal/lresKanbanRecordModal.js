@@ -1,6 +1,6 @@
 import { api, wire } from "lwc";
 import LightningModal from "lightning/modal";
-import { getRecord } from "lightning/uiRecordApi";
+import { getRecord, notifyRecordUpdateAvailable } from "lightning/uiRecordApi";
 
 const DEBUG_PREFIX = "[KanbanRecordModal]";
 
@@ -8,12 +8,32 @@ export default class KanbanRecordModal extends LightningModal {
   @api recordId;
   @api objectApiName;
   @api headerFieldApiName;
+  @api objectLabel;
+  @api createFieldApiNames = [];
+  @api defaultFieldValues = {};
+  @api subscribeToChanges;
   @api debugLogging = false;
 
   formMode = "view";
   errorMessage = "";
   isSaving = false;
   headerRecord;
+  remoteChangeMessage = "";
+  _unsubscribeFromChanges;
+
+  connectedCallback() {
+    if (this.recordId && typeof this.subscribeToChanges === "function") {
+      this._unsubscribeFromChanges = this.subscribeToChanges(
+        this.recordId,
+        (detail) => this.handleRemoteChange(detail)
+      );
+    }
+  }
+
+  disconnectedCallback() {
+    this._unsubscribeFromChanges?.();
+    this._unsubscribeFromChanges = null;
+  }
 
   logDebug(message, detail) {
     if (!this.debugLogging) {
@@ -44,7 +64,23 @@ export default class KanbanRecordModal extends LightningModal {
     this.headerRecord = value;
   }
 
+  get isCreateMode() {
+    return !this.recordId;
+  }
+
+  get createFields() {
+    const defaults = this.defaultFieldValues || {};
+    return (this.createFieldApiNames || []).map((fieldApiName) => ({
+      key: fieldApiName,
+      fieldApiName,
+      value: defaults[fieldApiName] ?? null
+    }));
+  }
+
   get headerTitle() {
+    if (this.isCreateMode) {
+      return `New ${this.objectLabel || this.objectApiName || "Record"}`;
+    }
     const value = this.getHeaderFieldValue();
     if (value) {
       return value;
@@ -113,6 +149,33 @@ export default class KanbanRecordModal extends LightningModal {
     return this.formMode === "edit";
   }
 
+  /**
+   * Flags a change another user made to the open record. In view mode the form reloads
+   * to show their values; in edit mode the draft is kept and the user is warned instead.
+   *
+   * @param {Object} detail Change details.
+   * @param {string} detail.changeType Change Data Capture change type.
+   */
+  handleRemoteChange(detail) {
+    this.logDebug("Record changed by another user.", detail);
+    if (detail?.changeType === "DELETE") {
+      this.remoteChangeMessage = "Another user deleted this record.";
+      return;
+    }
+    if (this.formMode === "edit") {
+      this.remoteChangeMessage =
+        "Another user changed this record while you were editing it. Saving may overwrite their changes.";
+      return;
+    }
+    this.remoteChangeMessage =
+      "Another user changed this record. The latest values are shown.";
+    notifyRecordUpdateAvailable([{ recordId: this.recordId }]).catch(
+      (error) => {
+        this.logError("Unable to reload the changed record.", error);
+      }
+    );
+  }
+
   handleEdit() {
     this.formMode = "edit";
     this.errorMessage = "";
@@ -140,6 +203,27 @@ export default class KanbanRecordModal extends LightningModal {
     this.logDebug("Submitting record edit.", { recordId: this.recordId });
   }
 
+  handleCreateSave() {
+    const form = this.template.querySelector("lightning-record-edit-form");
+    if (!form || this.isSaving) {
+      return;
+    }
+    this.errorMessage = "";
+    this.isSaving = true;
+    this.logDebug("Submitting new record.", {
+      objectApiName: this.objectApiName
+    });
+    form.submit();
+  }
+
+  handleCreateSuccess(event) {
+    const recordId = event?.detail?.id;
+    this.isSaving = false;
+    this.errorMessage = "";
+    this.logDebug("Record created successfully.", { recordId });
+    this.close({ recordId, saved: true, created: true });
+  }
+
   handleSuccess(event) {
     this.isSaving = false;
     this.errorMessage = "";